@@ -0,0 +1,50 @@
+// components/BackInStockForm.js
+import { useState } from 'react';
+
+/** "Email me when it's back" for sold-out items (POST /api/waitlist). */
+export default function BackInStockForm({ productId, variantId = '', variantLabel = '', className = '' }) {
+  const [email, setEmail] = useState('');
+  const [state, setState] = useState('idle'); // idle | busy | done
+  const [error, setError] = useState('');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setError('');
+    setState('busy');
+    try {
+      const res = await fetch('/api/waitlist', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ product_id: productId, variant_id: variantId, variant_label: variantLabel, email }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.error) throw new Error(data.error || 'Could not join the waitlist');
+      setState('done');
+    } catch (err) {
+      setError(err.message);
+      setState('idle');
+    }
+  };
+
+  if (state === 'done') {
+    return <p className={`text-sm text-green-700 ${className}`}>We'll email you when it's back.</p>;
+  }
+
+  return (
+    <form onSubmit={submit} onClick={(e) => e.stopPropagation()} className={`flex flex-wrap gap-2 justify-center ${className}`}>
+      <input
+        type="email"
+        required
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        placeholder="Email me when it's back"
+        className="px-3 py-2 rounded border bg-white text-black text-sm"
+      />
+      <button type="submit" disabled={state === 'busy'} className="px-3 py-2 rounded border text-sm disabled:opacity-50">
+        Notify me
+      </button>
+      {error && <span className="w-full text-xs text-red-600">{error}</span>}
+    </form>
+  );
+}
@@ -2,6 +2,9 @@
 import { motion } from 'framer-motion';
 import { useDispatch } from 'react-redux';
 import { addToCart } from '../lib/cartSlice';
+import { useCurrency } from '../lib/useCurrency';
+import { formatMoney } from '../lib/currency';
+import BackInStockForm from './BackInStockForm';
 
 const Card = ({
   children,
@@ -18,6 +21,7 @@ const Card = ({
   showNftBadge = true,
 }) => {
   const dispatch = useDispatch();
+  const { price } = useCurrency();
 
   // product payload coming from parent (Designs page)
   const product = buyButton || {};
@@ -36,6 +40,13 @@ const Card = ({
   // NEW: Tech app badges
   const isApp = metadata.app_type === 'app' && metadata.app_url;
 
+  // shown in the visitor's display currency (metadata.prices override first)
+  const buyPrice = typeof product.price !== 'undefined' ? price(product) : null;
+
+  // limited stock from /api/products (lib/inventory.js)
+  const soldOut = Boolean(product.sold_out);
+  const lowStock = !soldOut && Boolean(product.low_stock);
+
   const handleClick = () => {
     if (category && typeof window !== 'undefined') {
       try {
@@ -132,7 +143,18 @@ const Card = ({
 
         {/* Actions */}
         <div className="flex flex-wrap gap-3 justify-center">
-          {buyButton && (
+          {buyButton && soldOut && (
+            <button
+              type="button"
+              disabled
+              onClick={(e) => e.stopPropagation()}
+              className="btn bg-gray-300 text-gray-600 py-2 px-4 rounded cursor-not-allowed"
+            >
+              Sold out
+            </button>
+          )}
+
+          {buyButton && !soldOut && (
             <button
               onClick={(e) => {
                 e.stopPropagation();
@@ -143,7 +165,7 @@ const Card = ({
             >
               Buy Now
               {typeof buyButton.price !== 'undefined'
-                ? ` - $${Number(buyButton.price).toFixed(2)}`
+                ? ` - ${formatMoney(buyPrice.amount, buyPrice.currency)}`
                 : ''}
             </button>
           )}
@@ -162,6 +184,11 @@ const Card = ({
           )}
         </div>
 
+        {buyButton && lowStock && (
+          <p className="text-sm text-amber-700 mt-2">Only {product.stock?.available} left</p>
+        )}
+        {buyButton && soldOut && <BackInStockForm productId={product.id} className="mt-3" />}
+
         {/* Extra children */}
         <div className="flex flex-wrap justify-center gap-4 items-center mt-4">
           {children}
@@ -1,10 +1,14 @@
 // components/Cart.js
 import { useSelector, useDispatch } from 'react-redux';
-import { removeFromCart, updateQuantity } from '@/lib/cartSlice';
+import { lineKey, removeFromCart, updateQuantity } from '@/lib/cartSlice';
 import Link from 'next/link';
 import { loadStripe } from '@stripe/stripe-js';
 import Recommender from './Recommender';
 import { useState, useEffect } from 'react';
+import { useCurrency } from '@/lib/useCurrency';
+import { formatMoney } from '@/lib/currency';
+import { supabase } from '@/lib/supabase';
+import { SHIP_COUNTRIES, isPrintfulProduct, needsStateCode, variantLabel } from '@/lib/shipping';
 
 const stripePromise = loadStripe(
   process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY,
@@ -33,15 +37,110 @@ const Cart = () => {
   const [email, setEmail] = useState('');
   const [error, setError] = useState('');
 
+  // prices in the visitor's display currency; checkout charges the same one
+  const { currency, price } = useCurrency();
+  const lineTotal = (item) => price(item).amount * (item.quantity || 1);
+
   // show running total
   const total = Array.isArray(items)
-    ? items.reduce(
-        (acc, item) =>
-          acc + Number(item.price || 0) * (item.quantity || 1),
-        0
-      )
+    ? items.reduce((acc, item) => acc + lineTotal(item), 0)
     : 0;
 
+  // The whole cart is one checkout. When something ships, shipping is
+  // quoted for the destination first and the same options are offered in Stripe.
+  const needsShipping = items.some((i) => (i.bundle_id ? !!i.needs_shipping : isPrintfulProduct(i)));
+  const [shipTo, setShipTo] = useState({ country: 'US', state: '', zip: '' });
+  const [shippingOptions, setShippingOptions] = useState(null);
+  const [shippingBusy, setShippingBusy] = useState(false);
+
+  // ids + quantities only; the server re-prices every line
+  const cartLines = () =>
+    items.map((i) =>
+      i.bundle_id
+        ? { bundle_id: i.bundle_id, quantity: i.quantity || 1 }
+        : {
+            product_id: i.id,
+            variant_id: i.variant?.sync_variant_id || null,
+            quantity: i.quantity || 1,
+          }
+    );
+
+  // quotes go stale when the cart or the destination changes
+  useEffect(() => {
+    setShippingOptions(null);
+  }, [items, shipTo.country, shipTo.state, shipTo.zip]);
+
+  const fetchShipping = async () => {
+    setError('');
+    setShippingBusy(true);
+    try {
+      const resp = await fetch('/api/checkout/shipping-rates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ lines: cartLines(), ...shipTo, currency }),
+      });
+      const data = await resp.json();
+      if (!resp.ok || data.error) {
+        setError(data.error || 'Could not fetch shipping rates.');
+        return;
+      }
+      setShippingOptions(data.options || []);
+    } catch (err) {
+      console.error('Shipping rates error:', err);
+      setError('Could not fetch shipping rates.');
+    } finally {
+      setShippingBusy(false);
+    }
+  };
+
+  // Sales and promo codes (lib/promotions.js). The server re-checks them at
+  // checkout; this preview only keeps the total honest.
+  const [promoCode, setPromoCode] = useState('');
+  const [discounts, setDiscounts] = useState(null);
+  const [promoMsg, setPromoMsg] = useState('');
+
+  const fetchDiscounts = async (code = promoCode) => {
+    if (!items.length || items.some((i) => i.division === 'realty')) {
+      setDiscounts(null);
+      return;
+    }
+    try {
+      const { data: auth } = await supabase.auth.getSession();
+      const token = auth?.session?.access_token;
+      const resp = await fetch('/api/checkout/discounts', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ lines: cartLines(), code, currency, email: email || undefined }),
+      });
+      const data = await resp.json();
+      if (!resp.ok || data.error) {
+        setDiscounts(null);
+        return;
+      }
+      setDiscounts(data);
+      setPromoMsg(code ? data.code_error || 'Code applied.' : '');
+    } catch (err) {
+      console.error('Discount preview error:', err);
+      setDiscounts(null);
+    }
+  };
+
+  // automatic sales follow the cart; a typed code only counts once applied
+  const [appliedCode, setAppliedCode] = useState('');
+  useEffect(() => {
+    fetchDiscounts(appliedCode);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [items, currency, appliedCode]);
+
+  const applyCode = () => {
+    const code = promoCode.trim();
+    if (code === appliedCode) fetchDiscounts(code);
+    else setAppliedCode(code);
+  };
+
   // ---- helper: get affiliate code from localStorage
   const [affiliateCode, setAffiliateCode] = useState(null);
   useEffect(() => {
@@ -63,44 +162,44 @@ const Cart = () => {
       return;
     }
 
-    // 🔒 current backend assumes ONE product per checkout session
-    if (items.length > 1) {
-      setError(
-        'Please checkout one item at a time (we only support single-item checkout right now).'
-      );
-      return;
-    }
-
-    const cartItem = items[0];
-    const quantity = cartItem.quantity || 1;
-
     // special case: Realty bookings should NOT go through create-session,
     // they should already be using /api/realty/book from the property page.
     // If somehow a realty item is in the cart, bail with a message.
-    if (cartItem.division === 'realty') {
+    if (items.some((i) => i.division === 'realty')) {
       setError(
         'This stay needs to be booked from the property page. Please return to the listing to finish checkout.'
       );
       return;
     }
 
-    // normal merch / digital / etc -> /api/checkout/create-session
+    if (needsShipping && needsStateCode(shipTo.country) && !shipTo.state.trim()) {
+      setError('Please enter your state / province for shipping.');
+      return;
+    }
+
+    // merch / digital / bundles / studio access -> /api/checkout/create-session
     try {
-      const stripe = await stripePromise;
+      // studio access lines are granted to the signed-in account
+      const { data: auth } = await supabase.auth.getSession();
+      const token = auth?.session?.access_token;
 
       // we POST to create-session so it can:
-      // - create Stripe Checkout Session
-      // - insert pending row in orders
+      // - re-price every line and create ONE Stripe Checkout Session
+      // - insert a pending orders row per line
       // - include affiliate_code
       const resp = await fetch('/api/checkout/create-session', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
         body: JSON.stringify({
-          product_id: cartItem.id,        // required
-          quantity,                       // default 1
-          mode: undefined,                // NOT "subscription" (this is one-time)
-          email: email || undefined,      // optional convenience
-          affiliate_code: affiliateCode || null, // <-- 🔥 pass affiliate
+          lines: cartLines(),                       // every cart line, one session
+          ship_to: needsShipping ? shipTo : undefined, // destination the rates are quoted for
+          email: email || undefined,                // optional convenience
+          promo_code: appliedCode || undefined,     // re-validated server-side
+          affiliate_code: affiliateCode || null,    // <-- 🔥 pass affiliate
+          currency,                                 // display currency -> Stripe session currency
         }),
       });
 
@@ -152,7 +251,7 @@ const Cart = () => {
             {Array.isArray(items) &&
               items.map((item) => (
                 <li
-                  key={item.id}
+                  key={lineKey(item)}
                   className="flex justify-between items-center pb-4 border-b border-gray-300"
                 >
                   <div className="flex items-center gap-4">
@@ -171,6 +270,9 @@ const Cart = () => {
                           ({item.division || 'site'})
                         </span>
                       </div>
+                      {item.variant && (
+                        <div className="text-sm opacity-70">{variantLabel(item.variant)}</div>
+                      )}
 
                       <input
                         type="number"
@@ -179,7 +281,7 @@ const Cart = () => {
                         onChange={(e) =>
                           dispatch(
                             updateQuantity({
-                              id: item.id,
+                              id: lineKey(item),
                               quantity:
                                 parseInt(e.target.value, 10) || 1,
                             })
@@ -192,16 +294,12 @@ const Cart = () => {
 
                   <div className="text-right">
                     <div className="text-base">
-                      $
-                      {(
-                        Number(item.price || 0) *
-                        (item.quantity || 1)
-                      ).toFixed(2)}
+                      {formatMoney(lineTotal(item), price(item).currency)}
                     </div>
 
                     <button
                       onClick={() =>
-                        dispatch(removeFromCart(item.id))
+                        dispatch(removeFromCart(lineKey(item)))
                       }
                       className="text-red-500 hover:text-red-600 text-sm mt-2"
                     >
@@ -212,11 +310,99 @@ const Cart = () => {
               ))}
           </ul>
 
-          {/* TOTAL */}
+          {/* PROMO CODE */}
+          <div className="flex gap-2 mb-2">
+            <input
+              value={promoCode}
+              onChange={(e) => setPromoCode(e.target.value)}
+              placeholder="Promo code"
+              className="flex-1 p-2 border rounded bg-white text-black uppercase"
+            />
+            <button type="button" onClick={applyCode} className="px-3 py-2 rounded border">
+              Apply
+            </button>
+          </div>
+          {promoMsg && (
+            <p className={`text-sm mb-2 ${discounts?.code_error ? 'text-red-500' : 'text-green-700'}`}>{promoMsg}</p>
+          )}
+
+          {/* DISCOUNTS + TOTAL */}
+          {discounts?.total_discount > 0 && (
+            <ul className="text-sm text-right mb-1 text-green-700">
+              {discounts.applied.map((a) => (
+                <li key={`${a.id}-${a.name}`}>
+                  {a.name}
+                  {a.code ? ` (${a.code})` : ''}: −{formatMoney(a.amount, discounts.currency)}
+                </li>
+              ))}
+            </ul>
+          )}
           <p className="text-right font-bold text-base mb-4">
-            Total: ${total.toFixed(2)}
+            Total:{' '}
+            {discounts?.total_discount > 0
+              ? formatMoney(discounts.total, discounts.currency)
+              : formatMoney(total, items.length ? price(items[0]).currency : currency)}
           </p>
 
+          {/* SHIPPING (merch carts) */}
+          {needsShipping && (
+            <div className="border rounded p-3 mb-4">
+              <div className="font-semibold mb-2">Ship to</div>
+              <div className="flex flex-wrap gap-2 mb-2">
+                <select
+                  value={shipTo.country}
+                  onChange={(e) => setShipTo((s) => ({ ...s, country: e.target.value }))}
+                  className="p-2 border rounded bg-white text-black"
+                >
+                  {SHIP_COUNTRIES.map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+                {needsStateCode(shipTo.country) && (
+                  <input
+                    value={shipTo.state}
+                    onChange={(e) => setShipTo((s) => ({ ...s, state: e.target.value.toUpperCase() }))}
+                    placeholder="State / province (e.g. CA)"
+                    maxLength={3}
+                    className="p-2 border rounded bg-white text-black w-48"
+                  />
+                )}
+                <input
+                  value={shipTo.zip}
+                  onChange={(e) => setShipTo((s) => ({ ...s, zip: e.target.value }))}
+                  placeholder="Postal code"
+                  className="p-2 border rounded bg-white text-black w-32"
+                />
+                <button
+                  type="button"
+                  onClick={fetchShipping}
+                  disabled={shippingBusy}
+                  className="px-3 py-2 rounded border disabled:opacity-50"
+                >
+                  {shippingBusy ? 'Checking…' : 'Get shipping rates'}
+                </button>
+              </div>
+              {shippingOptions && (
+                <ul className="text-sm space-y-1">
+                  {shippingOptions.map((o) => (
+                    <li key={o.id} className="flex justify-between">
+                      <span>
+                        {o.name}
+                        {o.min_delivery_days && o.max_delivery_days
+                          ? ` (${o.min_delivery_days}–${o.max_delivery_days} days)`
+                          : ''}
+                      </span>
+                      <span>{formatMoney(o.amount, o.currency)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <p className="text-xs opacity-60 mt-2">You'll pick a shipping option at checkout.</p>
+            </div>
+          )}
+
           {/* OPTIONAL EMAIL PREFILL */}
           <input
             type="email"
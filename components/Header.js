@@ -6,6 +6,7 @@ import { useSelector } from 'react-redux';
 import { FaShoppingCart } from 'react-icons/fa';
 import { useTheme } from 'next-themes';
 import { useEffect, useState } from 'react';
+import { useCurrency } from '@/lib/useCurrency';
 
 const Header = () => {
   const router = useRouter();
@@ -13,6 +14,7 @@ const Header = () => {
   const cartCount = items.length;
   const { theme, setTheme } = useTheme();
   const [mounted, setMounted] = useState(false);
+  const { currency, supported, setCurrency } = useCurrency();
 
   useEffect(() => setMounted(true), []);
 
@@ -70,6 +72,22 @@ const Header = () => {
             )}
           </Link>
 
+          {/* Display currency (prices + checkout) */}
+          {mounted && supported.length > 1 && (
+            <select
+              aria-label="Currency"
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              className="border border-gray-300 rounded px-1 py-1 text-sm bg-white"
+            >
+              {supported.map((c) => (
+                <option key={c} value={c}>
+                  {c.toUpperCase()}
+                </option>
+              ))}
+            </select>
+          )}
+
           {/* Theme Toggle */}
           {mounted && (
             <button
@@ -0,0 +1,119 @@
+// components/PropertyMap.js
+import Link from 'next/link';
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * Lightweight pin map for realty search results — plain OpenStreetMap tiles
+ * positioned with Web Mercator math, no map library.
+ *
+ * Props:
+ *  - pins: [{ id, lat, lng, label, href, price }]
+ *  - activeId: pin to highlight (e.g. the hovered card)
+ *  - height: px
+ */
+
+const TILE = 256;
+const MAX_ZOOM = 13;
+
+function project(lat, lng, zoom) {
+  const scale = TILE * 2 ** zoom;
+  const s = Math.sin((Math.max(-85, Math.min(85, lat)) * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)) * scale,
+  };
+}
+
+// highest zoom at which every pin fits inside the box (with padding)
+function fitZoom(pins, width, height, pad = 48) {
+  for (let z = MAX_ZOOM; z > 1; z -= 1) {
+    const pts = pins.map((p) => project(p.lat, p.lng, z));
+    const w = Math.max(...pts.map((p) => p.x)) - Math.min(...pts.map((p) => p.x));
+    const h = Math.max(...pts.map((p) => p.y)) - Math.min(...pts.map((p) => p.y));
+    if (w <= width - pad * 2 && h <= height - pad * 2) return z;
+  }
+  return 1;
+}
+
+export default function PropertyMap({ pins = [], activeId = null, height = 420 }) {
+  const boxRef = useRef(null);
+  const [width, setWidth] = useState(800);
+
+  useEffect(() => {
+    const measure = () => {
+      if (boxRef.current) setWidth(boxRef.current.clientWidth || 800);
+    };
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  if (!pins.length) {
+    return (
+      <div
+        className="flex items-center justify-center rounded border border-gray-300 dark:border-gray-700 text-sm opacity-70"
+        style={{ height }}
+      >
+        No mapped properties match these filters.
+      </div>
+    );
+  }
+
+  const zoom = pins.length === 1 ? 11 : fitZoom(pins, width, height);
+  const pts = pins.map((p) => ({ ...p, ...project(p.lat, p.lng, zoom) }));
+  const cx = (Math.min(...pts.map((p) => p.x)) + Math.max(...pts.map((p) => p.x))) / 2;
+  const cy = (Math.min(...pts.map((p) => p.y)) + Math.max(...pts.map((p) => p.y))) / 2;
+  const left = cx - width / 2;
+  const top = cy - height / 2;
+
+  const max = 2 ** zoom;
+  const tiles = [];
+  for (let tx = Math.floor(left / TILE); tx <= Math.floor((left + width) / TILE); tx += 1) {
+    for (let ty = Math.floor(top / TILE); ty <= Math.floor((top + height) / TILE); ty += 1) {
+      if (ty < 0 || ty >= max) continue;
+      const wrapped = ((tx % max) + max) % max;
+      tiles.push({ key: `${tx}-${ty}`, src: `https://tile.openstreetmap.org/${zoom}/${wrapped}/${ty}.png`, tx, ty });
+    }
+  }
+
+  return (
+    <div
+      ref={boxRef}
+      className="relative overflow-hidden rounded border border-gray-300 dark:border-gray-700 bg-gray-200"
+      style={{ height }}
+    >
+      {tiles.map((t) => (
+        <img
+          key={t.key}
+          src={t.src}
+          alt=""
+          draggable={false}
+          className="absolute select-none max-w-none"
+          style={{ left: t.tx * TILE - left, top: t.ty * TILE - top, width: TILE, height: TILE }}
+        />
+      ))}
+
+      {pts.map((p) => (
+        <Link
+          key={p.id}
+          href={p.href}
+          title={p.label}
+          className={`absolute -translate-x-1/2 -translate-y-full px-2 py-1 rounded-full text-[11px] font-semibold shadow whitespace-nowrap ${
+            p.id === activeId ? 'bg-blue-600 text-white z-20' : 'bg-white text-gray-900 z-10 hover:bg-yellow-300'
+          }`}
+          style={{ left: p.x - left, top: p.y - top }}
+        >
+          {p.price || p.label}
+        </Link>
+      ))}
+
+      <div className="absolute bottom-0 right-0 bg-white/80 text-[10px] text-gray-700 px-1">
+        ©{' '}
+        <a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noreferrer" className="underline">
+          OpenStreetMap
+        </a>{' '}
+        contributors
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,18 @@
 // components/RealtyLeadForm.js
 import { useState } from 'react';
+import { getRememberedUtm } from '@/lib/utm';
+
+// Property pages call this so a lead sent later from /realty still knows
+// which listing the visitor was looking at (used for lead scoring).
+export function rememberViewedProperty(propertyId) {
+  if (typeof window === 'undefined' || !propertyId) return;
+  window.sessionStorage.setItem('realty_viewed_property', String(propertyId));
+}
+
+function viewedProperty() {
+  if (typeof window === 'undefined') return null;
+  return window.sessionStorage.getItem('realty_viewed_property');
+}
 
 export default function RealtyLeadForm({ propertyId, className = '' }) {
   const [name, setName] = useState('');
@@ -30,7 +43,9 @@ export default function RealtyLeadForm({ propertyId, className = '' }) {
           phone,
           interest_type: interest,
           notes,
-          property_id: propertyId || null,
+          property_id: propertyId || viewedProperty() || null,
+          // campaign attribution remembered from the landing URL (lib/utm.js)
+          ...getRememberedUtm(),
         }),
       });
 
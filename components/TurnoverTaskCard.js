@@ -0,0 +1,152 @@
+// components/TurnoverTaskCard.js
+import { useState } from 'react';
+
+/**
+ * One turnover task: checklist, photos, notes, status.
+ * Shared by the admin turnover board and the cleaner task page.
+ *
+ * Props:
+ *  - task: decorated realty_turnover_tasks row (lib/realty/turnovers.js)
+ *  - onPatch(patch): save { checklist | status | notes | photo_url }
+ *  - onUpload(file): upload an image, resolve to its public URL
+ *  - statuses: status buttons to offer (e.g. ['in_progress', 'done'])
+ *  - children: extra controls (assignment etc.)
+ */
+
+export const TURNOVER_STATUS_LABELS = {
+  open: 'Unassigned',
+  assigned: 'Assigned',
+  in_progress: 'In progress',
+  done: 'Done',
+  cancelled: 'Cancelled',
+};
+
+export function readFileBase64(file) {
+  return new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(String(r.result).split(',')[1] || '');
+    r.onerror = reject;
+    r.readAsDataURL(file);
+  });
+}
+
+export default function TurnoverTaskCard({ task, onPatch, onUpload, statuses = [], children }) {
+  const [notes, setNotes] = useState(task.notes || '');
+  const [busy, setBusy] = useState(false);
+
+  const run = async (fn) => {
+    setBusy(true);
+    try {
+      await fn();
+    } catch (e) {
+      alert(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const checklist = Array.isArray(task.checklist) ? task.checklist : [];
+  const doneCount = checklist.filter((c) => c.done).length;
+
+  const toggle = (i) =>
+    run(() => onPatch({ checklist: checklist.map((c, idx) => (idx === i ? { ...c, done: !c.done } : c)) }));
+
+  const upload = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    run(async () => {
+      const url = await onUpload(file);
+      await onPatch({ photo_url: url });
+    });
+  };
+
+  return (
+    <div
+      className={`border rounded p-3 text-sm space-y-2 dark:border-gray-700 ${
+        task.same_day ? 'border-red-500 dark:border-red-500' : ''
+      }`}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">
+            {task.property_name}
+            {task.same_day && (
+              <span className="ml-2 bg-red-600 text-white px-2 py-0.5 rounded text-[11px]">SAME-DAY</span>
+            )}
+          </div>
+          <div className="text-xs opacity-80">
+            Checkout {task.checkout_on}
+            {task.departing_guest ? ` (${task.departing_guest})` : ''} → next arrival{' '}
+            {task.next_checkin_on || 'none scheduled'}
+            {task.next_source === 'external' ? ' (channel booking)' : ''}
+            {task.next_guests ? ` — ${task.next_guests} guests` : ''}
+          </div>
+          {task.property_address && <div className="text-xs opacity-60">{task.property_address}</div>}
+        </div>
+        <span className="text-xs px-2 py-1 rounded bg-gray-100 dark:bg-gray-800">
+          {TURNOVER_STATUS_LABELS[task.status] || task.status} • {doneCount}/{checklist.length}
+        </span>
+      </div>
+
+      {children}
+
+      <ul className="space-y-1">
+        {checklist.map((c, i) => (
+          <li key={i}>
+            <label className="inline-flex items-center gap-2">
+              <input type="checkbox" checked={!!c.done} disabled={busy} onChange={() => toggle(i)} />
+              <span className={c.done ? 'line-through opacity-60' : ''}>{c.label}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap gap-2">
+        {(task.photos || []).map((ph) => (
+          <a key={ph.url} href={ph.url} target="_blank" rel="noreferrer" title={`${ph.by || ''} ${ph.uploaded_at || ''}`}>
+            <img src={ph.url} alt="Turnover photo" className="w-20 h-20 object-cover rounded border dark:border-gray-700" />
+          </a>
+        ))}
+        <label className="w-20 h-20 flex items-center justify-center rounded border border-dashed text-xs cursor-pointer opacity-80 dark:border-gray-600">
+          {busy ? '…' : '+ Photo'}
+          <input type="file" accept="image/*" className="hidden" disabled={busy} onChange={upload} />
+        </label>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-2">
+        <textarea
+          rows={2}
+          className="flex-1 border rounded px-2 py-1 dark:bg-gray-900 dark:border-gray-700"
+          placeholder="Notes (damage, missing items, supplies needed…)"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+        />
+        <button
+          className="px-3 py-1 rounded bg-gray-600 text-white disabled:opacity-50"
+          disabled={busy || notes === (task.notes || '')}
+          onClick={() => run(() => onPatch({ notes }))}
+        >
+          Save Notes
+        </button>
+      </div>
+
+      {statuses.length > 0 && (
+        <div className="flex gap-2">
+          {statuses
+            .filter((s) => s !== task.status)
+            .map((s) => (
+              <button
+                key={s}
+                className={`px-3 py-1 rounded text-white disabled:opacity-50 ${s === 'done' ? 'bg-green-600' : 'bg-blue-600'}`}
+                disabled={busy}
+                onClick={() => run(() => onPatch({ status: s }))}
+              >
+                Mark {TURNOVER_STATUS_LABELS[s] || s}
+              </button>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -14,9 +14,12 @@ import {
   Legend,
 } from 'recharts';
 import { isWithinLastDays } from '@/lib/adminUtils';
+import { formatMoney } from '@/lib/currency';
+import ExchangeRatesPanel from '@/components/admin/ExchangeRatesPanel';
 
 export default function AnalyticsTab({ users, orders }) {
-  // revenue by division (last 30d)
+  // revenue by division (last 30d). total_amount is always the base currency
+  // (orders in other currencies are converted at checkout), so divisions add up.
   const revenueByDivision = useMemo(() => {
     const map = {};
     orders.forEach((o) => {
@@ -30,6 +33,20 @@ export default function AnalyticsTab({ users, orders }) {
     }));
   }, [orders]);
 
+  // what buyers actually paid, per charged currency (last 30d)
+  const salesByCurrency = useMemo(() => {
+    const map = {};
+    orders.forEach((o) => {
+      if (!isWithinLastDays(o.created_at, 30)) return;
+      const c = (o.currency || o.base_currency || 'usd').toLowerCase();
+      const row = map[c] || (map[c] = { currency: c, orders: 0, charged: 0, base: 0 });
+      row.orders += 1;
+      row.charged += Number(o.charged_amount ?? o.total_amount ?? 0);
+      row.base += Number(o.total_amount || 0);
+    });
+    return Object.values(map).sort((a, b) => b.base - a.base);
+  }, [orders]);
+
   // naive user growth per month
   const userGrowth = useMemo(() => {
     const growthMap = users.reduce((acc, u) => {
@@ -90,6 +107,41 @@ export default function AnalyticsTab({ users, orders }) {
           </div>
         </div>
       </div>
+
+      {/* Sales by charged currency */}
+      <div className="mt-8">
+        <h3 className="font-semibold mb-3">Sales by Currency (Last 30 Days)</h3>
+        {salesByCurrency.length === 0 ? (
+          <p className="text-sm opacity-70">No orders in the last 30 days.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left opacity-70">
+                <th className="py-1">Currency</th>
+                <th className="py-1">Orders</th>
+                <th className="py-1">Charged</th>
+                <th className="py-1">In base (USD)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {salesByCurrency.map((r) => (
+                <tr key={r.currency} className="border-t dark:border-gray-700">
+                  <td className="py-1 uppercase">{r.currency}</td>
+                  <td className="py-1">{r.orders}</td>
+                  <td className="py-1">{formatMoney(r.charged, r.currency)}</td>
+                  <td className="py-1">{formatMoney(r.base, 'usd')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Stored exchange rates */}
+      <div className="mt-8">
+        <h3 className="font-semibold mb-3">Exchange Rates</h3>
+        <ExchangeRatesPanel />
+      </div>
     </SectionCard>
   );
 }
@@ -1,5 +1,25 @@
 // components/admin/CalendarSyncPanel.js
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { adminAuthHeaders, copyText } from '@/lib/adminUtils';
+
+// mirrors CHANNELS in lib/realty/channelFeeds.js (server-only module)
+const CHANNEL_LABELS = {
+  airbnb: 'Airbnb',
+  vrbo: 'VRBO',
+  booking: 'Booking.com',
+  google: 'Google Calendar',
+  other: 'Other',
+};
+
+async function api(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()), ...(options.headers || {}) },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || data.error) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
 
 /**
  * Admin panel for syncing external Airbnb/VRBO calendars.
@@ -11,14 +31,100 @@ import React, { useState } from 'react';
  *  - lets you pick a property
  *  - shows that property's metadata.ical_urls (if any)
  *  - "Sync Now" POSTs to /api/realty/sync-ical with { property_id }
- *  - shows alert with results (how many imported)
- *
- * This uses the /api/realty/sync-ical endpoint you already have.
+ *  - shows alert with results (how many imported, new double bookings)
+ *  - lists open conflicts (/api/realty/calendar-conflicts) to resolve / ignore
+ *  - manages the private per-channel export feeds (/api/realty/channel-feeds)
  */
 export default function CalendarSyncPanel({ properties = [] }) {
   const [selectedId, setSelectedId] = useState('');
   const [loading, setLoading] = useState(false);
   const [resultMsg, setResultMsg] = useState('');
+  const [conflicts, setConflicts] = useState([]);
+  const [feeds, setFeeds] = useState([]);
+  const [newChannel, setNewChannel] = useState('airbnb');
+  const [newLabel, setNewLabel] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadDetails = useCallback(async (propertyId) => {
+    if (!propertyId) {
+      setConflicts([]);
+      setFeeds([]);
+      return;
+    }
+    try {
+      const q = encodeURIComponent(propertyId);
+      const [c, f] = await Promise.all([
+        api(`/api/realty/calendar-conflicts?property_id=${q}&status=open`),
+        api(`/api/realty/channel-feeds?property_id=${q}`),
+      ]);
+      setConflicts(c.items || []);
+      setFeeds(f.items || []);
+    } catch (err) {
+      console.error('calendar details error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDetails(selectedId);
+  }, [selectedId, loadDetails]);
+
+  async function rescan() {
+    setBusy(true);
+    try {
+      const data = await api('/api/realty/calendar-conflicts', {
+        method: 'POST',
+        body: JSON.stringify({ property_id: selectedId }),
+      });
+      await loadDetails(selectedId);
+      if (data.created) alert(`${data.created} new conflict(s) found.`);
+    } catch (err) {
+      alert('Rescan failed: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function setConflict(c, status) {
+    const note = status === 'open' ? undefined : prompt('Note (optional):', c.note || '') ?? undefined;
+    try {
+      await api('/api/realty/calendar-conflicts', {
+        method: 'PATCH',
+        body: JSON.stringify({ id: c.id, status, note }),
+      });
+      await loadDetails(selectedId);
+    } catch (err) {
+      alert('Update failed: ' + err.message);
+    }
+  }
+
+  async function addFeed() {
+    setBusy(true);
+    try {
+      await api('/api/realty/channel-feeds', {
+        method: 'POST',
+        body: JSON.stringify({ property_id: selectedId, channel: newChannel, label: newLabel }),
+      });
+      setNewLabel('');
+      await loadDetails(selectedId);
+    } catch (err) {
+      alert('Could not create feed: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function patchFeed(feed, patch, confirmMsg) {
+    if (confirmMsg && !confirm(confirmMsg)) return;
+    try {
+      await api('/api/realty/channel-feeds', {
+        method: 'PATCH',
+        body: JSON.stringify({ id: feed.id, ...patch }),
+      });
+      await loadDetails(selectedId);
+    } catch (err) {
+      alert('Update failed: ' + err.message);
+    }
+  }
 
   async function runSync() {
     if (!selectedId) {
@@ -31,7 +137,7 @@ export default function CalendarSyncPanel({ properties = [] }) {
     try {
       const res = await fetch('/api/realty/sync-ical', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()) },
         body: JSON.stringify({ property_id: selectedId }),
       });
 
@@ -49,9 +155,11 @@ export default function CalendarSyncPanel({ properties = [] }) {
       }
 
       // happy path
-      const msg = `Imported ${data.imported || 0} blocks from ${data.feeds || 0} feed(s).`;
+      let msg = `Imported ${data.imported || 0} blocks from ${data.feeds || 0} feed(s).`;
+      if (data.conflicts_new) msg += ` ⚠ ${data.conflicts_new} new double booking(s) — see Conflicts below.`;
       setResultMsg(msg);
       alert(msg);
+      await loadDetails(selectedId);
     } catch (err) {
       console.error('sync-ical error:', err);
       alert('Sync failed: ' + err.message);
@@ -145,7 +253,130 @@ export default function CalendarSyncPanel({ properties = [] }) {
             • We fetch each .ics feed in metadata.ical_urls<br />
             • We insert those ranges into realty_external_blocks<br />
             • Those show up as unavailable in the public calendar<br />
-            • Prevents double-booking against Airbnb / VRBO
+            • Prevents double-booking against Airbnb / VRBO<br />
+            • Any paid booking overlapping an imported block shows up under Conflicts (and is emailed)
+          </div>
+
+          {/* conflicts */}
+          <div className="mt-5 border-t pt-3">
+            <div className="flex items-center justify-between mb-2">
+              <div className="font-semibold">Conflicts ({conflicts.length} open)</div>
+              <button
+                className="px-2 py-1 rounded border text-[11px] disabled:opacity-50"
+                onClick={rescan}
+                disabled={busy}
+              >
+                Rescan
+              </button>
+            </div>
+            {conflicts.length === 0 ? (
+              <div className="opacity-70">No open conflicts.</div>
+            ) : (
+              <ul className="space-y-2">
+                {conflicts.map((c) => (
+                  <li key={c.id} className="border rounded p-2 border-red-400/60">
+                    <div>
+                      <strong>{c.reservation?.guest_name || 'Guest'}</strong> {c.reservation?.checkin} →{' '}
+                      {c.reservation?.checkout} overlaps a {CHANNEL_LABELS[c.channel] || c.channel} block on{' '}
+                      {c.overlap_start}
+                      {c.overlap_end !== c.overlap_start ? ` – ${c.overlap_end}` : ''}
+                    </div>
+                    {c.exact_match && (
+                      <div className="text-[10px] opacity-70">
+                        Dates match exactly, but the block isn't our own feed echoed back — check the channel.
+                      </div>
+                    )}
+                    {c.block_source && <div className="text-[10px] opacity-60 break-all">{c.block_source}</div>}
+                    <div className="mt-1 flex gap-2">
+                      <button
+                        className="px-2 py-0.5 rounded bg-green-600 text-white text-[11px]"
+                        onClick={() => setConflict(c, 'resolved')}
+                      >
+                        Resolved
+                      </button>
+                      <button className="px-2 py-0.5 rounded border text-[11px]" onClick={() => setConflict(c, 'ignored')}>
+                        Ignore
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* private export feeds */}
+          <div className="mt-5 border-t pt-3">
+            <div className="font-semibold mb-1">Private export feeds (paste into each channel)</div>
+            <div className="text-[10px] opacity-70 mb-2">
+              Each channel gets its own URL. A channel&apos;s feed leaves out the blocks imported from that same
+              channel. Rotate a URL if it leaks — the old one stops working immediately.
+            </div>
+
+            {feeds.length > 0 && (
+              <ul className="space-y-2 mb-3">
+                {feeds.map((f) => (
+                  <li key={f.id} className={`border rounded p-2 ${f.active ? '' : 'opacity-50'}`}>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <strong>{CHANNEL_LABELS[f.channel] || f.channel}</strong>
+                      {f.label && <span>· {f.label}</span>}
+                      {!f.active && <span className="text-red-500">inactive</span>}
+                      <span className="opacity-60">
+                        {f.last_fetched_at
+                          ? `last fetched ${new Date(f.last_fetched_at).toLocaleString()}`
+                          : 'never fetched'}
+                      </span>
+                    </div>
+                    <div className="break-all text-[10px] opacity-80 my-1">{f.export_url}</div>
+                    <div className="flex gap-2">
+                      <button className="px-2 py-0.5 rounded border text-[11px]" onClick={() => copyText(f.export_url)}>
+                        Copy URL
+                      </button>
+                      <button
+                        className="px-2 py-0.5 rounded border text-[11px]"
+                        onClick={() =>
+                          patchFeed(f, { rotate_token: true }, 'Rotate this URL? The channel must be given the new one.')
+                        }
+                      >
+                        Rotate
+                      </button>
+                      <button
+                        className="px-2 py-0.5 rounded border text-[11px]"
+                        onClick={() => patchFeed(f, { active: !f.active })}
+                      >
+                        {f.active ? 'Deactivate' : 'Activate'}
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex flex-wrap gap-2 items-center">
+              <select
+                className="dark:bg-gray-900 border rounded px-2 py-1 text-xs"
+                value={newChannel}
+                onChange={(e) => setNewChannel(e.target.value)}
+              >
+                {Object.entries(CHANNEL_LABELS).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <input
+                className="dark:bg-gray-900 border rounded px-2 py-1 text-xs flex-1 min-w-[140px]"
+                placeholder="Label (optional)"
+                value={newLabel}
+                onChange={(e) => setNewLabel(e.target.value)}
+              />
+              <button
+                className="bg-purple-600 text-white px-3 py-1 rounded text-xs font-semibold disabled:opacity-50"
+                onClick={addFeed}
+                disabled={busy}
+              >
+                Add feed
+              </button>
+            </div>
           </div>
         </div>
       )}
@@ -0,0 +1,142 @@
+// components/admin/ExchangeRatesPanel.js
+import React, { useCallback, useEffect, useState } from 'react';
+import { adminAuthHeaders } from '@/lib/adminUtils';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES } from '@/lib/currency';
+
+async function call(options = {}) {
+  const res = await fetch('/api/admin/exchange-rates', {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()) },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || data.error) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+/**
+ * Stored exchange rates (lib/exchangeRates.js).
+ *
+ * - Refresh pulls provider rates now (the cron does it daily)
+ * - A manual rate pins a currency; "Use provider" hands it back
+ * - Currencies without a rate are charged in the base currency
+ */
+export default function ExchangeRatesPanel() {
+  const [rows, setRows] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const data = await call();
+      setRows(data.items || []);
+    } catch (e) {
+      setMsg(e.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const refresh = async () => {
+    setBusy(true);
+    setMsg('');
+    try {
+      const data = await call({ method: 'POST' });
+      setRows(data.items || []);
+      setMsg(
+        `Updated ${data.updated} rate(s).` + (data.missing?.length ? ` No provider rate for: ${data.missing.join(', ')}.` : '')
+      );
+    } catch (e) {
+      setMsg('Refresh failed: ' + e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = async (currency, rate) => {
+    setBusy(true);
+    setMsg('');
+    try {
+      await call({ method: 'PATCH', body: JSON.stringify({ currency, rate }) });
+      setDrafts((d) => ({ ...d, [currency]: '' }));
+      await load();
+    } catch (e) {
+      setMsg(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const byCurrency = Object.fromEntries(rows.map((r) => [r.currency, r]));
+
+  return (
+    <div className="text-sm">
+      <div className="flex items-center gap-3 mb-3">
+        <button
+          onClick={refresh}
+          disabled={busy}
+          className="px-3 py-1 rounded bg-blue-600 text-white disabled:opacity-50"
+        >
+          Refresh from provider
+        </button>
+        <span className="opacity-70 text-xs">Rates are units per 1 {BASE_CURRENCY.toUpperCase()}.</span>
+      </div>
+      {msg && <p className="text-xs mb-2">{msg}</p>}
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-left opacity-70">
+            <th className="py-1">Currency</th>
+            <th className="py-1">Rate</th>
+            <th className="py-1">Source</th>
+            <th className="py-1">Updated</th>
+            <th className="py-1">Manual rate</th>
+          </tr>
+        </thead>
+        <tbody>
+          {SUPPORTED_CURRENCIES.filter((c) => c !== BASE_CURRENCY).map((c) => {
+            const r = byCurrency[c];
+            return (
+              <tr key={c} className="border-t dark:border-gray-700">
+                <td className="py-1 uppercase">{c}</td>
+                <td className="py-1">{r ? Number(r.rate).toFixed(4) : <em className="opacity-60">none</em>}</td>
+                <td className="py-1">{r?.source || '—'}</td>
+                <td className="py-1 text-xs">{r?.updated_at ? new Date(r.updated_at).toLocaleString() : '—'}</td>
+                <td className="py-1">
+                  <div className="flex gap-2 items-center">
+                    <input
+                      type="number"
+                      step="0.0001"
+                      min="0"
+                      value={drafts[c] || ''}
+                      onChange={(e) => setDrafts((d) => ({ ...d, [c]: e.target.value }))}
+                      className="w-24 border rounded px-1 py-0.5 dark:bg-gray-900"
+                    />
+                    <button
+                      disabled={busy || !drafts[c]}
+                      onClick={() => save(c, Number(drafts[c]))}
+                      className="px-2 py-0.5 rounded border text-xs disabled:opacity-50"
+                    >
+                      Pin
+                    </button>
+                    {r?.source === 'manual' && (
+                      <button
+                        disabled={busy}
+                        onClick={() => save(c, null)}
+                        className="px-2 py-0.5 rounded border text-xs disabled:opacity-50"
+                      >
+                        Use provider
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
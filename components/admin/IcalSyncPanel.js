@@ -1,5 +1,5 @@
 // components/admin/IcalSyncPanel.js
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 
 /**
  * Admin control to pull Airbnb/VRBO calendar blocks into our DB.
@@ -9,7 +9,9 @@ import React, { useState } from 'react';
  * - Click "Sync Now".
  * - Calls /api/realty/sync-ical with { property_id }.
  *
- * On success, Supabase realty_external_blocks is refreshed for that property.
+ * On success, Supabase realty_external_blocks is refreshed for that property
+ * (inserted / updated / deleted per event UID). Per-feed results are stored
+ * in realty_ical_sync_status and listed under each URL.
  * The public /realty/[slug] page is already reading merged data from
  * /api/realty/calendar-blocks, so blocked dates appear automatically.
  *
@@ -20,6 +22,7 @@ export default function IcalSyncPanel({ properties = [] }) {
   const [selectedPropertyId, setSelectedPropertyId] = useState('');
   const [statusMsg, setStatusMsg] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [feedStatus, setFeedStatus] = useState([]);
 
   const currentProp = properties.find((p) => p.id === selectedPropertyId);
 
@@ -28,6 +31,29 @@ export default function IcalSyncPanel({ properties = [] }) {
     ? currentProp.metadata.ical_urls
     : [];
 
+  async function loadFeedStatus(propertyId) {
+    if (!propertyId) {
+      setFeedStatus([]);
+      return;
+    }
+    try {
+      const res = await fetch(
+        `/api/realty/sync-ical?property_id=${encodeURIComponent(propertyId)}`
+      );
+      const data = await res.json();
+      setFeedStatus(res.ok ? data.items || [] : []);
+    } catch (err) {
+      console.error('sync status load error:', err);
+      setFeedStatus([]);
+    }
+  }
+
+  useEffect(() => {
+    loadFeedStatus(selectedPropertyId);
+  }, [selectedPropertyId]);
+
+  const statusFor = (url) => feedStatus.find((s) => s.url === url);
+
   async function handleSync() {
     if (!selectedPropertyId) {
       alert('Select a property first');
@@ -60,8 +86,11 @@ export default function IcalSyncPanel({ properties = [] }) {
       }
 
       setStatusMsg(
-        `Synced ${data.imported ?? 0} blocks from ${data.feeds ?? 0} feed(s).`
+        `Synced ${data.imported ?? 0} blocks from ${data.feeds ?? 0} feed(s): ` +
+          `${data.inserted ?? 0} added, ${data.updated ?? 0} changed, ${data.deleted ?? 0} removed.` +
+          (data.failed ? `\n${data.failed} feed(s) failed — existing blocks kept.` : '')
       );
+      await loadFeedStatus(selectedPropertyId);
     } catch (err) {
       console.error('sync-ical error:', err);
       setStatusMsg(`Error: ${err.message}`);
@@ -127,11 +156,45 @@ export default function IcalSyncPanel({ properties = [] }) {
             </div>
           ) : (
             <ul className="list-disc pl-4 space-y-1 break-all">
-              {icalList.map((u, i) => (
-                <li key={i} className="text-[10px] md:text-[11px]">
-                  {u}
-                </li>
-              ))}
+              {icalList.map((u, i) => {
+                const st = statusFor(u);
+                return (
+                  <li key={i} className="text-[10px] md:text-[11px]">
+                    {u}
+                    {st ? (
+                      <div className="opacity-80 mt-0.5">
+                        <span
+                          className={
+                            st.status === 'ok'
+                              ? 'text-green-600 font-semibold'
+                              : 'text-red-500 font-semibold'
+                          }
+                        >
+                          {st.status === 'ok' ? 'OK' : 'ERROR'}
+                        </span>
+                        {' · '}last sync{' '}
+                        {st.last_synced_at
+                          ? new Date(st.last_synced_at).toLocaleString()
+                          : '—'}
+                        {st.status !== 'ok' && st.last_success_at && (
+                          <>
+                            {' · '}last success{' '}
+                            {new Date(st.last_success_at).toLocaleString()}
+                          </>
+                        )}
+                        {' · '}
+                        {st.events_found ?? 0} event(s), {st.cancelled_count ?? 0} cancelled
+                        {' · '}+{st.inserted ?? 0} / ~{st.updated ?? 0} / −{st.deleted ?? 0}
+                        {st.status !== 'ok' && st.last_error && (
+                          <div className="text-red-500">{st.last_error}</div>
+                        )}
+                      </div>
+                    ) : (
+                      <div className="opacity-60 mt-0.5">Not synced yet</div>
+                    )}
+                  </li>
+                );
+              })}
             </ul>
           )}
         </div>
@@ -0,0 +1,221 @@
+// components/admin/InventoryTab.js
+import React, { useCallback, useEffect, useState } from 'react';
+import SectionCard from '@/components/admin/SectionCard';
+import { adminAuthHeaders } from '@/lib/adminUtils';
+import { isPrintfulProduct, variantLabel } from '@/lib/shipping';
+
+async function call(options = {}, query = '') {
+  const res = await fetch(`/api/admin/inventory${query}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()) },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || data.error) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+/**
+ * Limited stock (lib/inventory.js).
+ *
+ * - Only items listed here are counted; everything else is unlimited
+ * - "Held" is stock sitting in open checkouts
+ * - Restocking a sold-out item emails its waitlist
+ */
+export default function InventoryTab({ products = [] }) {
+  const [rows, setRows] = useState([]);
+  const [form, setForm] = useState({ product_id: '', variant_id: '', on_hand: '', low_stock_threshold: '' });
+  const [variants, setVariants] = useState([]);
+  const [adds, setAdds] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const data = await call();
+      setRows(data.items || []);
+    } catch (e) {
+      setMsg(e.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // sizes / colours of the picked design, for per-variant counts
+  useEffect(() => {
+    setVariants([]);
+    const product = products.find((p) => String(p.id) === String(form.product_id));
+    if (!product || !isPrintfulProduct(product)) return;
+    let alive = true;
+    fetch(`/api/designs/variants?product_id=${encodeURIComponent(product.id)}`)
+      .then((r) => (r.ok ? r.json() : null))
+      .then((data) => alive && setVariants(data?.items || []))
+      .catch(() => {});
+    return () => {
+      alive = false;
+    };
+  }, [form.product_id, products]);
+
+  const submit = async (body) => {
+    setBusy(true);
+    setMsg('');
+    try {
+      const data = await call({ method: 'POST', body: JSON.stringify(body) });
+      setMsg(data.notified ? `Saved. Emailed ${data.notified} waitlist signup(s).` : 'Saved.');
+      await load();
+      return true;
+    } catch (e) {
+      setMsg(e.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const create = async (e) => {
+    e.preventDefault();
+    if (await submit(form)) setForm({ product_id: '', variant_id: '', on_hand: '', low_stock_threshold: '' });
+  };
+
+  const restock = async (row) => {
+    const add = Number(adds[row.id]);
+    if (!add) return;
+    if (await submit({ product_id: row.product_id, variant_id: row.variant_id, add })) {
+      setAdds((a) => ({ ...a, [row.id]: '' }));
+    }
+  };
+
+  const remove = async (row) => {
+    if (!confirm(`Stop tracking stock for ${row.product_name || row.product_id}? It becomes unlimited.`)) return;
+    setBusy(true);
+    try {
+      await call({ method: 'DELETE' }, `?id=${encodeURIComponent(row.id)}`);
+      await load();
+    } catch (e) {
+      setMsg(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const input = 'border rounded px-2 py-1 dark:bg-gray-900';
+
+  return (
+    <SectionCard title="Inventory">
+      <form onSubmit={create} className="flex flex-wrap gap-2 items-end text-sm mb-6">
+        <select
+          className={input}
+          value={form.product_id}
+          onChange={(e) => setForm((f) => ({ ...f, product_id: e.target.value, variant_id: '' }))}
+        >
+          <option value="">Product…</option>
+          {products.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name} ({p.division})
+            </option>
+          ))}
+        </select>
+        {variants.length > 0 && (
+          <select className={input} value={form.variant_id} onChange={(e) => setForm((f) => ({ ...f, variant_id: e.target.value }))}>
+            <option value="">All variants (shared count)</option>
+            {variants.map((v) => (
+              <option key={v.sync_variant_id} value={v.sync_variant_id}>
+                {variantLabel(v) || v.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <input
+          className={`${input} w-28`}
+          type="number"
+          min="0"
+          placeholder="On hand"
+          value={form.on_hand}
+          onChange={(e) => setForm((f) => ({ ...f, on_hand: e.target.value }))}
+        />
+        <input
+          className={`${input} w-36`}
+          type="number"
+          min="0"
+          placeholder="Low-stock alert at"
+          value={form.low_stock_threshold}
+          onChange={(e) => setForm((f) => ({ ...f, low_stock_threshold: e.target.value }))}
+        />
+        <button
+          type="submit"
+          disabled={busy || !form.product_id || form.on_hand === ''}
+          className="px-3 py-1 rounded bg-blue-600 text-white disabled:opacity-50"
+        >
+          Set stock
+        </button>
+        {msg && <span className="text-xs">{msg}</span>}
+      </form>
+
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="text-left border-b dark:border-gray-700">
+            <th className="py-2">Product</th>
+            <th>Variant</th>
+            <th>On hand</th>
+            <th>Held</th>
+            <th>Available</th>
+            <th>Waitlist</th>
+            <th>Restock</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.id} className="border-b dark:border-gray-800">
+              <td className="py-2">{r.product_name || r.product_id}</td>
+              <td className="py-2 text-xs">{r.variant_id || 'all'}</td>
+              <td className="py-2">{r.on_hand}</td>
+              <td className="py-2">{r.held}</td>
+              <td className="py-2">
+                {r.available}
+                {r.sold_out && <span className="ml-2 text-xs text-red-600">sold out</span>}
+                {r.low_stock && <span className="ml-2 text-xs text-amber-600">low (≤ {r.low_stock_threshold})</span>}
+              </td>
+              <td className="py-2">{r.waiting}</td>
+              <td className="py-2">
+                <div className="flex gap-2 items-center">
+                  <input
+                    type="number"
+                    value={adds[r.id] || ''}
+                    onChange={(e) => setAdds((a) => ({ ...a, [r.id]: e.target.value }))}
+                    placeholder="+ qty"
+                    className={`${input} w-20`}
+                  />
+                  <button
+                    disabled={busy || !Number(adds[r.id])}
+                    onClick={() => restock(r)}
+                    className="px-2 py-0.5 rounded border text-xs disabled:opacity-50"
+                  >
+                    Add
+                  </button>
+                </div>
+              </td>
+              <td className="py-2">
+                <button
+                  disabled={busy}
+                  onClick={() => remove(r)}
+                  className="px-2 py-0.5 rounded bg-red-600 text-white text-xs disabled:opacity-50"
+                >
+                  Untrack
+                </button>
+              </td>
+            </tr>
+          ))}
+          {!rows.length && (
+            <tr>
+              <td colSpan={8} className="py-3 opacity-60">
+                No limited items yet — every product is unlimited.
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </SectionCard>
+  );
+}
@@ -0,0 +1,423 @@
+// components/admin/LeadPipelinePanel.js
+import React, { useEffect, useState } from 'react';
+import { adminAuthHeaders } from '@/lib/adminUtils';
+import { LEAD_STAGES, OPEN_STAGES, UTM_FIELDS } from '@/lib/realty/leadScoring';
+
+/**
+ * Realty lead pipeline (lib/realty/leads.js).
+ *
+ * - Board of leads by stage (new → contacted → touring → offer → closed)
+ * - Score badge (hot / warm / cold) from interest, viewed property + UTM source
+ * - Click a lead to move its stage, assign an agent, set a follow-up date
+ *   and log calls / emails / notes; the activity log is shown underneath
+ * - Agent list for assignment
+ */
+
+const TIER_CLASSES = {
+  hot: 'bg-red-600 text-white',
+  warm: 'bg-orange-500 text-white',
+  cold: 'bg-gray-400 text-white',
+};
+
+const ACTIVITY_KINDS = [
+  { key: 'note', label: 'Note' },
+  { key: 'call', label: 'Call' },
+  { key: 'email', label: 'Email' },
+  { key: 'meeting', label: 'Meeting / Tour' },
+];
+
+function LeadCard({ lead, selected, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`w-full text-left border rounded p-2 text-xs space-y-1 bg-white dark:bg-gray-900 dark:border-gray-700 ${
+        selected ? 'ring-2 ring-blue-500' : ''
+      }`}
+    >
+      <div className="flex items-center justify-between gap-1">
+        <span className="font-semibold truncate">{lead.name}</span>
+        {lead.score != null && (
+          <span className={`px-1.5 rounded ${TIER_CLASSES[lead.score_tier] || TIER_CLASSES.cold}`}>{lead.score}</span>
+        )}
+      </div>
+      <div className="opacity-70">
+        {lead.interest_type}
+        {lead.property_name ? ` • ${lead.property_name}` : ''}
+      </div>
+      <div className="opacity-70">{lead.agent_name || 'Unassigned'}</div>
+      {lead.follow_up_on && (
+        <div className={lead.follow_up_overdue ? 'text-red-600 font-semibold' : 'opacity-70'}>
+          Follow up {lead.follow_up_on}
+        </div>
+      )}
+    </button>
+  );
+}
+
+function LeadDetail({ lead, agents, onPatch, onClose }) {
+  const [activities, setActivities] = useState([]);
+  const [followUp, setFollowUp] = useState({ on: lead.follow_up_on || '', note: lead.follow_up_note || '' });
+  const [entry, setEntry] = useState({ kind: 'note', body: '' });
+  const [busy, setBusy] = useState(false);
+
+  async function loadActivities() {
+    const r = await fetch(`/api/realty/leads?id=${encodeURIComponent(lead.id)}`, { headers: await adminAuthHeaders() });
+    const j = await r.json();
+    if (j.ok) setActivities(j.activities || []);
+  }
+
+  useEffect(() => {
+    loadActivities();
+  }, [lead.id, lead.status, lead.assigned_agent_id, lead.follow_up_on]);
+
+  const run = async (fn) => {
+    setBusy(true);
+    try {
+      await fn();
+    } catch (e) {
+      alert(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  async function logEntry() {
+    if (!entry.body.trim()) return;
+    await run(async () => {
+      const r = await fetch('/api/realty/leads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()) },
+        body: JSON.stringify({ lead_id: lead.id, ...entry }),
+      });
+      const j = await r.json();
+      if (!r.ok || j.error) throw new Error(j.error || 'Save failed');
+      setEntry({ kind: entry.kind, body: '' });
+      loadActivities();
+    });
+  }
+
+  const utm = UTM_FIELDS.filter((k) => lead[k]);
+
+  return (
+    <div className="border rounded p-3 text-sm space-y-3 dark:border-gray-700">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <div className="font-semibold text-base">{lead.name}</div>
+          <div className="text-xs opacity-80">
+            <a className="underline" href={`mailto:${lead.email}`}>{lead.email}</a>
+            {lead.phone ? ` • ${lead.phone}` : ''} • {lead.interest_type}
+            {lead.property_name ? ` • ${lead.property_name}` : ''}
+          </div>
+          <div className="text-xs opacity-60">Received {new Date(lead.created_at).toLocaleString()}</div>
+        </div>
+        <button className="underline text-xs opacity-70" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {lead.notes && <p className="whitespace-pre-line bg-gray-50 dark:bg-gray-800 rounded p-2">{lead.notes}</p>}
+
+      <div className="text-xs space-y-1">
+        {lead.score != null && (
+          <div>
+            <span className={`px-1.5 rounded mr-2 ${TIER_CLASSES[lead.score_tier] || TIER_CLASSES.cold}`}>
+              {lead.score} {lead.score_tier}
+            </span>
+            <span className="opacity-70">{(lead.score_reasons || []).join(' · ')}</span>
+          </div>
+        )}
+        {(utm.length > 0 || lead.landing_page) && (
+          <div className="opacity-70">
+            {utm.map((k) => `${k.replace('utm_', '')}: ${lead[k]}`).join(' • ')}
+            {lead.landing_page ? ` • landed on ${lead.landing_page}` : ''}
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-xs">
+        <label className="inline-flex items-center gap-2">
+          Stage
+          <select
+            className="dark:bg-gray-900"
+            value={lead.status}
+            disabled={busy}
+            onChange={(e) => run(() => onPatch({ status: e.target.value }))}
+          >
+            {LEAD_STAGES.map((s) => (
+              <option key={s.key} value={s.key}>{s.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="inline-flex items-center gap-2">
+          Agent
+          <select
+            className="dark:bg-gray-900"
+            value={lead.assigned_agent_id || ''}
+            disabled={busy}
+            onChange={(e) => run(() => onPatch({ assigned_agent_id: e.target.value || null }))}
+          >
+            <option value="">Unassigned</option>
+            {agents
+              .filter((a) => a.active !== false || a.id === lead.assigned_agent_id)
+              .map((a) => (
+                <option key={a.id} value={a.id}>{a.name}</option>
+              ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span>Follow up</span>
+        <input
+          type="date"
+          className="dark:bg-gray-900"
+          value={followUp.on}
+          onChange={(e) => setFollowUp({ ...followUp, on: e.target.value })}
+        />
+        <input
+          className="flex-1 min-w-[160px] dark:bg-gray-900"
+          placeholder="What to do (optional)"
+          value={followUp.note}
+          onChange={(e) => setFollowUp({ ...followUp, note: e.target.value })}
+        />
+        <button
+          className="px-3 py-1 rounded bg-gray-600 text-white disabled:opacity-50"
+          disabled={busy}
+          onClick={() => run(() => onPatch({ follow_up_on: followUp.on || null, follow_up_note: followUp.note }))}
+        >
+          Save
+        </button>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-2">
+        <select
+          className="text-xs dark:bg-gray-900"
+          value={entry.kind}
+          onChange={(e) => setEntry({ ...entry, kind: e.target.value })}
+        >
+          {ACTIVITY_KINDS.map((k) => (
+            <option key={k.key} value={k.key}>{k.label}</option>
+          ))}
+        </select>
+        <textarea
+          rows={2}
+          className="flex-1 border rounded px-2 py-1 dark:bg-gray-900 dark:border-gray-700"
+          placeholder="Log a call, email, tour or note…"
+          value={entry.body}
+          onChange={(e) => setEntry({ ...entry, body: e.target.value })}
+        />
+        <button
+          className="px-3 py-1 rounded bg-blue-600 text-white disabled:opacity-50"
+          disabled={busy || !entry.body.trim()}
+          onClick={logEntry}
+        >
+          Log
+        </button>
+      </div>
+
+      <ul className="text-xs space-y-1 max-h-64 overflow-y-auto">
+        {activities.map((a) => (
+          <li key={a.id} className="border-b dark:border-gray-800 pb-1">
+            <span className="opacity-60">{new Date(a.created_at).toLocaleString()}</span>{' '}
+            <span className="font-semibold">{a.kind}</span>
+            {a.actor ? <span className="opacity-60"> by {a.actor}</span> : null}
+            <div className="whitespace-pre-line">{a.body}</div>
+          </li>
+        ))}
+        {activities.length === 0 && <li className="opacity-60">No activity yet.</li>}
+      </ul>
+    </div>
+  );
+}
+
+export default function LeadPipelinePanel() {
+  const [leads, setLeads] = useState([]);
+  const [agents, setAgents] = useState([]);
+  const [agentFilter, setAgentFilter] = useState('');
+  const [showClosed, setShowClosed] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [newAgent, setNewAgent] = useState({ name: '', email: '', phone: '' });
+
+  async function api(path, options = {}) {
+    const res = await fetch(path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()), ...(options.headers || {}) },
+    });
+    const json = await res.json();
+    if (!res.ok || json.error) throw new Error(json.error || `Request failed (${res.status})`);
+    return json;
+  }
+
+  async function loadLeads() {
+    setLoading(true);
+    try {
+      const j = await api(`/api/realty/leads${agentFilter ? `?agent_id=${encodeURIComponent(agentFilter)}` : ''}`);
+      setLeads(j.items || []);
+    } catch (e) {
+      console.error('leads load failed:', e.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadAgents() {
+    try {
+      const j = await api('/api/realty/agents');
+      setAgents(j.items || []);
+    } catch (e) {
+      console.error('agents load failed:', e.message);
+    }
+  }
+
+  useEffect(() => {
+    loadAgents();
+  }, []);
+
+  useEffect(() => {
+    loadLeads();
+  }, [agentFilter]);
+
+  async function patchLead(id, fields) {
+    const j = await api('/api/realty/leads', { method: 'PATCH', body: JSON.stringify({ id, ...fields }) });
+    const agent = agents.find((a) => a.id === j.item.assigned_agent_id);
+    const today = new Date().toISOString().slice(0, 10);
+    setLeads((list) =>
+      list.map((l) =>
+        l.id === id
+          ? {
+              ...l,
+              ...j.item,
+              agent_name: agent?.name || '',
+              follow_up_overdue:
+                !!j.item.follow_up_on &&
+                j.item.follow_up_on <= today &&
+                OPEN_STAGES.includes(j.item.status),
+            }
+          : l
+      )
+    );
+  }
+
+  async function addAgent() {
+    if (!newAgent.name.trim()) return alert('Name required');
+    try {
+      await api('/api/realty/agents', { method: 'POST', body: JSON.stringify(newAgent) });
+      setNewAgent({ name: '', email: '', phone: '' });
+      loadAgents();
+    } catch (e) {
+      alert(e.message);
+    }
+  }
+
+  async function toggleAgent(agent) {
+    try {
+      await api('/api/realty/agents', {
+        method: 'PATCH',
+        body: JSON.stringify({ id: agent.id, active: agent.active === false }),
+      });
+      loadAgents();
+    } catch (e) {
+      alert(e.message);
+    }
+  }
+
+  const stages = showClosed ? LEAD_STAGES : LEAD_STAGES.filter((s) => OPEN_STAGES.includes(s.key));
+  const selected = leads.find((l) => l.id === selectedId);
+  const overdueCount = leads.filter((l) => l.follow_up_overdue).length;
+  const newCount = leads.filter((l) => l.status === 'new').length;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs">
+        <div className="flex items-center gap-3">
+          <span className="font-semibold">{newCount} new</span>
+          <span className="text-red-600 font-semibold">{overdueCount} follow-ups due</span>
+          {loading && <span className="opacity-60">Loading…</span>}
+        </div>
+        <div className="flex items-center gap-3">
+          <select className="dark:bg-gray-900" value={agentFilter} onChange={(e) => setAgentFilter(e.target.value)}>
+            <option value="">All agents</option>
+            {agents.map((a) => (
+              <option key={a.id} value={a.id}>{a.name}</option>
+            ))}
+          </select>
+          <label className="inline-flex items-center gap-1">
+            <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} />
+            Show closed
+          </label>
+          <button className="px-3 py-1 rounded bg-gray-700 text-white" onClick={loadLeads}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${stages.length}, minmax(160px, 1fr))` }}>
+        {stages.map((s) => {
+          const inStage = leads.filter((l) => l.status === s.key);
+          return (
+            <div key={s.key} className="bg-gray-100 dark:bg-gray-800 rounded p-2 space-y-2 min-h-[120px]">
+              <div className="text-xs font-semibold flex justify-between">
+                <span>{s.label}</span>
+                <span className="opacity-60">{inStage.length}</span>
+              </div>
+              {inStage.map((l) => (
+                <LeadCard key={l.id} lead={l} selected={l.id === selectedId} onClick={() => setSelectedId(l.id)} />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      {selected && (
+        <LeadDetail
+          key={selected.id}
+          lead={selected}
+          agents={agents}
+          onPatch={(fields) => patchLead(selected.id, fields)}
+          onClose={() => setSelectedId(null)}
+        />
+      )}
+
+      <div className="border-t pt-3">
+        <h3 className="font-semibold mb-2 text-sm">Agents</h3>
+        <ul className="text-xs space-y-1">
+          {agents.map((a) => (
+            <li key={a.id} className={`flex items-center justify-between ${a.active === false ? 'opacity-50' : ''}`}>
+              <span>
+                {a.name}
+                {a.email ? ` • ${a.email}` : ''}
+                {a.phone ? ` • ${a.phone}` : ''}
+                {' '}— {leads.filter((l) => l.assigned_agent_id === a.id && OPEN_STAGES.includes(l.status)).length} open
+              </span>
+              <button className="underline" onClick={() => toggleAgent(a)}>
+                {a.active === false ? 'Reactivate' : 'Deactivate'}
+              </button>
+            </li>
+          ))}
+          {agents.length === 0 && <li className="opacity-70">No agents yet.</li>}
+        </ul>
+        <div className="mt-2 flex flex-wrap gap-2 text-sm">
+          <input
+            placeholder="Name"
+            value={newAgent.name}
+            onChange={(e) => setNewAgent({ ...newAgent, name: e.target.value })}
+          />
+          <input
+            placeholder="Email"
+            value={newAgent.email}
+            onChange={(e) => setNewAgent({ ...newAgent, email: e.target.value })}
+          />
+          <input
+            placeholder="Phone"
+            value={newAgent.phone}
+            onChange={(e) => setNewAgent({ ...newAgent, phone: e.target.value })}
+          />
+          <button className="px-3 py-1 rounded bg-blue-600 text-white" onClick={addAgent}>
+            Add Agent
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
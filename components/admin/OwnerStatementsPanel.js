@@ -0,0 +1,259 @@
+// components/admin/OwnerStatementsPanel.js
+import React, { useEffect, useState } from 'react';
+import { adminAuthHeaders } from '@/lib/adminUtils';
+
+/**
+ * Monthly owner statements for managed properties.
+ *
+ * - Pick a property + month, edit the owner / commission terms
+ * - Preview nights, occupancy, rent, cleaning, taxes, commissions, net payout
+ * - Download CSV / PDF from /api/realty/owner-statement
+ *
+ * Props:
+ *  - properties: array of { id, name, ... }
+ */
+
+function formatCents(cents) {
+  const n = Number(cents || 0);
+  return `${n < 0 ? '-' : ''}$${(Math.abs(n) / 100).toFixed(2)}`;
+}
+
+function lastMonth() {
+  const d = new Date();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() - 1);
+  return d.toISOString().slice(0, 7);
+}
+
+const EMPTY_TERMS = { owner_name: '', owner_email: '', commission_percent: '', owner_keeps_cleaning: false };
+
+export default function OwnerStatementsPanel({ properties = [] }) {
+  const [propertyId, setPropertyId] = useState('');
+  const [month, setMonth] = useState(lastMonth);
+  const [terms, setTerms] = useState(EMPTY_TERMS);
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [msg, setMsg] = useState('');
+
+  useEffect(() => {
+    setStatement(null);
+    setTerms(EMPTY_TERMS);
+    if (!propertyId) return;
+    (async () => {
+      const r = await fetch(`/api/realty/property-owner?property_id=${encodeURIComponent(propertyId)}`, {
+        headers: await adminAuthHeaders(),
+      });
+      const j = await r.json();
+      if (j.ok && j.item) {
+        setTerms({
+          owner_name: j.item.owner_name || '',
+          owner_email: j.item.owner_email || '',
+          commission_percent: String(Math.round(Number(j.item.commission_rate || 0) * 10000) / 100),
+          owner_keeps_cleaning: !!j.item.owner_keeps_cleaning,
+        });
+      }
+    })();
+  }, [propertyId]);
+
+  const statementUrl = (format) =>
+    `/api/realty/owner-statement?property_id=${encodeURIComponent(propertyId)}&month=${month}&format=${format}`;
+
+  async function saveTerms() {
+    const r = await fetch('/api/realty/property-owner', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()) },
+      body: JSON.stringify({
+        property_id: propertyId,
+        owner_name: terms.owner_name,
+        owner_email: terms.owner_email,
+        commission_rate: Number(terms.commission_percent || 0) / 100,
+        owner_keeps_cleaning: terms.owner_keeps_cleaning,
+      }),
+    });
+    const j = await r.json();
+    if (!j.ok) return alert(j.error || 'Save failed');
+    setMsg('Owner terms saved.');
+    if (statement) loadStatement();
+  }
+
+  async function loadStatement() {
+    if (!propertyId || !month) return;
+    setLoading(true);
+    setMsg('');
+    try {
+      const r = await fetch(statementUrl('json'), { headers: await adminAuthHeaders() });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'Failed to build statement');
+      setStatement(j.statement);
+    } catch (e) {
+      setMsg(`❌ ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // downloads need the admin bearer token, so fetch + save the blob
+  async function download(format) {
+    try {
+      const r = await fetch(statementUrl(format), { headers: await adminAuthHeaders() });
+      if (!r.ok) {
+        const j = await r.json().catch(() => ({}));
+        throw new Error(j.error || `Download failed (${r.status})`);
+      }
+      const blob = await r.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      const name = properties.find((p) => p.id === propertyId)?.name || 'property';
+      a.href = url;
+      a.download = `owner-statement-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${month}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      alert(e.message);
+    }
+  }
+
+  const st = statement;
+
+  return (
+    <div className="glass p-4 rounded space-y-4">
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label className="flex flex-col gap-1">
+          Property
+          <select className="dark:bg-gray-900" value={propertyId} onChange={(e) => setPropertyId(e.target.value)}>
+            <option value="">Select property…</option>
+            {properties.map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          Month
+          <input type="month" value={month} onChange={(e) => setMonth(e.target.value)} />
+        </label>
+        <button
+          className="px-3 py-2 rounded bg-blue-600 text-white disabled:opacity-50"
+          disabled={!propertyId || loading}
+          onClick={loadStatement}
+        >
+          {loading ? 'Building…' : 'Preview Statement'}
+        </button>
+        <button
+          className="px-3 py-2 rounded bg-gray-700 text-white disabled:opacity-50"
+          disabled={!propertyId}
+          onClick={() => download('csv')}
+        >
+          CSV
+        </button>
+        <button
+          className="px-3 py-2 rounded bg-gray-700 text-white disabled:opacity-50"
+          disabled={!propertyId}
+          onClick={() => download('pdf')}
+        >
+          PDF
+        </button>
+      </div>
+
+      {propertyId && (
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-2 text-sm items-end">
+          <label className="flex flex-col gap-1">
+            Owner name
+            <input value={terms.owner_name} onChange={(e) => setTerms({ ...terms, owner_name: e.target.value })} />
+          </label>
+          <label className="flex flex-col gap-1">
+            Owner email
+            <input value={terms.owner_email} onChange={(e) => setTerms({ ...terms, owner_email: e.target.value })} />
+          </label>
+          <label className="flex flex-col gap-1">
+            Management commission %
+            <input
+              type="number"
+              placeholder="e.g. 20"
+              value={terms.commission_percent}
+              onChange={(e) => setTerms({ ...terms, commission_percent: e.target.value })}
+            />
+          </label>
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={terms.owner_keeps_cleaning}
+              onChange={(e) => setTerms({ ...terms, owner_keeps_cleaning: e.target.checked })}
+            />
+            Cleaning fees paid to owner
+          </label>
+          <button className="px-3 py-2 rounded bg-gray-600 text-white" onClick={saveTerms}>
+            Save Terms
+          </button>
+        </div>
+      )}
+
+      {msg && <div className="text-xs opacity-80">{msg}</div>}
+
+      {st && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+            <Stat label="Nights booked" value={`${st.nights_booked} / ${st.days_in_month}`} />
+            <Stat label="Occupancy" value={`${st.occupancy_pct}%`} />
+            <Stat label="Gross rent" value={formatCents(st.gross_rent_cents)} />
+            <Stat label="Cleaning fees" value={formatCents(st.cleaning_fees_cents)} />
+            <Stat label="Taxes collected" value={formatCents(st.taxes_collected_cents)} />
+            <Stat
+              label={`Management (${(st.commission_rate * 100).toFixed(1)}%)`}
+              value={formatCents(-st.management_commission_cents)}
+            />
+            <Stat label="Affiliate commissions" value={formatCents(-st.affiliate_commissions_cents)} />
+            <Stat label="Net payout" value={formatCents(st.net_payout_cents)} strong />
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs border-collapse">
+              <thead>
+                <tr className="text-left border-b dark:border-gray-800">
+                  <th className="py-2">Guest</th>
+                  <th>Stay</th>
+                  <th>Nights</th>
+                  <th>Rent</th>
+                  <th>Cleaning</th>
+                  <th>Taxes</th>
+                  <th>Affiliate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {st.lines.map((l) => (
+                  <tr key={l.reservation_id} className="border-b dark:border-gray-900">
+                    <td className="py-1">
+                      {l.guest_name || '—'}
+                      {l.kind === 'cancellation' && <span className="opacity-60"> (cancelled)</span>}
+                    </td>
+                    <td>{l.checkin} → {l.checkout}</td>
+                    <td>{l.nights}</td>
+                    <td>{formatCents(l.rent_cents)}</td>
+                    <td>{formatCents(l.cleaning_cents)}</td>
+                    <td>{formatCents(l.tax_cents)}</td>
+                    <td>{formatCents(l.affiliate_cents)}</td>
+                  </tr>
+                ))}
+                {st.lines.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="py-4 opacity-70">No stays this month.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Stat({ label, value, strong = false }) {
+  return (
+    <div className="border rounded p-2 dark:border-gray-700">
+      <div className="text-[11px] opacity-70">{label}</div>
+      <div className={strong ? 'font-bold text-base' : 'font-semibold'}>{value}</div>
+    </div>
+  );
+}
@@ -0,0 +1,306 @@
+// components/admin/PromotionsTab.js
+import React, { useCallback, useEffect, useState } from 'react';
+import SectionCard from '@/components/admin/SectionCard';
+import { adminAuthHeaders } from '@/lib/adminUtils';
+import { BASE_CURRENCY } from '@/lib/currency';
+
+async function call(options = {}, query = '') {
+  const res = await fetch(`/api/admin/promotions${query}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()) },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || data.error) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+// lib/promotions.js PROMOTION_TYPES (that module is server-only)
+const TYPES = ['percent', 'fixed', 'bogo', 'bundle'];
+
+const EMPTY = {
+  name: '',
+  code: '',
+  type: 'percent',
+  percent_off: '',
+  amount_off: '',
+  buy_qty: '1',
+  get_qty: '1',
+  division: '',
+  product_ids: '',
+  bundle_id: '',
+  min_subtotal: '',
+  first_order_only: false,
+  max_uses: '',
+  starts_at: '',
+  expires_at: '',
+  notes: '',
+};
+
+function describe(p) {
+  if (p.type === 'percent') return `${Number(p.percent_off)}% off`;
+  if (p.type === 'fixed') return `${Number(p.amount_off).toFixed(2)} ${BASE_CURRENCY.toUpperCase()} off`;
+  if (p.type === 'bogo') {
+    const deal = p.percent_off ? `${Number(p.percent_off)}% off` : 'free';
+    return `buy ${p.buy_qty}, get ${p.get_qty} ${deal}`;
+  }
+  return 'bundle price';
+}
+
+function scope(p, bundles) {
+  if (p.type === 'bundle') {
+    const b = bundles.find((x) => String(x.id) === String(p.bundle_id));
+    return b ? b.name : 'any bundle';
+  }
+  const parts = [];
+  if (p.division) parts.push(p.division);
+  if (p.product_ids?.length) parts.push(`${p.product_ids.length} product(s)`);
+  return parts.join(' · ') || 'whole shop';
+}
+
+/**
+ * Shop promotions (lib/promotions.js).
+ *
+ * - A code makes it a promo code; without one it's an automatic sale
+ * - Bundle pricing charges the bundle price when a cart holds every product of it
+ * - Uses count paid checkouts (plus ones still open) against max uses
+ */
+export default function PromotionsTab({ bundles = [] }) {
+  const [items, setItems] = useState([]);
+  const [form, setForm] = useState(EMPTY);
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const data = await call();
+      setItems(data.items || []);
+    } catch (e) {
+      setMsg(e.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const set = (key) => (e) =>
+    setForm((f) => ({ ...f, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  const create = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setMsg('');
+    try {
+      await call({
+        method: 'POST',
+        body: JSON.stringify({
+          ...form,
+          starts_at: form.starts_at ? new Date(form.starts_at).toISOString() : null,
+          expires_at: form.expires_at ? new Date(form.expires_at).toISOString() : null,
+        }),
+      });
+      setForm(EMPTY);
+      setMsg('Promotion created.');
+      await load();
+    } catch (err) {
+      setMsg(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = async (p) => {
+    setBusy(true);
+    try {
+      await call({ method: 'PATCH', body: JSON.stringify({ id: p.id, active: !p.active }) });
+      await load();
+    } catch (err) {
+      setMsg(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async (p) => {
+    if (!confirm(`Delete promotion "${p.name}"?`)) return;
+    setBusy(true);
+    try {
+      await call({ method: 'DELETE' }, `?id=${encodeURIComponent(p.id)}`);
+      await load();
+    } catch (err) {
+      setMsg(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const input = 'border rounded px-2 py-1 dark:bg-gray-900';
+
+  return (
+    <SectionCard title="Promotions">
+      <form onSubmit={create} className="grid md:grid-cols-3 gap-3 text-sm mb-6">
+        <input className={input} placeholder="Name (shown to buyers)" value={form.name} onChange={set('name')} />
+        <select className={input} value={form.type} onChange={set('type')}>
+          {TYPES.map((t) => (
+            <option key={t} value={t}>
+              {t}
+            </option>
+          ))}
+        </select>
+        {form.type !== 'bundle' ? (
+          <input
+            className={`${input} uppercase`}
+            placeholder="Code (empty = automatic sale)"
+            value={form.code}
+            onChange={set('code')}
+          />
+        ) : (
+          <select className={input} value={form.bundle_id} onChange={set('bundle_id')}>
+            <option value="">Any bundle</option>
+            {bundles.map((b) => (
+              <option key={b.id} value={b.id}>
+                {b.name}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {(form.type === 'percent' || form.type === 'bogo') && (
+          <input
+            className={input}
+            type="number"
+            min="1"
+            max="100"
+            placeholder={form.type === 'bogo' ? '% off the free items (empty = free)' : '% off'}
+            value={form.percent_off}
+            onChange={set('percent_off')}
+          />
+        )}
+        {form.type === 'fixed' && (
+          <input
+            className={input}
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder={`Amount off (${BASE_CURRENCY.toUpperCase()})`}
+            value={form.amount_off}
+            onChange={set('amount_off')}
+          />
+        )}
+        {form.type === 'bogo' && (
+          <div className="flex gap-2 items-center">
+            <span>Buy</span>
+            <input className={`${input} w-16`} type="number" min="1" value={form.buy_qty} onChange={set('buy_qty')} />
+            <span>get</span>
+            <input className={`${input} w-16`} type="number" min="1" value={form.get_qty} onChange={set('get_qty')} />
+          </div>
+        )}
+
+        {form.type !== 'bundle' && (
+          <>
+            <input className={input} placeholder="Division (empty = all)" value={form.division} onChange={set('division')} />
+            <input
+              className={input}
+              placeholder="Product ids, comma separated (empty = all)"
+              value={form.product_ids}
+              onChange={set('product_ids')}
+            />
+          </>
+        )}
+
+        <input
+          className={input}
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder={`Min subtotal (${BASE_CURRENCY.toUpperCase()})`}
+          value={form.min_subtotal}
+          onChange={set('min_subtotal')}
+        />
+        <input className={input} type="number" min="1" placeholder="Max uses" value={form.max_uses} onChange={set('max_uses')} />
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={form.first_order_only} onChange={set('first_order_only')} />
+          First order only
+        </label>
+
+        <label className="flex flex-col">
+          <span className="text-xs opacity-70">Starts</span>
+          <input className={input} type="datetime-local" value={form.starts_at} onChange={set('starts_at')} />
+        </label>
+        <label className="flex flex-col">
+          <span className="text-xs opacity-70">Expires</span>
+          <input className={input} type="datetime-local" value={form.expires_at} onChange={set('expires_at')} />
+        </label>
+        <input className={input} placeholder="Notes (admin only)" value={form.notes} onChange={set('notes')} />
+
+        <div className="md:col-span-3 flex items-center gap-3">
+          <button type="submit" disabled={busy} className="px-3 py-1 rounded bg-blue-600 text-white disabled:opacity-50">
+            Create promotion
+          </button>
+          {msg && <span className="text-xs">{msg}</span>}
+        </div>
+      </form>
+
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="text-left border-b dark:border-gray-700">
+            <th className="py-2">Name</th>
+            <th>Code</th>
+            <th>Deal</th>
+            <th>Applies to</th>
+            <th>Window</th>
+            <th>Uses</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((p) => (
+            <tr key={p.id} className={`border-b dark:border-gray-800 align-top ${p.active ? '' : 'opacity-50'}`}>
+              <td className="py-2">
+                {p.name}
+                {p.first_order_only && <div className="text-xs opacity-70">first order only</div>}
+              </td>
+              <td className="py-2 font-mono">{p.code || <em className="opacity-60">automatic</em>}</td>
+              <td className="py-2">{describe(p)}</td>
+              <td className="py-2">
+                {scope(p, bundles)}
+                {p.min_subtotal ? <div className="text-xs opacity-70">min {Number(p.min_subtotal).toFixed(2)}</div> : null}
+              </td>
+              <td className="py-2 text-xs">
+                {p.starts_at ? new Date(p.starts_at).toLocaleString() : 'now'} →{' '}
+                {p.expires_at ? new Date(p.expires_at).toLocaleString() : 'no expiry'}
+              </td>
+              <td className="py-2">
+                {p.uses}
+                {p.max_uses ? ` / ${p.max_uses}` : ''}
+              </td>
+              <td className="py-2 space-x-2 whitespace-nowrap">
+                <button
+                  disabled={busy}
+                  onClick={() => toggle(p)}
+                  className="px-2 py-0.5 rounded border text-xs disabled:opacity-50"
+                >
+                  {p.active ? 'Disable' : 'Enable'}
+                </button>
+                <button
+                  disabled={busy}
+                  onClick={() => remove(p)}
+                  className="px-2 py-0.5 rounded bg-red-600 text-white text-xs disabled:opacity-50"
+                >
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+          {!items.length && (
+            <tr>
+              <td colSpan={7} className="py-3 opacity-60">
+                No promotions yet.
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </SectionCard>
+  );
+}
@@ -45,7 +45,7 @@ function PropertyForm({ onCreated }) {
         <input placeholder="Slug" value={slug} onChange={(e) => setSlug(e.target.value)} />
         <input placeholder="Nightly Price" type="number" value={price} onChange={(e) => setPrice(e.target.value)} />
         <textarea className="md:col-span-3" placeholder="Description" value={description} onChange={(e) => setDescription(e.target.value)} />
-        <textarea className="md:col-span-3" placeholder='Metadata JSON e.g. {"location":"Big Bear, CA", "ical_urls":["https://airbnb.com/ical/xxx"]}' value={metadataStr} onChange={(e) => setMetadataStr(e.target.value)} />
+        <textarea className="md:col-span-3" placeholder='Metadata JSON e.g. {"location":"Big Bear, CA", "lat":34.24, "lng":-116.91, "currency":"usd", "ical_urls":["https://airbnb.com/ical/xxx"]}' value={metadataStr} onChange={(e) => setMetadataStr(e.target.value)} />
         <button type="button" onClick={create} className="md:col-span-3 px-4 py-2 rounded bg-blue-600 text-white">
           Create Property
         </button>
@@ -1,8 +1,13 @@
 // components/admin/PropertyRatesPanel.js
 import { useState, useEffect } from 'react';
+import { supabase } from '@/lib/supabase';
+import { TAX_BASES, TAX_TYPES, taxProfileFrom } from '@/lib/realty/taxes';
+import { CANCELLATION_POLICIES, DEFAULT_POLICY } from '@/lib/realty/cancellationPolicies';
+import { adminAuthHeaders } from '@/lib/adminUtils';
 
-function PropertyRatesPanel({ properties }) {
+function PropertyRatesPanel({ properties, onAfter }) {
   const [selected, setSelected] = useState('');
+  const selectedProp = properties.find((p) => p.id === selected);
   return (
     <div className="glass p-4 rounded">
       <div className="flex items-center gap-3 mb-3">
@@ -17,7 +22,17 @@ function PropertyRatesPanel({ properties }) {
           ))}
         </select>
       </div>
-      {selected ? <RealtyRatesManager propertyId={selected} /> : <p className="opacity-70 text-sm">Choose a property to manage seasonal rates.</p>}
+      {selected ? (
+        <>
+          <RealtyRatesManager propertyId={selected} />
+          <PricingRulesEditor key={selected} property={selectedProp} onAfter={onAfter} />
+          <TaxProfileEditor key={`tax-${selected}`} property={selectedProp} onAfter={onAfter} />
+          <PromoCodesManager propertyId={selected} />
+          <GuestInfoEditor key={`guest-${selected}`} property={selectedProp} onAfter={onAfter} />
+        </>
+      ) : (
+        <p className="opacity-70 text-sm">Choose a property to manage seasonal rates, pricing rules, promo codes and guest messages.</p>
+      )}
     </div>
   );
 }
@@ -104,4 +119,439 @@ function RealtyRatesManager({ propertyId }) {
   );
 }
 
+// metadata.pricing rules read by calculateQuote (pages/api/realty/quote.js)
+function rulesToForm(pricing = {}) {
+  const tiers = Array.isArray(pricing.los_discounts) ? pricing.los_discounts : [];
+  const tier = (n) => tiers.find((t) => Number(t.min_nights) === n)?.percent ?? '';
+  return {
+    weekly_percent: tier(7),
+    monthly_percent: tier(28),
+    base_occupancy: pricing.base_occupancy ?? '',
+    extra_guest_fee: pricing.extra_guest_fee ?? '',
+    early_bird_days: pricing.early_bird?.days_before ?? '',
+    early_bird_percent: pricing.early_bird?.percent ?? '',
+    last_minute_days: pricing.last_minute?.days_before ?? '',
+    last_minute_percent: pricing.last_minute?.percent ?? '',
+  };
+}
+
+function formToRules(form, pricing = {}) {
+  const num = (v) => (v === '' || v == null ? null : Number(v));
+  // keep any custom tiers other than the weekly / monthly ones edited here
+  const otherTiers = (Array.isArray(pricing.los_discounts) ? pricing.los_discounts : [])
+    .filter((t) => ![7, 28].includes(Number(t.min_nights)));
+  const los = [
+    ...otherTiers,
+    ...(num(form.weekly_percent) ? [{ min_nights: 7, percent: num(form.weekly_percent) }] : []),
+    ...(num(form.monthly_percent) ? [{ min_nights: 28, percent: num(form.monthly_percent) }] : []),
+  ];
+  const bookingWindow = (days, percent) =>
+    num(days) && num(percent) ? { days_before: num(days), percent: num(percent) } : null;
+
+  return {
+    ...pricing,
+    los_discounts: los,
+    base_occupancy: num(form.base_occupancy),
+    extra_guest_fee: num(form.extra_guest_fee),
+    early_bird: bookingWindow(form.early_bird_days, form.early_bird_percent),
+    last_minute: bookingWindow(form.last_minute_days, form.last_minute_percent),
+  };
+}
+
+function PricingRulesEditor({ property, onAfter }) {
+  const [form, setForm] = useState(() => rulesToForm(property?.metadata?.pricing));
+  const [policy, setPolicy] = useState(property?.metadata?.cancellation_policy || DEFAULT_POLICY);
+  const [saving, setSaving] = useState(false);
+
+  const save = async () => {
+    if (!property) return;
+    setSaving(true);
+    try {
+      const metadata = property.metadata || {};
+      const pricing = formToRules(form, metadata.pricing || {});
+      const { error } = await supabase
+        .from('properties')
+        .update({ metadata: { ...metadata, pricing, cancellation_policy: policy } })
+        .eq('id', property.id);
+      if (error) throw error;
+      alert('Pricing rules saved.');
+      onAfter?.();
+    } catch (e) {
+      alert(`Save failed: ${e.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const field = (key, placeholder) => (
+    <input
+      type="number"
+      placeholder={placeholder}
+      value={form[key]}
+      onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+    />
+  );
+
+  return (
+    <div className="mt-6 glass p-4 rounded">
+      <h3 className="font-semibold mb-1">Pricing Rules</h3>
+      <p className="text-xs opacity-70 mb-3">
+        Applied to the nightly subtotal on every quote and checkout. Leave blank to turn a rule off.
+        Use a negative last-minute % for a surcharge.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-2 text-sm">
+        <label className="flex flex-col gap-1">Weekly discount % (7+ nights){field('weekly_percent', 'e.g. 10')}</label>
+        <label className="flex flex-col gap-1">Monthly discount % (28+ nights){field('monthly_percent', 'e.g. 20')}</label>
+        <label className="flex flex-col gap-1">Guests included{field('base_occupancy', 'e.g. 4')}</label>
+        <label className="flex flex-col gap-1">Extra guest $/night{field('extra_guest_fee', 'e.g. 25')}</label>
+        <label className="flex flex-col gap-1">Early-bird: days ahead ≥{field('early_bird_days', 'e.g. 60')}</label>
+        <label className="flex flex-col gap-1">Early-bird %{field('early_bird_percent', 'e.g. 5')}</label>
+        <label className="flex flex-col gap-1">Last-minute: days ahead ≤{field('last_minute_days', 'e.g. 7')}</label>
+        <label className="flex flex-col gap-1">Last-minute %{field('last_minute_percent', 'e.g. 10')}</label>
+        <label className="flex flex-col gap-1 md:col-span-4">
+          Cancellation policy
+          <select className="dark:bg-gray-900" value={policy} onChange={(e) => setPolicy(e.target.value)}>
+            {Object.entries(CANCELLATION_POLICIES).map(([key, p]) => (
+              <option key={key} value={key}>{p.label} — {p.summary}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <button className="mt-3 px-3 py-2 rounded bg-blue-600 text-white disabled:opacity-50" disabled={saving} onClick={save}>
+        {saving ? 'Saving…' : 'Save Rules'}
+      </button>
+    </div>
+  );
+}
+
+// metadata.taxes rows; percent rates are edited as 6 (%) and stored as 0.06
+const taxToRow = (t) => ({
+  name: t.name,
+  type: t.type,
+  value: t.type === 'percent' ? String(Math.round(t.rate * 100000) / 1000) : String(t.amount),
+  applies_to: t.applies_to,
+  exempt_after_nights: t.exempt_after_nights ?? '',
+});
+
+const rowToTax = (r) => ({
+  name: r.name.trim(),
+  type: r.type,
+  ...(r.type === 'percent'
+    ? { rate: Number(r.value || 0) / 100, applies_to: r.applies_to }
+    : { amount: Number(r.value || 0) }),
+  exempt_after_nights: r.exempt_after_nights === '' ? null : Number(r.exempt_after_nights),
+});
+
+const TAX_TYPE_LABELS = { percent: '% of', per_night: '$ per night', per_stay: '$ per stay' };
+
+function TaxProfileEditor({ property, onAfter }) {
+  const [rows, setRows] = useState(() => taxProfileFrom(property?.metadata || {}).map(taxToRow));
+  const [saving, setSaving] = useState(false);
+
+  const setRow = (i, patch) => setRows(rows.map((r, idx) => (idx === i ? { ...r, ...patch } : r)));
+  const toggleBase = (i, base) => {
+    const cur = rows[i].applies_to || [];
+    setRow(i, { applies_to: cur.includes(base) ? cur.filter((b) => b !== base) : [...cur, base] });
+  };
+  const addRow = () =>
+    setRows([...rows, { name: '', type: 'percent', value: '', applies_to: [...TAX_BASES], exempt_after_nights: '' }]);
+
+  const save = async () => {
+    if (!property) return;
+    if (rows.some((r) => !r.name.trim() || r.value === '')) {
+      alert('Each tax needs a name and a rate / amount');
+      return;
+    }
+    setSaving(true);
+    try {
+      const metadata = property.metadata || {};
+      const { error } = await supabase
+        .from('properties')
+        .update({ metadata: { ...metadata, taxes: rows.map(rowToTax) } })
+        .eq('id', property.id);
+      if (error) throw error;
+      alert('Tax profile saved.');
+      onAfter?.();
+    } catch (e) {
+      alert(`Save failed: ${e.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 glass p-4 rounded">
+      <h3 className="font-semibold mb-1">Lodging Taxes</h3>
+      <p className="text-xs opacity-70 mb-3">
+        Each tax is its own line on quotes and receipts. Percent taxes apply to rent (after discounts) and/or the
+        cleaning fee. Stays longer than the exemption nights pay no tax for that line.
+        {!Array.isArray(property?.metadata?.taxes) && Number(property?.metadata?.pricing?.tax_rate || 0) > 0 &&
+          ' Currently using the legacy single tax rate — saving here replaces it.'}
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr className="text-left border-b dark:border-gray-800">
+              <th className="py-2">Name</th><th>Type</th><th>Rate / Amount</th><th>Applies to</th><th>Exempt after nights</th><th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={i} className="border-b dark:border-gray-900">
+                <td className="py-2"><input placeholder="County occupancy tax" value={r.name} onChange={(e)=>setRow(i,{name:e.target.value})}/></td>
+                <td className="py-2">
+                  <select className="dark:bg-gray-900" value={r.type} onChange={(e)=>setRow(i,{type:e.target.value})}>
+                    {TAX_TYPES.map((t) => <option key={t} value={t}>{TAX_TYPE_LABELS[t]}</option>)}
+                  </select>
+                </td>
+                <td className="py-2"><input type="number" placeholder={r.type === 'percent' ? '%' : '$'} value={r.value} onChange={(e)=>setRow(i,{value:e.target.value})}/></td>
+                <td className="py-2">
+                  {r.type === 'percent' ? TAX_BASES.map((b) => (
+                    <label key={b} className="mr-3 inline-flex items-center gap-1">
+                      <input type="checkbox" checked={(r.applies_to || []).includes(b)} onChange={()=>toggleBase(i,b)}/>{b}
+                    </label>
+                  )) : <span className="opacity-60">—</span>}
+                </td>
+                <td className="py-2"><input type="number" placeholder="never" value={r.exempt_after_nights} onChange={(e)=>setRow(i,{exempt_after_nights:e.target.value})}/></td>
+                <td className="py-2"><button className="text-red-600" onClick={()=>setRows(rows.filter((_, idx) => idx !== i))}>Remove</button></td>
+              </tr>
+            ))}
+            {rows.length === 0 && <tr><td colSpan={6} className="py-4 opacity-70">No taxes configured.</td></tr>}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-3 flex gap-2">
+        <button className="px-3 py-2 rounded bg-gray-600 text-white" onClick={addRow}>Add Tax</button>
+        <button className="px-3 py-2 rounded bg-blue-600 text-white disabled:opacity-50" disabled={saving} onClick={save}>
+          {saving ? 'Saving…' : 'Save Taxes'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// metadata.guest_info fields used by the scheduled guest emails
+const GUEST_INFO_FIELDS = [
+  ['checkin_time', 'Check-in time', 'e.g. 4:00 PM'],
+  ['checkout_time', 'Check-out time', 'e.g. 11:00 AM'],
+  ['address', 'Address', 'Street, city'],
+  ['parking', 'Parking', 'e.g. Driveway, 2 cars'],
+];
+
+function GuestInfoEditor({ property, onAfter }) {
+  const [info, setInfo] = useState(() => ({ ...(property?.metadata?.guest_info || {}) }));
+  const [access, setAccess] = useState({ door_code: '', wifi_name: '', wifi_password: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!property?.id) return;
+    (async () => {
+      const r = await fetch(`/api/realty/property-access?property_id=${encodeURIComponent(property.id)}`, {
+        headers: await adminAuthHeaders(),
+      });
+      const j = await r.json();
+      if (j.ok && j.item) {
+        setAccess({
+          door_code: j.item.door_code || '',
+          wifi_name: j.item.wifi_name || '',
+          wifi_password: j.item.wifi_password || '',
+        });
+      }
+    })();
+  }, [property?.id]);
+
+  const save = async () => {
+    if (!property) return;
+    setSaving(true);
+    try {
+      const metadata = property.metadata || {};
+      const { error } = await supabase
+        .from('properties')
+        .update({ metadata: { ...metadata, guest_info: info } })
+        .eq('id', property.id);
+      if (error) throw error;
+
+      const r = await fetch('/api/realty/property-access', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()) },
+        body: JSON.stringify({ property_id: property.id, ...access }),
+      });
+      const j = await r.json();
+      if (!j.ok) throw new Error(j.error || 'Could not save door code');
+
+      alert('Guest info saved.');
+      onAfter?.();
+    } catch (e) {
+      alert(`Save failed: ${e.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 glass p-4 rounded">
+      <h3 className="font-semibold mb-1">Guest Messages</h3>
+      <p className="text-xs opacity-70 mb-3">
+        Used by the scheduled emails: pre-arrival (3 days out), door code (check-in day), mid-stay, checkout
+        reminder and review request. Door code and Wi-Fi are stored privately and only sent on check-in day;
+        without a door code that email is skipped.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2 text-sm">
+        {GUEST_INFO_FIELDS.map(([key, label, placeholder]) => (
+          <label key={key} className="flex flex-col gap-1">
+            {label}
+            <input
+              placeholder={placeholder}
+              value={info[key] || ''}
+              onChange={(e) => setInfo({ ...info, [key]: e.target.value })}
+            />
+          </label>
+        ))}
+        <label className="flex flex-col gap-1">
+          Door code
+          <input value={access.door_code} onChange={(e) => setAccess({ ...access, door_code: e.target.value })} />
+        </label>
+        <label className="flex flex-col gap-1">
+          Wi-Fi network
+          <input value={access.wifi_name} onChange={(e) => setAccess({ ...access, wifi_name: e.target.value })} />
+        </label>
+        <label className="flex flex-col gap-1">
+          Wi-Fi password
+          <input value={access.wifi_password} onChange={(e) => setAccess({ ...access, wifi_password: e.target.value })} />
+        </label>
+        <label className="flex flex-col gap-1 md:col-span-3">
+          Arrival notes
+          <textarea
+            rows={2}
+            value={info.arrival_notes || ''}
+            onChange={(e) => setInfo({ ...info, arrival_notes: e.target.value })}
+          />
+        </label>
+        <label className="flex flex-col gap-1 md:col-span-3">
+          Checkout notes
+          <textarea
+            rows={2}
+            placeholder="e.g. Start the dishwasher, leave keys on the counter"
+            value={info.checkout_notes || ''}
+            onChange={(e) => setInfo({ ...info, checkout_notes: e.target.value })}
+          />
+        </label>
+      </div>
+      <button className="mt-3 px-3 py-2 rounded bg-blue-600 text-white disabled:opacity-50" disabled={saving} onClick={save}>
+        {saving ? 'Saving…' : 'Save Guest Info'}
+      </button>
+    </div>
+  );
+}
+
+const EMPTY_PROMO = {
+  code: '',
+  percent_off: '',
+  amount_off: '',
+  max_uses: '',
+  min_nights: '',
+  starts_on: '',
+  expires_on: '',
+  all_properties: false,
+  notes: '',
+};
+
+function PromoCodesManager({ propertyId }) {
+  const [items, setItems] = useState([]);
+  const [form, setForm] = useState(EMPTY_PROMO);
+  const load = async () => {
+    if (!propertyId) return;
+    const r = await fetch(`/api/realty/promo-codes?property_id=${encodeURIComponent(propertyId)}`, {
+      headers: await adminAuthHeaders(),
+    });
+    const j = await r.json();
+    setItems(j.items || []);
+  };
+  useEffect(() => { load(); }, [propertyId]);
+
+  const add = async () => {
+    if (!form.code || (!form.percent_off && !form.amount_off)) {
+      alert('Code and a percent or amount off are required');
+      return;
+    }
+    const r = await fetch('/api/realty/promo-codes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()) },
+      body: JSON.stringify({ property_id: propertyId, ...form }),
+    });
+    const j = await r.json();
+    if (!j.ok) return alert(j.error || 'Failed');
+    setForm(EMPTY_PROMO);
+    load();
+  };
+  const toggle = async (row) => {
+    const r = await fetch('/api/realty/promo-codes', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()) },
+      body: JSON.stringify({ id: row.id, active: !row.active }),
+    });
+    const j = await r.json();
+    if (!j.ok) return alert(j.error || 'Failed');
+    load();
+  };
+  const delItem = async (id) => {
+    if (!confirm('Delete promo code?')) return;
+    const r = await fetch(`/api/realty/promo-codes?id=${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+      headers: await adminAuthHeaders(),
+    });
+    const j = await r.json();
+    if (!j.ok) return alert(j.error || 'Failed');
+    load();
+  };
+
+  return (
+    <div className="mt-6 glass p-4 rounded">
+      <h3 className="font-semibold mb-3">Promo Codes</h3>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+        <input placeholder="CODE" className="uppercase" value={form.code} onChange={(e)=>setForm({...form,code:e.target.value})}/>
+        <input type="number" placeholder="% off" value={form.percent_off} onChange={(e)=>setForm({...form,percent_off:e.target.value,amount_off:''})}/>
+        <input type="number" placeholder="or $ off" value={form.amount_off} onChange={(e)=>setForm({...form,amount_off:e.target.value,percent_off:''})}/>
+        <input type="number" placeholder="Max uses (blank = unlimited)" value={form.max_uses} onChange={(e)=>setForm({...form,max_uses:e.target.value})}/>
+        <input type="number" placeholder="Min nights" value={form.min_nights} onChange={(e)=>setForm({...form,min_nights:e.target.value})}/>
+        <input type="date" title="Valid from" value={form.starts_on} onChange={(e)=>setForm({...form,starts_on:e.target.value})}/>
+        <input type="date" title="Expires" value={form.expires_on} onChange={(e)=>setForm({...form,expires_on:e.target.value})}/>
+        <input placeholder="Notes" value={form.notes} onChange={(e)=>setForm({...form,notes:e.target.value})}/>
+      </div>
+      <label className="mt-2 flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={form.all_properties} onChange={(e)=>setForm({...form,all_properties:e.target.checked})}/>
+        Valid for every property
+      </label>
+      <button className="mt-3 px-3 py-2 rounded bg-blue-600 text-white" onClick={add}>Add Code</button>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr className="text-left border-b dark:border-gray-800">
+              <th className="py-2">Code</th><th>Discount</th><th>Uses</th><th>Valid</th><th>Scope</th><th>Status</th><th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map(p => (
+              <tr key={p.id} className="border-b dark:border-gray-900">
+                <td className="py-2 font-mono">{p.code}</td>
+                <td className="py-2">{p.percent_off ? `${Number(p.percent_off)}%` : `$${Number(p.amount_off || 0).toFixed(2)}`}{p.min_nights ? ` (${p.min_nights}+ nights)` : ''}</td>
+                <td className="py-2">{p.uses ?? 0}{p.max_uses ? ` / ${p.max_uses}` : ''}</td>
+                <td className="py-2">{p.starts_on || '…'} → {p.expires_on || '…'}</td>
+                <td className="py-2">{p.property_id ? 'This property' : 'All properties'}</td>
+                <td className="py-2">{p.active ? 'Active' : 'Disabled'}</td>
+                <td className="py-2 space-x-3">
+                  <button className="text-blue-600" onClick={()=>toggle(p)}>{p.active ? 'Disable' : 'Enable'}</button>
+                  <button className="text-red-600" onClick={()=>delItem(p.id)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+            {items.length === 0 && <tr><td colSpan={7} className="py-4 opacity-70">No promo codes yet.</td></tr>}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 export default PropertyRatesPanel;
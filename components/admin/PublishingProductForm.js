@@ -19,6 +19,10 @@ function PublishingProductForm({ onCreated }) {
   const [format, setFormat] = useState('ebook');
   const [year, setYear] = useState(2025);
   const [primaryStore, setPrimaryStore] = useState('amazon');
+  // paid ebook files in the private download bucket (lib/digital.js)
+  const [downloadFiles, setDownloadFiles] = useState([]);
+  const [downloadLimit, setDownloadLimit] = useState('');
+  const [uploadingFile, setUploadingFile] = useState(false);
 
   const uploadCover = async (file) => {
     if (!file) return;
@@ -46,6 +50,33 @@ function PublishingProductForm({ onCreated }) {
     if (res.data?.file_url) setCoverUrl(res.data.file_url);
   };
 
+  const uploadDownload = async (file) => {
+    if (!file) return;
+    setUploadingFile(true);
+    try {
+      const base64 = await new Promise((resolve, reject) => {
+        const r = new FileReader();
+        r.onload = () => resolve(String(r.result).split(',')[1] || '');
+        r.onerror = reject;
+        r.readAsDataURL(file);
+      });
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      const token = session?.access_token;
+      const res = await axios.post(
+        '/api/admin/upload-download',
+        { file: { data: base64, name: file.name } },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      if (res.data?.path) setDownloadFiles((list) => [...list, { path: res.data.path, name: res.data.name }]);
+    } catch (e) {
+      alert(`Upload failed: ${e.response?.data?.error || e.message}`);
+    } finally {
+      setUploadingFile(false);
+    }
+  };
+
   const create = async () => {
     try {
       if (!name) return alert('Title required.');
@@ -63,6 +94,8 @@ function PublishingProductForm({ onCreated }) {
         format,
         year: Number.isFinite(numericYear) ? numericYear : undefined,
         primary_store: primaryStore,
+        download_files: downloadFiles.length ? downloadFiles : undefined,
+        download_limit: downloadLimit ? Number(downloadLimit) : undefined,
       };
 
       const payload = {
@@ -96,6 +129,8 @@ function PublishingProductForm({ onCreated }) {
       setYear(2025);
       setTagsStr('');
       setPrimaryStore('amazon');
+      setDownloadFiles([]);
+      setDownloadLimit('');
 
       onCreated?.();
       alert('Publishing product created.');
@@ -188,6 +223,33 @@ function PublishingProductForm({ onCreated }) {
           onChange={(e) => setYear(e.target.value)}
         />
 
+        <div className="md:col-span-3 flex flex-wrap items-center gap-3">
+          <label className="inline-flex items-center gap-2 px-3 py-2 rounded bg-gray-100 dark:bg-gray-800 cursor-pointer">
+            <input
+              type="file"
+              accept=".pdf,.epub,.mobi,.zip"
+              className="hidden"
+              onChange={(e) => uploadDownload(e.target.files?.[0])}
+            />
+            {uploadingFile ? 'Uploading…' : 'Upload Paid File (private)…'}
+          </label>
+          <input
+            placeholder="Downloads per file (default 5)"
+            type="number"
+            min="1"
+            value={downloadLimit}
+            onChange={(e) => setDownloadLimit(e.target.value)}
+          />
+          {downloadFiles.map((f) => (
+            <span key={f.path} className="text-xs px-2 py-1 rounded bg-gray-100 dark:bg-gray-800">
+              {f.name}{' '}
+              <button type="button" onClick={() => setDownloadFiles((list) => list.filter((x) => x.path !== f.path))}>
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+
         <div className="md:col-span-3 flex items-center gap-3">
           <label>Primary Store Button:</label>
           <select
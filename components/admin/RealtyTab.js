@@ -4,10 +4,15 @@ import { supabase } from '@/lib/supabase';
 import MultiUploader from '@/components/admin/MultiUploader';
 import AttachToProperty from '@/components/admin/AttachToProperty';
 import PropertyRatesPanel from '@/components/admin/PropertyRatesPanel';
+import OwnerStatementsPanel from '@/components/admin/OwnerStatementsPanel';
+import TurnoverCalendarPanel from '@/components/admin/TurnoverCalendarPanel';
+import ReviewsModerationPanel from '@/components/admin/ReviewsModerationPanel';
+import LeadPipelinePanel from '@/components/admin/LeadPipelinePanel';
+import CalendarSyncPanel from '@/components/admin/CalendarSyncPanel';
 import RealtyTestEmailPanelWithProperty from '@/components/admin/RealtyTestEmailPanelWithProperty';
 import PropertyForm from '@/components/admin/PropertyForm';
 import SectionCard from '@/components/admin/SectionCard';
-import { safeJSON, copyText, updateRow } from '@/lib/adminUtils';
+import { safeJSON, copyText, updateRow, adminAuthHeaders } from '@/lib/adminUtils';
 
 /**
  * Small money formatter helper for table display.
@@ -20,10 +25,16 @@ function formatMoney(amount_cents, currency = 'usd') {
 }
 
 /**
- * Helper: detect expired pending reservations (15+ minutes old)
+ * Helper: detect expired pending reservations.
+ * Uses the checkout hold timer when present, else 15+ minutes old.
  */
 function isPendingAndExpired(reservation) {
   if (!reservation || reservation.status !== 'pending') return false;
+
+  if (reservation.hold_expires_at) {
+    return new Date(reservation.hold_expires_at).getTime() <= Date.now();
+  }
+
   if (!reservation.created_at) return false;
 
   const created = new Date(reservation.created_at);
@@ -34,12 +45,127 @@ function isPendingAndExpired(reservation) {
   return diffMinutes > 15;
 }
 
+// damage deposit lifecycle labels (lib/realty/deposits.js)
+const DEPOSIT_STATUS_LABELS = {
+  pending_payment: 'Awaiting payment',
+  scheduled: 'Hold scheduled',
+  authorized: 'Held on card',
+  released: 'Released',
+  claimed: 'Claimed',
+  failed: 'Hold failed',
+  cancelled: 'Cancelled',
+};
+
+function DepositCell({ resv, onAction }) {
+  const d = resv.deposit;
+  if (!d) return <span className="opacity-50">—</span>;
+
+  return (
+    <div className="space-y-1">
+      <div className="font-semibold">{formatMoney(d.cents, resv.currency)}</div>
+      <div
+        className={
+          d.status === 'failed'
+            ? 'text-red-600'
+            : d.status === 'claimed'
+            ? 'text-orange-600'
+            : 'opacity-80'
+        }
+      >
+        {DEPOSIT_STATUS_LABELS[d.status] || d.status}
+      </div>
+      {d.status === 'authorized' && d.release_after && (
+        <div className="text-[10px] opacity-60">Auto-release {d.release_after}</div>
+      )}
+      {d.status === 'released' && d.released_at && (
+        <div className="text-[10px] opacity-60">{new Date(d.released_at).toLocaleDateString()}</div>
+      )}
+      {d.status === 'claimed' && (
+        <div className="text-[10px] opacity-70">
+          Captured {formatMoney(d.claim_cents, resv.currency)}
+          {d.claim_notes ? ` — ${d.claim_notes}` : ''}
+        </div>
+      )}
+      {d.status === 'failed' && d.error && (
+        <div className="text-[10px] text-red-600 break-words">{d.error}</div>
+      )}
+
+      {d.status === 'authorized' && (
+        <div className="flex gap-1">
+          <button
+            type="button"
+            onClick={() => onAction(resv, 'claim')}
+            className="px-2 py-1 rounded bg-orange-600 text-white text-[11px]"
+          >
+            Claim
+          </button>
+          <button
+            type="button"
+            onClick={() => onAction(resv, 'release')}
+            className="px-2 py-1 rounded bg-gray-600 text-white text-[11px]"
+          >
+            Release
+          </button>
+        </div>
+      )}
+      {resv.status === 'paid' && ['scheduled', 'failed'].includes(d.status) && (
+        <button
+          type="button"
+          onClick={() => onAction(resv, 'authorize')}
+          className="px-2 py-1 rounded bg-blue-600 text-white text-[11px]"
+        >
+          {d.status === 'failed' ? 'Retry hold' : 'Hold now'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// scheduled guest emails (lib/realty/guestMessages.js)
+const GUEST_MESSAGE_LABELS = {
+  pre_arrival: 'Pre-arrival',
+  door_code: 'Door code',
+  mid_stay: 'Mid-stay',
+  checkout_reminder: 'Checkout',
+  review_request: 'Review',
+};
+
+function GuestMessagesLog({ messages }) {
+  if (!messages?.length) return null;
+  return (
+    <div className="mt-2 space-y-0.5">
+      {messages.map((m) => (
+        <div
+          key={m.message_type}
+          className={
+            m.status === 'sent'
+              ? 'text-[10px] text-green-700'
+              : m.status === 'failed' || m.status === 'skipped'
+              ? 'text-[10px] text-red-600'
+              : 'text-[10px] opacity-60'
+          }
+          title={m.error || ''}
+        >
+          {m.status === 'sent' ? '✓' : m.status === 'sending' ? '…' : '✕'}{' '}
+          {GUEST_MESSAGE_LABELS[m.message_type] || m.message_type}
+          {m.status === 'sent' && m.sent_at ? ` ${new Date(m.sent_at).toLocaleDateString()}` : ''}
+          {m.status === 'skipped' ? ' (skipped)' : ''}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 /**
  * UpcomingStaysPanel
  * - Fetches reservations from /api/realty/reservations-admin
  * - Shows future (and recent) stays, guest info, and money
- * - Hides obviously abandoned Stripe sessions (pending > 15 minutes)
+ * - Hides abandoned Stripe sessions (hold expired / pending > 15 minutes)
  * - Lets you manually expire any non-paid reservation
+ * - Cancels paid stays with a Stripe refund per the property's policy
+ * - Tracks the damage-deposit hold (scheduled → held → released / claimed)
+ * - Moves dates / guest count on paid stays (refund or pay-the-difference link)
+ * - Shows which scheduled guest emails went out (hover for errors)
  */
 function UpcomingStaysPanel() {
   const [loadingResv, setLoadingResv] = useState(true);
@@ -95,6 +221,142 @@ function UpcomingStaysPanel() {
     }
   };
 
+  // cancel a paid stay: preview the policy refund, let admin adjust it
+  const handleCancel = async (resv) => {
+    try {
+      const headers = await adminAuthHeaders();
+      const pr = await fetch(
+        `/api/realty/cancel-reservation?reservation_id=${encodeURIComponent(resv.id)}`,
+        { headers }
+      );
+      const preview = await pr.json();
+      if (!pr.ok) throw new Error(preview.error || 'Could not load refund preview');
+
+      const { refund } = preview;
+      const input = window.prompt(
+        `Cancel ${resv.guest_name || 'this guest'} at ${resv.property_name || 'property'} (${resv.checkin} → ${resv.checkout})?\n\n` +
+          `${refund.policy.label} policy, ${refund.days_before_checkin} day(s) before check-in: ${refund.refund_percent}% refund.\n` +
+          `Paid ${formatMoney(refund.paid_cents, resv.currency)}.\n\n` +
+          'Refund amount in dollars (edit to override):',
+        (refund.refund_cents / 100).toFixed(2)
+      );
+      if (input === null) return;
+
+      const refundCents = Math.round(Number(input) * 100);
+      if (!Number.isFinite(refundCents) || refundCents < 0) {
+        alert('Enter a valid refund amount');
+        return;
+      }
+
+      const r = await fetch('/api/realty/cancel-reservation', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ reservation_id: resv.id, refund_cents: refundCents }),
+      });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'Cancel failed');
+
+      setReservations((prev) =>
+        prev.map((x) =>
+          x.id === resv.id ? { ...x, status: 'cancelled', refund_cents: refundCents } : x
+        )
+      );
+      alert(`Reservation cancelled. Refunded ${formatMoney(refundCents, resv.currency)}.`);
+    } catch (err) {
+      alert(`Cancel failed: ${err.message}`);
+    }
+  };
+
+  // reload the board after server-side changes
+  const reloadReservations = async () => {
+    const lr = await fetch('/api/realty/reservations-admin');
+    const lj = await lr.json();
+    if (lj.ok) setReservations((lj.items || []).filter((x) => !isPendingAndExpired(x)));
+  };
+
+  // change dates / guests: preview the re-priced stay, then apply
+  const handleModify = async (resv) => {
+    const checkin = window.prompt('New check-in (YYYY-MM-DD):', resv.checkin);
+    if (checkin === null) return;
+    const checkout = window.prompt('New check-out (YYYY-MM-DD):', resv.checkout);
+    if (checkout === null) return;
+    const guests = window.prompt('Guests:', String(resv.guests || 1));
+    if (guests === null) return;
+
+    try {
+      const headers = await adminAuthHeaders();
+      const qs = new URLSearchParams({ reservation_id: resv.id, checkin, checkout, guests });
+      const pr = await fetch(`/api/realty/modify-reservation?${qs}`, { headers });
+      const preview = await pr.json();
+      if (!pr.ok) throw new Error(preview.error || 'Could not price the change');
+
+      const diff = preview.diff_cents;
+      const ok = window.confirm(
+        `${resv.checkin} → ${resv.checkout} (${resv.guests} guests)\n` +
+          `becomes ${checkin} → ${checkout} (${guests} guests)\n\n` +
+          `Old total ${formatMoney(preview.old_amount_cents, resv.currency)}, new total ${formatMoney(preview.new_amount_cents, resv.currency)}.\n` +
+          (diff > 0
+            ? `The guest will be emailed a link to pay ${formatMoney(diff, resv.currency)}.`
+            : diff < 0
+            ? `${formatMoney(-diff, resv.currency)} will be refunded now.`
+            : 'No payment change.')
+      );
+      if (!ok) return;
+
+      const r = await fetch('/api/realty/modify-reservation', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ reservation_id: resv.id, checkin, checkout, guests }),
+      });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'Change failed');
+
+      if (j.status === 'awaiting_payment') {
+        await copyText(j.payment_url);
+        alert('Payment link emailed to the guest (and copied). The change applies once they pay.');
+      } else {
+        alert('Reservation updated. Guest has been sent the new itinerary.');
+        await reloadReservations();
+      }
+    } catch (err) {
+      alert(`Change failed: ${err.message}`);
+    }
+  };
+
+  // damage deposit: claim (partial capture), release, or (re)try the hold
+  const handleDeposit = async (resv, action) => {
+    const body = { reservation_id: resv.id, action };
+
+    if (action === 'claim') {
+      const amount = window.prompt(
+        `Claim against the ${formatMoney(resv.deposit.cents, resv.currency)} deposit.\nAmount in dollars:`
+      );
+      if (amount === null) return;
+      const notes = window.prompt('Damage notes (sent to the record, required):');
+      if (notes === null) return;
+      body.amount_cents = Math.round(Number(amount) * 100);
+      body.notes = notes;
+    } else if (action === 'release') {
+      if (!window.confirm('Release the deposit hold? The guest will not be charged.')) return;
+    }
+
+    try {
+      const headers = await adminAuthHeaders();
+      const r = await fetch('/api/realty/deposit-action', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+      });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || 'Deposit action failed');
+
+      // reload so the lifecycle columns reflect Stripe
+      await reloadReservations();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
   return (
     <div className="space-y-4 mb-10">
       <h3 className="text-xl font-bold">Upcoming Stays / Revenue</h3>
@@ -120,6 +382,7 @@ function UpcomingStaysPanel() {
               <th className="py-2 px-2">Guest Contact</th>
               <th className="py-2 px-2">Notes</th>
               <th className="py-2 px-2 whitespace-nowrap">Total</th>
+              <th className="py-2 px-2">Deposit</th>
               <th className="py-2 px-2">Status</th>
               <th className="py-2 px-2">Actions</th>
             </tr>
@@ -127,13 +390,13 @@ function UpcomingStaysPanel() {
           <tbody>
             {loadingResv ? (
               <tr>
-                <td className="py-6 text-center opacity-70" colSpan={8}>
+                <td className="py-6 text-center opacity-70" colSpan={9}>
                   Loading reservations…
                 </td>
               </tr>
             ) : reservations.length === 0 ? (
               <tr>
-                <td className="py-6 text-center opacity-70" colSpan={8}>
+                <td className="py-6 text-center opacity-70" colSpan={9}>
                   No reservations yet.
                 </td>
               </tr>
@@ -195,6 +458,11 @@ function UpcomingStaysPanel() {
                     {formatMoney(r.amount_cents, r.currency)}
                   </td>
 
+                  {/* Damage deposit lifecycle */}
+                  <td className="py-2 px-2 min-w-[120px] text-xs">
+                    <DepositCell resv={r} onAction={handleDeposit} />
+                  </td>
+
                   {/* Status */}
                   <td className="py-2 px-2 min-w-[80px] text-xs">
                     <span
@@ -206,16 +474,39 @@ function UpcomingStaysPanel() {
                     >
                       {r.status || '—'}
                     </span>
-                    {r.status !== 'paid' && (
+                    {r.status === 'cancelled' ? (
+                      <div className="mt-1 text-[10px] opacity-70">
+                        Refunded {formatMoney(r.refund_cents || 0, r.currency)}
+                      </div>
+                    ) : r.status !== 'paid' && (
                       <div className="mt-1 text-[10px] opacity-70">
                         Unpaid / in-progress
                       </div>
                     )}
+                    <GuestMessagesLog messages={r.messages} />
                   </td>
 
                   {/* Actions */}
                   <td className="py-2 px-2 min-w-[90px] text-xs">
-                    {r.status !== 'paid' && (
+                    {r.status === 'paid' && (
+                      <button
+                        type="button"
+                        onClick={() => handleModify(r)}
+                        className="px-2 py-1 rounded bg-blue-600 text-white text-[11px] w-full mb-1"
+                      >
+                        Change Dates / Guests
+                      </button>
+                    )}
+                    {r.status === 'paid' && (
+                      <button
+                        type="button"
+                        onClick={() => handleCancel(r)}
+                        className="px-2 py-1 rounded bg-gray-700 text-white text-[11px] w-full"
+                      >
+                        Cancel &amp; Refund
+                      </button>
+                    )}
+                    {r.status !== 'paid' && r.status !== 'cancelled' && (
                       <button
                         type="button"
                         onClick={() => handleExpire(r)}
@@ -431,6 +722,21 @@ export default function RealtyTab({ properties: allProperties, assets, refreshAl
         {/* Upcoming stays / revenue dashboard */}
         <UpcomingStaysPanel />
 
+        {/* housekeeping between stays */}
+        <TurnoverCalendarPanel />
+
+        {/* channel calendars: iCal import, double bookings, export feeds */}
+        <div className="border-t pt-4">
+          <h4 className="font-semibold mb-2">Channel Calendars</h4>
+          <CalendarSyncPanel properties={realtyProperties} />
+        </div>
+
+        {/* brokerage / management leads */}
+        <div className="border-t pt-4">
+          <h4 className="font-semibold mb-2">Lead Pipeline</h4>
+          <LeadPipelinePanel />
+        </div>
+
         {/* uploader */}
         <div>
           <h3 className="text-xl font-bold mb-2">Realty Gallery Uploader</h3>
@@ -451,8 +757,20 @@ export default function RealtyTab({ properties: allProperties, assets, refreshAl
 
         {/* seasonal rates */}
         <div className="border-t pt-4">
-          <h4 className="font-semibold mb-2">Manage Seasonal Rates for a Property</h4>
-          <PropertyRatesPanel properties={realtyProperties} />
+          <h4 className="font-semibold mb-2">Manage Rates, Pricing Rules &amp; Promo Codes for a Property</h4>
+          <PropertyRatesPanel properties={realtyProperties} onAfter={refreshAll} />
+        </div>
+
+        {/* owner statements */}
+        <div className="border-t pt-4">
+          <h4 className="font-semibold mb-2">Owner Statements</h4>
+          <OwnerStatementsPanel properties={realtyProperties} />
+        </div>
+
+        {/* guest reviews */}
+        <div className="border-t pt-4">
+          <h4 className="font-semibold mb-2">Guest Reviews</h4>
+          <ReviewsModerationPanel />
         </div>
 
         {/* test email */}
@@ -698,7 +1016,7 @@ export default function RealtyTab({ properties: allProperties, assets, refreshAl
 
                             <textarea
                               className="w-full h-24 dark:bg-gray-800 text-xs"
-                              placeholder='{"location":"Big Bear, CA","ical_urls":["https://..."],"cover_url":"https://..."}'
+                              placeholder='{"location":"Big Bear, CA","lat":34.24,"lng":-116.91,"currency":"usd","ical_urls":["https://..."],"cover_url":"https://..."}'
                               value={
                                 row.metadataStr ??
                                 JSON.stringify(propRow.metadata || {}, null, 0)
@@ -715,7 +1033,7 @@ export default function RealtyTab({ properties: allProperties, assets, refreshAl
                             />
 
                             <div className="text-[10px] opacity-60 mt-1">
-                              location, cover_url, ical_urls all live in metadata.
+                              location, lat / lng (map pin), currency (the rates are priced in), cover_url, ical_urls all live in metadata.
                             </div>
                           </td>
 
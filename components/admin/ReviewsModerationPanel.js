@@ -0,0 +1,162 @@
+// components/admin/ReviewsModerationPanel.js
+import React, { useEffect, useState } from 'react';
+import { adminAuthHeaders } from '@/lib/adminUtils';
+import { RATING_CATEGORIES } from '@/lib/realty/reviewScores';
+
+/**
+ * Guest review moderation (lib/realty/reviews.js).
+ *
+ * - Pending / Published / Rejected queues
+ * - Publish or reject a review; only published ones show on the listing
+ * - Public host reply under a review
+ */
+
+const TABS = [
+  { key: 'pending', label: 'Pending' },
+  { key: 'published', label: 'Published' },
+  { key: 'rejected', label: 'Rejected' },
+];
+
+function ReviewRow({ review, onPatch }) {
+  const [reply, setReply] = useState(review.admin_reply || '');
+  const [busy, setBusy] = useState(false);
+
+  const run = async (fields) => {
+    setBusy(true);
+    try {
+      await onPatch(fields);
+    } catch (e) {
+      alert(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <li className="border rounded p-3 text-sm space-y-2 dark:border-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <span className="font-semibold">{review.property_name}</span>
+          <span className="opacity-70">
+            {' '}
+            — {review.guest_name}, stayed {review.stay_month}
+          </span>
+        </div>
+        <span className="font-semibold">{review.rating_overall} ★</span>
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs opacity-80">
+        {RATING_CATEGORIES.map(({ key, label }) => (
+          <span key={key}>
+            {label}: {review[`rating_${key}`]}
+          </span>
+        ))}
+      </div>
+
+      <p className="whitespace-pre-line">{review.comment || <em className="opacity-60">No comment</em>}</p>
+
+      <div className="flex flex-col md:flex-row gap-2">
+        <textarea
+          rows={2}
+          className="flex-1 border rounded px-2 py-1 dark:bg-gray-900 dark:border-gray-700"
+          placeholder="Public reply from the host (optional)"
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+        />
+        <button
+          className="px-3 py-1 rounded bg-gray-600 text-white disabled:opacity-50"
+          disabled={busy || reply === (review.admin_reply || '')}
+          onClick={() => run({ admin_reply: reply })}
+        >
+          Save Reply
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        {review.status !== 'published' && (
+          <button
+            className="px-3 py-1 rounded bg-green-600 text-white disabled:opacity-50"
+            disabled={busy}
+            onClick={() => run({ status: 'published' })}
+          >
+            Publish
+          </button>
+        )}
+        {review.status !== 'rejected' && (
+          <button
+            className="px-3 py-1 rounded bg-red-600 text-white disabled:opacity-50"
+            disabled={busy}
+            onClick={() => run({ status: 'rejected' })}
+          >
+            {review.status === 'published' ? 'Unpublish' : 'Reject'}
+          </button>
+        )}
+      </div>
+    </li>
+  );
+}
+
+export default function ReviewsModerationPanel() {
+  const [status, setStatus] = useState('pending');
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  async function load(which = status) {
+    setLoading(true);
+    try {
+      const r = await fetch(`/api/realty/reviews-admin?status=${which}`, { headers: await adminAuthHeaders() });
+      const j = await r.json();
+      if (!r.ok || j.error) throw new Error(j.error || 'Load failed');
+      setItems(j.items || []);
+    } catch (e) {
+      console.error('reviews load failed:', e.message);
+      setItems([]);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load(status);
+  }, [status]);
+
+  async function patch(id, fields) {
+    const r = await fetch('/api/realty/reviews-admin', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()) },
+      body: JSON.stringify({ id, ...fields }),
+    });
+    const j = await r.json();
+    if (!r.ok || j.error) throw new Error(j.error || 'Save failed');
+    setItems((list) =>
+      j.item.status === status
+        ? list.map((x) => (x.id === id ? { ...x, ...j.item } : x))
+        : list.filter((x) => x.id !== id)
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 text-sm">
+        {TABS.map((t) => (
+          <button
+            key={t.key}
+            className={`px-3 py-1 rounded ${status === t.key ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-800'}`}
+            onClick={() => setStatus(t.key)}
+          >
+            {t.label}
+          </button>
+        ))}
+        {loading && <span className="text-xs opacity-60">Loading…</span>}
+      </div>
+
+      {!loading && items.length === 0 && <p className="text-sm opacity-70">No {status} reviews.</p>}
+
+      <ul className="space-y-3">
+        {items.map((r) => (
+          <ReviewRow key={r.id} review={r} onPatch={(fields) => patch(r.id, fields)} />
+        ))}
+      </ul>
+    </div>
+  );
+}
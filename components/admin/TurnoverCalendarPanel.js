@@ -0,0 +1,292 @@
+// components/admin/TurnoverCalendarPanel.js
+import React, { useEffect, useState } from 'react';
+import { Calendar, dateFnsLocalizer } from 'react-big-calendar';
+import { format, parse, startOfWeek, getDay } from 'date-fns';
+import enUS from 'date-fns/locale/en-US';
+import 'react-big-calendar/lib/css/react-big-calendar.css';
+import { adminAuthHeaders, copyText } from '@/lib/adminUtils';
+import TurnoverTaskCard, { readFileBase64 } from '@/components/TurnoverTaskCard';
+
+/**
+ * Turnover / cleaning board (lib/realty/turnovers.js).
+ *
+ * - Month calendar of turnover tasks on their checkout dates
+ *   (red = same-day turnover, grey = done)
+ * - Click a task to assign a cleaner, tick the checklist, add photos
+ * - "Regenerate" rebuilds tasks from paid reservations + channel blocks
+ * - Cleaner list with each cleaner's private task page + ICS feed links
+ */
+
+const localizer = dateFnsLocalizer({
+  format,
+  parse,
+  startOfWeek,
+  getDay,
+  locales: { 'en-US': enUS },
+});
+
+const ymd = (d) => format(d, 'yyyy-MM-dd');
+const asDate = (s) => parse(s, 'yyyy-MM-dd', new Date());
+
+function monthWindow(date) {
+  // padded so the leading/trailing weeks of the month view are filled
+  const from = new Date(date.getFullYear(), date.getMonth(), 1 - 7);
+  const to = new Date(date.getFullYear(), date.getMonth() + 1, 7);
+  return { from: ymd(from), to: ymd(to) };
+}
+
+export default function TurnoverCalendarPanel() {
+  const [viewDate, setViewDate] = useState(() => new Date());
+  const [tasks, setTasks] = useState([]);
+  const [cleaners, setCleaners] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [newCleaner, setNewCleaner] = useState({ name: '', email: '', phone: '' });
+
+  async function api(path, options = {}) {
+    const res = await fetch(path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()), ...(options.headers || {}) },
+    });
+    const json = await res.json();
+    if (!res.ok || json.error) throw new Error(json.error || `Request failed (${res.status})`);
+    return json;
+  }
+
+  async function loadTasks(date = viewDate) {
+    setLoading(true);
+    try {
+      const { from, to } = monthWindow(date);
+      const j = await api(`/api/realty/turnovers?from=${from}&to=${to}`);
+      setTasks(j.items || []);
+    } catch (e) {
+      console.error('turnovers load failed:', e.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadCleaners() {
+    try {
+      const j = await api('/api/realty/cleaners');
+      setCleaners(j.items || []);
+    } catch (e) {
+      console.error('cleaners load failed:', e.message);
+    }
+  }
+
+  useEffect(() => {
+    loadCleaners();
+  }, []);
+
+  useEffect(() => {
+    loadTasks(viewDate);
+  }, [viewDate]);
+
+  async function regenerate() {
+    try {
+      const j = await api('/api/realty/turnovers', { method: 'POST', body: JSON.stringify({}) });
+      alert(`Turnovers refreshed: ${j.created} new, ${j.updated} updated, ${j.cancelled} cancelled.`);
+      loadTasks();
+    } catch (e) {
+      alert(`Refresh failed: ${e.message}`);
+    }
+  }
+
+  async function patchTask(id, fields) {
+    const j = await api('/api/realty/turnovers', { method: 'PATCH', body: JSON.stringify({ id, ...fields }) });
+    const cleaner = cleaners.find((c) => c.id === j.item.assignee_id);
+    setTasks((list) =>
+      list.map((t) => (t.id === id ? { ...t, ...j.item, assignee_name: cleaner?.name || '' } : t))
+    );
+  }
+
+  async function uploadPhoto(file, task) {
+    const j = await api('/api/admin/upload-asset', {
+      method: 'POST',
+      body: JSON.stringify({
+        file: { data: await readFileBase64(file), name: file.name },
+        file_type: 'image',
+        division: 'realty',
+        purpose: 'turnover',
+        metadata: { turnover_task_id: task.id, property_id: task.property_id },
+      }),
+    });
+    return j.file_url;
+  }
+
+  async function addCleaner() {
+    if (!newCleaner.name.trim()) return alert('Name required');
+    try {
+      await api('/api/realty/cleaners', { method: 'POST', body: JSON.stringify(newCleaner) });
+      setNewCleaner({ name: '', email: '', phone: '' });
+      loadCleaners();
+    } catch (e) {
+      alert(e.message);
+    }
+  }
+
+  async function updateCleaner(id, fields, confirmMsg) {
+    if (confirmMsg && !confirm(confirmMsg)) return;
+    try {
+      await api('/api/realty/cleaners', { method: 'PATCH', body: JSON.stringify({ id, ...fields }) });
+      loadCleaners();
+    } catch (e) {
+      alert(e.message);
+    }
+  }
+
+  const events = tasks.map((t) => ({
+    id: t.id,
+    title: `${t.same_day ? '⚠ ' : ''}${t.property_name}${t.assignee_name ? ` — ${t.assignee_name}` : ' — unassigned'}`,
+    start: asDate(t.checkout_on),
+    end: asDate(t.checkout_on),
+    allDay: true,
+    task: t,
+  }));
+
+  const eventPropGetter = (ev) => {
+    const t = ev.task;
+    if (t.status === 'done') return { style: { backgroundColor: '#6b7280' } };
+    if (t.same_day) return { style: { backgroundColor: '#dc2626' } };
+    if (!t.assignee_id) return { style: { backgroundColor: '#d97706' } };
+    return {};
+  };
+
+  const selected = tasks.find((t) => t.id === selectedId);
+  const activeCleaners = cleaners.filter((c) => c.active !== false);
+  const sameDayCount = tasks.filter((t) => t.same_day && t.status !== 'done').length;
+  const unassignedCount = tasks.filter((t) => !t.assignee_id && t.status !== 'done').length;
+
+  return (
+    <div className="glass p-4 rounded space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">Turnovers &amp; Cleaning</h2>
+        <div className="flex items-center gap-3 text-xs">
+          <span className="text-red-600 font-semibold">{sameDayCount} same-day</span>
+          <span className="text-orange-600 font-semibold">{unassignedCount} unassigned</span>
+          {loading && <span className="opacity-60">Loading…</span>}
+          <button className="px-3 py-1 rounded bg-gray-700 text-white" onClick={regenerate}>
+            Regenerate from bookings
+          </button>
+        </div>
+      </div>
+
+      <div className="h-[520px]">
+        <Calendar
+          localizer={localizer}
+          events={events}
+          startAccessor="start"
+          endAccessor="end"
+          views={['month', 'agenda']}
+          date={viewDate}
+          onNavigate={(d) => setViewDate(d)}
+          onSelectEvent={(ev) => setSelectedId(ev.id)}
+          eventPropGetter={eventPropGetter}
+          style={{ height: '100%' }}
+          className="bg-white dark:bg-gray-800 p-2 rounded text-xs"
+        />
+      </div>
+
+      {selected && (
+        <TurnoverTaskCard
+          key={selected.id}
+          task={selected}
+          statuses={['in_progress', 'done']}
+          onPatch={(fields) => patchTask(selected.id, fields)}
+          onUpload={(file) => uploadPhoto(file, selected)}
+        >
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <label className="inline-flex items-center gap-2">
+              Cleaner
+              <select
+                className="dark:bg-gray-900"
+                value={selected.assignee_id || ''}
+                onChange={(e) =>
+                  patchTask(selected.id, { assignee_id: e.target.value || null }).catch((err) => alert(err.message))
+                }
+              >
+                <option value="">Unassigned</option>
+                {activeCleaners.map((c) => (
+                  <option key={c.id} value={c.id}>{c.name}</option>
+                ))}
+              </select>
+            </label>
+            <button className="underline opacity-70" onClick={() => setSelectedId(null)}>
+              Close
+            </button>
+          </div>
+        </TurnoverTaskCard>
+      )}
+
+      <div className="border-t pt-3">
+        <h3 className="font-semibold mb-2 text-sm">Cleaners</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr className="text-left border-b dark:border-gray-800">
+                <th className="py-1">Name</th>
+                <th>Contact</th>
+                <th>Links</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {cleaners.map((c) => (
+                <tr key={c.id} className={`border-b dark:border-gray-900 ${c.active === false ? 'opacity-50' : ''}`}>
+                  <td className="py-1">{c.name}</td>
+                  <td>
+                    {c.email || '—'}
+                    {c.phone ? ` • ${c.phone}` : ''}
+                  </td>
+                  <td className="space-x-2">
+                    <button className="underline" onClick={() => copyText(c.tasks_url)}>Copy task page</button>
+                    <button className="underline" onClick={() => copyText(c.ics_url)}>Copy ICS feed</button>
+                  </td>
+                  <td className="space-x-2 text-right">
+                    <button
+                      className="underline"
+                      onClick={() =>
+                        updateCleaner(c.id, { rotate_token: true }, 'Reset links? The old task page and ICS feed stop working.')
+                      }
+                    >
+                      Reset links
+                    </button>
+                    <button className="underline" onClick={() => updateCleaner(c.id, { active: c.active === false })}>
+                      {c.active === false ? 'Reactivate' : 'Deactivate'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {cleaners.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="py-3 opacity-70">No cleaners yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-2 flex flex-wrap gap-2 text-sm">
+          <input
+            placeholder="Name"
+            value={newCleaner.name}
+            onChange={(e) => setNewCleaner({ ...newCleaner, name: e.target.value })}
+          />
+          <input
+            placeholder="Email"
+            value={newCleaner.email}
+            onChange={(e) => setNewCleaner({ ...newCleaner, email: e.target.value })}
+          />
+          <input
+            placeholder="Phone"
+            value={newCleaner.phone}
+            onChange={(e) => setNewCleaner({ ...newCleaner, phone: e.target.value })}
+          />
+          <button className="px-3 py-1 rounded bg-blue-600 text-white" onClick={addCleaner}>
+            Add Cleaner
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
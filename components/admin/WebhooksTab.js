@@ -0,0 +1,128 @@
+// components/admin/WebhooksTab.js
+import React, { useCallback, useEffect, useState } from 'react';
+import SectionCard from '@/components/admin/SectionCard';
+import { adminAuthHeaders } from '@/lib/adminUtils';
+
+async function call(options = {}, query = '') {
+  const res = await fetch(`/api/admin/webhook-events${query}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(await adminAuthHeaders()) },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || data.error) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+const FILTERS = ['failed', 'processing', 'processed', 'all'];
+
+/**
+ * Stripe webhook ledger (lib/webhookEvents.js).
+ *
+ * - Every delivery is stored; ones already processed are skipped on retry
+ * - Failed events can be replayed once the cause is fixed
+ * - "Stuck" = processing for longer than a few minutes (crashed run)
+ */
+export default function WebhooksTab() {
+  const [items, setItems] = useState([]);
+  const [filter, setFilter] = useState('failed');
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const data = await call({}, `?status=${filter}`);
+      setItems(data.items || []);
+    } catch (e) {
+      setMsg(e.message);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const replay = async (ev) => {
+    if (!confirm(`Replay ${ev.type} (${ev.event_id})? Everything it triggers runs again.`)) return;
+    setBusy(true);
+    setMsg('');
+    try {
+      const data = await call({ method: 'POST', body: JSON.stringify({ id: ev.id }) });
+      setMsg(data.status === 'processed' ? 'Replayed.' : `Replay failed again: ${data.last_error}`);
+      await load();
+    } catch (e) {
+      setMsg(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const input = 'border rounded px-2 py-1 dark:bg-gray-900';
+
+  return (
+    <SectionCard title="Webhooks">
+      <div className="flex flex-wrap gap-2 items-center text-sm mb-6">
+        <select className={input} value={filter} onChange={(e) => setFilter(e.target.value)}>
+          {FILTERS.map((f) => (
+            <option key={f} value={f}>
+              {f}
+            </option>
+          ))}
+        </select>
+        <button disabled={busy} onClick={load} className="px-3 py-1 rounded border disabled:opacity-50">
+          Refresh
+        </button>
+        {msg && <span className="text-xs">{msg}</span>}
+      </div>
+
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="text-left border-b dark:border-gray-700">
+            <th className="py-2">Received</th>
+            <th>Endpoint</th>
+            <th>Event</th>
+            <th>Status</th>
+            <th>Attempts</th>
+            <th>Error</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((ev) => (
+            <tr key={ev.id} className="border-b dark:border-gray-800 align-top">
+              <td className="py-2 text-xs whitespace-nowrap">{new Date(ev.received_at).toLocaleString()}</td>
+              <td className="py-2">{ev.endpoint}</td>
+              <td className="py-2">
+                {ev.type}
+                <div className="text-xs opacity-70 font-mono">{ev.event_id}</div>
+              </td>
+              <td className="py-2">
+                {ev.status}
+                {ev.stale && <span className="ml-2 text-xs text-amber-600">stuck</span>}
+              </td>
+              <td className="py-2">{ev.attempts}</td>
+              <td className="py-2 text-xs text-red-600 max-w-md break-words">{ev.error}</td>
+              <td className="py-2">
+                {(ev.status === 'failed' || ev.stale) && (
+                  <button
+                    disabled={busy}
+                    onClick={() => replay(ev)}
+                    className="px-2 py-0.5 rounded bg-blue-600 text-white text-xs disabled:opacity-50"
+                  >
+                    Replay
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+          {!items.length && (
+            <tr>
+              <td colSpan={7} className="py-3 opacity-60">
+                {filter === 'failed' ? 'No failed webhook events.' : 'No webhook events.'}
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </SectionCard>
+  );
+}
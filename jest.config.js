@@ -0,0 +1,11 @@
+// jest.config.js
+const nextJest = require('next/jest');
+
+const createJestConfig = nextJest({ dir: './' });
+
+/** @type {import('jest').Config} */
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/tests/**/*.test.js'],
+  moduleNameMapper: { '^@/(.*)$': '<rootDir>/$1' },
+});
@@ -0,0 +1,54 @@
+// lib/adminAuth.js
+import crypto from 'crypto';
+import { supabaseAdmin } from './supabaseAdmin';
+
+/**
+ * Admin-only API guard (same check as admin/fulfillment/retry.js):
+ * Bearer <supabase access token> whose users.role is 'admin'.
+ *
+ * Returns the auth user, or null after sending 401/403 — callers just
+ * `if (!admin) return;`.
+ */
+export async function requireAdmin(req, res) {
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+  if (!token) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+
+  const { data: userResp, error: getUserErr } = await supabaseAdmin.auth.getUser(token);
+  if (getUserErr || !userResp?.user) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+
+  const { data: roleRow } = await supabaseAdmin
+    .from('users')
+    .select('role')
+    .eq('id', userResp.user.id)
+    .maybeSingle();
+
+  if ((roleRow?.role || 'user') !== 'admin') {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+
+  return userResp.user;
+}
+
+/**
+ * Guard for cron endpoints: `Authorization: Bearer <CRON_SECRET>` (what
+ * Vercel Cron sends), or a signed-in admin running the job by hand.
+ *
+ * Same return contract as requireAdmin.
+ */
+export async function requireCron(req, res) {
+  const secret = process.env.CRON_SECRET;
+  const given = Buffer.from(req.headers.authorization || '');
+  const expected = Buffer.from(`Bearer ${secret}`);
+  if (secret && given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+    return { cron: true };
+  }
+  return requireAdmin(req, res);
+}
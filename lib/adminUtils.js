@@ -83,3 +83,11 @@ export const deleteRow = async (
     alert('Deleted.');
   }
 };
+
+// Authorization header for admin-only API routes (see lib/adminAuth.js)
+export const adminAuthHeaders = async () => {
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+};
@@ -1,5 +1,9 @@
 // lib/cartSlice.js
 import { createSlice } from '@reduxjs/toolkit';
+import { cartLineId } from './shipping';
+
+// lines are keyed by product + variant (a tee in M and in L are two lines)
+export const lineKey = (item) => item.line_id || String(item.id);
 
 export const cartSlice = createSlice({
   name: 'cart',
@@ -8,18 +12,21 @@ export const cartSlice = createSlice({
   },
   reducers: {
     addToCart: (state, action) => {
-      const item = state.items.find((i) => i.id === action.payload.id);
+      const line_id = cartLineId(action.payload.id, action.payload.variant);
+      const item = state.items.find((i) => lineKey(i) === line_id);
       if (item) {
         item.quantity += action.payload.quantity || 1;
       } else {
-        state.items.push({ ...action.payload, quantity: action.payload.quantity || 1 });
+        state.items.push({ ...action.payload, line_id, quantity: action.payload.quantity || 1 });
       }
     },
+    // payload: line key (lineKey(item))
     removeFromCart: (state, action) => {
-      state.items = state.items.filter((i) => i.id !== action.payload);
+      state.items = state.items.filter((i) => lineKey(i) !== action.payload);
     },
+    // payload: { id: line key, quantity }
     updateQuantity: (state, action) => {
-      const item = state.items.find((i) => i.id === action.payload.id);
+      const item = state.items.find((i) => lineKey(i) === action.payload.id);
       if (item) {
         item.quantity = action.payload.quantity;
       }
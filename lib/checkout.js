@@ -0,0 +1,413 @@
+// lib/checkout.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { BASE_CURRENCY, convertAmount, exchangeRate, formatMoney, productPrice } from '@/lib/currency';
+import { isPrintfulProduct, variantLabel } from '@/lib/shipping';
+import { fulfillMerchSession, variantsForProduct } from '@/lib/merch';
+import { TIER_LABELS, grantStudioAccess, studioAccessExpiry } from '@/lib/studio/entitlements';
+import { hasOrderEvent, recordOrderEvent } from '@/lib/orderEvents';
+import { sendOrderReceipt } from '@/lib/emails/orderReceiptEmail';
+import { digitalDelivery, grantDigitalDownloads, libraryLinks, listSessionLibrary } from '@/lib/digital';
+
+/**
+ * Cart checkout: one Stripe session for every line of the cart.
+ *
+ * Cart lines from the client are only ids + quantities:
+ *   { product_id, variant_id?, quantity } | { bundle_id, quantity }
+ * and are re-priced here from products / bundles (bundles: id, name,
+ * description, price in BASE_CURRENCY, product_ids, status).
+ *
+ * create-session writes one orders row per line, all sharing
+ * stripe_session_id and order_group_id:
+ *   product_id (null for bundles), bundle_id, quantity, printful_sync_variant_id,
+ *   product_snapshot.line_kind  'printful' | 'digital' | 'studio' | 'bundle'
+ *   product_snapshot.components [{ product_id, name, kind, sync_variant_id,
+ *                                  variant, universe_id, universe_slug, tier,
+ *                                  download_url, download_files,
+ *                                  download_limit, download_days }]
+ * and the Stripe webhook calls fulfillCartSession once the session is paid.
+ */
+
+export const MAX_CART_LINES = 50;
+
+function asMeta(v) {
+  if (!v) return {};
+  if (typeof v === 'object') return v;
+  try {
+    const parsed = JSON.parse(v);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/** How a product is delivered: 'studio' | 'printful' | 'digital'. */
+export function lineKind(product) {
+  const meta = asMeta(product?.metadata);
+  const offer = String(meta.offer_type || meta.kind || '').trim().toLowerCase();
+  if (offer === 'studio_access') return 'studio';
+  if (isPrintfulProduct({ ...product, metadata: meta })) return 'printful';
+  return 'digital';
+}
+
+// private files sold with a digital product (lib/digital.js)
+function downloadFields(kind, meta) {
+  if (kind !== 'digital') return { download_files: [], download_limit: null, download_days: null };
+  const { files, limit, days } = digitalDelivery(meta);
+  return { download_files: files, download_limit: limit, download_days: days };
+}
+
+function component(product, kind, variant = null) {
+  const meta = asMeta(product.metadata);
+  return {
+    product_id: product.id,
+    name: product.name || 'Item',
+    kind,
+    sync_variant_id: variant ? variant.sync_variant_id : null,
+    variant: variant
+      ? { sync_variant_id: variant.sync_variant_id, size: variant.size || null, color: variant.color || null, name: variant.name || '' }
+      : null,
+    universe_id: kind === 'studio' ? String(meta.universe_id || '') : null,
+    universe_slug: kind === 'studio' ? String(meta.universe_slug || '') : null,
+    tier: kind === 'studio' ? String(meta.tier || '').toLowerCase() : null,
+    download_url: kind === 'digital' ? meta.download_url || null : null,
+    ...downloadFields(kind, meta),
+  };
+}
+
+// product -> component, or { error }
+async function resolveProduct(product, variantId, context = '') {
+  if (!product || product.status !== 'active') return { error: `${context || 'A product in your cart'} is no longer available` };
+  if (String(product.division || '').toLowerCase() === 'realty') {
+    return { error: 'Stays are booked from the property page, not the cart' };
+  }
+
+  const kind = lineKind(product);
+  if (kind === 'studio') {
+    const meta = asMeta(product.metadata);
+    if (!meta.universe_id || !studioAccessExpiry(meta.tier)) {
+      return { error: `${product.name} is missing its studio universe / tier` };
+    }
+    return { component: component(product, kind) };
+  }
+  if (kind !== 'printful') return { component: component(product, kind) };
+
+  const variants = await variantsForProduct(product);
+  const variant = variantId
+    ? variants.find((v) => String(v.sync_variant_id) === String(variantId))
+    : variants.length === 1
+    ? variants[0]
+    : null;
+  if (!variant) {
+    return {
+      error: context
+        ? `${context} includes ${product.name}, which comes in several sizes / colours — add it to the cart on its own`
+        : `Please choose a size / colour for ${product.name}`,
+    };
+  }
+  if (variant.available === false) return { error: `${product.name} (${variantLabel(variant) || variant.name}) is unavailable` };
+  return { component: component(product, kind, variant), variant };
+}
+
+/**
+ * Validate + load cart lines. Returns { lines } or { error } where a line is
+ *   { kind, product?, bundle?, variant?, components, quantity }
+ */
+export async function resolveCartLines(rawLines = []) {
+  if (!Array.isArray(rawLines) || !rawLines.length) return { error: 'Cart is empty' };
+  if (rawLines.length > MAX_CART_LINES) return { error: `A cart can hold up to ${MAX_CART_LINES} lines` };
+
+  const bundleIds = Array.from(new Set(rawLines.filter((l) => l.bundle_id).map((l) => String(l.bundle_id))));
+  const { data: bundles, error: bErr } = bundleIds.length
+    ? await supabaseAdmin.from('bundles').select('*').in('id', bundleIds)
+    : { data: [], error: null };
+  if (bErr) throw bErr;
+  const bundleById = Object.fromEntries((bundles || []).map((b) => [String(b.id), b]));
+
+  const productIds = new Set(rawLines.filter((l) => l.product_id).map((l) => String(l.product_id)));
+  (bundles || []).forEach((b) => (b.product_ids || []).forEach((id) => productIds.add(String(id))));
+  const { data: products, error: pErr } = productIds.size
+    ? await supabaseAdmin.from('products').select('*').in('id', Array.from(productIds))
+    : { data: [], error: null };
+  if (pErr) throw pErr;
+  const productById = Object.fromEntries((products || []).map((p) => [String(p.id), p]));
+
+  const lines = [];
+  for (const raw of rawLines) {
+    const quantity = Math.max(1, parseInt(raw.quantity, 10) || 1);
+
+    if (raw.bundle_id) {
+      const bundle = bundleById[String(raw.bundle_id)];
+      if (!bundle || (bundle.status && bundle.status !== 'active')) return { error: 'A bundle in your cart is no longer available' };
+      const ids = Array.isArray(bundle.product_ids) ? bundle.product_ids : [];
+      if (!ids.length) return { error: `${bundle.name} is empty` };
+
+      const components = [];
+      for (const id of ids) {
+        const r = await resolveProduct(productById[String(id)], null, bundle.name);
+        if (r.error) return { error: r.error };
+        components.push(r.component);
+      }
+      // a studio grant is per buyer, so one is enough
+      const hasStudio = components.some((c) => c.kind === 'studio');
+      lines.push({ kind: 'bundle', bundle, components, quantity: hasStudio ? 1 : quantity });
+      continue;
+    }
+
+    const product = productById[String(raw.product_id)];
+    const r = await resolveProduct(product, raw.variant_id);
+    if (r.error) return { error: r.error };
+    lines.push({
+      kind: r.component.kind,
+      product,
+      variant: r.variant || null,
+      components: [r.component],
+      quantity: r.component.kind === 'studio' ? 1 : quantity,
+    });
+  }
+  return { lines };
+}
+
+/** Unit price of a line in `currency` ({ amount, currency }) or null when no rate is stored. */
+export function linePrice(line, currency, rates = {}) {
+  if (line.kind === 'bundle') {
+    const amount = convertAmount(Number(line.bundle.price || 0), BASE_CURRENCY, currency, rates);
+    return amount == null ? null : { amount, currency };
+  }
+  // a variant's own retail price wins over the product price
+  const priced = line.variant?.price != null ? { ...line.product, price: line.variant.price } : line.product;
+  return productPrice({ ...priced, metadata: asMeta(priced.metadata) }, currency, rates);
+}
+
+/**
+ * Price resolved lines in `currency`, falling back to BASE_CURRENCY when a
+ * rate is missing for any of them.
+ * Returns { currency, toChargedRate, priced: [{ line, unit }] }.
+ */
+export function priceCartLines(lines, currency, rates = {}) {
+  const cur = lines.some((l) => !linePrice(l, currency, rates)) ? BASE_CURRENCY : currency;
+  return {
+    currency: cur,
+    toChargedRate: exchangeRate(BASE_CURRENCY, cur, rates) || 1,
+    priced: lines.map((line) => ({ line, unit: linePrice(line, cur, rates) })),
+  };
+}
+
+/** Printful items for the physical parts of the cart: [{ sync_variant_id, quantity }]. */
+export function printfulItemsFor(lines = []) {
+  const items = [];
+  lines.forEach((l) =>
+    l.components
+      .filter((c) => c.kind === 'printful' && c.sync_variant_id)
+      .forEach((c) => items.push({ sync_variant_id: c.sync_variant_id, quantity: l.quantity }))
+  );
+  return items;
+}
+
+/** Stock to hold for the cart (lib/inventory.js): one entry per product / variant in every line. */
+export function stockItemsFor(lines = []) {
+  const items = [];
+  lines.forEach((l) =>
+    l.components.forEach((c) =>
+      items.push({ product_id: c.product_id, variant_id: c.sync_variant_id, quantity: l.quantity, name: c.name })
+    )
+  );
+  return items;
+}
+
+export const lineNeedsLogin = (line) => line.components.some((c) => c.kind === 'studio');
+
+/** Checkout display name: "Tee – M – Black", "Starter Bundle". */
+export function lineName(line) {
+  if (line.kind === 'bundle') return String(line.bundle.name || 'Bundle');
+  return [line.product.name || 'Product', line.variant?.size, line.variant?.color].filter(Boolean).join(' – ');
+}
+
+/**
+ * Pending orders row for a priced line (amount columns as in create-session).
+ * discount / promotion come from lib/promotions.js applyPromotions.
+ */
+export function orderRowForLine(
+  line,
+  { unit, currency, toChargedRate, sessionId, orderGroupId, userId, affiliateCode, discount = 0, promotion = null }
+) {
+  const now = new Date().toISOString();
+  const chargedTotal = Math.round((unit.amount * line.quantity - discount) * 100) / 100;
+  const isBundle = line.kind === 'bundle';
+  const physical = line.components.find((c) => c.kind === 'printful' && c.sync_variant_id);
+
+  return {
+    user_id: userId || null,
+    product_id: isBundle ? null : line.product.id,
+    bundle_id: isBundle ? line.bundle.id : null,
+    order_group_id: orderGroupId,
+    division: isBundle ? 'bundles' : line.product.division || 'site',
+    status: 'pending',
+    quantity: line.quantity,
+    total_amount: Math.round((chargedTotal / toChargedRate) * 100) / 100,
+    base_currency: BASE_CURRENCY,
+    currency,
+    charged_amount: chargedTotal,
+    exchange_rate: toChargedRate,
+    discount_amount: discount,
+    promotion_ids: promotion ? [promotion.id] : [],
+    promotions: promotion ? [{ ...promotion, amount: discount }] : [],
+    printful_sync_variant_id: !isBundle && physical ? String(physical.sync_variant_id) : null,
+    stripe_session_id: sessionId,
+    created_at: now,
+    updated_at: now,
+    affiliate_code: affiliateCode || null,
+    product_snapshot: {
+      name: lineName(line),
+      price: isBundle ? line.bundle.price : line.product.price,
+      thumbnail_url: isBundle ? null : line.variant?.image || line.product.thumbnail_url || null,
+      metadata: isBundle ? {} : asMeta(line.product.metadata),
+      line_kind: line.kind,
+      variant: line.variant ? line.components[0].variant : null,
+      components: line.components,
+    },
+  };
+}
+
+// rows written before cart checkout have no components; derive one
+function componentsOf(order) {
+  const snap = order.product_snapshot || {};
+  if (Array.isArray(snap.components) && snap.components.length) return snap.components;
+  const meta = asMeta(snap.metadata);
+  const kind = lineKind({ metadata: meta });
+  return [
+    {
+      product_id: order.product_id,
+      name: snap.name || 'Item',
+      kind,
+      universe_id: kind === 'studio' ? snap.universe_id || meta.universe_id || null : null,
+      universe_slug: kind === 'studio' ? meta.universe_slug || null : null,
+      tier: kind === 'studio' ? snap.tier || meta.tier || null : null,
+      download_url: kind === 'digital' ? meta.download_url || null : null,
+      ...downloadFields(kind, meta),
+    },
+  ];
+}
+
+function downloadNote(entry) {
+  const perFile = Math.round(entry.max_downloads / Math.max(1, entry.files.length));
+  return (
+    `${perFile} download${perFile === 1 ? '' : 's'}` +
+    (entry.expires_at ? `, until ${new Date(entry.expires_at).toLocaleDateString()}` : '')
+  );
+}
+
+function lineSummary(order) {
+  const snap = order.product_snapshot || {};
+  return `${snap.name || 'Item'} × ${order.quantity || 1}`;
+}
+
+/**
+ * Fulfil every paid line of a checkout session:
+ * - Printful parts -> one Printful order (lib/merch.js)
+ * - digital parts  -> a download library entry (lib/digital.js), links in the receipt
+ * - studio parts   -> studio_entitlements for the buyer (orders.user_id)
+ * then one receipt email per session. Safe to call again for the same
+ * session. Throws only when a studio grant fails, so the webhook returns
+ * 500 and Stripe retries. The receipt waits until every download was
+ * granted (its links are the only copy a guest gets) and is marked sent
+ * only once the email went out; otherwise it's an error and the retry
+ * sends it.
+ * Returns { ok, errors, merch, delivered }.
+ */
+export async function fulfillCartSession(session) {
+  const errors = [];
+
+  const merch = await fulfillMerchSession(session);
+  if (!merch.ok) errors.push(merch.error);
+
+  const { data: orders, error } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('stripe_session_id', session.id)
+    .eq('status', 'paid');
+  if (error) return { ok: false, errors: [...errors, error.message], merch, delivered: 0 };
+  if (!orders?.length) return { ok: errors.length === 0, errors, merch, delivered: 0 };
+
+  const site = process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+  const buyerEmail = session?.customer_details?.email || orders[0].customer_email || null;
+  const downloads = [];
+  const studio = [];
+  let delivered = 0;
+  let downloadsMissing = false;
+
+  for (const order of orders) {
+    const parts = componentsOf(order);
+
+    for (const c of parts) {
+      if (c.kind === 'digital' && c.download_files?.length) {
+        try {
+          await grantDigitalDownloads({ order, component: c, email: buyerEmail });
+        } catch (e) {
+          downloadsMissing = true;
+          errors.push(`order ${order.id}: download library failed: ${e.message}`);
+        }
+      } else if (c.kind === 'digital' && c.download_url) {
+        // products without private files still send their old link
+        downloads.push({ name: c.name, url: c.download_url });
+      }
+      if (c.kind !== 'studio') continue;
+      if (!order.user_id) {
+        errors.push(`order ${order.id}: studio access without a user`);
+        continue;
+      }
+      const granted = await grantStudioAccess({
+        userId: order.user_id,
+        universeId: c.universe_id,
+        tier: c.tier,
+        stripeSessionId: session.id,
+        stripeCustomerId: session.customer ? String(session.customer) : null,
+      });
+      studio.push({
+        name: c.name,
+        label: TIER_LABELS[c.tier] || c.tier,
+        url: c.universe_slug ? `${site}/studios/${c.universe_slug}` : `${site}/studios`,
+        expires_at: granted.expires_at,
+      });
+    }
+
+    // physical lines are moved along by Printful; the rest is done now
+    if (!parts.some((p) => p.kind === 'printful') && order.fulfillment_status !== 'delivered') {
+      const provider = parts.every((p) => p.kind === 'studio') ? 'studio' : 'digital';
+      await supabaseAdmin
+        .from('orders')
+        .update({ fulfillment_provider: provider, fulfillment_status: 'delivered', updated_at: new Date().toISOString() })
+        .eq('id', order.id);
+      delivered += 1;
+    }
+  }
+
+  const ids = orders.map((o) => o.id);
+  const receiptKey = `receipt:${session.id}`;
+  if (!downloadsMissing && !(await hasOrderEvent(ids, receiptKey))) {
+    try {
+      // every entry of the session, so a receipt sent by a retried run links
+      // the grants made by earlier runs too
+      const library = await listSessionLibrary(session.id);
+      library.forEach((entry) =>
+        libraryLinks(entry).forEach((l) => downloads.push({ ...l, note: downloadNote(entry) }))
+      );
+
+      await sendOrderReceipt({
+        to: buyerEmail,
+        name: String(session?.customer_details?.name || '').split(' ')[0] || 'there',
+        items: orders.map(lineSummary),
+        total: session?.amount_total != null ? formatMoney(session.amount_total / 100, session.currency) : '',
+        downloads,
+        studio,
+        trackUrl: orders.some((o) => componentsOf(o).some((p) => p.kind === 'printful'))
+          ? `${site}/track?order_id=${encodeURIComponent(orders[0].id)}`
+          : '',
+      });
+      await recordOrderEvent({ orderIds: ids, type: 'paid', message: 'Payment received', dedupeKey: receiptKey });
+    } catch (e) {
+      errors.push(`receipt email failed: ${e.message}`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors, merch, delivered };
+}
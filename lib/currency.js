@@ -0,0 +1,103 @@
+// lib/currency.js
+
+/**
+ * Currency helpers shared by the storefronts, checkout APIs and the webhook.
+ * Pure (no Supabase / Stripe) so client components can import it.
+ *
+ * - Every catalogue price is stored in a "priced-in" currency: products in
+ *   BASE_CURRENCY unless metadata.currency says otherwise, properties in
+ *   metadata.currency (default BASE_CURRENCY).
+ * - rates map currency -> units per 1 BASE_CURRENCY ({ usd: 1, eur: 0.92 }),
+ *   stored in the exchange_rates table (lib/exchangeRates.js).
+ * - Products can pin a price per currency in metadata.prices
+ *   ({ "eur": 27, "gbp": 23 }); that wins over conversion.
+ *
+ * Only two-decimal currencies are offered, so every `cents / 100` in the
+ * codebase stays correct.
+ */
+
+export const BASE_CURRENCY = 'usd';
+
+export const SUPPORTED_CURRENCIES = ['usd', 'eur', 'gbp', 'cad', 'aud', 'nzd', 'chf', 'sek', 'mxn', 'zar', 'kes'];
+
+const EURO_COUNTRIES = [
+  'AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK',
+];
+
+const COUNTRY_CURRENCY = {
+  US: 'usd',
+  GB: 'gbp',
+  CA: 'cad',
+  AU: 'aud',
+  NZ: 'nzd',
+  CH: 'chf',
+  SE: 'sek',
+  MX: 'mxn',
+  ZA: 'zar',
+  KE: 'kes',
+};
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/** Lower-case supported code, or null. */
+export function normalizeCurrency(code) {
+  const c = String(code || '').trim().toLowerCase();
+  return SUPPORTED_CURRENCIES.includes(c) ? c : null;
+}
+
+/** Display currency for an ISO country code (geo headers), or null. */
+export function currencyForCountry(country) {
+  const cc = String(country || '').trim().toUpperCase();
+  if (!cc) return null;
+  if (EURO_COUNTRIES.includes(cc)) return 'eur';
+  return COUNTRY_CURRENCY[cc] || null;
+}
+
+/** amount in `from` -> amount in `to`, rounded to 2 dp. null when a rate is missing. */
+export function convertAmount(amount, from, to, rates = {}) {
+  const f = normalizeCurrency(from) || BASE_CURRENCY;
+  const t = normalizeCurrency(to) || BASE_CURRENCY;
+  if (f === t) return round2(amount);
+  const rf = f === BASE_CURRENCY ? 1 : Number(rates[f]);
+  const rt = t === BASE_CURRENCY ? 1 : Number(rates[t]);
+  if (!(rf > 0) || !(rt > 0)) return null;
+  return round2((Number(amount || 0) / rf) * rt);
+}
+
+/** Multiplier from `from` to `to` (charged = amount * rate), or null. */
+export function exchangeRate(from, to, rates = {}) {
+  const f = normalizeCurrency(from) || BASE_CURRENCY;
+  const t = normalizeCurrency(to) || BASE_CURRENCY;
+  if (f === t) return 1;
+  const rf = f === BASE_CURRENCY ? 1 : Number(rates[f]);
+  const rt = t === BASE_CURRENCY ? 1 : Number(rates[t]);
+  if (!(rf > 0) || !(rt > 0)) return null;
+  return rt / rf;
+}
+
+/**
+ * Unit price of a product in `currency`:
+ * { amount, currency, overridden } or null when no rate is stored.
+ */
+export function productPrice(product, currency, rates = {}) {
+  const meta = product?.metadata || {};
+  const target = normalizeCurrency(currency) || BASE_CURRENCY;
+  const pinned = meta.prices && meta.prices[target];
+  if (pinned != null && Number(pinned) > 0) {
+    return { amount: round2(pinned), currency: target, overridden: true };
+  }
+  const pricedIn = normalizeCurrency(meta.currency) || BASE_CURRENCY;
+  const amount = convertAmount(Number(product?.price || 0), pricedIn, target, rates);
+  if (amount == null) return null;
+  return { amount, currency: target, overridden: false };
+}
+
+/** "€27.00", "CA$40.00", "KES 1,300.00" ... */
+export function formatMoney(amount, currency = BASE_CURRENCY, locale) {
+  const code = (normalizeCurrency(currency) || BASE_CURRENCY).toUpperCase();
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: code }).format(Number(amount || 0));
+  } catch {
+    return `${code} ${Number(amount || 0).toFixed(2)}`;
+  }
+}
@@ -0,0 +1,322 @@
+// lib/digital.js
+import crypto from 'crypto';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { licenseLine, stampPdf } from '@/lib/pdfWatermark';
+
+/**
+ * Paid digital goods (ebooks, design files).
+ *
+ * Products point at objects in the private DOWNLOAD_BUCKET, never at public
+ * URLs (metadata.download_url stays the free-download link on product pages):
+ *   metadata.download_files  [{ path, name }]     (or download_path + download_name)
+ *   metadata.download_limit  downloads per file per order (default DEFAULT_DOWNLOAD_LIMIT)
+ *   metadata.download_days   days an order stays downloadable (default: no expiry)
+ *
+ * Tables:
+ *  - digital_library: id, token, order_id, stripe_session_id, product_id,
+ *    user_id, email, name, files [{ path, name }], max_downloads,
+ *    download_count, expires_at, status 'active' | 'revoked', created_at,
+ *    updated_at; unique (order_id, product_id)
+ *  - digital_download_logs: id, library_id, order_id, user_id, file_path,
+ *    outcome 'ok' | 'limit' | 'expired' | 'revoked' | 'missing' | 'error'
+ *    (stamping / signing failed; the download is given back), ip,
+ *    user_agent, created_at (same idea as studio_download_logs)
+ *
+ * Buyer links are /api/downloads/<token>?file=<n>. Every hit is checked
+ * against the limits, logged, and redirected to a storage signed URL that
+ * lives SIGNED_URL_SECONDS, the way download-packet hands out studio zips.
+ *
+ * PDFs of publishing products are handed out as a copy with the buyer's name,
+ * email and order id in every page footer (lib/pdfWatermark.js). The copy is
+ * made on the first download and kept at watermarked/<order_id>/<path>.
+ */
+
+export const DOWNLOAD_BUCKET = process.env.DIGITAL_DOWNLOAD_BUCKET || 'downloads';
+export const SIGNED_URL_SECONDS = 60 * 10;
+export const DEFAULT_DOWNLOAD_LIMIT = 5;
+
+const SITE_URL = process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+
+const cleanPath = (p) => String(p || '').trim().replace(/^\/+/, '');
+
+/** Private files + limits from product metadata: { files: [{ path, name }], limit, days }. */
+export function digitalDelivery(meta = {}) {
+  const list = Array.isArray(meta.download_files)
+    ? meta.download_files
+    : meta.download_path
+    ? [{ path: meta.download_path, name: meta.download_name }]
+    : [];
+  const files = list
+    .map((f) => (typeof f === 'string' ? { path: f } : f || {}))
+    .filter((f) => cleanPath(f.path))
+    .map((f) => ({ path: cleanPath(f.path), name: String(f.name || cleanPath(f.path).split('/').pop()) }));
+
+  const limit = parseInt(meta.download_limit, 10);
+  const days = parseInt(meta.download_days, 10);
+  return {
+    files,
+    limit: limit > 0 ? limit : DEFAULT_DOWNLOAD_LIMIT,
+    days: days > 0 ? days : null,
+  };
+}
+
+/** Buyer-facing links for a library entry: [{ name, file, url }]. */
+export function libraryLinks(entry) {
+  return (entry.files || []).map((f, i) => ({
+    name: entry.files.length > 1 ? `${entry.name} — ${f.name}` : entry.name,
+    file: f.name,
+    url: `${SITE_URL}/api/downloads/${entry.token}?file=${i}`,
+  }));
+}
+
+/**
+ * Library entry for one paid order line + product. Safe to call again for
+ * the same order (the existing entry is returned).
+ * component: a lib/checkout.js component with download_files / download_limit / download_days.
+ */
+export async function grantDigitalDownloads({ order, component, email }) {
+  const files = component.download_files || [];
+  if (!files.length) return null;
+
+  const { data: existing, error: exErr } = await supabaseAdmin
+    .from('digital_library')
+    .select('*')
+    .eq('order_id', order.id)
+    .eq('product_id', component.product_id)
+    .maybeSingle();
+  if (exErr) throw exErr;
+  if (existing) return existing;
+
+  const now = new Date();
+  const { data, error } = await supabaseAdmin
+    .from('digital_library')
+    .insert({
+      token: crypto.randomBytes(24).toString('hex'),
+      order_id: order.id,
+      stripe_session_id: order.stripe_session_id,
+      product_id: component.product_id,
+      user_id: order.user_id || null,
+      email: email ? String(email).toLowerCase() : null,
+      name: component.name,
+      files,
+      max_downloads: (component.download_limit || DEFAULT_DOWNLOAD_LIMIT) * files.length,
+      download_count: 0,
+      expires_at: component.download_days
+        ? new Date(now.getTime() + component.download_days * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      status: 'active',
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+    })
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/** Live library entries of one checkout session, oldest first (receipt links). */
+export async function listSessionLibrary(sessionId) {
+  const { data, error } = await supabaseAdmin
+    .from('digital_library')
+    .select('*')
+    .eq('stripe_session_id', sessionId)
+    .eq('status', 'active')
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/** A buyer's library (signed-in user id, plus guest purchases made with their email), newest first. */
+export async function listLibrary({ userId, email }) {
+  const filters = [`user_id.eq.${userId}`];
+  if (email) filters.push(`email.eq."${String(email).toLowerCase()}"`);
+  const { data, error } = await supabaseAdmin
+    .from('digital_library')
+    .select('*')
+    .or(filters.join(','))
+    .neq('status', 'revoked')
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+
+  const now = Date.now();
+  return (data || []).map((e) => ({
+    id: e.id,
+    order_id: e.order_id,
+    name: e.name,
+    created_at: e.created_at,
+    expires_at: e.expires_at,
+    expired: !!e.expires_at && new Date(e.expires_at).getTime() <= now,
+    downloads_left: Math.max(0, Number(e.max_downloads || 0) - Number(e.download_count || 0)),
+    max_downloads: e.max_downloads,
+    links: libraryLinks(e),
+  }));
+}
+
+async function logDownload(entry, { filePath = null, outcome, ip = null, userAgent = null }) {
+  try {
+    await supabaseAdmin.from('digital_download_logs').insert({
+      library_id: entry?.id || null,
+      order_id: entry?.order_id || null,
+      user_id: entry?.user_id || null,
+      file_path: filePath,
+      outcome,
+      ip,
+      user_agent: userAgent,
+      created_at: new Date().toISOString(),
+    });
+  } catch (e) {
+    console.warn('digital_download_logs insert failed:', e?.message || e);
+  }
+}
+
+// download_count + 1 unless the limit is reached (compare-and-set on the old count)
+async function takeDownload(entry) {
+  let current = entry;
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const used = Number(current.download_count || 0);
+    if (used >= Number(current.max_downloads || 0)) return false;
+
+    const { data, error } = await supabaseAdmin
+      .from('digital_library')
+      .update({ download_count: used + 1, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .eq('download_count', used)
+      .select('*');
+    if (error) throw error;
+    if (data?.length) return true;
+
+    const { data: fresh, error: fErr } = await supabaseAdmin.from('digital_library').select('*').eq('id', entry.id).single();
+    if (fErr) throw fErr;
+    current = fresh;
+  }
+  return false;
+}
+
+// undo takeDownload when the link couldn't be produced after all
+async function returnDownload(entry) {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const { data: current, error: cErr } = await supabaseAdmin
+      .from('digital_library')
+      .select('id, download_count')
+      .eq('id', entry.id)
+      .single();
+    if (cErr) throw cErr;
+    const used = Number(current.download_count || 0);
+    if (used <= 0) return;
+
+    const { data, error } = await supabaseAdmin
+      .from('digital_library')
+      .update({ download_count: used - 1, updated_at: new Date().toISOString() })
+      .eq('id', entry.id)
+      .eq('download_count', used)
+      .select('id');
+    if (error) throw error;
+    if (data?.length) return;
+  }
+}
+
+const isPdf = (file) => /\.pdf$/i.test(file.path);
+
+// path to sign for this buyer: their stamped copy of a publishing PDF, else the file itself
+async function deliveryPath(entry, file) {
+  if (!isPdf(file)) return file.path;
+
+  const { data: product, error: pErr } = await supabaseAdmin
+    .from('products')
+    .select('division')
+    .eq('id', entry.product_id)
+    .maybeSingle();
+  if (pErr) throw pErr;
+  if (String(product?.division || '').toLowerCase() !== 'publishing') return file.path;
+
+  const bucket = supabaseAdmin.storage.from(DOWNLOAD_BUCKET);
+  const stampedPath = `watermarked/${entry.order_id}/${file.path}`;
+  const folder = stampedPath.slice(0, stampedPath.lastIndexOf('/'));
+  const fileName = stampedPath.slice(stampedPath.lastIndexOf('/') + 1);
+
+  const { data: cached, error: listErr } = await bucket.list(folder, { search: fileName });
+  if (listErr) throw listErr;
+  if ((cached || []).some((o) => o.name === fileName)) return stampedPath;
+
+  const { data: order, error: oErr } = await supabaseAdmin
+    .from('orders')
+    .select('id, customer_name, customer_email')
+    .eq('id', entry.order_id)
+    .maybeSingle();
+  if (oErr) throw oErr;
+
+  const { data: original, error: dlErr } = await bucket.download(file.path);
+  if (dlErr) throw dlErr;
+
+  let stamped;
+  try {
+    stamped = await stampPdf(
+      Buffer.from(await original.arrayBuffer()),
+      licenseLine({
+        name: order?.customer_name,
+        email: order?.customer_email || entry.email,
+        orderId: entry.order_id,
+      })
+    );
+  } catch (e) {
+    // encrypted / broken PDFs can't be stamped; retrying won't help, so send the original
+    console.warn(`pdf watermark failed for ${file.path}:`, e?.message || e);
+    return file.path;
+  }
+
+  const { error: upErr } = await bucket.upload(stampedPath, stamped, { contentType: 'application/pdf', upsert: true });
+  if (upErr) throw upErr;
+  return stampedPath;
+}
+
+/**
+ * Resolve a buyer link to a short-lived signed URL.
+ * Returns { url } or { status, error }; every outcome is logged.
+ */
+export async function signDownload({ token, fileIndex = 0, ip = null, userAgent = null }) {
+  if (!token) return { status: 400, error: 'Missing download token' };
+
+  const { data: entry, error } = await supabaseAdmin.from('digital_library').select('*').eq('token', token).maybeSingle();
+  if (error) throw error;
+  if (!entry) return { status: 404, error: 'Download not found' };
+
+  const file = (entry.files || [])[Number(fileIndex) || 0];
+  const ctx = { filePath: file?.path || null, ip, userAgent };
+
+  if (!file) {
+    await logDownload(entry, { ...ctx, outcome: 'missing' });
+    return { status: 404, error: 'File not found' };
+  }
+  if (entry.status === 'revoked') {
+    await logDownload(entry, { ...ctx, outcome: 'revoked' });
+    return { status: 403, error: 'This download is no longer available' };
+  }
+  if (entry.expires_at && new Date(entry.expires_at) <= new Date()) {
+    await logDownload(entry, { ...ctx, outcome: 'expired' });
+    return { status: 410, error: 'This download link has expired' };
+  }
+
+  // count the download before doing any work, so a buyer over the limit
+  // can't make us stamp PDFs; a storage hiccup afterwards gives it back
+  if (!(await takeDownload(entry))) {
+    await logDownload(entry, { ...ctx, outcome: 'limit' });
+    return { status: 429, error: 'Download limit reached for this order — contact support@manyagi.net' };
+  }
+
+  let signed;
+  try {
+    const path = await deliveryPath(entry, file);
+    const { data, error: signErr } = await supabaseAdmin.storage
+      .from(DOWNLOAD_BUCKET)
+      .createSignedUrl(path, SIGNED_URL_SECONDS, { download: file.name });
+    if (signErr) throw signErr;
+    signed = data;
+  } catch (e) {
+    await logDownload(entry, { ...ctx, outcome: 'error' });
+    await returnDownload(entry).catch((err) => console.warn('[digital] download count not returned:', err.message));
+    throw e;
+  }
+
+  await logDownload(entry, { ...ctx, outcome: 'ok' });
+  return { url: signed.signedUrl };
+}
@@ -1,4 +1,36 @@
 // lib/emailTemplates.js
+import { taxLineLabel } from './realty/taxes';
+import { formatMoney } from './currency';
+
+// itemized charges from realty_reservations.price_breakdown (receipts only).
+// The breakdown is in the property currency; `charged` ({ amount, currency },
+// major units) is what Stripe took and gets its own row when it differs.
+function chargesTableHTML(breakdown, charged = null) {
+  if (!breakdown || breakdown.total == null) return '';
+
+  const currency = breakdown.currency || 'usd';
+  const row = (label, value, strong = false, cur = currency) => `
+            <tr>
+              <td style="padding:8px 16px;font-size:14px;color:#374151;${strong ? 'font-weight:700;color:#111827;border-top:1px solid #e5e7eb' : ''}">${label}</td>
+              <td style="padding:8px 16px;font-size:14px;color:#111827;text-align:right;${strong ? 'font-weight:700;border-top:1px solid #e5e7eb' : ''}">${formatMoney(value, cur)}</td>
+            </tr>`;
+  const chargedOther =
+    charged?.currency && String(charged.currency).toLowerCase() !== String(currency).toLowerCase();
+
+  const nights = Number(breakdown.nights || 0);
+  const rows = [
+    row(`${nights} night${nights === 1 ? '' : 's'}`, breakdown.base_subtotal),
+    ...(breakdown.lines || []).map((l) => row(l.label, l.amount)),
+    ...(Number(breakdown.cleaning_fee || 0) > 0 ? [row('Cleaning fee', breakdown.cleaning_fee)] : []),
+    ...(breakdown.taxes || []).map((t) => row(taxLineLabel(t, currency), t.amount)),
+    row(`Total (${String(currency).toUpperCase()})`, breakdown.total, true),
+    ...(chargedOther ? [row(`Charged (${String(charged.currency).toUpperCase()})`, charged.amount, true, charged.currency)] : []),
+  ];
+
+  return `
+          <table role="presentation" style="width:100%;border:1px solid #e5e7eb;border-radius:8px;margin:16px 0">${rows.join('')}
+          </table>`;
+}
 
 export function itineraryEmailHTML({
   type = 'itinerary', // NEW: 'itinerary' or 'receipt'
@@ -12,6 +44,9 @@ export function itineraryEmailHTML({
   icsUrl = '',
   detailsUrl = '',
   supportEmail = 'realty@manyagi.net',
+  breakdown = null, // realty_reservations.price_breakdown, shown on receipts
+  cancelUrl = '', // signed guest cancel link (lib/realty/cancellation.js)
+  charged = null, // { amount, currency } Stripe charged, major units
 }) {
   return `
   <div style="background:#f6f7fb;padding:24px">
@@ -47,9 +82,15 @@ export function itineraryEmailHTML({
                 <div style="font-size:12px;color:#6b7280;margin-bottom:2px">Guests</div>
                 <div style="font-size:14px;color:#111827">${guests}</div>
               </td>
-            </tr>
+            </tr>${type !== 'receipt' && charged ? `
+            <tr>
+              <td style="padding:12px 16px;border-top:1px solid #e5e7eb">
+                <div style="font-size:12px;color:#6b7280;margin-bottom:2px">Total paid</div>
+                <div style="font-size:14px;color:#111827">${formatMoney(charged.amount, charged.currency)}</div>
+              </td>
+            </tr>` : ''}
           </table>
-
+${type === 'receipt' ? chargesTableHTML(breakdown, charged) : ''}
           <div style="display:flex;gap:10px;margin-top:8px">
             <a href="${icsUrl}" style="background:#111827;color:#fff;text-decoration:none;padding:10px 14px;border-radius:8px;font-weight:600;display:inline-block">Add to Calendar</a>
             <a href="${detailsUrl}" style="background:#f3f4f6;color:#111827;text-decoration:none;padding:10px 14px;border-radius:8px;font-weight:600;display:inline-block">View Listing</a>
@@ -59,6 +100,10 @@ export function itineraryEmailHTML({
             Have questions? Reply to this email or contact us at
             <a href="mailto:${supportEmail}" style="color:#111827">${supportEmail}</a>.
           </p>
+${cancelUrl ? `
+          <p style="margin:8px 0 0 0;color:#6b7280;font-size:12px;line-height:1.55">
+            Need to cancel? <a href="${cancelUrl}" style="color:#111827">Cancel your reservation</a> — refunds follow the property’s cancellation policy.
+          </p>` : ''}
         </td>
       </tr>
       <tr>
@@ -69,4 +114,73 @@ export function itineraryEmailHTML({
     </table>
   </div>
   `;
-}
\ No newline at end of file
+}
+
+/**
+ * Scheduled guest messages (lib/realty/guestMessages.js): same shell as the
+ * itinerary, with a details table, free paragraphs and an optional button.
+ */
+export function guestMessageEmailHTML({
+  kicker = 'Manyagi Realty',
+  title = 'Your Stay',
+  propertyName = 'Manyagi Realty Property',
+  guestName = 'Guest',
+  intro = '',
+  details = [], // [{ label, value }] — empty values are skipped
+  paragraphs = [],
+  cta = null, // { label, url }
+  supportEmail = 'realty@manyagi.net',
+  brand = 'Manyagi Realty', // footer; merch shipment emails pass 'Manyagi'
+}) {
+  const rows = details.filter((d) => d && d.value != null && String(d.value).trim() !== '');
+
+  return `
+  <div style="background:#f6f7fb;padding:24px">
+    <table role="presentation" style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:12px;overflow:hidden;font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif">
+      <tr>
+        <td style="background:#111827;padding:20px 24px;color:#fff">
+          <div style="font-size:18px;font-weight:700">${kicker}</div>
+          <div style="opacity:.85;font-size:12px;margin-top:2px">${title} • ${propertyName}</div>
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:24px">
+          <h1 style="font-size:20px;margin:0 0 12px 0;color:#111827">Hi ${guestName},</h1>
+          <p style="margin:0 0 16px 0;color:#374151;line-height:1.55">${intro}</p>
+${rows.length ? `
+          <table role="presentation" style="width:100%;border:1px solid #e5e7eb;border-radius:8px;margin:16px 0">${rows
+            .map(
+              (d, i) => `
+            <tr>
+              <td style="padding:12px 16px;${i < rows.length - 1 ? 'border-bottom:1px solid #e5e7eb' : ''}">
+                <div style="font-size:12px;color:#6b7280;margin-bottom:2px">${d.label}</div>
+                <div style="font-size:14px;color:#111827;white-space:pre-line">${d.value}</div>
+              </td>
+            </tr>`
+            )
+            .join('')}
+          </table>` : ''}
+${paragraphs
+  .filter(Boolean)
+  .map((p) => `
+          <p style="margin:0 0 12px 0;color:#374151;line-height:1.55;white-space:pre-line">${p}</p>`)
+  .join('')}
+${cta?.url ? `
+          <div style="margin-top:8px">
+            <a href="${cta.url}" style="background:#111827;color:#fff;text-decoration:none;padding:10px 14px;border-radius:8px;font-weight:600;display:inline-block">${cta.label}</a>
+          </div>` : ''}
+          <p style="margin:20px 0 0 0;color:#6b7280;font-size:12px;line-height:1.55">
+            Have questions? Reply to this email or contact us at
+            <a href="mailto:${supportEmail}" style="color:#111827">${supportEmail}</a>.
+          </p>
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:16px 24px;background:#f9fafb;color:#6b7280;font-size:12px">
+          © ${new Date().getFullYear()} ${brand} • All rights reserved.
+        </td>
+      </tr>
+    </table>
+  </div>
+  `;
+}
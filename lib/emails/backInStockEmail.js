@@ -0,0 +1,31 @@
+// lib/emails/backInStockEmail.js
+import { sendEmail } from '../sendEmail';
+import { guestMessageEmailHTML } from '../emailTemplates';
+
+const esc = (v) =>
+  String(v ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Waitlist notice when a sold-out item is restocked (lib/inventory.js).
+ * Stock isn't held for waiters, so the copy says first come, first served.
+ */
+export async function sendBackInStockEmail({ to, productName, variant = '', url }) {
+  if (!to) return { skipped: true };
+
+  const html = guestMessageEmailHTML({
+    kicker: 'Manyagi',
+    title: 'Back in stock',
+    propertyName: esc(productName),
+    guestName: 'there',
+    intro: `${esc(productName)} is available again. Quantities are limited and it's first come, first served.`,
+    details: [{ label: 'Variant', value: esc(variant) }],
+    cta: url ? { label: 'Shop now', url } : null,
+    supportEmail: 'support@manyagi.net',
+    brand: 'Manyagi',
+  });
+
+  return sendEmail({ to, subject: `Back in stock: ${productName}`, html });
+}
@@ -12,6 +12,9 @@ export async function sendBookingReceipt({
   guests = '',
   replyTo = 'realty@manyagi.net',
   snapshot = {},
+  breakdown = null, // realty_reservations.price_breakdown (itemized rent, fees, taxes)
+  cancelUrl = '', // signed guest cancel link
+  charged = null, // { amount, currency } actually charged (major units)
 }) {
   // Generate HTML using the template (reusing existing for consistency)
   const html = itineraryEmailHTML({
@@ -19,11 +22,15 @@ export async function sendBookingReceipt({
     guestName,
     to,
     property,
+    propertyName: property,
     checkin,
     checkout,
     guests,
     replyTo,
     snapshot,
+    breakdown,
+    cancelUrl,
+    charged,
   });
 
   // Send the email
@@ -12,6 +12,7 @@ export async function sendItineraryEmail({
   guests = '',
   replyTo = 'realty@manyagi.net',
   snapshot = {},
+  charged = null, // { amount, currency } actually charged (major units)
 }) {
   // Generate HTML using the template
   const html = itineraryEmailHTML({
@@ -24,6 +25,7 @@ export async function sendItineraryEmail({
     guests,
     replyTo,
     snapshot,
+    charged,
   });
 
   // Send the email
@@ -0,0 +1,65 @@
+// lib/emails/orderReceiptEmail.js
+import { sendEmail } from '../sendEmail';
+import { guestMessageEmailHTML } from '../emailTemplates';
+
+const esc = (v) =>
+  String(v ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Order confirmation for a cart checkout (lib/checkout.js): what was
+ * bought, download links for digital lines (each click is counted against
+ * the order's limit, see lib/digital.js), studio access that was
+ * unlocked, and a /track link when something ships.
+ */
+export async function sendOrderReceipt({
+  to,
+  name = 'there',
+  items = [], // ['Tee (M / Black) × 1']
+  total = '', // formatted, e.g. "€54.00"
+  downloads = [], // [{ name, url, note? }] (note: "5 downloads, until 1/2/2027")
+  studio = [], // [{ name, label, url, expires_at }]
+  trackUrl = '',
+}) {
+  if (!to) return { skipped: true };
+
+  const paragraphs = [];
+  if (downloads.length) {
+    paragraphs.push(
+      `<strong>Your downloads</strong><br/>${downloads
+        .map((d) => `<a href="${esc(d.url)}">${esc(d.name)}</a>` + (d.note ? ` <small>(${esc(d.note)})</small>` : ''))
+        .join('<br/>')}` +
+        (downloads.some((d) => d.note)
+          ? '<br/><small>These links are also in your dashboard library when you sign in with this email.</small>'
+          : '')
+    );
+  }
+  studio.forEach((s) => {
+    paragraphs.push(
+      `<strong>${esc(s.name)}</strong>: ${esc(s.label)} access is active` +
+        (s.expires_at ? ` until ${new Date(s.expires_at).toLocaleDateString()}` : '') +
+        (s.url ? ` — <a href="${esc(s.url)}">open your studio package</a>` : '') +
+        '.'
+    );
+  });
+
+  const html = guestMessageEmailHTML({
+    kicker: 'Manyagi',
+    title: 'Order confirmed',
+    propertyName: 'Your order',
+    guestName: name,
+    intro: 'Thanks for your order — payment received.',
+    details: [
+      { label: 'Items', value: esc(items.join('\n')) },
+      { label: 'Total', value: esc(total) },
+    ],
+    paragraphs,
+    cta: trackUrl ? { label: 'Track your order', url: trackUrl } : null,
+    supportEmail: 'support@manyagi.net',
+    brand: 'Manyagi',
+  });
+
+  return sendEmail({ to, subject: 'Your Manyagi order is confirmed', html });
+}
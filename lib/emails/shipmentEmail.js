@@ -0,0 +1,66 @@
+// lib/emails/shipmentEmail.js
+import { sendEmail } from '../sendEmail';
+import { guestMessageEmailHTML } from '../emailTemplates';
+
+const esc = (v) =>
+  String(v ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const COPY = {
+  shipped: {
+    subject: 'Your Manyagi order has shipped',
+    title: 'Shipped',
+    intro: 'Good news — your order is on its way.',
+  },
+  canceled: {
+    subject: 'Your Manyagi order was cancelled',
+    title: 'Cancelled',
+    intro: 'Your order was cancelled before it shipped. If you were charged, the refund is on its way — reply to this email if anything looks wrong.',
+  },
+  returned: {
+    subject: 'Your Manyagi package was returned',
+    title: 'Returned',
+    intro: 'The carrier returned your package to us. Reply to this email to confirm your address and we will sort out a reshipment.',
+  },
+};
+
+/**
+ * Buyer notice for a Printful fulfilment update (lib/merch.js).
+ * status: 'shipped' | 'canceled' | 'returned'
+ */
+export async function sendShipmentEmail({
+  to,
+  name = 'there',
+  status,
+  items = [], // ['Tee (M / Black) × 1']
+  carrier = '',
+  trackingNumber = '',
+  trackingUrl = '',
+  reason = '',
+  trackUrl = '',
+}) {
+  const copy = COPY[status];
+  if (!to || !copy) return { skipped: true };
+
+  const html = guestMessageEmailHTML({
+    kicker: 'Manyagi',
+    title: copy.title,
+    propertyName: 'Your order',
+    guestName: name,
+    intro: copy.intro,
+    details: [
+      { label: 'Items', value: esc(items.join('\n')) },
+      { label: 'Carrier', value: esc(carrier) },
+      { label: 'Tracking number', value: esc(trackingNumber) },
+      { label: 'Reason', value: status === 'shipped' ? '' : esc(reason) },
+    ],
+    paragraphs: trackingUrl ? [`Carrier tracking: <a href="${esc(trackingUrl)}">${esc(trackingUrl)}</a>`] : [],
+    cta: trackUrl ? { label: 'Track your order', url: trackUrl } : null,
+    supportEmail: 'support@manyagi.net',
+    brand: 'Manyagi',
+  });
+
+  return sendEmail({ to, subject: copy.subject, html });
+}
@@ -0,0 +1,184 @@
+// lib/exchangeRates.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  convertAmount,
+  currencyForCountry,
+  exchangeRate,
+  normalizeCurrency,
+} from '@/lib/currency';
+
+/**
+ * Stored exchange rates + buyer-currency resolution (server only).
+ *
+ * exchange_rates (primary key currency):
+ *   currency, rate (units per 1 BASE_CURRENCY), source ('provider' | 'manual'),
+ *   updated_at
+ *
+ * Rates are refreshed from EXCHANGE_RATES_URL (any endpoint returning
+ * { rates: { EUR: 0.92, ... } } against USD) by /api/refresh-exchange-rates.
+ * A 'manual' row is never overwritten by the provider.
+ *
+ * Orders and reservations record both sides of a conversion so revenue
+ * reports can sum one currency:
+ *   orders: currency, charged_amount, base_currency, total_amount (base),
+ *     exchange_rate (base -> charged)
+ *   realty_reservations: currency, amount_cents (charged), base_currency,
+ *     base_amount_cents, exchange_rate (property currency -> charged, locked
+ *     at booking so later changes are priced at the same rate)
+ */
+
+const DEFAULT_PROVIDER = 'https://open.er-api.com/v6/latest/USD';
+const CACHE_MS = 10 * 60 * 1000;
+
+let cache = null; // { at, rates }
+
+/** { usd: 1, eur: 0.92, ... } — only currencies with a stored rate. */
+export async function loadRates({ fresh = false } = {}) {
+  if (!fresh && cache && Date.now() - cache.at < CACHE_MS) return cache.rates;
+
+  const { data, error } = await supabaseAdmin.from('exchange_rates').select('currency, rate');
+  if (error) throw error;
+
+  const rates = { [BASE_CURRENCY]: 1 };
+  (data || []).forEach((r) => {
+    const c = normalizeCurrency(r.currency);
+    if (c && Number(r.rate) > 0) rates[c] = Number(r.rate);
+  });
+  cache = { at: Date.now(), rates };
+  return rates;
+}
+
+export async function listExchangeRates() {
+  const { data, error } = await supabaseAdmin
+    .from('exchange_rates')
+    .select('*')
+    .order('currency', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/** Pull provider rates for every supported currency (skips manual rows). */
+export async function refreshExchangeRates({ dryRun = false } = {}) {
+  const url = process.env.EXCHANGE_RATES_URL || DEFAULT_PROVIDER;
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`Rate provider returned ${resp.status}`);
+  const body = await resp.json();
+  const remote = body?.rates || {};
+
+  const { data: manualRows, error } = await supabaseAdmin
+    .from('exchange_rates')
+    .select('currency')
+    .eq('source', 'manual');
+  if (error) throw error;
+  const manual = new Set((manualRows || []).map((r) => r.currency));
+
+  const nowISO = new Date().toISOString();
+  const rows = SUPPORTED_CURRENCIES.filter((c) => c !== BASE_CURRENCY && !manual.has(c))
+    .map((c) => ({ currency: c, rate: Number(remote[c.toUpperCase()]), source: 'provider', updated_at: nowISO }))
+    .filter((r) => r.rate > 0);
+
+  if (!dryRun && rows.length) {
+    const { error: upErr } = await supabaseAdmin.from('exchange_rates').upsert(rows, { onConflict: 'currency' });
+    if (upErr) throw upErr;
+    cache = null;
+  }
+
+  return {
+    updated: rows.length,
+    skipped_manual: Array.from(manual),
+    missing: SUPPORTED_CURRENCIES.filter(
+      (c) => c !== BASE_CURRENCY && !manual.has(c) && !rows.some((r) => r.currency === c)
+    ),
+    rates: rows,
+  };
+}
+
+/** Admin override; rate null hands the currency back to the provider. */
+export async function setExchangeRate(currency, rate) {
+  const c = normalizeCurrency(currency);
+  if (!c || c === BASE_CURRENCY) return { ok: false, status: 400, error: 'Unsupported currency' };
+
+  if (rate === null || rate === '') {
+    const { data, error } = await supabaseAdmin
+      .from('exchange_rates')
+      .update({ source: 'provider' })
+      .eq('currency', c)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    cache = null;
+    return { ok: true, rate: data };
+  }
+
+  const n = Number(rate);
+  if (!(n > 0)) return { ok: false, status: 400, error: 'rate must be a positive number' };
+
+  const { data, error } = await supabaseAdmin
+    .from('exchange_rates')
+    .upsert({ currency: c, rate: n, source: 'manual', updated_at: new Date().toISOString() }, { onConflict: 'currency' })
+    .select('*')
+    .single();
+  if (error) throw error;
+  cache = null;
+  return { ok: true, rate: data };
+}
+
+/** ISO country from the hosting edge (Vercel / Cloudflare) headers. */
+export function requestCountry(req) {
+  const h = req?.headers || {};
+  return String(h['x-vercel-ip-country'] || h['cf-ipcountry'] || '').toUpperCase() || null;
+}
+
+/**
+ * Currency to charge / display for this request:
+ * explicit choice > display_currency cookie > geo > BASE_CURRENCY,
+ * falling back to BASE_CURRENCY when no rate is stored for it.
+ */
+export function buyerCurrency(req, requested, rates = {}) {
+  const wanted =
+    normalizeCurrency(requested) ||
+    normalizeCurrency(req?.cookies?.display_currency) ||
+    currencyForCountry(requestCountry(req)) ||
+    BASE_CURRENCY;
+  return wanted === BASE_CURRENCY || rates[wanted] > 0 ? wanted : BASE_CURRENCY;
+}
+
+/**
+ * Convert an amount priced in `from` for a charge in `to`. Returns
+ *   { currency, amount, exchange_rate, base_currency, base_amount }
+ * exchange_rate is from -> to; base_amount is the amount in BASE_CURRENCY.
+ */
+export function chargeAmounts({ amount, from = BASE_CURRENCY, to, rates = {} }) {
+  const source = normalizeCurrency(from) || BASE_CURRENCY;
+  let target = normalizeCurrency(to) || source;
+  let rate = exchangeRate(source, target, rates);
+  if (rate == null) {
+    target = source;
+    rate = 1;
+  }
+  return {
+    currency: target,
+    amount: Math.round(Number(amount || 0) * rate * 100) / 100,
+    exchange_rate: rate,
+    base_currency: BASE_CURRENCY,
+    base_amount: convertAmount(amount, source, BASE_CURRENCY, rates) ?? Number(amount || 0),
+  };
+}
+
+/**
+ * What the webhook stores on an order once Stripe reports the real total
+ * (tax / shipping included): charged side from the session, base side via
+ * the rate stored on the pending order row.
+ */
+export function orderAmountColumns({ amountTotalCents, currency, rate = 1 }) {
+  const charged = Math.round(Number(amountTotalCents || 0)) / 100;
+  const toCharged = Number(rate) > 0 ? Number(rate) : 1;
+  return {
+    currency: normalizeCurrency(currency) || BASE_CURRENCY,
+    charged_amount: charged,
+    base_currency: BASE_CURRENCY,
+    total_amount: Math.round((charged / toCharged) * 100) / 100,
+  };
+}
@@ -0,0 +1,498 @@
+// lib/inventory.js
+import crypto from 'crypto';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { sendEmail } from '@/lib/sendEmail';
+import { sendBackInStockEmail } from '@/lib/emails/backInStockEmail';
+
+/**
+ * Stock for limited physical items (signed editions, limited runs...).
+ *
+ * Tables:
+ *  - product_stock: id, product_id, variant_id ('' = the whole product),
+ *    on_hand, low_stock_threshold, updated_at; unique (product_id, variant_id).
+ *    Products without a row are unlimited (print-on-demand, downloads).
+ *    A variant row (variant_id = Printful sync_variant_id) wins for that
+ *    variant; otherwise every variant draws from the product row.
+ *  - stock_reservations: id, hold_id, stripe_session_id, product_id,
+ *    variant_id, quantity, status 'held' | 'committed' | 'released',
+ *    hold_expires_at, created_at, updated_at
+ *  - stock_waitlist: id, product_id, variant_id, variant_label, email,
+ *    created_at, notified_at
+ *
+ * Same shape as realty holds (lib/realty/availability.js):
+ *  - create-session reserves before creating the Stripe session, then
+ *    attaches the session id; the session expires with the hold
+ *  - stripe-webhook commits on payment (on_hand goes down) and releases on
+ *    checkout.session.expired
+ *  - a held row past hold_expires_at no longer counts, so a checkout that
+ *    died before its session existed frees itself
+ */
+
+// Stripe Checkout sessions must live >= 30 min (same margin as realty holds)
+export const STOCK_HOLD_MINUTES = 35;
+export const DEFAULT_LOW_STOCK = 3;
+
+const SITE_URL = process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+const ADMIN_EMAIL = process.env.SUPPORT_EMAIL || 'realty@manyagi.net';
+
+const vid = (v) => (v == null || v === '' ? '' : String(v));
+
+function holdExpiryISO(from = new Date()) {
+  return new Date(from.getTime() + STOCK_HOLD_MINUTES * 60 * 1000).toISOString();
+}
+
+async function stockRows(productIds) {
+  const ids = Array.from(new Set(productIds.filter(Boolean).map(String)));
+  if (!ids.length) return [];
+  const { data, error } = await supabaseAdmin.from('product_stock').select('*').in('product_id', ids);
+  if (error) throw error;
+  return data || [];
+}
+
+/** The product_stock row a product / variant draws from, or null (unlimited). */
+function poolFor(rows, productId, variantId) {
+  const pid = String(productId);
+  const v = vid(variantId);
+  return (
+    (v && rows.find((r) => String(r.product_id) === pid && vid(r.variant_id) === v)) ||
+    rows.find((r) => String(r.product_id) === pid && vid(r.variant_id) === '') ||
+    null
+  );
+}
+
+// live holds, optionally only those placed no later than `heldUpTo`
+async function liveHolds(productIds, heldUpTo = null) {
+  let query = supabaseAdmin
+    .from('stock_reservations')
+    .select('product_id, variant_id, quantity, created_at')
+    .in('product_id', Array.from(new Set(productIds.map(String))))
+    .eq('status', 'held')
+    .gt('hold_expires_at', new Date().toISOString());
+  if (heldUpTo) query = query.lte('created_at', heldUpTo);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+// pool row id -> units held
+function heldByPool(rows, holds) {
+  const held = new Map();
+  holds.forEach((h) => {
+    const pool = poolFor(rows, h.product_id, h.variant_id);
+    if (pool) held.set(pool.id, (held.get(pool.id) || 0) + Number(h.quantity || 0));
+  });
+  return held;
+}
+
+function levelOf(pool, held) {
+  const available = Math.max(0, Number(pool.on_hand || 0) - (held.get(pool.id) || 0));
+  const threshold = pool.low_stock_threshold ?? DEFAULT_LOW_STOCK;
+  return {
+    available,
+    sold_out: available <= 0,
+    low_stock: available > 0 && available <= threshold,
+  };
+}
+
+/**
+ * Stock state for storefront listings.
+ * Returns { [product_id]: { tracked, available, sold_out, low_stock, variants: { [variant_id]: level } } }
+ * for tracked products only; untracked products are simply missing.
+ */
+export async function stockLevels(productIds = []) {
+  const rows = await stockRows(productIds);
+  if (!rows.length) return {};
+  const held = heldByPool(rows, await liveHolds(rows.map((r) => r.product_id)));
+
+  const out = {};
+  rows.forEach((pool) => {
+    const pid = String(pool.product_id);
+    const level = levelOf(pool, held);
+    const entry = (out[pid] = out[pid] || { tracked: true, available: 0, sold_out: true, low_stock: false, variants: {} });
+    if (vid(pool.variant_id)) entry.variants[vid(pool.variant_id)] = level;
+    else entry.product = level;
+    entry.available += level.available;
+    entry.sold_out = entry.sold_out && level.sold_out;
+    entry.low_stock = entry.low_stock || level.low_stock;
+  });
+  Object.values(out).forEach((e) => {
+    if (e.sold_out) e.low_stock = false;
+  });
+  return out;
+}
+
+/** Level for one product / variant ({ available, sold_out, low_stock }), or null when unlimited. */
+export function levelFor(levels, productId, variantId = '') {
+  const entry = levels[String(productId)];
+  if (!entry) return null;
+  return (vid(variantId) && entry.variants[vid(variantId)]) || entry.product || null;
+}
+
+function shortages(items, rows, held) {
+  const wanted = new Map();
+  items.forEach((i) => {
+    const pool = poolFor(rows, i.product_id, i.variant_id);
+    if (!pool) return;
+    const w = wanted.get(pool.id) || { pool, quantity: 0, name: i.name };
+    w.quantity += Number(i.quantity || 0);
+    wanted.set(pool.id, w);
+  });
+  return Array.from(wanted.values())
+    .filter(({ pool, quantity }) => Number(pool.on_hand || 0) - (held.get(pool.id) || 0) < quantity)
+    .map(({ pool, quantity, name }) => ({
+      name: name || 'An item',
+      wanted: quantity,
+      available: Math.max(0, Number(pool.on_hand || 0) - (held.get(pool.id) || 0)),
+    }));
+}
+
+function shortageError(list) {
+  const s = list[0];
+  return s.available > 0
+    ? `Only ${s.available} of ${s.name} left — please lower the quantity`
+    : `${s.name} is sold out`;
+}
+
+/**
+ * Hold stock for a checkout.
+ * items: [{ product_id, variant_id?, quantity, name }]
+ *
+ * Returns
+ *  - { ok: true, holdId, holdExpiresAt } (holdId null when nothing is tracked)
+ *  - { ok: false, error, shortages: [{ name, wanted, available }] }
+ *
+ * Like placeHold for stays, two buyers racing for the last copy can both
+ * pass the first check, so after inserting we re-check against holds placed
+ * no later than ours and back off if we lost.
+ */
+export async function reserveStock(items = []) {
+  const rows = await stockRows(items.map((i) => i.product_id));
+  const tracked = items.filter((i) => Number(i.quantity) > 0 && poolFor(rows, i.product_id, i.variant_id));
+  if (!tracked.length) return { ok: true, holdId: null, holdExpiresAt: null };
+
+  const productIds = tracked.map((i) => i.product_id);
+  const pre = shortages(tracked, rows, heldByPool(rows, await liveHolds(productIds)));
+  if (pre.length) return { ok: false, error: shortageError(pre), shortages: pre };
+
+  const holdId = crypto.randomUUID();
+  const holdExpiresAt = holdExpiryISO();
+  const { data: inserted, error } = await supabaseAdmin
+    .from('stock_reservations')
+    .insert(
+      tracked.map((i) => ({
+        hold_id: holdId,
+        product_id: i.product_id,
+        variant_id: vid(i.variant_id),
+        quantity: Number(i.quantity),
+        status: 'held',
+        hold_expires_at: holdExpiresAt,
+      }))
+    )
+    .select('created_at');
+  if (error) throw error;
+
+  // ours are included in the holds counted here, so nothing may go negative
+  const placedAt = (inserted || []).map((r) => r.created_at).sort().pop();
+  const post = shortages(
+    tracked.map((i) => ({ ...i, quantity: 0 })),
+    rows,
+    heldByPool(rows, await liveHolds(productIds, placedAt))
+  );
+  if (post.length) {
+    await releaseStockHold(holdId);
+    return { ok: false, error: `${post[0].name} just sold out — another checkout got there first`, shortages: post };
+  }
+
+  return { ok: true, holdId, holdExpiresAt };
+}
+
+/** Link a hold to the Stripe Checkout session created for it. */
+export async function attachStockHold(holdId, sessionId) {
+  if (!holdId || !sessionId) return;
+  const { error } = await supabaseAdmin
+    .from('stock_reservations')
+    .update({ stripe_session_id: sessionId, updated_at: new Date().toISOString() })
+    .eq('hold_id', holdId);
+  if (error) throw error;
+}
+
+/** Release a hold (Stripe session could not be created). */
+export async function releaseStockHold(holdId) {
+  if (!holdId) return { released: 0 };
+  const { data, error } = await supabaseAdmin
+    .from('stock_reservations')
+    .update({ status: 'released', updated_at: new Date().toISOString() })
+    .eq('hold_id', holdId)
+    .eq('status', 'held')
+    .select('id');
+  if (error) throw error;
+  return { released: (data || []).length };
+}
+
+/** Same, keyed by Stripe session id (checkout.session.expired). Committed rows are never touched. */
+export async function releaseStockForSession(sessionId) {
+  if (!sessionId) return { released: 0 };
+  const { data, error } = await supabaseAdmin
+    .from('stock_reservations')
+    .update({ status: 'released', updated_at: new Date().toISOString() })
+    .eq('stripe_session_id', sessionId)
+    .eq('status', 'held')
+    .select('id');
+  if (error) throw error;
+  return { released: (data || []).length };
+}
+
+// on_hand += delta without losing a concurrent update (compare-and-set on the old value)
+async function adjustOnHand(poolId, delta) {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const { data: cur, error } = await supabaseAdmin.from('product_stock').select('*').eq('id', poolId).single();
+    if (error) throw error;
+
+    const next = Math.max(0, Number(cur.on_hand || 0) + delta);
+    const { data: updated, error: upErr } = await supabaseAdmin
+      .from('product_stock')
+      .update({ on_hand: next, updated_at: new Date().toISOString() })
+      .eq('id', poolId)
+      .eq('on_hand', cur.on_hand)
+      .select('*');
+    if (upErr) throw upErr;
+    if (updated?.length) return { before: cur, after: updated[0] };
+  }
+  throw new Error(`product_stock ${poolId}: on_hand kept changing, gave up`);
+}
+
+/**
+ * Paid: turn the session's holds into sales and take them off on_hand.
+ * Safe to call twice; only rows still 'held' are committed. Emails the admin
+ * when a pool drops to its low-stock threshold.
+ */
+export async function commitStockForSession(sessionId) {
+  if (!sessionId) return { committed: 0 };
+  const { data: claimed, error } = await supabaseAdmin
+    .from('stock_reservations')
+    .update({ status: 'committed', updated_at: new Date().toISOString() })
+    .eq('stripe_session_id', sessionId)
+    .eq('status', 'held')
+    .select('*');
+  if (error) throw error;
+  if (!claimed?.length) return { committed: 0 };
+
+  const rows = await stockRows(claimed.map((r) => r.product_id));
+  const byPool = new Map();
+  claimed.forEach((r) => {
+    const pool = poolFor(rows, r.product_id, r.variant_id);
+    if (pool) byPool.set(pool.id, (byPool.get(pool.id) || 0) + Number(r.quantity || 0));
+  });
+
+  const low = [];
+  for (const [poolId, quantity] of byPool) {
+    const { before, after } = await adjustOnHand(poolId, -quantity);
+    if (Number(before.on_hand) < quantity) {
+      console.warn(`[inventory] oversold product_stock ${poolId}: had ${before.on_hand}, sold ${quantity}`);
+    }
+    const threshold = after.low_stock_threshold ?? DEFAULT_LOW_STOCK;
+    if (Number(before.on_hand) > threshold && Number(after.on_hand) <= threshold) low.push(after);
+  }
+
+  if (low.length) {
+    await notifyLowStock(low).catch((e) => console.warn('[inventory] low-stock email failed:', e?.message || e));
+  }
+  return { committed: claimed.length };
+}
+
+async function productNames(productIds) {
+  const { data } = await supabaseAdmin.from('products').select('id, name, slug, division').in('id', productIds);
+  return Object.fromEntries((data || []).map((p) => [String(p.id), p]));
+}
+
+async function notifyLowStock(pools) {
+  const products = await productNames(pools.map((p) => p.product_id));
+  const lines = pools.map((p) => {
+    const name = products[String(p.product_id)]?.name || p.product_id;
+    return `<li>${name}${vid(p.variant_id) ? ` (variant ${p.variant_id})` : ''}: ${p.on_hand} left</li>`;
+  });
+  await sendEmail({
+    to: ADMIN_EMAIL,
+    subject: `Low stock: ${pools.length} item(s) need a restock`,
+    html: `<p>These items just hit their low-stock threshold:</p><ul>${lines.join('')}</ul>
+<p>Restock them from the admin Inventory tab; anyone on the waitlist is emailed once an item is back.</p>`,
+  });
+}
+
+function productUrl(product) {
+  const division = String(product?.division || '').toLowerCase();
+  if (product && (division === 'designs' || division === 'publishing')) {
+    return `${SITE_URL}/${division}/${product.slug || product.id}`;
+  }
+  return `${SITE_URL}/products`;
+}
+
+// ---------------------------------------------------------------------------
+// waitlist + admin
+// ---------------------------------------------------------------------------
+
+/** Back-in-stock signup. Returns { ok } or { error }. */
+export async function joinWaitlist({ productId, variantId = '', variantLabel = '', email }) {
+  const to = String(email || '').trim().toLowerCase();
+  if (!productId) return { error: 'product_id required' };
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) return { error: 'A valid email is required' };
+
+  const { data: existing, error: exErr } = await supabaseAdmin
+    .from('stock_waitlist')
+    .select('id')
+    .eq('product_id', productId)
+    .eq('variant_id', vid(variantId))
+    .eq('email', to)
+    .is('notified_at', null)
+    .limit(1);
+  if (exErr) throw exErr;
+  if (existing?.length) return { ok: true };
+
+  const { error } = await supabaseAdmin
+    .from('stock_waitlist')
+    .insert({
+      product_id: productId,
+      variant_id: vid(variantId),
+      variant_label: String(variantLabel || '').slice(0, 120),
+      email: to,
+      created_at: new Date().toISOString(),
+    });
+  if (error) throw error;
+  return { ok: true };
+}
+
+/**
+ * Email everyone waiting on a product / variant that is available again.
+ * A product-level restock covers every variant's waiters; a variant restock
+ * covers that variant's and the product-level ones.
+ */
+export async function notifyWaitlist(productId, variantId = '') {
+  let query = supabaseAdmin
+    .from('stock_waitlist')
+    .select('*')
+    .eq('product_id', productId)
+    .is('notified_at', null);
+  if (vid(variantId)) query = query.in('variant_id', [vid(variantId), '']);
+  const { data: waiting, error } = await query;
+  if (error) throw error;
+  if (!waiting?.length) return { notified: 0 };
+
+  const product = (await productNames([productId]))[String(productId)];
+  let notified = 0;
+  for (const w of waiting) {
+    try {
+      await sendBackInStockEmail({
+        to: w.email,
+        productName: product?.name || 'An item you wanted',
+        variant: w.variant_label || '',
+        url: productUrl(product),
+      });
+      await supabaseAdmin.from('stock_waitlist').update({ notified_at: new Date().toISOString() }).eq('id', w.id);
+      notified += 1;
+    } catch (e) {
+      console.warn(`[inventory] back-in-stock email to ${w.email} failed:`, e?.message || e);
+    }
+  }
+  return { notified };
+}
+
+/**
+ * Admin restock: add to (add) or set (on_hand) a pool, creating it on first
+ * use. When the item goes from sold out to available the waitlist is emailed.
+ * Returns { ok, item, notified } or { error }.
+ */
+export async function restockItem({ productId, variantId = '', add = null, onHand = null, lowStockThreshold }) {
+  if (!productId) return { error: 'product_id required' };
+  if (add == null && onHand == null) return { error: 'add or on_hand required' };
+  if (onHand != null && !(Number(onHand) >= 0)) return { error: 'on_hand must be 0 or more' };
+  if (add != null && !Number.isFinite(Number(add))) return { error: 'add must be a number' };
+
+  const v = vid(variantId);
+  const before = await stockLevels([productId]);
+  const wasSoldOut = levelFor(before, productId, v)?.sold_out ?? false;
+
+  const { data: existing, error: exErr } = await supabaseAdmin
+    .from('product_stock')
+    .select('*')
+    .eq('product_id', productId)
+    .eq('variant_id', v)
+    .maybeSingle();
+  if (exErr) throw exErr;
+
+  let item;
+  if (existing && add != null) {
+    item = (await adjustOnHand(existing.id, Math.trunc(Number(add)))).after;
+  } else if (existing) {
+    const { data, error } = await supabaseAdmin
+      .from('product_stock')
+      .update({ on_hand: Math.trunc(Number(onHand)), updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select('*')
+      .single();
+    if (error) throw error;
+    item = data;
+  } else {
+    const { data, error } = await supabaseAdmin
+      .from('product_stock')
+      .insert({
+        product_id: productId,
+        variant_id: v,
+        on_hand: Math.max(0, Math.trunc(Number(onHand ?? add))),
+        low_stock_threshold: DEFAULT_LOW_STOCK,
+        updated_at: new Date().toISOString(),
+      })
+      .select('*')
+      .single();
+    if (error) throw error;
+    item = data;
+  }
+
+  if (lowStockThreshold != null && lowStockThreshold !== '') {
+    const { data, error } = await supabaseAdmin
+      .from('product_stock')
+      .update({ low_stock_threshold: Math.max(0, parseInt(lowStockThreshold, 10) || 0) })
+      .eq('id', item.id)
+      .select('*')
+      .single();
+    if (error) throw error;
+    item = data;
+  }
+
+  const after = await stockLevels([productId]);
+  const nowAvailable = !(levelFor(after, productId, v)?.sold_out ?? false);
+  const { notified } = (wasSoldOut || !existing) && nowAvailable ? await notifyWaitlist(productId, v) : { notified: 0 };
+
+  return { ok: true, item, notified };
+}
+
+/** Admin list: every pool with product name, live availability and waitlist size. */
+export async function listStock() {
+  const { data: rows, error } = await supabaseAdmin
+    .from('product_stock')
+    .select('*')
+    .order('updated_at', { ascending: false });
+  if (error) throw error;
+  if (!rows?.length) return [];
+
+  const productIds = Array.from(new Set(rows.map((r) => String(r.product_id))));
+  const [products, held, waitlist] = await Promise.all([
+    productNames(productIds),
+    liveHolds(productIds).then((h) => heldByPool(rows, h)),
+    supabaseAdmin
+      .from('stock_waitlist')
+      .select('product_id, variant_id')
+      .in('product_id', productIds)
+      .is('notified_at', null),
+  ]);
+  if (waitlist.error) throw waitlist.error;
+
+  return rows.map((r) => ({
+    ...r,
+    product_name: products[String(r.product_id)]?.name || null,
+    held: held.get(r.id) || 0,
+    ...levelOf(r, held),
+    waiting: (waitlist.data || []).filter(
+      (w) => String(w.product_id) === String(r.product_id) && (!vid(r.variant_id) || vid(w.variant_id) === vid(r.variant_id))
+    ).length,
+  }));
+}
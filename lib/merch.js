@@ -0,0 +1,383 @@
+// lib/merch.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { sendEmail } from '@/lib/sendEmail';
+import { sendShipmentEmail } from '@/lib/emails/shipmentEmail';
+import { hasOrderEvent, recordOrderEvent } from '@/lib/orderEvents';
+import {
+  cancelPrintfulOrder,
+  createPrintfulOrder,
+  getPrintfulOrderByExternalId,
+  getShippingRates,
+  getSyncProductVariants,
+  printfulErrorMessage,
+} from '@/lib/printful';
+import { SHIP_COUNTRIES, needsStateCode, variantLabel } from '@/lib/shipping';
+
+/**
+ * Printful merch: variants, cart lines, shipping quotes and fulfilment.
+ *
+ * A cart checkout (lib/checkout.js) writes one orders row per line, all
+ * sharing the Stripe session id; physical lines carry
+ *   printful_sync_variant_id, product_snapshot.variant { sync_variant_id, size, color, name }
+ * (bundles: product_snapshot.components[].sync_variant_id)
+ * and the webhook turns every paid physical line of the session into ONE Printful
+ * order (external_id = session id), so retries can't double-ship.
+ *
+ * Printful's own webhook (pages/api/printful/webhook.js) then moves those
+ * rows along: fulfillment_status 'shipped' | 'failed' | 'canceled' |
+ * 'returned', plus carrier, tracking_number, tracking_url, shipped_at, with
+ * each step logged to order_events for the /track timeline.
+ */
+
+const PACKING_SLIP = {
+  email: 'support@manyagi.net',
+  phone: '',
+  message: 'Thank you for supporting Manyagi!',
+};
+
+/**
+ * Variants a product can be bought in. metadata.printful_variants (curated)
+ * wins; else the live store product (printful_product_id); else the single
+ * legacy metadata.printful_sync_variant_id.
+ */
+export async function variantsForProduct(product) {
+  const meta = product?.metadata || {};
+  if (Array.isArray(meta.printful_variants) && meta.printful_variants.length) {
+    return meta.printful_variants
+      .filter((v) => v && v.sync_variant_id)
+      .map((v) => ({
+        sync_variant_id: Number(v.sync_variant_id),
+        name: v.name || '',
+        size: v.size || null,
+        color: v.color || null,
+        price: v.price != null ? Number(v.price) : null,
+        image: v.image || null,
+        available: v.available !== false,
+      }));
+  }
+
+  if (product?.printful_product_id && process.env.PRINTFUL_API_KEY) {
+    try {
+      return await getSyncProductVariants(product.printful_product_id);
+    } catch (e) {
+      console.warn(`[merch] variants for ${product.id} failed:`, printfulErrorMessage(e));
+    }
+  }
+
+  const single = meta.printful_sync_variant_id || meta.printful_sync_variant;
+  return single ? [{ sync_variant_id: Number(single), name: product.name || '', size: null, color: null, price: null }] : [];
+}
+
+/**
+ * Printful shipping rates to a destination (USD).
+ * items: [{ sync_variant_id, quantity }] (lib/checkout.js printfulItemsFor)
+ */
+export async function quoteShipping({ items, country, state, zip }) {
+  const cc = String(country || '').toUpperCase();
+  if (!SHIP_COUNTRIES.includes(cc)) return { error: 'We do not ship merch to that country yet' };
+  if (needsStateCode(cc) && !state) return { error: 'State / province is required for this country' };
+
+  const rates = await getShippingRates({
+    recipient: { country_code: cc, state_code: state || undefined, zip: zip || undefined },
+    items,
+    currency: 'USD',
+  });
+  if (!rates.length) return { error: 'No shipping options for that address' };
+  return { rates };
+}
+
+function recipientFromSession(session) {
+  const a = session?.shipping_details?.address || {};
+  return {
+    name: session?.shipping_details?.name || session?.customer_details?.name || 'Customer',
+    address1: a.line1 || '',
+    address2: a.line2 || '',
+    city: a.city || '',
+    state_code: a.state || '',
+    country_code: a.country || 'US',
+    zip: a.postal_code || '',
+    phone: session?.customer_details?.phone || '',
+    email: session?.customer_details?.email || '',
+  };
+}
+
+/** Printful items for the session's order rows (legacy rows fall back to the product). */
+async function itemsForOrders(orders, { overrideVariantId = null, overrideOrderId = null } = {}) {
+  const missing = orders.filter((o) => !o.printful_sync_variant_id && o.product_id).map((o) => o.product_id);
+  const { data: products } = missing.length
+    ? await supabaseAdmin.from('products').select('id, metadata').in('id', missing)
+    : { data: [] };
+  const metaById = Object.fromEntries((products || []).map((p) => [String(p.id), p.metadata || {}]));
+
+  const items = [];
+  const rowIds = [];
+  orders.forEach((o) => {
+    const meta = metaById[String(o.product_id)] || {};
+    const quantity = Math.max(1, Number(o.quantity || 1));
+    const before = items.length;
+    const components = o.product_snapshot?.components || [];
+    if (overrideVariantId && String(o.id) === String(overrideOrderId)) {
+      items.push({ sync_variant_id: Number(overrideVariantId), quantity });
+    } else if (o.printful_sync_variant_id) {
+      items.push({ sync_variant_id: Number(o.printful_sync_variant_id), quantity });
+    } else if (components.length) {
+      // bundle rows: every physical part ships in the same Printful order
+      components
+        .filter((c) => c.kind === 'printful' && c.sync_variant_id)
+        .forEach((c) => items.push({ sync_variant_id: Number(c.sync_variant_id), quantity }));
+    } else if (Array.isArray(meta.printful_items) && meta.printful_items.length) {
+      meta.printful_items.forEach((it) =>
+        items.push({ sync_variant_id: Number(it.sync_variant_id), quantity: Math.max(1, Number(it.quantity || quantity)) })
+      );
+    } else if (meta.printful_sync_variant_id || meta.printful_sync_variant) {
+      items.push({ sync_variant_id: Number(meta.printful_sync_variant_id || meta.printful_sync_variant), quantity });
+    }
+    if (items.length > before) rowIds.push(o.id);
+  });
+  return { items, rowIds };
+}
+
+/**
+ * Send every paid Printful line of a Stripe session as one Printful order
+ * and record the result on those rows. Never throws; returns
+ * { ok, printful?, error?, skipped? }.
+ *
+ * opts.overrideVariantId / overrideOrderId: admin retry with a corrected variant.
+ */
+export async function fulfillMerchSession(session, opts = {}) {
+  const { data: orders, error } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('stripe_session_id', session.id)
+    .eq('status', 'paid');
+  if (error) return { ok: false, error: error.message };
+
+  const { items, rowIds } = await itemsForOrders(orders || [], opts);
+  if (!items.length) return { ok: true, skipped: 'no printful lines' };
+  if (!session?.shipping_details?.address?.line1) {
+    return { ok: false, error: 'This order has no shipping address; cannot send to Printful.' };
+  }
+
+  const shipping =
+    session?.shipping_cost?.shipping_rate?.metadata?.printful_shipping || session?.metadata?.printful_shipping || null;
+
+  let pf;
+  try {
+    pf = await createPrintfulOrder({
+      externalId: session.id,
+      recipient: recipientFromSession(session),
+      items,
+      packingSlip: PACKING_SLIP,
+      shipping,
+    });
+  } catch (e) {
+    // retried webhook / admin retry: the order may already be there
+    const existing = /external.*exist|already.*exist/i.test(String(e?.message || ''))
+      ? await getPrintfulOrderByExternalId(session.id).catch(() => null)
+      : null;
+    if (!existing) {
+      const message = printfulErrorMessage(e);
+      await supabaseAdmin
+        .from('orders')
+        .update({
+          fulfillment_provider: 'printful',
+          fulfillment_status: 'error',
+          fulfillment_error: message,
+          updated_at: new Date().toISOString(),
+        })
+        .in('id', rowIds);
+      console.warn('[merch] Printful order failed:', message, e?.data || '');
+      return { ok: false, error: message };
+    }
+    pf = existing;
+  }
+
+  await supabaseAdmin
+    .from('orders')
+    .update({
+      fulfillment_provider: 'printful',
+      fulfillment_status: pf?.status || 'submitted',
+      fulfillment_id: pf?.id ? String(pf.id) : null,
+      fulfillment_error: null,
+      updated_at: new Date().toISOString(),
+    })
+    .in('id', rowIds);
+
+  if (pf?.id && !(await hasOrderEvent(rowIds, `submitted:${pf.id}`))) {
+    await recordOrderEvent({
+      orderIds: rowIds,
+      type: 'submitted',
+      message: 'Sent to production',
+      data: { printful_order_id: pf.id },
+      dedupeKey: `submitted:${pf.id}`,
+    });
+  }
+
+  return { ok: true, printful: pf };
+}
+
+const SENT_OUT = ['shipped', 'returned', 'canceled'];
+
+/**
+ * Stop the Printful order of a refunded / disputed checkout if nothing has
+ * shipped yet. Lines that never reached Printful (fulfillment_status
+ * 'error') are just marked canceled. Printful refuses once an order is in
+ * production; that comes back as { ok: false, error } for an admin to sort out.
+ * Returns { ok, canceled?, skipped?, error? }.
+ */
+export async function cancelMerchSession(sessionId, reason = '') {
+  const { data: orders, error } = await supabaseAdmin
+    .from('orders')
+    .select('id, fulfillment_status, fulfillment_id, shipped_at')
+    .eq('stripe_session_id', sessionId)
+    .eq('fulfillment_provider', 'printful');
+  if (error) return { ok: false, error: error.message };
+  if (!orders?.length) return { ok: true, skipped: 'no printful order' };
+
+  const open = orders.filter((o) => !SENT_OUT.includes(o.fulfillment_status) && !o.shipped_at);
+  if (!open.length) return { ok: true, skipped: `already ${orders[0].fulfillment_status || 'shipped'}` };
+
+  if (open.some((o) => o.fulfillment_id)) {
+    try {
+      await cancelPrintfulOrder(sessionId);
+    } catch (e) {
+      if (e.status !== 404) return { ok: false, error: printfulErrorMessage(e) };
+    }
+  }
+
+  const ids = open.map((o) => o.id);
+  const { error: upErr } = await supabaseAdmin
+    .from('orders')
+    .update({ fulfillment_status: 'canceled', fulfillment_error: reason || null, updated_at: new Date().toISOString() })
+    .in('id', ids);
+  if (upErr) return { ok: false, error: upErr.message };
+  return { ok: true, canceled: ids };
+}
+
+// ---------------------------------------------------------------------------
+// Printful webhook events
+// ---------------------------------------------------------------------------
+
+const PRINTFUL_EVENTS = {
+  package_shipped: 'shipped',
+  order_failed: 'failed',
+  order_canceled: 'canceled',
+  package_returned: 'returned',
+};
+
+const SITE_URL = process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+
+// Printful sends ship_date as YYYY-MM-DD and shipped_at as unix seconds
+function shippedAt(shipment) {
+  if (shipment?.shipped_at) return new Date(Number(shipment.shipped_at) * 1000).toISOString();
+  if (shipment?.ship_date) return new Date(`${shipment.ship_date}T00:00:00Z`).toISOString();
+  return new Date().toISOString();
+}
+
+function lineSummary(order) {
+  const snap = order.product_snapshot || {};
+  const label = variantLabel(snap.variant);
+  return `${snap.name || 'Item'}${label ? ` (${label})` : ''} × ${order.quantity || 1}`;
+}
+
+/**
+ * Apply a verified Printful webhook event to our orders rows, log it to
+ * order_events and tell the buyer (failures go to support instead, since
+ * they are usually fixed with an admin retry). Duplicate deliveries are
+ * no-ops. Returns { ok, status?, orders?, ignored?, duplicate?, error? };
+ * ok: false means "let Printful retry".
+ */
+export async function applyPrintfulEvent(event) {
+  const status = PRINTFUL_EVENTS[event?.type];
+  if (!status) return { ok: true, ignored: event?.type || 'unknown' };
+
+  const data = event.data || {};
+  const pfOrder = data.order || {};
+  const shipment = data.shipment || {};
+  const ret = data.return || {};
+
+  let query = supabaseAdmin.from('orders').select('*').eq('fulfillment_provider', 'printful');
+  if (pfOrder.external_id) query = query.eq('stripe_session_id', String(pfOrder.external_id));
+  else if (pfOrder.id) query = query.eq('fulfillment_id', String(pfOrder.id));
+  else return { ok: true, ignored: 'event has no order' };
+
+  const { data: orders, error } = await query;
+  if (error) return { ok: false, error: error.message };
+  if (!orders?.length) return { ok: true, ignored: 'no matching order' };
+
+  const ids = orders.map((o) => o.id);
+  const dedupeKey = `${event.type}:${shipment.id || ret.id || pfOrder.id || ''}:${event.created || ''}`;
+  if (await hasOrderEvent(ids, dedupeKey)) return { ok: true, duplicate: true, status };
+
+  const reason = String(data.reason || ret.reason || '').trim();
+  const now = new Date().toISOString();
+  const patch = { fulfillment_status: status, updated_at: now };
+  let message = '';
+
+  if (status === 'shipped') {
+    Object.assign(patch, {
+      carrier: shipment.carrier || null,
+      tracking_number: shipment.tracking_number || null,
+      tracking_url: shipment.tracking_url || null,
+      shipped_at: shippedAt(shipment),
+      fulfillment_error: null,
+    });
+    message = `Shipped via ${shipment.carrier || 'carrier'}${shipment.tracking_number ? ` (${shipment.tracking_number})` : ''}`;
+  } else if (status === 'failed') {
+    patch.fulfillment_error = reason || 'Printful reported the order as failed';
+    message = `Fulfilment failed${reason ? `: ${reason}` : ''}`;
+  } else if (status === 'canceled') {
+    patch.fulfillment_error = reason || null;
+    message = `Cancelled${reason ? `: ${reason}` : ''}`;
+  } else {
+    message = `Package returned${reason ? `: ${reason}` : ''}`;
+  }
+
+  const { error: upErr } = await supabaseAdmin.from('orders').update(patch).in('id', ids);
+  if (upErr) return { ok: false, error: upErr.message };
+
+  await recordOrderEvent({
+    orderIds: ids,
+    type: status,
+    message,
+    dedupeKey,
+    data: {
+      printful_order_id: pfOrder.id || null,
+      shipment_id: shipment.id || null,
+      carrier: shipment.carrier || null,
+      service: shipment.service || null,
+      tracking_number: shipment.tracking_number || null,
+      tracking_url: shipment.tracking_url || null,
+      reason: reason || null,
+    },
+  });
+
+  const first = orders[0];
+  try {
+    if (status === 'failed') {
+      await sendEmail({
+        to: process.env.SUPPORT_EMAIL || 'realty@manyagi.net',
+        subject: `Printful order failed — ${pfOrder.external_id || pfOrder.id}`,
+        html: `<p>Printful could not fulfil order ${pfOrder.id || ''} (session ${pfOrder.external_id || '—'}).</p>
+<p>Reason: ${reason || 'not given'}</p>
+<p>Orders: ${ids.join(', ')}. Fix the variant / address, then POST /api/admin/fulfillment/retry.</p>`,
+      });
+    } else if (first.customer_email) {
+      await sendShipmentEmail({
+        to: first.customer_email,
+        name: String(first.customer_name || '').split(' ')[0] || 'there',
+        status,
+        items: orders.map(lineSummary),
+        carrier: shipment.carrier || '',
+        trackingNumber: shipment.tracking_number || '',
+        trackingUrl: shipment.tracking_url || '',
+        reason,
+        trackUrl: `${SITE_URL}/track?order_id=${encodeURIComponent(first.id)}`,
+      });
+    }
+  } catch (e) {
+    console.warn(`[merch] ${status} email failed:`, e.message);
+  }
+
+  return { ok: true, status, orders: ids };
+}
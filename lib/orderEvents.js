@@ -0,0 +1,81 @@
+// lib/orderEvents.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+
+/**
+ * Per-order history behind the /track timeline.
+ *
+ * order_events:
+ *   id, order_id -> orders.id, reservation_id -> realty_reservations.id
+ *   (one of the two), type, message, data jsonb,
+ *   dedupe_key (null or unique per order / reservation), created_at
+ *
+ * type: 'placed' | 'paid' | 'submitted' | 'shipped' | 'failed' |
+ *       'canceled' | 'returned' | 'refunded' | 'disputed' | 'expired' |
+ *       free text for anything else. STAFF_EVENT_TYPES stay off /track.
+ * dedupe_key lets webhook retries (Printful resends until it gets a 2xx)
+ * record an event only once.
+ */
+
+/** Bookkeeping steps (lib/refunds.js) buyers don't need on their timeline. */
+export const STAFF_EVENT_TYPES = [
+  'access_revoked',
+  'downloads_revoked',
+  'commission_reversed',
+  'printful_cancel',
+  'admin_alerted',
+];
+
+/** Has any of these orders (or reservations) already logged `dedupeKey`? */
+export async function hasOrderEvent(orderIds = [], dedupeKey, { reservationIds = [] } = {}) {
+  if ((!orderIds.length && !reservationIds.length) || !dedupeKey) return false;
+  const owners = [];
+  if (orderIds.length) owners.push(`order_id.in.(${orderIds.join(',')})`);
+  if (reservationIds.length) owners.push(`reservation_id.in.(${reservationIds.join(',')})`);
+  const { data } = await supabaseAdmin
+    .from('order_events')
+    .select('id')
+    .or(owners.join(','))
+    .eq('dedupe_key', dedupeKey)
+    .limit(1);
+  return (data || []).length > 0;
+}
+
+/** One event per order / reservation id. Best-effort: logs and returns on failure. */
+export async function recordOrderEvent({
+  orderIds = [],
+  reservationIds = [],
+  type,
+  message = '',
+  data = {},
+  dedupeKey = null,
+}) {
+  if ((!orderIds.length && !reservationIds.length) || !type) return { ok: false };
+  const now = new Date().toISOString();
+  const row = { type, message, data, dedupe_key: dedupeKey, created_at: now };
+  const { error } = await supabaseAdmin
+    .from('order_events')
+    .insert([
+      ...orderIds.map((order_id) => ({ ...row, order_id })),
+      ...reservationIds.map((reservation_id) => ({ ...row, reservation_id })),
+    ]);
+  if (error) {
+    console.warn('[orderEvents] insert failed:', error.message);
+    return { ok: false };
+  }
+  return { ok: true };
+}
+
+/** Events for an order, oldest first. */
+export async function listOrderEvents(orderIds = []) {
+  if (!orderIds.length) return [];
+  const { data, error } = await supabaseAdmin
+    .from('order_events')
+    .select('id, order_id, type, message, data, created_at')
+    .in('order_id', orderIds)
+    .order('created_at', { ascending: true });
+  if (error) {
+    console.warn('[orderEvents] list failed:', error.message);
+    return [];
+  }
+  return data || [];
+}
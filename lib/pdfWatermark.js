@@ -0,0 +1,59 @@
+// lib/pdfWatermark.js
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+
+/**
+ * Buyer stamp for purchased PDFs (see lib/digital.js).
+ *
+ * The studio PDFs get their watermark while Chromium renders them
+ * (lib/studio/build-pdf.js). Uploaded ebooks are already finished files, so
+ * here the existing pages are kept as-is and one line of text is drawn into
+ * each page footer:
+ *   Licensed to Jane Doe · jane@example.com · Order 1234 - do not redistribute
+ */
+
+const FOOTER_SIZE = 7;
+const MIN_FOOTER_SIZE = 4;
+const FOOTER_MARGIN = 14;
+
+// Helvetica only covers WinAnsi: drop accents, then replace anything else
+const winAnsi = (v) =>
+  String(v ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e\u00a0-\u00ff]/g, '?')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/** The footer line for one order. */
+export function licenseLine({ name, email, orderId }) {
+  const who = [winAnsi(name), winAnsi(email)].filter(Boolean).join(' · ');
+  return `Licensed to ${who || 'the purchaser'} · Order ${winAnsi(orderId)} - do not redistribute`;
+}
+
+/**
+ * Stamp every page footer of `bytes` (Buffer / Uint8Array) with `text`.
+ * Returns a Buffer. Throws on files pdf-lib can't open (e.g. encrypted).
+ */
+export async function stampPdf(bytes, text) {
+  const doc = await PDFDocument.load(bytes, { updateMetadata: false });
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+
+  for (const page of doc.getPages()) {
+    const box = page.getCropBox();
+    let size = FOOTER_SIZE;
+    while (size > MIN_FOOTER_SIZE && font.widthOfTextAtSize(text, size) > box.width - FOOTER_MARGIN * 2) size -= 0.5;
+    const width = font.widthOfTextAtSize(text, size);
+
+    page.drawText(text, {
+      x: box.x + Math.max(FOOTER_MARGIN, (box.width - width) / 2),
+      y: box.y + FOOTER_MARGIN / 2,
+      size,
+      font,
+      color: rgb(0.35, 0.35, 0.35),
+      opacity: 0.7,
+    });
+  }
+
+  doc.setSubject(text);
+  return Buffer.from(await doc.save());
+}
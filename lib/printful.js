@@ -1,16 +1,60 @@
 // lib/printful.js
+import crypto from 'crypto';
 import axios from 'axios';
 
 const PRINTFUL_API = 'https://api.printful.com';
 
-export async function createPrintfulOrder({
-  externalId,            // e.g., Stripe session id
-  recipient,             // { name, address1, city, state_code, country_code, zip, phone, email }
-  items,                 // [{ sync_variant_id, quantity }]
-  packingSlip = {},      // optional
-}) {
+// 429 / 5xx / network errors are retried: 0.5s, 1s, 2s (+ jitter), or
+// whatever Retry-After asks for when Printful rate-limits us.
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Printful API failure with the response captured for logs / orders.fulfillment_error. */
+export class PrintfulError extends Error {
+  constructor(message, { status = null, code = null, data = null, attempts = 1 } = {}) {
+    super(message);
+    this.name = 'PrintfulError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.attempts = attempts;
+  }
+}
+
+function isRetryable(err) {
+  const status = err?.response?.status;
+  if (!status) return true; // network / timeout
+  return status === 429 || status >= 500;
+}
+
+function retryDelay(err, attempt) {
+  const after = Number(err?.response?.headers?.['retry-after']);
+  if (after > 0) return Math.min(after, 60) * 1000;
+  return BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * 250);
+}
+
+function toPrintfulError(err, attempts) {
+  const data = err?.response?.data || null;
+  const detail =
+    (typeof data?.result === 'string' && data.result) ||
+    data?.error?.message ||
+    (typeof data?.error === 'string' && data.error) ||
+    err?.message ||
+    'Printful request failed';
+  return new PrintfulError(detail, {
+    status: err?.response?.status || null,
+    code: data?.code || err?.code || null,
+    data,
+    attempts,
+  });
+}
+
+/** One Printful API call with retries; resolves to `result`. */
+export async function printfulRequest(method, path, body, { retries = MAX_RETRIES } = {}) {
   if (!process.env.PRINTFUL_API_KEY) {
-    throw new Error('PRINTFUL_API_KEY is not set');
+    throw new PrintfulError('PRINTFUL_API_KEY is not set');
   }
 
   const headers = {
@@ -18,13 +62,123 @@ export async function createPrintfulOrder({
     'Content-Type': 'application/json',
   };
 
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const { data } = await axios({ method, url: `${PRINTFUL_API}${path}`, data: body, headers, timeout: 20000 });
+      return data?.result ?? data;
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw toPrintfulError(err, attempt + 1);
+      const wait = retryDelay(err, attempt);
+      console.warn(`[printful] ${method.toUpperCase()} ${path} failed (${err?.response?.status || err.code}), retry in ${wait}ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+/** Short text for orders.fulfillment_error. */
+export function printfulErrorMessage(err) {
+  if (err instanceof PrintfulError) {
+    return [err.status, err.message].filter(Boolean).join(' ') + (err.attempts > 1 ? ` (after ${err.attempts} attempts)` : '');
+  }
+  return String(err?.response?.data?.error || err?.message || 'unknown');
+}
+
+export async function createPrintfulOrder({
+  externalId,            // e.g., Stripe session id
+  recipient,             // { name, address1, city, state_code, country_code, zip, phone, email }
+  items,                 // [{ sync_variant_id, quantity }]
+  packingSlip = {},      // optional
+  shipping = null,       // Printful rate id picked at checkout, e.g. 'STANDARD'
+}) {
   const payload = {
     external_id: externalId,
     recipient,
     items,
     packing_slip: packingSlip,
+    ...(shipping ? { shipping } : {}),
   };
 
-  const { data } = await axios.post(`${PRINTFUL_API}/orders`, payload, { headers });
-  return data?.result || data;
+  return printfulRequest('post', '/orders', payload);
+}
+
+/** Existing order by our external id (the Stripe session id), or null. */
+export async function getPrintfulOrderByExternalId(externalId) {
+  try {
+    return await printfulRequest('get', `/orders/@${encodeURIComponent(externalId)}`);
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+/** Cancel an order by our external id. Printful only allows it before production starts. */
+export async function cancelPrintfulOrder(externalId) {
+  return printfulRequest('delete', `/orders/@${encodeURIComponent(externalId)}`);
+}
+
+/**
+ * Sellable variants of a store (sync) product:
+ * [{ sync_variant_id, name, size, color, price, currency, sku, image }]
+ */
+export async function getSyncProductVariants(syncProductId) {
+  const result = await printfulRequest('get', `/store/products/${encodeURIComponent(syncProductId)}`);
+  return (result?.sync_variants || [])
+    .filter((v) => !v.is_ignored)
+    .map((v) => ({
+      sync_variant_id: v.id,
+      name: v.name || '',
+      size: v.size || null,
+      color: v.color || null,
+      price: v.retail_price != null ? Number(v.retail_price) : null,
+      currency: v.currency ? String(v.currency).toLowerCase() : null,
+      sku: v.sku || null,
+      image: (v.files || []).find((f) => f?.type === 'preview')?.preview_url || v.product?.image || null,
+      available: v.availability_status ? v.availability_status === 'active' : true,
+    }));
+}
+
+/**
+ * Shipping options for a cart.
+ * recipient: { country_code, state_code?, zip? }; items: [{ sync_variant_id, quantity }]
+ * -> [{ id, name, rate, currency, min_delivery_days, max_delivery_days }]
+ */
+export async function getShippingRates({ recipient, items, currency = 'USD' }) {
+  const result = await printfulRequest('post', '/shipping/rates', {
+    recipient,
+    items: items.map((i) => ({ sync_variant_id: Number(i.sync_variant_id), quantity: Number(i.quantity || 1) })),
+    currency,
+  });
+  return (Array.isArray(result) ? result : []).map((r) => ({
+    id: r.id,
+    name: r.name,
+    rate: Number(r.rate),
+    currency: String(r.currency || currency).toLowerCase(),
+    min_delivery_days: r.minDeliveryDays ?? null,
+    max_delivery_days: r.maxDeliveryDays ?? null,
+  }));
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * Is this webhook call really from Printful?
+ * - PRINTFUL_WEBHOOK_SECRET (hex, v2 webhooks): HMAC-SHA256 of the raw body
+ *   in the x-pf-webhook-signature header
+ * - PRINTFUL_WEBHOOK_TOKEN (v1 webhooks are unsigned): ?token= on the URL
+ *   registered with Printful
+ * With neither set every call is rejected.
+ */
+export function verifyPrintfulWebhook({ rawBody, signature, token }) {
+  const secret = process.env.PRINTFUL_WEBHOOK_SECRET;
+  if (secret) {
+    const expected = crypto.createHmac('sha256', Buffer.from(secret, 'hex')).update(rawBody).digest('hex');
+    return safeEqual(expected, String(signature || '').toLowerCase());
+  }
+  const shared = process.env.PRINTFUL_WEBHOOK_TOKEN;
+  if (shared) return safeEqual(shared, token);
+  return false;
 }
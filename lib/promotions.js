@@ -0,0 +1,387 @@
+// lib/promotions.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { BASE_CURRENCY, convertAmount } from '@/lib/currency';
+
+/**
+ * Shop promotions, applied server-side to a priced cart (lib/checkout.js).
+ *
+ * shop_promotions:
+ *   id, name, code (stored uppercase, unique; null = automatic sale),
+ *   type 'percent' | 'fixed' | 'bogo' | 'bundle',
+ *   percent_off   percent: % off matching lines; bogo: % off the "get" units (default 100)
+ *   amount_off    fixed: BASE_CURRENCY off the matching lines, once per order
+ *   buy_qty, get_qty   bogo: buy N get M
+ *   division      null = every division ('bundles' for bundle lines)
+ *   product_ids   null / [] = any product
+ *   bundle_id     percent / fixed / bogo: only that bundle's lines;
+ *                 bundle: that bundle only (null = every active bundle)
+ *   min_subtotal (BASE_CURRENCY), first_order_only, max_uses (null = unlimited),
+ *   starts_at, expires_at, active, notes, created_at
+ *
+ * 'bundle' promotions are automatic bundle pricing: when the cart holds
+ * every product of a bundle as separate lines, that set costs the bundle
+ * price.
+ *
+ * Each cart line gets at most one promotion; the engine repeatedly takes the
+ * promotion saving the most on the lines still undiscounted. A code that
+ * loses to a better sale is reported, not silently dropped.
+ *
+ * Orders record what was applied: discount_amount (charged currency),
+ * promotion_ids, promotions [{ id, name, code, amount }]. A code is "used" by
+ * a paid order, or a pending one from the last 24h (a live Stripe session);
+ * counting orders keeps max_uses right when checkouts are abandoned.
+ */
+
+export const PROMOTION_TYPES = ['percent', 'fixed', 'bogo', 'bundle'];
+
+const PAID_STATUSES = ['paid', 'fulfilled', 'shipped', 'delivered'];
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const normalizePromotionCode = (code) =>
+  String(code || '')
+    .trim()
+    .toUpperCase();
+
+/** Checkout sessions (paid, or pending within a day) that used this promotion. */
+export async function countPromotionUses(promotionId) {
+  const since = new Date(Date.now() - SESSION_TTL_MS).toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('orders')
+    .select('stripe_session_id, status, created_at')
+    .contains('promotion_ids', [promotionId]);
+  if (error) throw error;
+
+  const sessions = new Set(
+    (data || [])
+      .filter((o) => PAID_STATUSES.includes(o.status) || (o.status === 'pending' && o.created_at > since))
+      .map((o) => o.stripe_session_id)
+  );
+  return sessions.size;
+}
+
+// ilike pattern matching exactly `value` (case-insensitive)
+const likeExact = (value) => String(value).replace(/[\\%_]/g, (c) => `\\${c}`);
+
+/**
+ * true / false, or null when we can't tell who is buying.
+ * userId must come from the signed-in session; emails match case-insensitively
+ * (older orders kept whatever casing Stripe had).
+ */
+export async function isFirstOrder({ userId, email }) {
+  const mail = email ? String(email).trim() : '';
+  if (!userId && !mail) return null;
+  for (const [col, val] of [
+    ['user_id', userId],
+    ['customer_email', mail],
+  ]) {
+    if (!val) continue;
+    let query = supabaseAdmin.from('orders').select('id', { count: 'exact', head: true });
+    query = col === 'customer_email' ? query.ilike(col, likeExact(val)) : query.eq(col, val);
+    const { count, error } = await query.in('status', PAID_STATUSES);
+    if (error) throw error;
+    if (count > 0) return false;
+  }
+  return true;
+}
+
+function live(promo, now = new Date().toISOString()) {
+  if (!promo || promo.active === false) return false;
+  if (promo.starts_at && now < promo.starts_at) return false;
+  if (promo.expires_at && now > promo.expires_at) return false;
+  return true;
+}
+
+/**
+ * Why this promotion can't be used right now, or null when it can.
+ * Messages are buyer-facing.
+ */
+async function unusableReason(promo, { userId, email }) {
+  const now = new Date().toISOString();
+  if (!promo || promo.active === false) return 'That code is not valid.';
+  if (promo.starts_at && now < promo.starts_at) return 'That code is not active yet.';
+  if (promo.expires_at && now > promo.expires_at) return 'That code has expired.';
+
+  if (promo.max_uses != null && Number(promo.max_uses) > 0) {
+    const used = await countPromotionUses(promo.id);
+    if (used >= Number(promo.max_uses)) return 'That code has been fully redeemed.';
+  }
+
+  if (promo.first_order_only) {
+    const first = await isFirstOrder({ userId, email });
+    if (first === null) return 'Sign in or enter your email to use a first-order code.';
+    if (!first) return 'That code is only for your first order.';
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// engine (cents in the charge currency)
+// ---------------------------------------------------------------------------
+
+function itemsFor(priced) {
+  return priced.map(({ line, unit }, idx) => ({
+    idx,
+    unitCents: Math.round(Number(unit.amount) * 100),
+    quantity: line.quantity,
+    division: line.kind === 'bundle' ? 'bundles' : String(line.product?.division || '').toLowerCase(),
+    productId: line.kind === 'bundle' ? null : String(line.product.id),
+    bundleId: line.kind === 'bundle' ? String(line.bundle.id) : null,
+  }));
+}
+
+function matches(promo, item) {
+  if (promo.bundle_id) return item.bundleId === String(promo.bundle_id);
+  if (promo.division && item.division !== String(promo.division).toLowerCase()) return false;
+  const ids = Array.isArray(promo.product_ids) ? promo.product_ids.map(String) : [];
+  if (ids.length && !ids.includes(item.productId)) return false;
+  return true;
+}
+
+// spread `cents` over items in proportion to their subtotal (remainder on the last)
+function allocate(cents, items) {
+  const out = {};
+  const total = items.reduce((s, i) => s + i.unitCents * i.quantity, 0);
+  if (!total || cents <= 0) return out;
+  let left = cents;
+  items.forEach((i, n) => {
+    const share = n === items.length - 1 ? left : Math.floor((cents * i.unitCents * i.quantity) / total);
+    out[i.idx] = (out[i.idx] || 0) + share;
+    left -= share;
+  });
+  return out;
+}
+
+function evaluate(promo, items, ctx) {
+  const eligible = items.filter((i) => matches(promo, i));
+  let allocations = {};
+
+  if (promo.type === 'percent') {
+    const pct = Math.min(100, Math.max(0, Number(promo.percent_off || 0)));
+    eligible.forEach((i) => {
+      allocations[i.idx] = Math.round((i.unitCents * i.quantity * pct) / 100);
+    });
+  } else if (promo.type === 'fixed') {
+    const off = convertAmount(Number(promo.amount_off || 0), BASE_CURRENCY, ctx.currency, ctx.rates);
+    const subtotal = eligible.reduce((s, i) => s + i.unitCents * i.quantity, 0);
+    allocations = allocate(Math.min(subtotal, Math.round(Number(off || 0) * 100)), eligible);
+  } else if (promo.type === 'bogo') {
+    const buy = Math.max(1, Number(promo.buy_qty || 1));
+    const get = Math.max(1, Number(promo.get_qty || 1));
+    const pct = promo.percent_off ? Math.min(100, Number(promo.percent_off)) : 100;
+    // priciest first, so the discounted units are the cheapest of each group
+    const units = eligible
+      .flatMap((i) => Array.from({ length: i.quantity }, () => ({ idx: i.idx, cents: i.unitCents })))
+      .sort((a, b) => b.cents - a.cents);
+    for (let g = 0; g + buy + get <= units.length; g += buy + get) {
+      units.slice(g + buy, g + buy + get).forEach((u) => {
+        allocations[u.idx] = (allocations[u.idx] || 0) + Math.round((u.cents * pct) / 100);
+      });
+    }
+    // the full-price units that qualified are spent too
+    if (Object.keys(allocations).length) eligible.forEach((i) => (allocations[i.idx] = allocations[i.idx] || 0));
+  } else if (promo.type === 'bundle') {
+    let best = { allocations: {}, total: 0, bundle: null };
+    (ctx.bundles || [])
+      .filter((b) => !promo.bundle_id || String(b.id) === String(promo.bundle_id))
+      .forEach((b) => {
+        const ids = (b.product_ids || []).map(String);
+        if (!ids.length) return;
+        const parts = ids.map((id) => items.filter((i) => i.productId === id));
+        if (parts.some((p) => !p.length)) return;
+        const sets = Math.min(...parts.map((p) => p.reduce((s, i) => s + i.quantity, 0)));
+        const setCents = parts.reduce((s, p) => s + p[0].unitCents, 0);
+        const bundleCents = Math.round(Number(convertAmount(b.price, BASE_CURRENCY, ctx.currency, ctx.rates) || 0) * 100);
+        const off = Math.max(0, setCents - bundleCents) * sets;
+        if (off > best.total) {
+          best = { allocations: allocate(off, parts.map((p) => p[0])), total: off, bundle: b };
+        }
+      });
+    return { promo, allocations: best.allocations, total: best.total, bundle: best.bundle };
+  }
+
+  const total = Object.values(allocations).reduce((s, v) => s + v, 0);
+  return { promo, allocations, total, bundle: null };
+}
+
+function subtotalBase(priced, ctx) {
+  const sum = priced.reduce((s, { line, unit }) => s + Number(unit.amount) * line.quantity, 0);
+  return convertAmount(sum, ctx.currency, BASE_CURRENCY, ctx.rates) ?? sum;
+}
+
+/**
+ * Best discounts for a priced cart.
+ *
+ * priced: [{ line, unit: { amount } }] in `currency`
+ * Returns {
+ *   lineDiscounts: [amount per line], linePromotions: [{ id, name, code } | null per line],
+ *   total_discount, applied: [{ id, name, code, amount }],
+ *   code_applied, error?   (error: the code can't be used; the cart still gets automatic sales)
+ * }
+ */
+export async function applyPromotions({ priced, code = '', currency, rates = {}, userId = null, email = null }) {
+  const ctx = { currency, rates };
+  const result = {
+    lineDiscounts: priced.map(() => 0),
+    linePromotions: priced.map(() => null),
+    total_discount: 0,
+    applied: [],
+    code_applied: false,
+  };
+  if (!priced.length) return result;
+
+  const { data: autos, error } = await supabaseAdmin
+    .from('shop_promotions')
+    .select('*')
+    .is('code', null)
+    .eq('active', true);
+  if (error) throw error;
+
+  const candidates = [];
+  for (const promo of autos || []) {
+    if (!live(promo)) continue;
+    if (!(await unusableReason(promo, { userId, email }))) candidates.push(promo);
+  }
+
+  const normalized = normalizePromotionCode(code);
+  let codePromo = null;
+  if (normalized) {
+    const { data: found, error: cErr } = await supabaseAdmin
+      .from('shop_promotions')
+      .select('*')
+      .eq('code', normalized)
+      .maybeSingle();
+    if (cErr) throw cErr;
+    const reason = await unusableReason(found, { userId, email });
+    if (reason) result.error = reason;
+    else {
+      codePromo = found;
+      candidates.push(found);
+    }
+  }
+
+  const base = subtotalBase(priced, ctx);
+  const usable = candidates.filter(
+    (p) => PROMOTION_TYPES.includes(p.type) && !(Number(p.min_subtotal || 0) > base)
+  );
+  if (codePromo && !usable.includes(codePromo)) {
+    result.error = `That code needs an order of at least ${Number(codePromo.min_subtotal).toFixed(2)} ${BASE_CURRENCY.toUpperCase()}.`;
+  }
+
+  if (usable.some((p) => p.type === 'bundle')) {
+    const { data: bundles, error: bErr } = await supabaseAdmin.from('bundles').select('*').eq('status', 'active');
+    if (bErr) throw bErr;
+    ctx.bundles = bundles || [];
+  }
+
+  // greedy: best saving on the lines not discounted yet, until nothing helps
+  let open = itemsFor(priced);
+  let pool = usable.slice();
+  for (;;) {
+    const best = pool
+      .map((p) => evaluate(p, open, ctx))
+      .filter((e) => e.total > 0)
+      .sort((a, b) => b.total - a.total)[0];
+    if (!best) break;
+
+    const entry = {
+      id: best.promo.id,
+      name: best.bundle ? `${best.promo.name} (${best.bundle.name})` : best.promo.name,
+      code: best.promo.code || null,
+      amount: best.total / 100,
+    };
+    Object.entries(best.allocations).forEach(([idx, cents]) => {
+      result.lineDiscounts[idx] += cents / 100;
+      if (cents > 0) result.linePromotions[idx] = { id: entry.id, name: entry.name, code: entry.code };
+    });
+    result.applied.push(entry);
+    if (best.promo === codePromo) result.code_applied = true;
+
+    const used = new Set(Object.keys(best.allocations).map(Number));
+    open = open.filter((i) => !used.has(i.idx));
+    // one pass per promotion, except bundle pricing (another complete bundle may be in the cart)
+    if (best.promo.type !== 'bundle') pool = pool.filter((p) => p !== best.promo);
+  }
+
+  result.lineDiscounts = result.lineDiscounts.map((d) => Math.round(d * 100) / 100);
+  result.total_discount = Math.round(result.lineDiscounts.reduce((s, d) => s + d, 0) * 100) / 100;
+  if (codePromo && !result.code_applied && !result.error) {
+    result.error = 'A better promotion is already applied to these items.';
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// admin
+// ---------------------------------------------------------------------------
+
+/** Every promotion with its current use count, newest first. */
+export async function listPromotions() {
+  const { data, error } = await supabaseAdmin
+    .from('shop_promotions')
+    .select('*')
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+
+  const items = [];
+  for (const row of data || []) {
+    items.push({ ...row, uses: await countPromotionUses(row.id) });
+  }
+  return items;
+}
+
+const num = (v) => (v === '' || v == null ? null : Number(v));
+
+/** Validate an admin form body into a shop_promotions row, or { error }. */
+export function promotionRow(body = {}) {
+  const type = String(body.type || '').toLowerCase();
+  if (!PROMOTION_TYPES.includes(type)) return { error: `type must be one of ${PROMOTION_TYPES.join(', ')}` };
+
+  const name = String(body.name || '').trim();
+  if (!name) return { error: 'name required' };
+
+  const code = normalizePromotionCode(body.code) || null;
+  if (type === 'bundle' && code) return { error: 'bundle pricing is automatic (leave code empty)' };
+
+  const percent_off = num(body.percent_off);
+  const amount_off = num(body.amount_off);
+  if (type === 'percent' && !(percent_off > 0 && percent_off <= 100)) return { error: 'percent off must be 1–100' };
+  if (type === 'fixed' && !(amount_off > 0)) return { error: 'amount off must be positive' };
+  if (type === 'bogo' && percent_off != null && !(percent_off > 0 && percent_off <= 100)) {
+    return { error: 'BOGO percent off must be 1–100 (empty = free)' };
+  }
+
+  const buy_qty = type === 'bogo' ? Math.max(1, parseInt(body.buy_qty, 10) || 1) : null;
+  const get_qty = type === 'bogo' ? Math.max(1, parseInt(body.get_qty, 10) || 1) : null;
+
+  const product_ids = Array.isArray(body.product_ids)
+    ? body.product_ids.filter(Boolean).map(String)
+    : String(body.product_ids || '')
+        .split(',')
+        .map((s) => s.trim())
+        .filter(Boolean);
+
+  if (body.starts_at && body.expires_at && body.expires_at < body.starts_at) {
+    return { error: 'expiry is before the start' };
+  }
+
+  return {
+    row: {
+      name,
+      code,
+      type,
+      percent_off: type === 'percent' || type === 'bogo' ? percent_off : null,
+      amount_off: type === 'fixed' ? amount_off : null,
+      buy_qty,
+      get_qty,
+      division: body.division ? String(body.division).toLowerCase() : null,
+      product_ids: product_ids.length ? product_ids : null,
+      bundle_id: body.bundle_id || null,
+      min_subtotal: num(body.min_subtotal),
+      first_order_only: !!body.first_order_only,
+      max_uses: body.max_uses ? parseInt(body.max_uses, 10) : null,
+      starts_at: body.starts_at || null,
+      expires_at: body.expires_at || null,
+      notes: String(body.notes || ''),
+    },
+  };
+}
@@ -0,0 +1,325 @@
+// lib/realty/availability.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+
+/**
+ * Availability guard + checkout holds for realty bookings.
+ *
+ * A "hold" is a `pending` realty_reservations row with `hold_expires_at` set.
+ * While the hold is live, nobody else can start a checkout for overlapping
+ * nights. Holds end one of three ways:
+ *  - webhook marks the row `paid`
+ *  - guest cancels / Stripe session expires -> `cancelled` / `expired`
+ *  - cleanup-holds sweeps anything past hold_expires_at -> `expired`
+ * A payment that lands after the hold ended is confirmed only if the nights
+ * are still free, otherwise refunded (lib/stripeEvents.js).
+ *
+ * A paid stay briefly sits in `cancelling` while its refund is issued
+ * (lib/realty/cancellation.js); its nights stay blocked until it is
+ * `cancelled` or reverts to `paid`.
+ *
+ * Date conventions (same as the rest of realty):
+ *  - reservations: checkin inclusive, checkout exclusive
+ *  - realty_external_blocks: starts_on..ends_on both inclusive
+ *  - property_availability: one row per night
+ */
+
+// Stripe Checkout sessions must live >= 30 min; the extra minutes cover the
+// gap between placing the hold and creating the session.
+export const HOLD_MINUTES = 35;
+
+// property_availability.status values that make a night unbookable
+const BLOCKING_NIGHT_STATUSES = ['booked', 'blocked', 'unavailable'];
+
+// realty_reservations.status values that hold nights (pending only while live)
+const BLOCKING_RESERVATION_STATUSES = ['paid', 'cancelling', 'pending'];
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function holdExpiryISO(from = new Date()) {
+  return new Date(from.getTime() + HOLD_MINUTES * 60 * 1000).toISOString();
+}
+
+/**
+ * Basic sanity checks on a requested stay.
+ * Returns an error string, or null when the range is usable.
+ */
+export function validateStayRange(checkin, checkout) {
+  if (!YMD_RE.test(String(checkin || '')) || !YMD_RE.test(String(checkout || ''))) {
+    return 'checkin and checkout must be YYYY-MM-DD';
+  }
+  if (checkout <= checkin) {
+    return 'checkout must be after checkin';
+  }
+  const todayISO = new Date().toISOString().slice(0, 10);
+  if (checkin < todayISO) {
+    return 'checkin cannot be in the past';
+  }
+  return null;
+}
+
+function isLiveHold(row, nowISO, heldBefore) {
+  if (row.status !== 'pending') return false;
+  if (!row.hold_expires_at || row.hold_expires_at <= nowISO) return false;
+  // when verifying our own fresh hold, only earlier holds win the race
+  if (heldBefore && row.created_at && row.created_at > heldBefore) return false;
+  return true;
+}
+
+/**
+ * Look for anything that overlaps [checkin, checkout).
+ *
+ * Options:
+ *  - excludeReservationId: ignore this reservation (our own hold, or the row
+ *    being modified)
+ *  - heldBefore: ISO timestamp; pending holds created after it are ignored
+ *
+ * Returns { available, conflicts: [{ kind, start, end, id }] } where
+ * start/end are inclusive night dates for display.
+ */
+export async function findConflicts({
+  propertyId,
+  checkin,
+  checkout,
+  excludeReservationId = null,
+  heldBefore = null,
+}) {
+  const nowISO = new Date().toISOString();
+  const conflicts = [];
+
+  // --- reservations (paid + live holds) ---
+  const { data: resvRows, error: resvErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .select('id, checkin, checkout, status, hold_expires_at, created_at')
+    .eq('property_id', propertyId)
+    .in('status', BLOCKING_RESERVATION_STATUSES)
+    .lt('checkin', checkout)
+    .gt('checkout', checkin);
+
+  if (resvErr) throw resvErr;
+
+  (resvRows || []).forEach((r) => {
+    if (excludeReservationId && r.id === excludeReservationId) return;
+    if (r.status === 'pending' && !isLiveHold(r, nowISO, heldBefore)) return;
+
+    const lastNight = new Date(r.checkout + 'T00:00:00Z');
+    lastNight.setUTCDate(lastNight.getUTCDate() - 1);
+
+    conflicts.push({
+      kind: r.status === 'pending' ? 'hold' : 'reservation',
+      id: r.id,
+      start: r.checkin,
+      end: lastNight.toISOString().slice(0, 10),
+    });
+  });
+
+  // --- external channel blocks (Airbnb / VRBO) ---
+  const { data: blockRows, error: blkErr } = await supabaseAdmin
+    .from('realty_external_blocks')
+    .select('id, starts_on, ends_on, source')
+    .eq('property_id', propertyId)
+    .lt('starts_on', checkout)
+    .gte('ends_on', checkin);
+
+  if (blkErr) throw blkErr;
+
+  (blockRows || []).forEach((b) => {
+    conflicts.push({
+      kind: 'external',
+      id: b.id,
+      start: b.starts_on,
+      end: b.ends_on,
+    });
+  });
+
+  // --- manual nightly availability ---
+  const { data: nightRows, error: nightErr } = await supabaseAdmin
+    .from('property_availability')
+    .select('date, status')
+    .eq('property_id', propertyId)
+    .gte('date', checkin)
+    .lt('date', checkout)
+    .in('status', BLOCKING_NIGHT_STATUSES);
+
+  if (nightErr) throw nightErr;
+
+  (nightRows || []).forEach((n) => {
+    conflicts.push({
+      kind: 'availability',
+      id: null,
+      start: n.date,
+      end: n.date,
+    });
+  });
+
+  return { available: conflicts.length === 0, conflicts };
+}
+
+/**
+ * Batch version of findConflicts for search: which of `propertyIds` have
+ * anything overlapping [checkin, checkout)? Three queries total instead of
+ * three per property. Returns a Set of unavailable property ids.
+ */
+export async function unavailablePropertyIds({ propertyIds, checkin, checkout }) {
+  const blocked = new Set();
+  if (!propertyIds?.length) return blocked;
+  const nowISO = new Date().toISOString();
+
+  const [resv, blocks, nights] = await Promise.all([
+    supabaseAdmin
+      .from('realty_reservations')
+      .select('property_id, status, hold_expires_at, created_at')
+      .in('property_id', propertyIds)
+      .in('status', BLOCKING_RESERVATION_STATUSES)
+      .lt('checkin', checkout)
+      .gt('checkout', checkin),
+    supabaseAdmin
+      .from('realty_external_blocks')
+      .select('property_id')
+      .in('property_id', propertyIds)
+      .lt('starts_on', checkout)
+      .gte('ends_on', checkin),
+    supabaseAdmin
+      .from('property_availability')
+      .select('property_id')
+      .in('property_id', propertyIds)
+      .gte('date', checkin)
+      .lt('date', checkout)
+      .in('status', BLOCKING_NIGHT_STATUSES),
+  ]);
+
+  if (resv.error) throw resv.error;
+  if (blocks.error) throw blocks.error;
+  if (nights.error) throw nights.error;
+
+  (resv.data || []).forEach((r) => {
+    if (r.status === 'pending' && !isLiveHold(r, nowISO, null)) return;
+    blocked.add(r.property_id);
+  });
+  (blocks.data || []).forEach((b) => blocked.add(b.property_id));
+  (nights.data || []).forEach((n) => blocked.add(n.property_id));
+
+  return blocked;
+}
+
+/**
+ * Check availability and, if free, insert a pending reservation that holds
+ * the dates for HOLD_MINUTES.
+ *
+ * `row` is the rest of the realty_reservations insert (guest info, amounts...).
+ *
+ * Returns:
+ *  - { ok: true, reservation, holdExpiresAt }
+ *  - { ok: false, conflicts } when the dates are taken
+ *
+ * Two guests racing for the same nights can both pass the first check, so
+ * after inserting we re-check against holds created before ours and back off
+ * if we lost.
+ */
+export async function placeHold({ propertyId, checkin, checkout, row = {} }) {
+  const pre = await findConflicts({ propertyId, checkin, checkout });
+  if (!pre.available) return { ok: false, conflicts: pre.conflicts };
+
+  const holdExpiresAt = holdExpiryISO();
+
+  const { data: reservation, error: insErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .insert({
+      ...row,
+      property_id: propertyId,
+      checkin,
+      checkout,
+      status: 'pending',
+      hold_expires_at: holdExpiresAt,
+    })
+    .select('*')
+    .single();
+
+  if (insErr) throw insErr;
+
+  const post = await findConflicts({
+    propertyId,
+    checkin,
+    checkout,
+    excludeReservationId: reservation.id,
+    heldBefore: reservation.created_at,
+  });
+
+  if (!post.available) {
+    await releaseHold(reservation.id, 'expired');
+    return { ok: false, conflicts: post.conflicts };
+  }
+
+  return { ok: true, reservation, holdExpiresAt };
+}
+
+/**
+ * Release a pending hold. Paid rows are never touched.
+ * status: 'expired' | 'cancelled'
+ */
+export async function releaseHold(reservationId, status = 'expired') {
+  if (!reservationId) return { released: 0 };
+
+  const { data, error } = await supabaseAdmin
+    .from('realty_reservations')
+    .update({ status, updated_at: new Date().toISOString() })
+    .eq('id', reservationId)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) throw error;
+  return { released: (data || []).length };
+}
+
+/**
+ * Same as releaseHold, keyed by Stripe Checkout session id
+ * (used by checkout.session.expired webhooks).
+ */
+export async function releaseHoldBySession(sessionId, status = 'expired') {
+  if (!sessionId) return { released: 0 };
+
+  const { data, error } = await supabaseAdmin
+    .from('realty_reservations')
+    .update({ status, updated_at: new Date().toISOString() })
+    .eq('stripe_session_id', sessionId)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) throw error;
+  return { released: (data || []).length, ids: (data || []).map((r) => r.id) };
+}
+
+/**
+ * Sweep holds whose timer ran out. Rows are kept (status -> 'expired') so
+ * abandoned checkouts stay visible for reporting.
+ *
+ * Pending rows created before holds existed have no hold_expires_at; those
+ * fall back to created_at + HOLD_MINUTES.
+ */
+export async function releaseExpiredHolds() {
+  const now = new Date();
+  const nowISO = now.toISOString();
+  const legacyThreshold = new Date(
+    now.getTime() - HOLD_MINUTES * 60 * 1000
+  ).toISOString();
+
+  const { data: timed, error: timedErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .update({ status: 'expired', updated_at: nowISO })
+    .eq('status', 'pending')
+    .lt('hold_expires_at', nowISO)
+    .select('id');
+
+  if (timedErr) throw timedErr;
+
+  const { data: legacy, error: legacyErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .update({ status: 'expired', updated_at: nowISO })
+    .eq('status', 'pending')
+    .is('hold_expires_at', null)
+    .lt('created_at', legacyThreshold)
+    .select('id');
+
+  if (legacyErr) throw legacyErr;
+
+  return { released: (timed || []).length + (legacy || []).length };
+}
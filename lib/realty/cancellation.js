@@ -0,0 +1,243 @@
+// lib/realty/cancellation.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { sendEmail } from '@/lib/sendEmail';
+import { releaseHold } from '@/lib/realty/availability';
+import { signGuestToken } from '@/lib/realty/guestTokens';
+import { computeRefund } from '@/lib/realty/cancellationPolicies';
+import { releaseDeposit } from '@/lib/realty/deposits';
+import { listReservationRefunds, refundReservation } from '@/lib/realty/payments';
+import { refreshTurnovers } from '@/lib/realty/turnovers';
+import { checkCalendarConflicts } from '@/lib/realty/conflicts';
+import { formatMoney } from '@/lib/currency';
+
+// a `cancelling` row this old was left by a cancel that crashed or failed midway
+export const CANCEL_STALE_MINUTES = 5;
+
+/** Guest cancel link (valid until check-in); '' without REALTY_LINK_SECRET. */
+export function guestCancelUrl(reservation) {
+  const site = process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+  const token = signGuestToken({
+    reservationId: reservation.id,
+    action: 'cancel',
+    expiresAt: `${reservation.checkin}T23:59:59Z`,
+  });
+  return token ? `${site}/realty/cancel?token=${encodeURIComponent(token)}` : '';
+}
+
+export async function loadReservationWithProperty(reservationId) {
+  const { data: reservation, error } = await supabaseAdmin
+    .from('realty_reservations')
+    .select('*')
+    .eq('id', reservationId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!reservation) return { reservation: null, propRow: null };
+
+  const { data: propRow } = await supabaseAdmin
+    .from('properties')
+    .select('id, name, slug, metadata')
+    .eq('id', reservation.property_id)
+    .maybeSingle();
+
+  return { reservation, propRow };
+}
+
+async function notifyGuest({ reservation, propRow, refundCents, cancelledBy }) {
+  if (!reservation.guest_email) return;
+  const refundLine =
+    refundCents > 0
+      ? `<p>A refund of <strong>${formatMoney(refundCents / 100, reservation.currency || 'usd')}</strong> has been issued to your original payment method. It usually appears within 5–10 business days.</p>`
+      : '<p>Under the cancellation policy for this stay, no refund is due.</p>';
+
+  try {
+    await sendEmail({
+      to: reservation.guest_email,
+      subject: `Your stay at ${propRow?.name || 'Manyagi Realty'} has been cancelled`,
+      html: `
+        <h1>Reservation cancelled</h1>
+        <p>Hi ${reservation.guest_name || 'there'},</p>
+        <p>${cancelledBy === 'guest' ? 'As requested, your' : 'Your'} reservation at <strong>${propRow?.name || 'our property'}</strong>
+        for ${reservation.checkin} → ${reservation.checkout} has been cancelled.</p>
+        ${refundLine}
+        <p>Questions? Just reply to this email.</p>
+      `,
+    });
+  } catch (e) {
+    console.warn('[cancel] guest email failed:', e.message);
+  }
+}
+
+/**
+ * Cancel a reservation.
+ *
+ * - pending holds are simply released (nothing was charged)
+ * - paid stays: refund per policy (or `refundCents` override from an admin),
+ *   mark cancelled — which frees the nights, since availability, calendar
+ *   blocks and the iCal export only count paid / held rows — and email the
+ *   guest
+ *
+ * The row is claimed first (`paid` -> `cancelling`), so two concurrent
+ * cancels can't both refund; a failed refund puts it back to `paid`.
+ * Cancelling a row stuck in `cancelling` (older than CANCEL_STALE_MINUTES)
+ * recovers it: if Stripe has its cancellation refund the cancel is finished
+ * with it, otherwise the row goes back to `paid` and is cancelled afresh.
+ * Refunds also use an idempotency key per reservation + payment, so a
+ * retried request can't refund twice. A stay that was modified upwards is refunded
+ * across its original and "difference" payments.
+ *
+ * Returns { ok, status, refund } or { ok: false, error, status: httpStatus }.
+ */
+export async function cancelReservation({
+  reservationId,
+  cancelledBy = 'admin',
+  refundCents = null,
+  reason = '',
+}) {
+  const { reservation, propRow } = await loadReservationWithProperty(reservationId);
+  if (!reservation) return { ok: false, status: 404, error: 'Reservation not found' };
+
+  if (reservation.status === 'pending') {
+    await releaseHold(reservation.id, 'cancelled');
+    return { ok: true, status: 'cancelled', refund: null };
+  }
+  if (reservation.status === 'cancelling') {
+    return recoverCancellation({ reservation, propRow, cancelledBy, refundCents, reason });
+  }
+  if (reservation.status !== 'paid') {
+    return { ok: false, status: 400, error: `Reservation is already ${reservation.status}` };
+  }
+
+  const refund = computeRefund({ reservation, propRow });
+  let amount = refund.refund_cents;
+  if (refundCents != null && refundCents !== '') {
+    amount = Math.round(Number(refundCents));
+    if (!Number.isFinite(amount) || amount < 0 || amount > refund.paid_cents) {
+      return { ok: false, status: 400, error: 'refund_cents must be between 0 and the amount paid' };
+    }
+  }
+
+  const { data: claimed, error: claimErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .update({ status: 'cancelling', updated_at: new Date().toISOString() })
+    .eq('id', reservation.id)
+    .eq('status', 'paid')
+    .select('id');
+  if (claimErr) throw claimErr;
+  if (!claimed?.length) {
+    return { ok: false, status: 409, error: 'Reservation is already being cancelled' };
+  }
+
+  const unclaim = () =>
+    supabaseAdmin
+      .from('realty_reservations')
+      .update({ status: 'paid', updated_at: new Date().toISOString() })
+      .eq('id', reservation.id)
+      .eq('status', 'cancelling');
+
+  let stripeRefundId = null;
+  if (amount > 0) {
+    let result;
+    try {
+      result = await refundReservation({
+        reservation,
+        amount,
+        keyPrefix: `realty-cancel-${reservation.id}`,
+        metadata: { type: 'realty_cancellation' },
+      });
+    } catch (e) {
+      await unclaim();
+      throw e;
+    }
+    const { refunded, refundIds } = result;
+    if (!refundIds.length) {
+      await unclaim();
+      return { ok: false, status: 400, error: 'No Stripe payment found for this reservation' };
+    }
+    if (refunded < amount) {
+      console.warn(`[cancel] only ${refunded} of ${amount} cents refundable for ${reservation.id}`);
+    }
+    amount = refunded;
+    stripeRefundId = refundIds.join(',');
+  }
+
+  await finishCancellation({ reservation, propRow, refund, amount, stripeRefundId, cancelledBy, reason });
+  return { ok: true, status: 'cancelled', refund: { ...refund, refund_cents: amount } };
+}
+
+// `cancelling` -> `cancelled` once the refund (if any) went through
+async function finishCancellation({ reservation, propRow, refund, amount, stripeRefundId, cancelledBy, reason }) {
+  const nowISO = new Date().toISOString();
+  const { error: updErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .update({
+      status: 'cancelled',
+      cancelled_at: nowISO,
+      cancelled_by: cancelledBy,
+      cancellation_reason: reason || null,
+      cancellation_policy: refund.policy.key,
+      refund_cents: amount,
+      stripe_refund_id: stripeRefundId,
+      updated_at: nowISO,
+    })
+    .eq('id', reservation.id)
+    .eq('status', 'cancelling');
+  if (updErr) throw updErr;
+
+  // a deposit hold (or scheduled hold) has nothing left to protect
+  if (['scheduled', 'authorized'].includes(reservation.deposit_status)) {
+    try {
+      await releaseDeposit(reservation);
+    } catch (e) {
+      console.warn('[cancel] deposit release failed:', e.message);
+    }
+  }
+
+  await refreshTurnovers(reservation.property_id);
+  await checkCalendarConflicts(reservation.property_id);
+  await notifyGuest({ reservation, propRow, refundCents: amount, cancelledBy });
+}
+
+async function recoverCancellation({ reservation, propRow, cancelledBy, refundCents, reason }) {
+  const age = Date.now() - new Date(reservation.updated_at || 0).getTime();
+  if (age < CANCEL_STALE_MINUTES * 60 * 1000) {
+    return { ok: false, status: 409, error: 'Reservation is already being cancelled' };
+  }
+
+  // take the row over (compare-and-set, so only one retry recovers it)
+  const { data: taken, error: takeErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', reservation.id)
+    .eq('status', 'cancelling')
+    .eq('updated_at', reservation.updated_at)
+    .select('id');
+  if (takeErr) throw takeErr;
+  if (!taken?.length) return { ok: false, status: 409, error: 'Reservation is already being cancelled' };
+
+  const refunds = await listReservationRefunds(reservation, 'realty_cancellation');
+  if (refunds.length) {
+    const amount = refunds.reduce((sum, r) => sum + Number(r.amount || 0), 0);
+    const refund = computeRefund({ reservation, propRow });
+    await finishCancellation({
+      reservation,
+      propRow,
+      refund,
+      amount,
+      stripeRefundId: refunds.map((r) => r.id).join(','),
+      cancelledBy,
+      reason,
+    });
+    console.log(`[cancel] recovered ${reservation.id}: ${amount} cents already refunded`);
+    return { ok: true, status: 'cancelled', recovered: true, refund: { ...refund, refund_cents: amount } };
+  }
+
+  // the refund never went out: back to paid, then cancel it properly
+  const { error: revertErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .update({ status: 'paid', updated_at: new Date().toISOString() })
+    .eq('id', reservation.id)
+    .eq('status', 'cancelling');
+  if (revertErr) throw revertErr;
+  console.log(`[cancel] ${reservation.id} was stuck cancelling without a refund, reverted to paid`);
+  return cancelReservation({ reservationId: reservation.id, cancelledBy, refundCents, reason });
+}
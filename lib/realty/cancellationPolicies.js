@@ -0,0 +1,81 @@
+// lib/realty/cancellationPolicies.js
+// Pure policy math — safe to import from admin components as well as API routes.
+
+/**
+ * Cancellation policies (properties.metadata.cancellation_policy).
+ *
+ * Tiers are checked top-down: the first tier whose `days_before` the
+ * cancellation meets (whole days until check-in) sets the refund %.
+ * Cancelling on/after check-in day refunds nothing.
+ *
+ * The cleaning fee is always refunded when cancelling before check-in; the
+ * percentage applies to the rest of what was charged (rent + taxes).
+ */
+export const CANCELLATION_POLICIES = {
+  flexible: {
+    label: 'Flexible',
+    summary: 'Full refund up to 1 day before check-in.',
+    tiers: [{ days_before: 1, refund_percent: 100 }],
+  },
+  moderate: {
+    label: 'Moderate',
+    summary: 'Full refund up to 5 days before check-in, 50% after that.',
+    tiers: [
+      { days_before: 5, refund_percent: 100 },
+      { days_before: 1, refund_percent: 50 },
+    ],
+  },
+  strict: {
+    label: 'Strict',
+    summary: 'Full refund up to 30 days before check-in, 50% up to 14 days before, no refund after that.',
+    tiers: [
+      { days_before: 30, refund_percent: 100 },
+      { days_before: 14, refund_percent: 50 },
+    ],
+  },
+};
+
+export const DEFAULT_POLICY = 'moderate';
+
+export function policyFor(propRow) {
+  const key = propRow?.metadata?.cancellation_policy;
+  const k = CANCELLATION_POLICIES[key] ? key : DEFAULT_POLICY;
+  return { key: k, ...CANCELLATION_POLICIES[k] };
+}
+
+function daysUntil(checkin, now = new Date()) {
+  const start = new Date(checkin + 'T00:00:00Z').getTime();
+  const today = new Date(now.toISOString().slice(0, 10) + 'T00:00:00Z').getTime();
+  return Math.round((start - today) / 86400000);
+}
+
+/**
+ * Work out what a cancellation right now would refund.
+ * Returns { policy, days_before_checkin, refund_percent, paid_cents, refund_cents }
+ */
+export function computeRefund({ reservation, propRow, now = new Date() }) {
+  const policy = policyFor(propRow);
+  const paidCents = Number(reservation.amount_cents || 0);
+  const days = daysUntil(reservation.checkin, now);
+
+  const tier = days > 0 ? policy.tiers.find((t) => days >= t.days_before) : null;
+  const pct = tier ? tier.refund_percent : 0;
+
+  // price_breakdown is in the property currency; the charge may not be
+  const rate = Number(reservation.exchange_rate) > 0 ? Number(reservation.exchange_rate) : 1;
+  const cleaningCents =
+    days > 0 ? Math.round(Number(reservation.price_breakdown?.cleaning_fee || 0) * rate * 100) : 0;
+  const refundable = Math.max(0, paidCents - cleaningCents);
+  const refundCents = Math.min(
+    paidCents,
+    cleaningCents + Math.round((refundable * pct) / 100)
+  );
+
+  return {
+    policy: { key: policy.key, label: policy.label, summary: policy.summary },
+    days_before_checkin: days,
+    refund_percent: pct,
+    paid_cents: paidCents,
+    refund_cents: refundCents,
+  };
+}
@@ -0,0 +1,151 @@
+// lib/realty/channelFeeds.js
+import crypto from 'crypto';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { signGuestToken } from '@/lib/realty/guestTokens';
+
+/**
+ * Private outbound calendar feeds, one per channel a property is listed on.
+ *
+ * Each feed has its own random token, so the URL can't be guessed from the
+ * property id and a leaked feed can be rotated without touching the others.
+ * A channel's feed leaves out the blocks we imported from that same channel,
+ * so Airbnb never sees its own bookings echoed back as "unavailable".
+ *
+ * realty_channel_feeds (unique token):
+ *   id, property_id, channel ('airbnb'|'vrbo'|'booking'|'google'|'other'),
+ *   label, token, active, last_fetched_at, created_at
+ */
+
+export const CHANNELS = ['airbnb', 'vrbo', 'booking', 'google', 'other'];
+
+// guests can add their own stay to a calendar for this long after checkout
+const GUEST_CALENDAR_DAYS = 30;
+
+function siteUrl() {
+  return process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+}
+
+export function newFeedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/** Which channel an imported feed URL (realty_external_blocks.source) belongs to. */
+export function channelOf(url) {
+  let host = '';
+  try {
+    host = new URL(String(url || '')).hostname.toLowerCase();
+  } catch {
+    return 'other';
+  }
+  if (host.includes('airbnb.')) return 'airbnb';
+  if (host.includes('vrbo.') || host.includes('homeaway.') || host.includes('abritel.')) return 'vrbo';
+  if (host.includes('booking.com')) return 'booking';
+  if (host.includes('google.')) return 'google';
+  return 'other';
+}
+
+/** UID a paid stay gets in our feeds; channels that re-export it keep it. */
+export function stayUid(reservationId) {
+  return `${reservationId}@manyagi`;
+}
+
+/** SUMMARY a paid stay gets in the channel feeds. */
+export function staySummary(propertyName) {
+  return `${propertyName || 'Property'} — Reserved`;
+}
+
+export function feedExportUrl(feed) {
+  return `${siteUrl()}/api/realty/ical-export?token=${encodeURIComponent(feed.token)}`;
+}
+
+/** Single-stay .ics link for the guest's confirmation email. */
+export function guestCalendarUrl(reservation) {
+  const expires = new Date(reservation.checkout + 'T23:59:59Z');
+  expires.setUTCDate(expires.getUTCDate() + GUEST_CALENDAR_DAYS);
+  const token = signGuestToken({ reservationId: reservation.id, action: 'calendar', expiresAt: expires });
+  return token ? `${siteUrl()}/api/realty/ical-export?stay=${encodeURIComponent(token)}` : '';
+}
+
+const withUrl = (feed) => ({ ...feed, export_url: feedExportUrl(feed) });
+
+export async function listChannelFeeds(propertyId) {
+  const { data, error } = await supabaseAdmin
+    .from('realty_channel_feeds')
+    .select('*')
+    .eq('property_id', propertyId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(withUrl);
+}
+
+export async function createChannelFeed({ propertyId, channel, label }) {
+  if (!CHANNELS.includes(channel)) return { ok: false, status: 400, error: 'Unknown channel' };
+  const { data, error } = await supabaseAdmin
+    .from('realty_channel_feeds')
+    .insert({
+      property_id: propertyId,
+      channel,
+      label: label ? String(label).trim() : null,
+      token: newFeedToken(),
+      active: true,
+    })
+    .select('*')
+    .single();
+  if (error) throw error;
+  return { ok: true, feed: withUrl(data) };
+}
+
+/** patch: { label, active, rotate_token } — rotating kills the old URL. */
+export async function updateChannelFeed(id, patch = {}) {
+  const fields = {};
+  if (patch.label !== undefined) fields.label = patch.label ? String(patch.label).trim() : null;
+  if (patch.active !== undefined) fields.active = !!patch.active;
+  if (patch.rotate_token) fields.token = newFeedToken();
+
+  const { data, error } = await supabaseAdmin
+    .from('realty_channel_feeds')
+    .update(fields)
+    .eq('id', id)
+    .select('*')
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return { ok: false, status: 404, error: 'Feed not found' };
+  return { ok: true, feed: withUrl(data) };
+}
+
+/**
+ * Feed that old `ical-export?property_id=` subscriptions are redirected to:
+ * the property's oldest active 'other' feed (all blocks), created on first
+ * use. Returns null for an unknown property.
+ */
+export async function legacyFeed(propertyId) {
+  const { data: existing, error } = await supabaseAdmin
+    .from('realty_channel_feeds')
+    .select('*')
+    .eq('property_id', propertyId)
+    .eq('channel', 'other')
+    .eq('active', true)
+    .order('created_at', { ascending: true })
+    .limit(1);
+  if (error) throw error;
+  if (existing?.length) return existing[0];
+
+  const { data: prop } = await supabaseAdmin.from('properties').select('id').eq('id', propertyId).maybeSingle();
+  if (!prop) return null;
+
+  const { feed } = await createChannelFeed({ propertyId, channel: 'other', label: 'Legacy feed' });
+  return feed;
+}
+
+/** Active feed for an export token, or null. */
+export async function feedByToken(token) {
+  if (!token) return null;
+  const { data, error } = await supabaseAdmin
+    .from('realty_channel_feeds')
+    .select('*')
+    .eq('token', String(token))
+    .eq('active', true)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
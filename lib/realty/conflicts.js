@@ -0,0 +1,258 @@
+// lib/realty/conflicts.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { sendEmail } from '@/lib/sendEmail';
+import { addDays } from '@/lib/realty/ics';
+import { channelOf, staySummary, stayUid } from '@/lib/realty/channelFeeds';
+
+/**
+ * Double-booking detector: paid direct reservations vs imported channel
+ * blocks (realty_external_blocks). Runs after every iCal sync and every
+ * booking / change / cancellation for the property.
+ *
+ * realty_calendar_conflicts (unique reservation_id + block_id):
+ *   id, property_id, reservation_id, block_id, block_source, channel,
+ *   overlap_start, overlap_end (inclusive nights), exact_match,
+ *   status ('open' | 'resolved' | 'ignored' | 'cleared'), note,
+ *   detected_at, last_seen_at, resolved_at, resolved_by, alerted_at
+ *
+ * 'cleared' is set automatically once the overlap is gone (block removed on
+ * the channel, stay moved or cancelled). 'resolved' / 'ignored' are admin
+ * decisions and are left alone while the overlap persists.
+ *
+ * exact_match: the block covers exactly the reservation's nights (shown in
+ * the admin panel). It is not enough to call a block an echo — a real
+ * channel booking can have the same dates.
+ *
+ * Echoes of our own ical-export feed (the channel re-publishing our stay)
+ * are recognised by the block's UID (stayUid of the reservation) or, when
+ * the channel rewrites UIDs, by our staySummary on exactly the stay's
+ * nights. Those are not conflicts and are skipped.
+ */
+
+export const CONFLICT_STATUSES = ['open', 'resolved', 'ignored', 'cleared'];
+
+const ymd = (d) => d.toISOString().slice(0, 10);
+
+function esc(v) {
+  return String(v ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/** Is `block` our own feed's event for reservation `r`, echoed back? */
+export function isEcho(r, block, propertyName) {
+  // recurring-event uids get a "#YYYYMMDD" suffix in ics.js
+  const uid = String(block.uid || '').split('#')[0];
+  if (uid && uid === stayUid(r.id)) return true;
+  const exact = block.starts_on === r.checkin && block.ends_on === addDays(r.checkout, -1);
+  return exact && String(block.summary || '').trim() === staySummary(propertyName);
+}
+
+/**
+ * Pure overlap finder (echoes of our own stays left out).
+ * reservations: [{ id, checkin, checkout }]   (checkout exclusive)
+ * blocks:       [{ id, starts_on, ends_on, source, uid, summary }] (both inclusive)
+ */
+export function findOverlaps(reservations = [], blocks = [], { propertyName = null } = {}) {
+  const out = [];
+  reservations.forEach((r) => {
+    const lastNight = addDays(r.checkout, -1);
+    blocks.forEach((b) => {
+      if (b.starts_on > lastNight || b.ends_on < r.checkin) return;
+      if (isEcho(r, b, propertyName)) return;
+      out.push({
+        reservation_id: r.id,
+        block_id: b.id,
+        block_source: b.source || null,
+        channel: channelOf(b.source),
+        overlap_start: b.starts_on > r.checkin ? b.starts_on : r.checkin,
+        overlap_end: b.ends_on < lastNight ? b.ends_on : lastNight,
+        exact_match: b.starts_on === r.checkin && b.ends_on === lastNight,
+      });
+    });
+  });
+  return out;
+}
+
+async function alertAdmins(propRow, rows, reservations) {
+  const to = process.env.SUPPORT_EMAIL || 'realty@manyagi.net';
+  const byId = Object.fromEntries(reservations.map((r) => [r.id, r]));
+  const items = rows
+    .map((c) => {
+      const r = byId[c.reservation_id] || {};
+      return `<li><strong>${esc(r.guest_name || 'Guest')}</strong> ${r.checkin} → ${r.checkout} overlaps a ${esc(
+        c.channel
+      )} block on ${c.overlap_start}${c.overlap_end !== c.overlap_start ? ` – ${c.overlap_end}` : ''}</li>`;
+    })
+    .join('');
+  await sendEmail({
+    to,
+    subject: `⚠ Double booking at ${propRow?.name || 'a property'} (${rows.length})`,
+    html: `
+      <p>A paid direct booking overlaps dates blocked on another channel at <strong>${esc(
+        propRow?.name || ''
+      )}</strong>:</p>
+      <ul>${items}</ul>
+      <p>Cancel or move one of the stays, then mark the conflict resolved in Admin → Realty → Channel Calendars.</p>
+    `,
+  });
+}
+
+/**
+ * Re-scan one property. Returns { open, created, cleared }.
+ * Throws on database errors; use checkCalendarConflicts from hooks.
+ */
+export async function detectConflicts(propertyId, { now = new Date() } = {}) {
+  const today = ymd(now);
+
+  const [
+    { data: resv, error: rErr },
+    { data: blocks, error: bErr },
+    { data: existing, error: eErr },
+    { data: propRow },
+  ] = await Promise.all([
+      supabaseAdmin
+        .from('realty_reservations')
+        .select('id, checkin, checkout, guest_name')
+        .eq('property_id', propertyId)
+        .eq('status', 'paid')
+        .gt('checkout', today),
+      supabaseAdmin
+        .from('realty_external_blocks')
+        .select('id, starts_on, ends_on, source, uid, summary')
+        .eq('property_id', propertyId)
+        .gte('ends_on', today),
+      supabaseAdmin
+        .from('realty_calendar_conflicts')
+        .select('*')
+        .eq('property_id', propertyId)
+        .neq('status', 'cleared'),
+      supabaseAdmin.from('properties').select('id, name').eq('id', propertyId).maybeSingle(),
+    ]);
+  if (rErr) throw rErr;
+  if (bErr) throw bErr;
+  if (eErr) throw eErr;
+
+  const found = findOverlaps(resv || [], blocks || [], { propertyName: propRow?.name });
+  const key = (c) => `${c.reservation_id}:${c.block_id}`;
+  const known = new Map((existing || []).map((c) => [key(c), c]));
+  const nowISO = now.toISOString();
+
+  const created = [];
+  for (const c of found) {
+    const row = known.get(key(c));
+    if (row) {
+      known.delete(key(c));
+      await supabaseAdmin
+        .from('realty_calendar_conflicts')
+        .update({ overlap_start: c.overlap_start, overlap_end: c.overlap_end, exact_match: c.exact_match, last_seen_at: nowISO })
+        .eq('id', row.id);
+      continue;
+    }
+
+    // a pair that was cleared earlier and came back is re-opened
+    const { data: reopened } = await supabaseAdmin
+      .from('realty_calendar_conflicts')
+      .update({ ...c, status: 'open', last_seen_at: nowISO, resolved_at: null, resolved_by: null })
+      .eq('reservation_id', c.reservation_id)
+      .eq('block_id', c.block_id)
+      .eq('status', 'cleared')
+      .select('*');
+    if (reopened?.length) {
+      created.push(reopened[0]);
+      continue;
+    }
+
+    const { data: inserted, error: insErr } = await supabaseAdmin
+      .from('realty_calendar_conflicts')
+      .insert({ ...c, property_id: propertyId, status: 'open', detected_at: nowISO, last_seen_at: nowISO })
+      .select('*')
+      .single();
+    if (insErr?.code === '23505') continue; // another run got there first
+    if (insErr) throw insErr;
+    created.push(inserted);
+  }
+
+  // whatever is left no longer overlaps
+  const gone = Array.from(known.values()).map((c) => c.id);
+  if (gone.length) {
+    const { error } = await supabaseAdmin
+      .from('realty_calendar_conflicts')
+      .update({ status: 'cleared', resolved_at: nowISO, resolved_by: 'system' })
+      .in('id', gone);
+    if (error) throw error;
+  }
+
+  if (created.length) {
+    try {
+      await alertAdmins(propRow, created, resv || []);
+      await supabaseAdmin
+        .from('realty_calendar_conflicts')
+        .update({ alerted_at: nowISO })
+        .in('id', created.map((c) => c.id));
+    } catch (e) {
+      console.warn('[conflicts] alert email failed:', e.message);
+    }
+  }
+
+  return { open: found.length, created: created.length, cleared: gone.length };
+}
+
+/** Best-effort scan after a sync or booking change; never throws. */
+export async function checkCalendarConflicts(propertyId) {
+  if (!propertyId) return null;
+  try {
+    return await detectConflicts(propertyId);
+  } catch (e) {
+    console.warn(`[conflicts] scan for ${propertyId} failed:`, e.message);
+    return null;
+  }
+}
+
+/** Conflicts for the admin panel, with guest / stay details. */
+export async function listConflicts({ propertyId = null, statuses = ['open'] } = {}) {
+  let q = supabaseAdmin
+    .from('realty_calendar_conflicts')
+    .select('*')
+    .in('status', statuses)
+    .order('overlap_start', { ascending: true });
+  if (propertyId) q = q.eq('property_id', propertyId);
+  const { data, error } = await q;
+  if (error) throw error;
+
+  const rows = data || [];
+  const resvIds = Array.from(new Set(rows.map((c) => c.reservation_id)));
+  const { data: resv } = resvIds.length
+    ? await supabaseAdmin
+        .from('realty_reservations')
+        .select('id, guest_name, guest_email, checkin, checkout, status')
+        .in('id', resvIds)
+    : { data: [] };
+  const byId = Object.fromEntries((resv || []).map((r) => [r.id, r]));
+
+  return rows.map((c) => ({ ...c, reservation: byId[c.reservation_id] || null }));
+}
+
+/** Admin decision on a conflict: status 'resolved' | 'ignored' | 'open'. */
+export async function setConflictStatus(id, status, { by = 'admin', note } = {}) {
+  if (!['open', 'resolved', 'ignored'].includes(status)) {
+    return { ok: false, status: 400, error: 'Invalid status' };
+  }
+  const fields = {
+    status,
+    resolved_at: status === 'open' ? null : new Date().toISOString(),
+    resolved_by: status === 'open' ? null : by,
+  };
+  if (note !== undefined) fields.note = String(note || '').trim() || null;
+
+  const { data, error } = await supabaseAdmin
+    .from('realty_calendar_conflicts')
+    .update(fields)
+    .eq('id', id)
+    .select('*')
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return { ok: false, status: 404, error: 'Conflict not found' };
+  return { ok: true, conflict: data };
+}
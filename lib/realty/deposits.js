@@ -0,0 +1,315 @@
+// lib/realty/deposits.js
+import Stripe from 'stripe';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { sendEmail } from '@/lib/sendEmail';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+
+/**
+ * Refundable damage deposits as a separate, manual-capture card hold.
+ *
+ * Checkout only charges the stay and saves the guest's card for later
+ * (off-session). The deposit then moves through deposit_status on
+ * realty_reservations:
+ *
+ *   scheduled   paid booking with a deposit; nothing on the card yet
+ *   authorized  hold placed AUTHORIZE_DAYS_BEFORE check-in
+ *               (deposit_payment_intent, capture_method = manual)
+ *   released    hold cancelled N days after checkout
+ *               (metadata.deposit_release_days, default 3) or by an admin
+ *   claimed     admin captured part/all of it (deposit_claim_cents + notes);
+ *               Stripe releases the rest
+ *   failed      authorization declined — deposit_error says why
+ *   cancelled   stay cancelled before the hold was placed
+ *
+ * Other columns: deposit_cents, deposit_authorized_at, deposit_release_after,
+ * deposit_released_at, deposit_claimed_at, stripe_customer_id,
+ * stripe_payment_method.
+ *
+ * Card authorizations lapse after ~7 days. Longer stays are re-authorized:
+ * once a hold is REAUTHORIZE_AFTER_DAYS old and its release date is still
+ * ahead, a fresh hold is placed and the old one cancelled. If the new
+ * authorization is declined the old hold is kept (it is still good for a
+ * day or so), deposit_error is set and SUPPORT_EMAIL is told, so a claim
+ * can be made before it lapses.
+ */
+
+export const AUTHORIZE_DAYS_BEFORE = 1;
+export const DEFAULT_RELEASE_DAYS = 3;
+export const REAUTHORIZE_AFTER_DAYS = 6;
+
+const ADMIN_EMAIL = process.env.SUPPORT_EMAIL || 'realty@manyagi.net';
+
+const ymd = (d) => d.toISOString().slice(0, 10);
+
+function addDaysYmd(ymdStr, days) {
+  const d = new Date(ymdStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return ymd(d);
+}
+
+export function depositReleaseDays(propRow) {
+  const n = Number(propRow?.metadata?.deposit_release_days);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_RELEASE_DAYS;
+}
+
+/** Date the deposit hold is released for a stay ending on `checkout`. */
+export function depositReleaseAfter(checkout, propRow) {
+  return addDaysYmd(checkout, depositReleaseDays(propRow));
+}
+
+async function updateDeposit(id, fields) {
+  const { error } = await supabaseAdmin
+    .from('realty_reservations')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) throw error;
+}
+
+/**
+ * Called from the checkout webhook once the stay is paid: remember the
+ * saved card and schedule the deposit hold.
+ * `session` must have payment_intent expanded or be retrievable.
+ */
+export async function scheduleDeposit({ reservationId, session }) {
+  if (!reservationId || !session) return;
+
+  const { data: resv } = await supabaseAdmin
+    .from('realty_reservations')
+    .select('id, deposit_cents, deposit_status, checkout, property_id')
+    .eq('id', reservationId)
+    .maybeSingle();
+  if (!resv || !Number(resv.deposit_cents) || resv.deposit_status) return;
+
+  let pi = session.payment_intent;
+  if (pi && typeof pi === 'string') pi = await stripe.paymentIntents.retrieve(pi);
+
+  const { data: propRow } = await supabaseAdmin
+    .from('properties')
+    .select('metadata')
+    .eq('id', resv.property_id)
+    .maybeSingle();
+
+  await updateDeposit(resv.id, {
+    deposit_status: 'scheduled',
+    stripe_customer_id: session.customer || pi?.customer || null,
+    stripe_payment_method: pi?.payment_method || null,
+    deposit_release_after: depositReleaseAfter(resv.checkout, propRow),
+  });
+}
+
+function createHold(resv, idempotencyKey) {
+  return stripe.paymentIntents.create(
+    {
+      amount: Number(resv.deposit_cents),
+      currency: resv.currency || 'usd',
+      customer: resv.stripe_customer_id,
+      payment_method: resv.stripe_payment_method,
+      capture_method: 'manual',
+      off_session: true,
+      confirm: true,
+      description: `Damage deposit hold — ${resv.checkin} → ${resv.checkout}`,
+      metadata: { type: 'realty_deposit', reservation_id: resv.id },
+    },
+    { idempotencyKey }
+  );
+}
+
+/** Place the manual-capture hold for one reservation. */
+export async function authorizeDeposit(resv) {
+  if (!resv.stripe_customer_id || !resv.stripe_payment_method) {
+    await updateDeposit(resv.id, {
+      deposit_status: 'failed',
+      deposit_error: 'No saved card on file for this booking',
+    });
+    return { ok: false };
+  }
+
+  // a retry after a decline needs a fresh key, or Stripe replays the decline
+  const attempt = resv.deposit_status === 'failed' ? `-retry-${Date.now()}` : '';
+
+  try {
+    const pi = await createHold(resv, `realty-deposit-auth-${resv.id}${attempt}`);
+
+    await updateDeposit(resv.id, {
+      deposit_status: 'authorized',
+      deposit_payment_intent: pi.id,
+      deposit_authorized_at: new Date().toISOString(),
+      deposit_error: null,
+    });
+    return { ok: true };
+  } catch (e) {
+    console.warn(`[deposit] authorize failed for ${resv.id}:`, e.message);
+    await updateDeposit(resv.id, {
+      deposit_status: 'failed',
+      deposit_error: e.message,
+    });
+    return { ok: false };
+  }
+}
+
+/**
+ * Swap an ageing hold for a fresh one before the card authorization lapses.
+ * On a decline the old hold stays in place and the admin is emailed.
+ */
+export async function reauthorizeDeposit(resv) {
+  const previous = resv.deposit_payment_intent;
+  let pi;
+  try {
+    pi = await createHold(resv, `realty-deposit-reauth-${resv.id}-${resv.deposit_authorized_at}`);
+  } catch (e) {
+    console.warn(`[deposit] re-authorize failed for ${resv.id}:`, e.message);
+    await updateDeposit(resv.id, { deposit_error: `Re-authorization failed: ${e.message}` });
+    try {
+      await sendEmail({
+        to: ADMIN_EMAIL,
+        subject: `Deposit hold expiring — ${resv.guest_name || resv.id}`,
+        html: `
+          <p>The damage-deposit hold for the stay ${resv.checkin} → ${resv.checkout}
+          (${resv.guest_name || ''} ${resv.guest_email || ''}) could not be renewed:</p>
+          <p><em>${e.message}</em></p>
+          <p>The current hold was placed ${resv.deposit_authorized_at} and lapses about 7 days after that.
+          Make any damage claim before then; after that the deposit can no longer be captured.</p>
+        `,
+      });
+    } catch (mailErr) {
+      console.warn('[deposit] admin email failed:', mailErr.message);
+    }
+    return { ok: false };
+  }
+
+  await updateDeposit(resv.id, {
+    deposit_payment_intent: pi.id,
+    deposit_authorized_at: new Date().toISOString(),
+    deposit_error: null,
+  });
+
+  try {
+    const old = await stripe.paymentIntents.retrieve(previous);
+    if (old.status === 'requires_capture') await stripe.paymentIntents.cancel(old.id);
+  } catch (e) {
+    console.warn(`[deposit] old hold cancel failed for ${resv.id}:`, e.message);
+  }
+  return { ok: true };
+}
+
+/** Cancel the hold (nothing captured). */
+export async function releaseDeposit(resv) {
+  if (resv.deposit_status === 'scheduled') {
+    await updateDeposit(resv.id, { deposit_status: 'cancelled' });
+    return { ok: true };
+  }
+  if (resv.deposit_status !== 'authorized' || !resv.deposit_payment_intent) {
+    return { ok: false, error: `Deposit is ${resv.deposit_status || 'not set'}` };
+  }
+
+  const pi = await stripe.paymentIntents.retrieve(resv.deposit_payment_intent);
+  // hold may already have lapsed / been cancelled on Stripe's side
+  if (pi.status === 'requires_capture') {
+    await stripe.paymentIntents.cancel(pi.id);
+  }
+
+  await updateDeposit(resv.id, {
+    deposit_status: 'released',
+    deposit_released_at: new Date().toISOString(),
+  });
+  return { ok: true };
+}
+
+/** Capture part (or all) of the hold for a damage claim. */
+export async function claimDeposit(resv, { amountCents, notes }) {
+  if (resv.deposit_status !== 'authorized' || !resv.deposit_payment_intent) {
+    return { ok: false, error: `Deposit is ${resv.deposit_status || 'not set'}` };
+  }
+  const amount = Math.round(Number(amountCents));
+  if (!Number.isFinite(amount) || amount <= 0 || amount > Number(resv.deposit_cents)) {
+    return { ok: false, error: 'Claim must be between 1 cent and the deposit amount' };
+  }
+  if (!String(notes || '').trim()) {
+    return { ok: false, error: 'Describe the damage in the claim notes' };
+  }
+
+  await stripe.paymentIntents.capture(
+    resv.deposit_payment_intent,
+    { amount_to_capture: amount },
+    { idempotencyKey: `realty-deposit-claim-${resv.id}` }
+  );
+
+  await updateDeposit(resv.id, {
+    deposit_status: 'claimed',
+    deposit_claim_cents: amount,
+    deposit_claim_notes: String(notes).trim(),
+    deposit_claimed_at: new Date().toISOString(),
+  });
+  return { ok: true };
+}
+
+/**
+ * Cron job: authorize holds that are due, renew ageing holds on long stays
+ * and release the ones past their release date. Safe to run as often as
+ * you like.
+ */
+export async function processDeposits(now = new Date()) {
+  const today = ymd(now);
+  const authorizeBy = addDaysYmd(today, AUTHORIZE_DAYS_BEFORE);
+  const result = { authorized: 0, failed: 0, reauthorized: 0, reauthorize_failed: 0, released: 0 };
+
+  const { data: due, error: dueErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .select('*')
+    .eq('status', 'paid')
+    .eq('deposit_status', 'scheduled')
+    .lte('checkin', authorizeBy)
+    .gt('checkout', today);
+  if (dueErr) throw dueErr;
+
+  for (const resv of due || []) {
+    const r = await authorizeDeposit(resv);
+    if (r.ok) result.authorized += 1;
+    else result.failed += 1;
+  }
+
+  // holds that would lapse before their release date (a failed renewal
+  // keeps deposit_error set and was already reported)
+  const renewBefore = new Date(now.getTime() - REAUTHORIZE_AFTER_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { data: ageing, error: ageErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .select('*')
+    .eq('deposit_status', 'authorized')
+    .lte('deposit_authorized_at', renewBefore)
+    .gt('deposit_release_after', today)
+    .is('deposit_error', null);
+  if (ageErr) throw ageErr;
+
+  for (const resv of ageing || []) {
+    const r = await reauthorizeDeposit(resv);
+    if (r.ok) result.reauthorized += 1;
+    else result.reauthorize_failed += 1;
+  }
+
+  const { data: toRelease, error: relErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .select('*')
+    .eq('deposit_status', 'authorized')
+    .lte('deposit_release_after', today);
+  if (relErr) throw relErr;
+
+  for (const resv of toRelease || []) {
+    try {
+      const r = await releaseDeposit(resv);
+      if (r.ok) result.released += 1;
+    } catch (e) {
+      console.warn(`[deposit] release failed for ${resv.id}:`, e.message);
+    }
+  }
+
+  // scheduled deposits whose stay already ended (cron was down) never get held
+  const { error: staleErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .update({ deposit_status: 'cancelled', deposit_error: 'Stay ended before the hold was placed', updated_at: now.toISOString() })
+    .eq('deposit_status', 'scheduled')
+    .lte('checkout', today);
+  if (staleErr) throw staleErr;
+
+  return result;
+}
@@ -0,0 +1,378 @@
+// lib/realty/guestMessages.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { sendEmail } from '@/lib/sendEmail';
+import { guestMessageEmailHTML } from '@/lib/emailTemplates';
+import { guestReviewUrl } from '@/lib/realty/reviews';
+
+/**
+ * Scheduled guest messages for paid stays.
+ *
+ * Each message has a send window in the property's local dates
+ * (metadata.timezone). A run sends whatever is inside its window and not yet
+ * logged as sent, so the job can run as often as you like:
+ *
+ *   pre_arrival        checkin - 3 days  .. checkin - 1
+ *   door_code          checkin           .. checkout - 1
+ *   mid_stay           middle night      (stays of MID_STAY_MIN_NIGHTS+)
+ *   checkout_reminder  checkout - 1      .. checkout   (2+ nights)
+ *   review_request     checkout + 1      .. checkout + REVIEW_WINDOW_DAYS
+ *
+ * Bookings made inside a window still get that message; windows that closed
+ * before the booking existed are simply missed.
+ *
+ * Log: realty_guest_messages, unique (reservation_id, message_type):
+ *   id, reservation_id, message_type, due_on, status, to_email, subject,
+ *   error, attempts, sent_at, created_at, updated_at
+ * status: 'sending' (claimed by a run) | 'sent' | 'failed' | 'skipped'
+ * Failed and skipped messages are retried while their window is open
+ * (failed ones up to MAX_ATTEMPTS).
+ *
+ * A log row only counts for the due_on it was sent for: when a booking
+ * change moves the stay, the message falls due again on the new dates
+ * (attempts start over) instead of staying "sent" for the old ones.
+ *
+ * Copy comes from properties.metadata.guest_info (public, shown on
+ * the listing too):
+ *   checkin_time, checkout_time, address, parking, arrival_notes,
+ *   checkout_notes
+ * and from realty_property_access (server-only, one row per property):
+ *   property_id, door_code, wifi_name, wifi_password, updated_at
+ */
+
+export const PRE_ARRIVAL_DAYS = 3;
+export const MID_STAY_MIN_NIGHTS = 4;
+export const REVIEW_WINDOW_DAYS = 7;
+export const MAX_ATTEMPTS = 3;
+
+// a claim older than this belongs to a run that died mid-send
+const STALE_CLAIM_MINUTES = 15;
+
+function addDaysYmd(ymdStr, days) {
+  const d = new Date(ymdStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function nightsOf(resv) {
+  const n = Number(resv.nights);
+  if (n > 0) return n;
+  return Math.round((new Date(resv.checkout) - new Date(resv.checkin)) / 86400000);
+}
+
+/** Today's date (YYYY-MM-DD) where the property is. */
+export function localToday(timeZone, now = new Date()) {
+  try {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timeZone || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(now);
+  } catch {
+    return now.toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Send windows for one reservation: [{ type, due, until }].
+ * Messages that don't apply to the stay (short stays) are left out.
+ */
+export function messageSchedule(resv) {
+  const nights = nightsOf(resv);
+  const lastNight = addDaysYmd(resv.checkout, -1);
+  const schedule = [
+    { type: 'pre_arrival', due: addDaysYmd(resv.checkin, -PRE_ARRIVAL_DAYS), until: addDaysYmd(resv.checkin, -1) },
+    { type: 'door_code', due: resv.checkin, until: lastNight },
+  ];
+  if (nights >= MID_STAY_MIN_NIGHTS) {
+    const mid = addDaysYmd(resv.checkin, Math.floor(nights / 2));
+    schedule.push({ type: 'mid_stay', due: mid, until: mid });
+  }
+  if (nights >= 2) {
+    schedule.push({ type: 'checkout_reminder', due: lastNight, until: resv.checkout });
+  }
+  schedule.push({
+    type: 'review_request',
+    due: addDaysYmd(resv.checkout, 1),
+    until: addDaysYmd(resv.checkout, REVIEW_WINDOW_DAYS),
+  });
+  return schedule;
+}
+
+function listingUrl(propRow) {
+  const site = process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+  return propRow?.slug ? `${site}/realty/${propRow.slug}` : site;
+}
+
+/**
+ * Build { subject, html } for one message, or { skip: reason } when the
+ * property is missing something the message can't go out without.
+ */
+export function buildGuestMessage(type, { reservation, propRow, access }) {
+  const info = propRow?.metadata?.guest_info || {};
+  const propertyName = propRow?.name || 'your stay';
+  const guestName = reservation.guest_name || 'Guest';
+  const base = { propertyName, guestName };
+  const wifi = access?.wifi_name
+    ? `${access.wifi_name}${access.wifi_password ? ` / ${access.wifi_password}` : ''}`
+    : '';
+
+  switch (type) {
+    case 'pre_arrival':
+      return {
+        subject: `Your stay at ${propertyName} is coming up`,
+        html: guestMessageEmailHTML({
+          ...base,
+          title: 'Arrival details',
+          intro: 'We’re looking forward to hosting you soon. Here’s what you need for arrival.',
+          details: [
+            { label: 'Check-in', value: `${reservation.checkin}${info.checkin_time ? ` from ${info.checkin_time}` : ''}` },
+            { label: 'Check-out', value: `${reservation.checkout}${info.checkout_time ? ` by ${info.checkout_time}` : ''}` },
+            { label: 'Address', value: info.address },
+            { label: 'Parking', value: info.parking },
+          ],
+          paragraphs: [
+            info.arrival_notes,
+            'Your door code will arrive by email on the morning of check-in.',
+          ],
+          cta: { label: 'View Listing', url: listingUrl(propRow) },
+        }),
+      };
+
+    case 'door_code':
+      if (!access?.door_code) return { skip: 'No door code set for this property' };
+      return {
+        subject: `Your door code for ${propertyName}`,
+        html: guestMessageEmailHTML({
+          ...base,
+          title: 'Check-in day',
+          intro: 'Welcome! Your home is ready. Use the code below to let yourself in.',
+          details: [
+            { label: 'Door code', value: access.door_code },
+            { label: 'Check-in from', value: info.checkin_time },
+            { label: 'Address', value: info.address },
+            { label: 'Wi-Fi', value: wifi },
+          ],
+          paragraphs: [info.arrival_notes],
+        }),
+      };
+
+    case 'mid_stay':
+      return {
+        subject: `How’s everything at ${propertyName}?`,
+        html: guestMessageEmailHTML({
+          ...base,
+          title: 'Checking in',
+          intro: 'We hope you’re enjoying your stay. Is there anything you need or anything that isn’t working as it should?',
+          paragraphs: ['Just reply to this email and we’ll take care of it.'],
+        }),
+      };
+
+    case 'checkout_reminder':
+      return {
+        subject: `Checkout reminder for ${propertyName}`,
+        html: guestMessageEmailHTML({
+          ...base,
+          title: 'Checkout reminder',
+          intro: 'A quick reminder that your stay ends soon.',
+          details: [
+            { label: 'Check-out', value: `${reservation.checkout}${info.checkout_time ? ` by ${info.checkout_time}` : ''}` },
+          ],
+          paragraphs: [info.checkout_notes, 'Thank you for staying with us — safe travels!'],
+        }),
+      };
+
+    case 'review_request': {
+      const reviewUrl = guestReviewUrl(reservation);
+      if (!reviewUrl) return { skip: 'REALTY_LINK_SECRET is not set' };
+      return {
+        subject: `How was your stay at ${propertyName}?`,
+        html: guestMessageEmailHTML({
+          ...base,
+          title: 'Leave a review',
+          intro: 'Thanks again for staying with us. A short review helps future guests and helps us improve.',
+          cta: { label: 'Leave a Review', url: reviewUrl },
+        }),
+      };
+    }
+
+    default:
+      return { skip: `Unknown message type ${type}` };
+  }
+}
+
+// sent / out of retries for these dates
+const isDone = (row, due) =>
+  row.due_on === due &&
+  (row.status === 'sent' || (row.status === 'failed' && Number(row.attempts || 0) >= MAX_ATTEMPTS));
+
+/**
+ * Take ownership of one message before sending. Returns the log row, or
+ * null when another run has it / it's already done / it's out of retries.
+ */
+async function claimMessage({ reservationId, type, due, existing, now }) {
+  const nowISO = now.toISOString();
+
+  if (!existing) {
+    const { data, error } = await supabaseAdmin
+      .from('realty_guest_messages')
+      .insert({
+        reservation_id: reservationId,
+        message_type: type,
+        due_on: due,
+        status: 'sending',
+        attempts: 1,
+        created_at: nowISO,
+        updated_at: nowISO,
+      })
+      .select('*')
+      .maybeSingle();
+    // unique violation: a parallel run got there first
+    if (error?.code === '23505') return null;
+    if (error) throw error;
+    return data;
+  }
+
+  if (isDone(existing, due)) return null;
+  if (existing.status === 'sending') {
+    const staleBefore = new Date(now.getTime() - STALE_CLAIM_MINUTES * 60 * 1000).toISOString();
+    if (existing.updated_at && existing.updated_at > staleBefore) return null;
+  }
+
+  // the stay moved: a fresh message for the new dates
+  const rescheduled = existing.due_on !== due;
+  let attempts = Number(existing.attempts || 0) + 1;
+  if (rescheduled) attempts = 1;
+  else if (existing.status === 'skipped') attempts = existing.attempts;
+
+  // compare-and-set on the row we read so two runs can't both win
+  const { data, error } = await supabaseAdmin
+    .from('realty_guest_messages')
+    .update({
+      status: 'sending',
+      due_on: due,
+      attempts,
+      ...(rescheduled ? { error: null, sent_at: null } : {}),
+      updated_at: nowISO,
+    })
+    .eq('id', existing.id)
+    .eq('status', existing.status)
+    .eq('updated_at', existing.updated_at)
+    .select('*')
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function finishMessage(id, fields) {
+  const { error } = await supabaseAdmin
+    .from('realty_guest_messages')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) console.warn(`[guest-messages] log update failed for ${id}:`, error.message);
+}
+
+/**
+ * Send every message that is due. Safe to re-run: sent messages are never
+ * repeated. `dryRun` lists what would go out without sending or logging.
+ */
+export async function processGuestMessages({ now = new Date(), dryRun = false } = {}) {
+  const utcToday = now.toISOString().slice(0, 10);
+  const result = { sent: 0, failed: 0, skipped: 0, due: [] };
+
+  // widest possible net; exact windows are checked per property timezone
+  const { data: stays, error: stayErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .select('id, property_id, checkin, checkout, nights, guests, guest_name, guest_email, status')
+    .eq('status', 'paid')
+    .lte('checkin', addDaysYmd(utcToday, PRE_ARRIVAL_DAYS + 1))
+    .gte('checkout', addDaysYmd(utcToday, -(REVIEW_WINDOW_DAYS + 1)));
+  if (stayErr) throw stayErr;
+  if (!stays?.length) return result;
+
+  const propIds = Array.from(new Set(stays.map((s) => s.property_id).filter(Boolean)));
+  const stayIds = stays.map((s) => s.id);
+
+  const [{ data: props, error: pErr }, { data: accessRows, error: aErr }, { data: logRows, error: lErr }] =
+    await Promise.all([
+      supabaseAdmin.from('properties').select('id, name, slug, metadata').in('id', propIds),
+      supabaseAdmin.from('realty_property_access').select('*').in('property_id', propIds),
+      supabaseAdmin.from('realty_guest_messages').select('*').in('reservation_id', stayIds),
+    ]);
+  if (pErr) throw pErr;
+  if (aErr) throw aErr;
+  if (lErr) throw lErr;
+
+  const propMap = new Map((props || []).map((p) => [p.id, p]));
+  const accessMap = new Map((accessRows || []).map((a) => [a.property_id, a]));
+  const logMap = new Map((logRows || []).map((l) => [`${l.reservation_id}:${l.message_type}`, l]));
+
+  for (const reservation of stays) {
+    if (!reservation.guest_email) continue;
+    const propRow = propMap.get(reservation.property_id) || null;
+    const access = accessMap.get(reservation.property_id) || null;
+    const today = localToday(propRow?.metadata?.timezone, now);
+
+    for (const { type, due, until } of messageSchedule(reservation)) {
+      if (today < due || today > until) continue;
+      const existing = logMap.get(`${reservation.id}:${type}`);
+      if (existing?.status === 'sent' && existing.due_on === due) continue;
+
+      if (dryRun) {
+        result.due.push({ reservation_id: reservation.id, type, due_on: due });
+        continue;
+      }
+
+      const claimed = await claimMessage({ reservationId: reservation.id, type, due, existing, now });
+      if (!claimed) continue;
+
+      const msg = buildGuestMessage(type, { reservation, propRow, access });
+      if (msg.skip) {
+        await finishMessage(claimed.id, { status: 'skipped', error: msg.skip });
+        result.skipped += 1;
+        continue;
+      }
+
+      try {
+        await sendEmail({ to: reservation.guest_email, subject: msg.subject, html: msg.html });
+        await finishMessage(claimed.id, {
+          status: 'sent',
+          to_email: reservation.guest_email,
+          subject: msg.subject,
+          error: null,
+          sent_at: new Date().toISOString(),
+        });
+        result.sent += 1;
+      } catch (e) {
+        console.error(`[guest-messages] ${type} for ${reservation.id} failed:`, e.message);
+        await finishMessage(claimed.id, {
+          status: 'failed',
+          to_email: reservation.guest_email,
+          subject: msg.subject,
+          error: e.message,
+        });
+        result.failed += 1;
+      }
+    }
+  }
+
+  return result;
+}
+
+/** Message log rows for the given reservations, grouped by reservation id. */
+export async function guestMessageLog(reservationIds) {
+  if (!reservationIds?.length) return {};
+  const { data, error } = await supabaseAdmin
+    .from('realty_guest_messages')
+    .select('reservation_id, message_type, status, due_on, sent_at, error, attempts')
+    .in('reservation_id', reservationIds)
+    .order('due_on', { ascending: true });
+  if (error) throw error;
+
+  const byResv = {};
+  (data || []).forEach((m) => {
+    if (!byResv[m.reservation_id]) byResv[m.reservation_id] = [];
+    byResv[m.reservation_id].push(m);
+  });
+  return byResv;
+}
@@ -0,0 +1,64 @@
+// lib/realty/guestTokens.js
+import crypto from 'crypto';
+
+/**
+ * Signed, expiring tokens for guest links that act on a reservation without
+ * a login (cancel link in the confirmation email, etc).
+ *
+ * token = base64url(JSON { r: reservation id, a: action, e: expiry secs }) + '.' + HMAC
+ *
+ * Secret: REALTY_LINK_SECRET, and nothing else — without it no token is
+ * issued (link builders return '') and every token is rejected.
+ */
+
+const secret = () => process.env.REALTY_LINK_SECRET || '';
+
+export const guestLinksEnabled = () => !!secret();
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function sign(body) {
+  return crypto.createHmac('sha256', secret()).update(body).digest('base64url');
+}
+
+/**
+ * expiresAt: Date | ISO string. Guest links usually expire at checkout.
+ * Returns null when REALTY_LINK_SECRET is not set.
+ */
+export function signGuestToken({ reservationId, action, expiresAt }) {
+  if (!guestLinksEnabled()) {
+    console.warn('[guestTokens] REALTY_LINK_SECRET is not set; no guest link issued');
+    return null;
+  }
+  const e = Math.floor(new Date(expiresAt).getTime() / 1000);
+  const body = b64url(JSON.stringify({ r: reservationId, a: action, e }));
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * Returns { reservationId } when the token is valid for `action`,
+ * else { error }.
+ */
+export function verifyGuestToken(token, action) {
+  if (!guestLinksEnabled()) return { error: 'Guest links are not available right now' };
+  const [body, mac] = String(token || '').split('.');
+  if (!body || !mac) return { error: 'Invalid link' };
+
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(mac);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { error: 'Invalid link' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'Invalid link' };
+  }
+
+  if (payload.a !== action) return { error: 'Invalid link' };
+  if (!payload.e || payload.e * 1000 < Date.now()) return { error: 'This link has expired' };
+
+  return { reservationId: payload.r };
+}
@@ -0,0 +1,209 @@
+// lib/realty/icalSync.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { parseIcs, toBlockRange } from '@/lib/realty/ics';
+import { refreshTurnovers } from '@/lib/realty/turnovers';
+import { checkCalendarConflicts } from '@/lib/realty/conflicts';
+
+/**
+ * Pull a property's external iCal feeds (metadata.ical_urls) into
+ * realty_external_blocks.
+ *
+ * Each feed is diffed against the blocks we already hold for it (keyed by
+ * source = feed URL, uid = event UID; summary is kept so conflicts.js can
+ * spot our own stays echoed back):
+ *  - new UID            -> insert
+ *  - same UID, new dates / summary -> update
+ *  - UID gone / cancelled -> delete
+ *
+ * A feed that fails to download or parse keeps its previous blocks, so a
+ * flaky channel never silently opens up booked nights.
+ *
+ * Per-feed results land in realty_ical_sync_status (one row per
+ * property_id + url) for the admin panel:
+ *   status ('ok' | 'error'), last_synced_at, last_success_at, last_error,
+ *   events_found, cancelled_count, inserted, updated, deleted
+ */
+
+const FETCH_TIMEOUT_MS = 20000;
+const INSERT_CHUNK = 500;
+
+async function fetchFeed(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const r = await fetch(url, { signal: controller.signal });
+    if (!r.ok) throw new Error(`feed responded ${r.status}`);
+    const text = await r.text();
+    if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error('response is not an iCalendar file');
+    return text;
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error(`feed timed out after ${FETCH_TIMEOUT_MS / 1000}s`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Work out inserts / updates / deletes for one feed.
+ * existing: [{ id, uid, starts_on, ends_on, summary }]
+ * desired:  [{ uid, starts_on, ends_on, summary }]
+ */
+export function diffBlocks(existing, desired) {
+  const byUid = new Map();
+  const toDelete = [];
+
+  (existing || []).forEach((row) => {
+    // legacy rows without a uid (or duplicates) can't be matched — replace them
+    if (!row.uid || byUid.has(row.uid)) toDelete.push(row.id);
+    else byUid.set(row.uid, row);
+  });
+
+  const wanted = new Map();
+  (desired || []).forEach((d) => wanted.set(d.uid, d));
+
+  const toInsert = [];
+  const toUpdate = [];
+
+  wanted.forEach((d, uid) => {
+    const row = byUid.get(uid);
+    if (!row) {
+      toInsert.push(d);
+    } else if (
+      row.starts_on !== d.starts_on ||
+      row.ends_on !== d.ends_on ||
+      (row.summary || null) !== (d.summary || null)
+    ) {
+      toUpdate.push({ id: row.id, starts_on: d.starts_on, ends_on: d.ends_on, summary: d.summary || null });
+    }
+  });
+
+  byUid.forEach((row, uid) => {
+    if (!wanted.has(uid)) toDelete.push(row.id);
+  });
+
+  return { toInsert, toUpdate, toDelete };
+}
+
+async function recordStatus(propertyId, url, fields) {
+  const now = new Date().toISOString();
+  const { error } = await supabaseAdmin.from('realty_ical_sync_status').upsert(
+    {
+      property_id: propertyId,
+      url,
+      last_synced_at: now,
+      ...(fields.status === 'ok' ? { last_success_at: now, last_error: null } : {}),
+      ...fields,
+    },
+    { onConflict: 'property_id,url' }
+  );
+  if (error) console.warn('[ical-sync] status write failed:', error.message);
+}
+
+async function syncFeed({ propertyId, url, timeZone }) {
+  const text = await fetchFeed(url);
+  const { events, cancelled } = parseIcs(text, { timeZone });
+
+  const desired = events.map((ev) => ({ uid: ev.uid, summary: ev.summary || null, ...toBlockRange(ev) }));
+
+  const { data: existing, error: exErr } = await supabaseAdmin
+    .from('realty_external_blocks')
+    .select('id, uid, starts_on, ends_on, summary')
+    .eq('property_id', propertyId)
+    .eq('source', url);
+  if (exErr) throw exErr;
+
+  const { toInsert, toUpdate, toDelete } = diffBlocks(existing, desired);
+
+  if (toDelete.length) {
+    const { error } = await supabaseAdmin.from('realty_external_blocks').delete().in('id', toDelete);
+    if (error) throw error;
+  }
+
+  for (const u of toUpdate) {
+    const { error } = await supabaseAdmin
+      .from('realty_external_blocks')
+      .update({ starts_on: u.starts_on, ends_on: u.ends_on, summary: u.summary })
+      .eq('id', u.id);
+    if (error) throw error;
+  }
+
+  for (let i = 0; i < toInsert.length; i += INSERT_CHUNK) {
+    const slice = toInsert.slice(i, i + INSERT_CHUNK).map((d) => ({
+      property_id: propertyId,
+      starts_on: d.starts_on,
+      ends_on: d.ends_on,
+      source: url,
+      uid: d.uid,
+      summary: d.summary,
+    }));
+    const { error } = await supabaseAdmin.from('realty_external_blocks').insert(slice);
+    if (error) throw error;
+  }
+
+  return {
+    events_found: desired.length,
+    cancelled_count: cancelled,
+    inserted: toInsert.length,
+    updated: toUpdate.length,
+    deleted: toDelete.length,
+  };
+}
+
+/**
+ * Sync every feed on a property. Never throws for a single bad feed;
+ * check `results[].status`. The follow-up turnover / conflict refresh doesn't
+ * throw either: its failure is `followUpError` (the feeds were still synced).
+ */
+export async function syncPropertyFeeds(propertyId) {
+  const { data: prop, error: pErr } = await supabaseAdmin
+    .from('properties')
+    .select('id, metadata')
+    .eq('id', propertyId)
+    .maybeSingle();
+  if (pErr) throw pErr;
+  if (!prop) return { found: false, results: [] };
+
+  const feeds = (prop.metadata?.ical_urls || []).filter(Boolean);
+  const timeZone = prop.metadata?.timezone || undefined;
+  const results = [];
+
+  for (const url of feeds) {
+    try {
+      const counts = await syncFeed({ propertyId, url, timeZone });
+      await recordStatus(propertyId, url, { status: 'ok', ...counts });
+      results.push({ url, status: 'ok', ...counts });
+    } catch (e) {
+      const message = e?.message || String(e);
+      console.error(`[ical-sync] ${url} failed:`, message);
+      await recordStatus(propertyId, url, { status: 'error', last_error: message });
+      results.push({ url, status: 'error', error: message });
+    }
+  }
+
+  // channel bookings can move turnover deadlines and collide with direct stays
+  let conflicts = null;
+  let followUpError = null;
+  if (results.some((r) => r.status === 'ok')) {
+    try {
+      await refreshTurnovers(propertyId);
+      conflicts = await checkCalendarConflicts(propertyId);
+    } catch (e) {
+      followUpError = e?.message || String(e);
+      console.error(`[ical-sync] turnover / conflict refresh failed for ${propertyId}:`, followUpError);
+    }
+  }
+
+  return { found: true, results, conflicts, followUpError };
+}
+
+/** Latest per-feed status rows for a property. */
+export async function getFeedStatuses(propertyId) {
+  const { data, error } = await supabaseAdmin
+    .from('realty_ical_sync_status')
+    .select('*')
+    .eq('property_id', propertyId)
+    .order('url');
+  if (error) throw error;
+  return data || [];
+}
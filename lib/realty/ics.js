@@ -0,0 +1,523 @@
+// lib/realty/ics.js
+
+/**
+ * Minimal RFC 5545 reader for channel calendars (Airbnb, VRBO, Booking...).
+ *
+ * Handles what those feeds actually send:
+ *  - folded lines (CRLF + space/tab continuation)
+ *  - quoted / multiple property parameters (TZID=, VALUE=DATE)
+ *  - DATE, UTC date-time, TZID date-time and floating date-time values
+ *  - STATUS:CANCELLED (dropped)
+ *  - RRULE DAILY / WEEKLY / MONTHLY / YEARLY with INTERVAL, COUNT, UNTIL,
+ *    BYDAY (incl. ordinals like 2SA / -1FR), BYMONTHDAY, BYMONTH and
+ *    BYSETPOS; EXDATE and RECURRENCE-ID overrides
+ *
+ * Everything is reduced to whole nights, because that's all a booking
+ * calendar cares about. Event dates come back as:
+ *   start: 'YYYY-MM-DD' (first night)
+ *   end:   'YYYY-MM-DD' (exclusive, i.e. the checkout day)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// how far ahead recurring events are expanded, and a hard cap per event
+const DEFAULT_HORIZON_DAYS = 730;
+const MAX_OCCURRENCES = 1000;
+const MAX_PERIODS = 5000;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// ---------- date helpers (all UTC, date-only) ----------
+
+const ymdToUTC = (ymd) => Date.UTC(Number(ymd.slice(0, 4)), Number(ymd.slice(5, 7)) - 1, Number(ymd.slice(8, 10)));
+
+const utcToYmd = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+export const addDays = (ymd, n) => utcToYmd(ymdToUTC(ymd) + n * DAY_MS);
+
+const daysBetween = (a, b) => Math.round((ymdToUTC(b) - ymdToUTC(a)) / DAY_MS);
+
+const basicToYmd = (s) => `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`;
+
+// YYYY-MM-DD of an instant as seen in `timeZone`
+function ymdInZone(ms, timeZone) {
+  if (!timeZone || timeZone === 'UTC') return utcToYmd(ms);
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(ms));
+}
+
+// UTC instant of a wall-clock time in `timeZone`
+function wallClockToUTC(y, mo, d, h, mi, s, timeZone) {
+  const guess = Date.UTC(y, mo, d, h, mi, s);
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(guess));
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  const asSeen = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return guess - (asSeen - guess);
+}
+
+// ---------- line / property parsing ----------
+
+/** Undo RFC 5545 line folding and split into logical lines. */
+export function unfoldLines(text) {
+  return String(text || '')
+    .replace(/\r\n[ \t]/g, '')
+    .replace(/\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter((l) => l.length > 0);
+}
+
+/** Split on `sep` but not inside double quotes. */
+function splitUnquoted(str, sep) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (const ch of str) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === sep && !quoted) {
+      out.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+/**
+ * "DTSTART;TZID=America/Los_Angeles:20250101T150000"
+ *   -> { name: 'DTSTART', params: { TZID: 'America/Los_Angeles' }, value: '20250101T150000' }
+ */
+export function parseContentLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [rawName, ...rawParams] = splitUnquoted(line.slice(0, colon), ';');
+  const params = {};
+  rawParams.forEach((p) => {
+    const eq = p.indexOf('=');
+    if (eq === -1) return;
+    params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+  });
+
+  return { name: rawName.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+const unescapeText = (v) =>
+  String(v || '')
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Reduce a DTSTART/DTEND/EXDATE/RECURRENCE-ID value to a calendar date.
+ *
+ * - VALUE=DATE / YYYYMMDD: taken as-is
+ * - ...Z (UTC): converted to `timeZone` (the property's zone) if given
+ * - TZID=...: wall clock in that zone, converted to `timeZone` if given
+ * - floating: taken as-is
+ */
+export function parseIcsDate(value, params = {}, { timeZone } = {}) {
+  const v = String(value || '').trim();
+
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(v)) {
+    return /^\d{8}/.test(v) ? basicToYmd(v) : null;
+  }
+
+  const m = v.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!m) return null;
+
+  const [, y, mo, d, h, mi, s, z] = m;
+  const literal = `${y}-${mo}-${d}`;
+
+  if (z) {
+    return ymdInZone(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s), timeZone);
+  }
+
+  if (params.TZID) {
+    try {
+      const instant = wallClockToUTC(+y, +mo - 1, +d, +h, +mi, +s, params.TZID);
+      return ymdInZone(instant, timeZone || params.TZID);
+    } catch {
+      // non-IANA zone names (e.g. Windows "Pacific Standard Time"): trust the wall clock
+      return literal;
+    }
+  }
+
+  return literal;
+}
+
+// ---------- recurrence ----------
+
+const FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const intList = (v, ok) =>
+  v
+    ? v
+        .split(',')
+        .map((n) => parseInt(n, 10))
+        .filter((n) => Number.isFinite(n) && ok(n))
+    : null;
+
+function parseRRule(value) {
+  const rule = {};
+  String(value || '')
+    .split(';')
+    .forEach((part) => {
+      const [k, v] = part.split('=');
+      if (k && v) rule[k.toUpperCase()] = v.toUpperCase();
+    });
+  return {
+    freq: rule.FREQ || null,
+    interval: Math.max(1, parseInt(rule.INTERVAL || '1', 10) || 1),
+    count: rule.COUNT ? parseInt(rule.COUNT, 10) : null,
+    until: rule.UNTIL ? basicToYmd(rule.UNTIL) : null,
+    // "MO", "2SA", "-1FR" -> { n: null | 2 | -1, dow }
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',')
+          .map((d) => d.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/))
+          .filter(Boolean)
+          .map((m) => ({ n: m[1] ? parseInt(m[1], 10) || null : null, dow: WEEKDAYS.indexOf(m[2]) }))
+      : null,
+    byMonthDay: intList(rule.BYMONTHDAY, (n) => n !== 0 && n >= -31 && n <= 31),
+    byMonth: intList(rule.BYMONTH, (n) => n >= 1 && n <= 12),
+    bySetPos: intList(rule.BYSETPOS, (n) => n !== 0 && n >= -366 && n <= 366),
+  };
+}
+
+const dowOf = (ymd) => new Date(ymdToUTC(ymd)).getUTCDay();
+
+// nth (1-based, negative from the end) of a list, or undefined
+const nth = (list, n) => (n > 0 ? list[n - 1] : list[list.length + n]);
+
+const uniqueSorted = (list) => Array.from(new Set(list)).sort();
+
+// every date from `fromMs` for `len` days
+const daysFrom = (fromMs, len) => Array.from({ length: len }, (_, i) => utcToYmd(fromMs + i * DAY_MS));
+
+// BYDAY within a month or year: plain weekdays match every week, ordinals pick one
+function byDayDates(dates, byDay) {
+  const out = [];
+  byDay.forEach(({ n, dow }) => {
+    const matching = dates.filter((ymd) => dowOf(ymd) === dow);
+    if (!n) out.push(...matching);
+    else if (nth(matching, n)) out.push(nth(matching, n));
+  });
+  return out;
+}
+
+// Dates of month `m` (0-based, may overflow into other years) picked by the
+// rule's BYMONTHDAY / BYDAY, else `fallbackDay` when the month has it.
+function monthDates(y, m, rule, fallbackDay) {
+  const first = Date.UTC(y, m, 1);
+  const len = new Date(Date.UTC(new Date(first).getUTCFullYear(), new Date(first).getUTCMonth() + 1, 0)).getUTCDate();
+  const all = daysFrom(first, len);
+
+  let days = null;
+  if (rule.byMonthDay) days = rule.byMonthDay.map((n) => nth(all, n)).filter(Boolean);
+  if (rule.byDay) {
+    const hits = byDayDates(all, rule.byDay);
+    days = days ? days.filter((dd) => hits.includes(dd)) : hits;
+  }
+  if (!days) days = fallbackDay <= len ? [all[fallbackDay - 1]] : [];
+  return uniqueSorted(days);
+}
+
+// BYSETPOS keeps only the listed positions of a period's sorted set
+function applySetPos(dates, bySetPos) {
+  if (!bySetPos || !dates.length) return dates;
+  return uniqueSorted(bySetPos.map((n) => nth(dates, n)).filter(Boolean));
+}
+
+/**
+ * Candidate start dates for period `k` of the rule, in order.
+ */
+function periodCandidates(startYmd, rule, k) {
+  const step = k * rule.interval;
+  const [y, mo, d] = [Number(startYmd.slice(0, 4)), Number(startYmd.slice(5, 7)) - 1, Number(startYmd.slice(8, 10))];
+  const inMonths = (ymd) => !rule.byMonth || rule.byMonth.includes(Number(ymd.slice(5, 7)));
+
+  let dates;
+  switch (rule.freq) {
+    case 'DAILY': {
+      // BYxxx on a daily rule only filter the days
+      const day = addDays(startYmd, step);
+      const ok =
+        inMonths(day) &&
+        (!rule.byDay || rule.byDay.some((b) => b.dow === dowOf(day))) &&
+        (!rule.byMonthDay ||
+          monthDates(Number(day.slice(0, 4)), Number(day.slice(5, 7)) - 1, { byMonthDay: rule.byMonthDay }, 0).includes(day));
+      dates = ok ? [day] : [];
+      break;
+    }
+    case 'WEEKLY': {
+      const startDow = dowOf(startYmd);
+      // weeks start Monday (RFC default WKST=MO)
+      const weekStart = addDays(startYmd, -((startDow + 6) % 7) + step * 7);
+      const days = rule.byDay && rule.byDay.length ? rule.byDay.map((b) => b.dow) : [startDow];
+      dates = uniqueSorted(days.map((dow) => addDays(weekStart, (dow + 6) % 7))).filter(inMonths);
+      break;
+    }
+    case 'MONTHLY': {
+      const month = mo + step;
+      const monthNo = ((month % 12) + 12) % 12 + 1;
+      dates = !rule.byMonth || rule.byMonth.includes(monthNo) ? monthDates(y, month, rule, d) : [];
+      break;
+    }
+    case 'YEARLY': {
+      const yy = y + step;
+      if (rule.byDay && !rule.byMonth && !rule.byMonthDay) {
+        // "20MO" / "-1FR" alone count through the whole year
+        const first = Date.UTC(yy, 0, 1);
+        const len = Math.round((Date.UTC(yy + 1, 0, 1) - first) / DAY_MS);
+        dates = uniqueSorted(byDayDates(daysFrom(first, len), rule.byDay));
+      } else {
+        const months = rule.byMonth || [mo + 1];
+        dates = uniqueSorted(months.flatMap((m) => monthDates(yy, m - 1, rule, d)));
+      }
+      break;
+    }
+    default:
+      return [];
+  }
+
+  return applySetPos(dates, rule.bySetPos);
+}
+
+/**
+ * Expand a recurring event into occurrence start dates.
+ * COUNT includes the first instance and EXDATE'd instances (RFC 5545 3.8.5.1).
+ */
+export function expandRecurrence(startYmd, rrule, { exdates = [], horizon } = {}) {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  // no rule, or sub-daily (HOURLY...): just the first instance
+  if (!FREQS.includes(rule.freq)) return [startYmd];
+
+  const skip = new Set(exdates);
+  // DTSTART is always the first instance, even when the rule wouldn't pick it
+  const out = skip.has(startYmd) ? [] : [startYmd];
+  let generated = 1;
+
+  // MONTHLY/YEARLY periods can be empty (Feb 29, day 31), so bound the
+  // number of periods as well as the number of instances
+  for (let k = 0; k < MAX_PERIODS && generated < MAX_OCCURRENCES; k++) {
+    let done = false;
+    for (const c of periodCandidates(startYmd, rule, k)) {
+      if (c <= startYmd) continue;
+      if ((rule.until && c > rule.until) || (horizon && c > horizon)) {
+        done = true;
+        break;
+      }
+      if (rule.count != null && generated >= rule.count) {
+        done = true;
+        break;
+      }
+      generated += 1;
+      if (!skip.has(c)) out.push(c);
+    }
+    if (done) break;
+  }
+
+  return out;
+}
+
+// ---------- calendar parsing ----------
+
+function parseDuration(v) {
+  // only the day/week part matters for nightly blocks
+  const m = String(v || '').match(/^[+]?P(?:(\d+)W)?(?:(\d+)D)?/);
+  if (!m) return null;
+  return Number(m[1] || 0) * 7 + Number(m[2] || 0);
+}
+
+/**
+ * Pull raw VEVENT property maps out of the calendar, ignoring nested
+ * components (VALARM etc.).
+ */
+function readVEvents(lines) {
+  const events = [];
+  let cur = null;
+  let depth = 0;
+
+  lines.forEach((line) => {
+    const prop = parseContentLine(line);
+    if (!prop) return;
+
+    if (prop.name === 'BEGIN') {
+      if (prop.value.toUpperCase() === 'VEVENT' && !cur) {
+        cur = { props: [] };
+        depth = 0;
+      } else if (cur) {
+        depth += 1;
+      }
+      return;
+    }
+
+    if (prop.name === 'END') {
+      if (!cur) return;
+      if (depth > 0) {
+        depth -= 1;
+      } else if (prop.value.toUpperCase() === 'VEVENT') {
+        events.push(cur);
+        cur = null;
+      }
+      return;
+    }
+
+    if (cur && depth === 0) cur.props.push(prop);
+  });
+
+  return events;
+}
+
+/**
+ * Parse an ICS document into whole-night occurrences.
+ *
+ * Options:
+ *  - timeZone: IANA zone of the property; date-times are reduced to
+ *    calendar dates in this zone
+ *  - horizonDays: how far ahead to expand RRULEs (default 2 years)
+ *
+ * Returns {
+ *   events: [{ uid, summary, start, end }],   // end exclusive
+ *   cancelled: number,                         // STATUS:CANCELLED dropped
+ *   skipped: number,                           // unparseable VEVENTs
+ * }
+ *
+ * Recurring occurrences get uid `${UID}#${YYYYMMDD}` so each night range can
+ * be diffed on its own.
+ */
+export function parseIcs(text, { timeZone, horizonDays = DEFAULT_HORIZON_DAYS } = {}) {
+  const horizon = addDays(new Date().toISOString().slice(0, 10), horizonDays);
+  const raw = readVEvents(unfoldLines(text));
+
+  let cancelled = 0;
+  let skipped = 0;
+
+  // normalize each VEVENT
+  const parsed = [];
+  raw.forEach(({ props }) => {
+    const one = (name) => props.find((p) => p.name === name);
+    const dtstartP = one('DTSTART');
+    const dtendP = one('DTEND');
+
+    const start = dtstartP ? parseIcsDate(dtstartP.value, dtstartP.params, { timeZone }) : null;
+    if (!start) {
+      skipped += 1;
+      return;
+    }
+
+    let end = dtendP ? parseIcsDate(dtendP.value, dtendP.params, { timeZone }) : null;
+    if (!end) {
+      const durP = one('DURATION');
+      const durDays = durP ? parseDuration(durP.value) : null;
+      // no DTEND/DURATION: a DATE event lasts one day (RFC 5545 3.6.1)
+      end = addDays(start, durDays != null ? durDays : 1);
+    }
+    // same-day / inverted ranges still block at least the start night
+    if (end <= start) end = addDays(start, 1);
+
+    const exdates = [];
+    props
+      .filter((p) => p.name === 'EXDATE')
+      .forEach((p) => {
+        p.value.split(',').forEach((v) => {
+          const ymd = parseIcsDate(v, p.params, { timeZone });
+          if (ymd) exdates.push(ymd);
+        });
+      });
+
+    const recurP = one('RECURRENCE-ID');
+    const rruleP = one('RRULE');
+
+    parsed.push({
+      uid: one('UID')?.value?.trim() || null,
+      summary: unescapeText(one('SUMMARY')?.value),
+      status: String(one('STATUS')?.value || '').toUpperCase(),
+      start,
+      end,
+      rrule: rruleP ? rruleP.value : null,
+      exdates,
+      recurrenceId: recurP ? parseIcsDate(recurP.value, recurP.params, { timeZone }) : null,
+    });
+  });
+
+  // RECURRENCE-ID rows replace (or cancel) one instance of their series
+  const overrides = new Map();
+  parsed
+    .filter((e) => e.uid && e.recurrenceId)
+    .forEach((e) => overrides.set(`${e.uid}#${e.recurrenceId}`, e));
+
+  const events = [];
+  const push = (uid, ev, start, end) => {
+    if (ev.status === 'CANCELLED') {
+      cancelled += 1;
+      return;
+    }
+    events.push({ uid, summary: ev.summary, start, end });
+  };
+
+  parsed
+    .filter((e) => !e.recurrenceId)
+    .forEach((ev) => {
+      const baseUid = ev.uid || `nouid-${ev.start}-${ev.end}`;
+
+      if (!ev.rrule) {
+        push(baseUid, ev, ev.start, ev.end);
+        return;
+      }
+
+      if (ev.status === 'CANCELLED') {
+        cancelled += 1;
+        return;
+      }
+
+      const nights = daysBetween(ev.start, ev.end);
+      expandRecurrence(ev.start, ev.rrule, { exdates: ev.exdates, horizon }).forEach((occ) => {
+        const key = `${ev.uid}#${occ}`;
+        const uid = `${baseUid}#${occ.replace(/-/g, '')}`;
+        const ov = ev.uid ? overrides.get(key) : null;
+        if (ov) {
+          overrides.delete(key);
+          push(uid, ov, ov.start, ov.end);
+        } else {
+          push(uid, ev, occ, addDays(occ, nights));
+        }
+      });
+    });
+
+  // overrides whose master wasn't in the feed: treat as standalone events
+  overrides.forEach((ov) => {
+    push(`${ov.uid}#${ov.recurrenceId.replace(/-/g, '')}`, ov, ov.start, ov.end);
+  });
+
+  return { events, cancelled, skipped };
+}
+
+/**
+ * realty_external_blocks stores inclusive nights (starts_on..ends_on).
+ */
+export function toBlockRange(ev) {
+  return { starts_on: ev.start, ends_on: addDays(ev.end, -1) };
+}
@@ -0,0 +1,70 @@
+// lib/realty/leadScoring.js
+// Pipeline stages + lead scoring shared by the lead API and the admin
+// pipeline board (no server imports — safe for client bundles).
+
+export const LEAD_STAGES = [
+  { key: 'new', label: 'New' },
+  { key: 'contacted', label: 'Contacted' },
+  { key: 'touring', label: 'Touring' },
+  { key: 'offer', label: 'Offer' },
+  { key: 'closed_won', label: 'Closed Won' },
+  { key: 'closed_lost', label: 'Closed Lost' },
+];
+
+export const OPEN_STAGES = ['new', 'contacted', 'touring', 'offer'];
+
+export const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+export function stageLabel(key) {
+  return LEAD_STAGES.find((s) => s.key === key)?.label || key;
+}
+
+// transaction-side interests are worth the most; a stay question the least
+const INTEREST_POINTS = {
+  sell: 40,
+  invest: 35,
+  buy: 30,
+  manage: 30,
+  rental_inquiry: 15,
+  other: 5,
+};
+
+const PAID_MEDIUMS = ['cpc', 'ppc', 'paid', 'paid_social', 'paidsocial', 'display'];
+
+function utmPoints(utm = {}) {
+  const medium = String(utm.utm_medium || '').toLowerCase();
+  const source = String(utm.utm_source || '').toLowerCase();
+  if (PAID_MEDIUMS.includes(medium)) return { points: 15, reason: 'Paid campaign' };
+  if (medium === 'email' || source === 'newsletter') return { points: 10, reason: 'Email subscriber' };
+  if (medium === 'referral' || medium === 'affiliate') return { points: 10, reason: 'Referral' };
+  if (medium || source) return { points: 5, reason: `Campaign (${source || medium})` };
+  return null;
+}
+
+/**
+ * Score a lead 0–100 from what it asked for, the listing it was viewing and
+ * where it came from. Returns { score, tier: 'hot'|'warm'|'cold', reasons }.
+ */
+export function scoreLead({ interest_type, property_id, utm = {}, phone, notes } = {}) {
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(`${reason} (+${points})`);
+  };
+
+  const interest = INTEREST_POINTS[interest_type] ?? INTEREST_POINTS.other;
+  add(interest, `Interest: ${interest_type || 'other'}`);
+
+  if (property_id) add(15, 'Viewed a specific property');
+
+  const fromUtm = utmPoints(utm);
+  if (fromUtm) add(fromUtm.points, fromUtm.reason);
+
+  if (phone) add(10, 'Left a phone number');
+  if (String(notes || '').trim().length >= 40) add(5, 'Detailed notes');
+
+  score = Math.min(100, score);
+  const tier = score >= 60 ? 'hot' : score >= 35 ? 'warm' : 'cold';
+  return { score, tier, reasons };
+}
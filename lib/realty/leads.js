@@ -0,0 +1,369 @@
+// lib/realty/leads.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { sendEmail } from '@/lib/sendEmail';
+import { LEAD_STAGES, OPEN_STAGES, UTM_FIELDS, scoreLead, stageLabel } from '@/lib/realty/leadScoring';
+
+/**
+ * Realty lead pipeline (buy / sell / invest / manage / stay inquiries).
+ *
+ * A lead moves new -> contacted -> touring -> offer -> closed_won|closed_lost
+ * (realty_leads.status). Every change is written to the activity log, an
+ * agent can be assigned, and a follow-up date drives the daily reminder
+ * email (process-lead-followups).
+ *
+ * realty_leads:
+ *   id, name, email, phone, interest_type, notes, property_id,
+ *   status (stage), score, score_tier ('hot'|'warm'|'cold'), score_reasons,
+ *   utm_source, utm_medium, utm_campaign, utm_term, utm_content,
+ *   landing_page, referrer, assigned_agent_id, follow_up_on (date),
+ *   follow_up_note, follow_up_reminded_for (date last reminded about),
+ *   stage_changed_at, last_activity_at, closed_at, created_at
+ *
+ * realty_lead_activities:
+ *   id, lead_id, kind ('created'|'stage'|'assigned'|'follow_up'|'note'|
+ *   'call'|'email'|'meeting'), body, meta (jsonb), actor, created_at
+ *
+ * realty_agents:
+ *   id, name, email, phone, active, created_at
+ */
+
+export const LOGGED_ACTIVITY_KINDS = ['note', 'call', 'email', 'meeting'];
+
+const STAGE_KEYS = LEAD_STAGES.map((s) => s.key);
+
+const ymd = (d) => d.toISOString().slice(0, 10);
+
+function esc(v) {
+  return String(v ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function adminUrl() {
+  const site = process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+  return `${site}/admin`;
+}
+
+async function logActivity(leadId, kind, body, { actor = 'system', meta = null } = {}) {
+  const nowISO = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('realty_lead_activities')
+    .insert({ lead_id: leadId, kind, body: body || null, meta, actor })
+    .select('*')
+    .single();
+  if (error) throw error;
+  await supabaseAdmin.from('realty_leads').update({ last_activity_at: nowISO }).eq('id', leadId);
+  return data;
+}
+
+async function loadAgent(id) {
+  if (!id) return null;
+  const { data } = await supabaseAdmin.from('realty_agents').select('*').eq('id', id).maybeSingle();
+  return data || null;
+}
+
+async function notifyNewLead(lead, propRow) {
+  const to = process.env.SUPPORT_EMAIL || 'realty@manyagi.net';
+  const utm = UTM_FIELDS.filter((k) => lead[k]).map((k) => `${k.replace('utm_', '')}: ${esc(lead[k])}`);
+  await sendEmail({
+    to,
+    subject: `New ${lead.score_tier} lead (${lead.score}) — ${lead.name}, ${lead.interest_type}`,
+    html: `
+      <p><strong>${esc(lead.name)}</strong> &lt;${esc(lead.email)}&gt;${lead.phone ? ` • ${esc(lead.phone)}` : ''}</p>
+      <ul>
+        <li>Interest: <strong>${esc(lead.interest_type)}</strong></li>
+        <li>Score: <strong>${lead.score}</strong> (${lead.score_tier})</li>
+        ${propRow ? `<li>Property: ${esc(propRow.name)}</li>` : ''}
+        ${utm.length ? `<li>Campaign: ${utm.join(', ')}</li>` : ''}
+        ${lead.landing_page ? `<li>Landing page: ${esc(lead.landing_page)}</li>` : ''}
+      </ul>
+      ${lead.notes ? `<p>${esc(lead.notes)}</p>` : ''}
+      <p><a href="${adminUrl()}">Open the lead pipeline</a></p>
+    `,
+  });
+}
+
+async function notifyAgentAssigned(lead, agent) {
+  if (!agent?.email) return;
+  await sendEmail({
+    to: agent.email,
+    subject: `Lead assigned: ${lead.name} (${lead.interest_type})`,
+    html: `
+      <p>Hi ${esc(agent.name || 'there')},</p>
+      <p>You've been assigned <strong>${esc(lead.name)}</strong> — ${esc(lead.email)}${lead.phone ? `, ${esc(lead.phone)}` : ''}.</p>
+      <ul>
+        <li>Interest: ${esc(lead.interest_type)}</li>
+        <li>Stage: ${stageLabel(lead.status)}</li>
+        <li>Score: ${lead.score ?? '—'}</li>
+        ${lead.follow_up_on ? `<li>Follow up by: <strong>${lead.follow_up_on}</strong></li>` : ''}
+      </ul>
+      ${lead.notes ? `<p>${esc(lead.notes)}</p>` : ''}
+      <p><a href="${adminUrl()}">Open the lead pipeline</a></p>
+    `,
+  });
+}
+
+/**
+ * Capture a lead from RealtyLeadForm: score it, log it, email the team.
+ * Returns { ok, lead } or { ok: false, status, error }.
+ */
+export async function createLead(input = {}) {
+  const { name, email, phone, interest_type, notes, property_id } = input;
+  if (!name || !email || !interest_type) {
+    return { ok: false, status: 400, error: 'Missing required fields' };
+  }
+
+  const utm = {};
+  UTM_FIELDS.forEach((k) => {
+    if (input[k]) utm[k] = String(input[k]).slice(0, 200);
+  });
+
+  let propRow = null;
+  if (property_id) {
+    const { data } = await supabaseAdmin.from('properties').select('id, name').eq('id', property_id).maybeSingle();
+    propRow = data || null;
+  }
+
+  const { score, tier, reasons } = scoreLead({
+    interest_type,
+    property_id: propRow?.id,
+    utm,
+    phone,
+    notes,
+  });
+
+  const nowISO = new Date().toISOString();
+  const { data: lead, error } = await supabaseAdmin
+    .from('realty_leads')
+    .insert({
+      name,
+      email,
+      phone: phone || null,
+      interest_type,
+      notes: notes || null,
+      property_id: propRow?.id || null,
+      status: 'new',
+      score,
+      score_tier: tier,
+      score_reasons: reasons,
+      ...utm,
+      landing_page: input.landing_page ? String(input.landing_page).slice(0, 500) : null,
+      referrer: input.referrer ? String(input.referrer).slice(0, 500) : null,
+      stage_changed_at: nowISO,
+      last_activity_at: nowISO,
+    })
+    .select('*')
+    .single();
+  if (error) throw error;
+
+  await logActivity(lead.id, 'created', `Lead captured (score ${score}, ${tier})`, {
+    meta: { reasons },
+  });
+
+  try {
+    await notifyNewLead(lead, propRow);
+  } catch (e) {
+    console.warn('[leads] new lead email failed:', e.message);
+  }
+
+  return { ok: true, lead };
+}
+
+/** Pipeline rows with agent / property names and an overdue flag. */
+export async function listLeads({ stage = null, agentId = null, ids = null } = {}) {
+  let q = supabaseAdmin.from('realty_leads').select('*').order('created_at', { ascending: false }).limit(500);
+  if (stage) q = q.eq('status', stage);
+  if (agentId) q = q.eq('assigned_agent_id', agentId);
+  if (ids) q = q.in('id', ids);
+  const { data, error } = await q;
+  if (error) throw error;
+
+  const rows = data || [];
+  const agentIds = Array.from(new Set(rows.map((r) => r.assigned_agent_id).filter(Boolean)));
+  const propIds = Array.from(new Set(rows.map((r) => r.property_id).filter(Boolean)));
+  const [{ data: agents }, { data: props }] = await Promise.all([
+    agentIds.length
+      ? supabaseAdmin.from('realty_agents').select('id, name').in('id', agentIds)
+      : Promise.resolve({ data: [] }),
+    propIds.length
+      ? supabaseAdmin.from('properties').select('id, name').in('id', propIds)
+      : Promise.resolve({ data: [] }),
+  ]);
+  const agentNames = Object.fromEntries((agents || []).map((a) => [a.id, a.name]));
+  const propNames = Object.fromEntries((props || []).map((p) => [p.id, p.name]));
+
+  const today = ymd(new Date());
+  return rows.map((r) => ({
+    ...r,
+    status: STAGE_KEYS.includes(r.status) ? r.status : 'new',
+    agent_name: agentNames[r.assigned_agent_id] || '',
+    property_name: propNames[r.property_id] || '',
+    follow_up_overdue: !!r.follow_up_on && r.follow_up_on <= today && OPEN_STAGES.includes(r.status || 'new'),
+  }));
+}
+
+export async function leadActivities(leadId) {
+  const { data, error } = await supabaseAdmin
+    .from('realty_lead_activities')
+    .select('*')
+    .eq('lead_id', leadId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Admin edit. patch: { status, assigned_agent_id, follow_up_on, follow_up_note }
+ * Each change lands in the activity log; a new assignee gets an email.
+ * Returns { ok, lead } or { ok: false, status, error }.
+ */
+export async function updateLead(id, patch = {}, { actor = 'admin' } = {}) {
+  const { data: lead, error } = await supabaseAdmin.from('realty_leads').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  if (!lead) return { ok: false, status: 404, error: 'Lead not found' };
+
+  const nowISO = new Date().toISOString();
+  const fields = {};
+  const logs = [];
+
+  if (patch.status !== undefined && patch.status !== lead.status) {
+    if (!STAGE_KEYS.includes(patch.status)) return { ok: false, status: 400, error: 'Invalid stage' };
+    fields.status = patch.status;
+    fields.stage_changed_at = nowISO;
+    fields.closed_at = OPEN_STAGES.includes(patch.status) ? null : nowISO;
+    logs.push([
+      'stage',
+      `${stageLabel(lead.status || 'new')} → ${stageLabel(patch.status)}`,
+      { from: lead.status, to: patch.status },
+    ]);
+  }
+
+  let newAgent = null;
+  if (patch.assigned_agent_id !== undefined && (patch.assigned_agent_id || null) !== lead.assigned_agent_id) {
+    fields.assigned_agent_id = patch.assigned_agent_id || null;
+    newAgent = await loadAgent(fields.assigned_agent_id);
+    if (fields.assigned_agent_id && !newAgent) return { ok: false, status: 400, error: 'Unknown agent' };
+    logs.push(['assigned', newAgent ? `Assigned to ${newAgent.name}` : 'Unassigned', { agent_id: fields.assigned_agent_id }]);
+  }
+
+  if (patch.follow_up_on !== undefined || patch.follow_up_note !== undefined) {
+    const on = patch.follow_up_on !== undefined ? patch.follow_up_on || null : lead.follow_up_on;
+    if (on && !/^\d{4}-\d{2}-\d{2}$/.test(on)) return { ok: false, status: 400, error: 'follow_up_on must be YYYY-MM-DD' };
+    const note =
+      patch.follow_up_note !== undefined ? String(patch.follow_up_note || '').trim() || null : lead.follow_up_note;
+    if (on !== lead.follow_up_on || note !== lead.follow_up_note) {
+      fields.follow_up_on = on;
+      fields.follow_up_note = note;
+      logs.push(['follow_up', on ? `Follow up on ${on}${note ? ` — ${note}` : ''}` : 'Follow-up cleared', { on }]);
+    }
+  }
+
+  if (!Object.keys(fields).length) return { ok: true, lead };
+
+  const { data: updated, error: upErr } = await supabaseAdmin
+    .from('realty_leads')
+    .update(fields)
+    .eq('id', id)
+    .select('*')
+    .single();
+  if (upErr) throw upErr;
+
+  for (const [kind, body, meta] of logs) {
+    await logActivity(id, kind, body, { actor, meta });
+  }
+
+  if (newAgent) {
+    try {
+      await notifyAgentAssigned(updated, newAgent);
+    } catch (e) {
+      console.warn('[leads] assignment email failed:', e.message);
+    }
+  }
+
+  return { ok: true, lead: updated };
+}
+
+/** Log a touchpoint (note / call / email / meeting) against a lead. */
+export async function addLeadActivity(id, { kind = 'note', body } = {}, { actor = 'admin' } = {}) {
+  if (!LOGGED_ACTIVITY_KINDS.includes(kind)) return { ok: false, status: 400, error: 'Invalid activity type' };
+  const text = String(body || '').trim();
+  if (!text) return { ok: false, status: 400, error: 'body required' };
+
+  const { data: lead } = await supabaseAdmin.from('realty_leads').select('id').eq('id', id).maybeSingle();
+  if (!lead) return { ok: false, status: 404, error: 'Lead not found' };
+
+  const activity = await logActivity(id, kind, text.slice(0, 4000), { actor });
+  return { ok: true, activity };
+}
+
+/**
+ * Email each agent their open leads whose follow-up date has arrived
+ * (unassigned ones go to SUPPORT_EMAIL). A lead is reminded once per
+ * follow-up date: follow_up_reminded_for is claimed before sending.
+ */
+export async function processLeadFollowUps({ now = new Date(), dryRun = false } = {}) {
+  const today = ymd(now);
+  const { data, error } = await supabaseAdmin
+    .from('realty_leads')
+    .select('*')
+    .in('status', OPEN_STAGES)
+    .lte('follow_up_on', today)
+    .order('follow_up_on', { ascending: true });
+  if (error) throw error;
+
+  const due = (data || []).filter((l) => l.follow_up_reminded_for !== l.follow_up_on);
+  if (dryRun) return { due: due.length, emails: 0, items: due.map((l) => l.id) };
+
+  const claimed = [];
+  for (const lead of due) {
+    let q = supabaseAdmin
+      .from('realty_leads')
+      .update({ follow_up_reminded_for: lead.follow_up_on })
+      .eq('id', lead.id)
+      .eq('follow_up_on', lead.follow_up_on);
+    q = lead.follow_up_reminded_for
+      ? q.eq('follow_up_reminded_for', lead.follow_up_reminded_for)
+      : q.is('follow_up_reminded_for', null);
+    const { data: rows, error: claimErr } = await q.select('id');
+    if (claimErr) throw claimErr;
+    if (rows?.length) claimed.push(lead);
+  }
+
+  const byAgent = new Map();
+  claimed.forEach((l) => {
+    const key = l.assigned_agent_id || '';
+    if (!byAgent.has(key)) byAgent.set(key, []);
+    byAgent.get(key).push(l);
+  });
+
+  let emails = 0;
+  for (const [agentId, leads] of byAgent) {
+    const agent = await loadAgent(agentId);
+    const to = agent?.email || process.env.SUPPORT_EMAIL || 'realty@manyagi.net';
+    const rows = leads
+      .map(
+        (l) => `<li><strong>${esc(l.name)}</strong> (${esc(l.interest_type)}, ${stageLabel(l.status)}) — due ${
+          l.follow_up_on
+        }${l.follow_up_note ? `: ${esc(l.follow_up_note)}` : ''}<br/>${esc(l.email)}${l.phone ? ` • ${esc(l.phone)}` : ''}</li>`
+      )
+      .join('');
+    try {
+      await sendEmail({
+        to,
+        subject: `${leads.length} lead follow-up${leads.length === 1 ? '' : 's'} due`,
+        html: `
+          <p>Hi ${esc(agent?.name || 'team')},</p>
+          <p>These leads are due for a follow-up${agent ? '' : ' and have no agent assigned'}:</p>
+          <ul>${rows}</ul>
+          <p><a href="${adminUrl()}">Open the lead pipeline</a></p>
+        `,
+      });
+      emails += 1;
+    } catch (e) {
+      console.warn('[leads] follow-up reminder failed:', e.message);
+    }
+  }
+
+  return { due: due.length, reminded: claimed.length, emails };
+}
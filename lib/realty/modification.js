@@ -0,0 +1,499 @@
+// lib/realty/modification.js
+import Stripe from 'stripe';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { sendEmail } from '@/lib/sendEmail';
+import { sendItineraryEmail } from '@/lib/emails/itineraryEmail';
+import { findConflicts, validateStayRange } from '@/lib/realty/availability';
+import { paymentIntentId, refundReservation } from '@/lib/realty/payments';
+import { refreshTurnovers } from '@/lib/realty/turnovers';
+import { checkCalendarConflicts } from '@/lib/realty/conflicts';
+import { depositReleaseAfter } from '@/lib/realty/deposits';
+import { formatMoney } from '@/lib/currency';
+import {
+  calculateQuote,
+  checkBookingRules,
+  reservationPricingColumns,
+} from '@/pages/api/realty/quote';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+
+/**
+ * Change the dates / guest count of a paid reservation.
+ *
+ * Every request is logged in realty_reservation_changes:
+ *   id, reservation_id, old_checkin, old_checkout, old_guests,
+ *   new_checkin, new_checkout, new_guests, old_amount_cents,
+ *   new_amount_cents, diff_cents, status, stripe_session_id,
+ *   stripe_refund_id, price_breakdown, created_at, applied_at
+ *
+ * status:
+ *   pending           cheaper / same price, excess being refunded
+ *   applied           refund done (if any) and the stay rewritten
+ *   failed            the refund or the rewrite threw; check stripe_refund_id
+ *   awaiting_payment  dearer -> guest pays the difference via Checkout;
+ *                     the webhook applies it (applyPaidModification)
+ *   applying          webhook is applying a paid change; goes back to
+ *                     awaiting_payment if that fails, so the retried
+ *                     delivery (or an admin replay) applies it again
+ *   superseded        a newer change was requested before this one was paid
+ *                     (its payment link is expired)
+ *   conflict          dates were taken, or the stay changed (old_amount_cents
+ *                     no longer matches), before the guest paid -> refunded
+ *   expired           payment link lapsed
+ *
+ * realty_reservations.modification_count bumps on every applied change so
+ * ical-export can emit a higher SEQUENCE and calendars pick up the move.
+ */
+
+async function loadStay(reservationId) {
+  const { data: reservation, error } = await supabaseAdmin
+    .from('realty_reservations')
+    .select('*')
+    .eq('id', reservationId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!reservation) return {};
+
+  const { data: propRow } = await supabaseAdmin
+    .from('properties')
+    .select('*')
+    .eq('id', reservation.property_id)
+    .maybeSingle();
+
+  return { reservation, propRow };
+}
+
+// honour the promo the guest booked with, even if it has since expired
+async function originalPromo(reservation) {
+  if (!reservation.promo_code_id) return null;
+  const { data } = await supabaseAdmin
+    .from('realty_promo_codes')
+    .select('*')
+    .eq('id', reservation.promo_code_id)
+    .maybeSingle();
+  return data || null;
+}
+
+/**
+ * Validate + price a change. Returns
+ *  { ok: true, reservation, propRow, quote, newAmountCents, diffCents, change }
+ *  or { ok: false, status, error, ...details }
+ */
+export async function previewModification({ reservationId, checkin, checkout, guests }) {
+  const { reservation, propRow } = await loadStay(reservationId);
+  if (!reservation) return { ok: false, status: 404, error: 'Reservation not found' };
+  if (reservation.status !== 'paid') {
+    return { ok: false, status: 400, error: 'Only paid reservations can be modified' };
+  }
+
+  const next = {
+    checkin: checkin || reservation.checkin,
+    checkout: checkout || reservation.checkout,
+    guests: guests != null && guests !== '' ? Number(guests) : Number(reservation.guests || 1),
+  };
+
+  const rangeErr = validateStayRange(next.checkin, next.checkout);
+  if (rangeErr) return { ok: false, status: 400, error: rangeErr };
+
+  if (
+    next.checkin === reservation.checkin &&
+    next.checkout === reservation.checkout &&
+    next.guests === Number(reservation.guests)
+  ) {
+    return { ok: false, status: 400, error: 'Nothing to change' };
+  }
+
+  const { available, conflicts } = await findConflicts({
+    propertyId: reservation.property_id,
+    checkin: next.checkin,
+    checkout: next.checkout,
+    excludeReservationId: reservation.id,
+  });
+  if (!available) {
+    return { ok: false, status: 409, error: 'The new dates are not available', conflicts };
+  }
+
+  const { data: rates, error: rateErr } = await supabaseAdmin
+    .from('realty_rates')
+    .select('*')
+    .eq('property_id', reservation.property_id);
+  if (rateErr) throw rateErr;
+
+  const quote = calculateQuote({
+    propRow,
+    rates: rates || [],
+    checkin: next.checkin,
+    checkout: next.checkout,
+    guests: next.guests,
+    promo: await originalPromo(reservation),
+  });
+  const ruleErr = checkBookingRules({ propRow, quote, guests: next.guests });
+  if (ruleErr) return { ok: false, status: 400, ...ruleErr };
+
+  // the guest pays in the currency they booked in, at the rate locked then
+  const rate = Number(reservation.exchange_rate) > 0 ? Number(reservation.exchange_rate) : 1;
+  const oldAmountCents = Number(reservation.amount_cents || 0);
+  const newAmountCents = Math.round(Number(quote.summary.total) * rate * 100);
+
+  return {
+    ok: true,
+    reservation,
+    propRow,
+    quote,
+    change: next,
+    oldAmountCents,
+    newAmountCents,
+    diffCents: newAmountCents - oldAmountCents,
+  };
+}
+
+async function writeStay({ reservation, propRow, quote, change, newAmountCents }) {
+  const nowISO = new Date().toISOString();
+  const { error } = await supabaseAdmin
+    .from('realty_reservations')
+    .update({
+      checkin: change.checkin,
+      checkout: change.checkout,
+      guests: change.guests,
+      nights: quote.summary.nights,
+      amount_cents: newAmountCents,
+      ...(reservation.base_amount_cents != null && Number(reservation.amount_cents) > 0
+        ? {
+            base_amount_cents: Math.round(
+              (Number(reservation.base_amount_cents) * newAmountCents) / Number(reservation.amount_cents)
+            ),
+          }
+        : {}),
+      ...reservationPricingColumns(quote),
+      // a pending deposit hold follows the new checkout
+      ...(['scheduled', 'authorized'].includes(reservation.deposit_status)
+        ? { deposit_release_after: depositReleaseAfter(change.checkout, propRow) }
+        : {}),
+      modification_count: Number(reservation.modification_count || 0) + 1,
+      modified_at: nowISO,
+      updated_at: nowISO,
+    })
+    .eq('id', reservation.id);
+  if (error) throw error;
+
+  await refreshTurnovers(reservation.property_id);
+  await checkCalendarConflicts(reservation.property_id);
+}
+
+async function notifyChange({ reservation, propRow, change }) {
+  if (!reservation.guest_email) return;
+  try {
+    await sendItineraryEmail({
+      guestName: reservation.guest_name || 'Guest',
+      to: reservation.guest_email,
+      property: propRow?.name || 'Your Stay',
+      checkin: change.checkin,
+      checkout: change.checkout,
+      guests: change.guests,
+      replyTo: process.env.SUPPORT_EMAIL || 'realty@manyagi.net',
+    });
+  } catch (e) {
+    console.warn('[modify] itinerary email failed:', e.message);
+  }
+}
+
+/**
+ * Apply a change requested by an admin.
+ *
+ * Returns:
+ *  { ok, status: 'applied', refund_cents }        price went down / same
+ *  { ok, status: 'awaiting_payment', payment_url } price went up
+ */
+export async function requestModification({ reservationId, checkin, checkout, guests, origin }) {
+  const p = await previewModification({ reservationId, checkin, checkout, guests });
+  if (!p.ok) return p;
+
+  const { reservation, propRow, quote, change, oldAmountCents, newAmountCents, diffCents } = p;
+
+  // only the latest request can be paid for
+  const superseded = await supersedeOpenChanges(reservation.id);
+  if (!superseded.ok) return superseded;
+
+  const { data: changeRow, error: insErr } = await supabaseAdmin
+    .from('realty_reservation_changes')
+    .insert({
+      reservation_id: reservation.id,
+      old_checkin: reservation.checkin,
+      old_checkout: reservation.checkout,
+      old_guests: reservation.guests,
+      new_checkin: change.checkin,
+      new_checkout: change.checkout,
+      new_guests: change.guests,
+      old_amount_cents: oldAmountCents,
+      new_amount_cents: newAmountCents,
+      diff_cents: diffCents,
+      price_breakdown: reservationPricingColumns(quote).price_breakdown,
+      status: diffCents > 0 ? 'awaiting_payment' : 'pending',
+    })
+    .select('*')
+    .single();
+  if (insErr) throw insErr;
+
+  // ---- cheaper (or same): refund the excess, apply now ----
+  if (diffCents <= 0) {
+    let refundId = null;
+    try {
+      if (diffCents < 0) {
+        const { refundIds } = await refundReservation({
+          reservation,
+          amount: -diffCents,
+          keyPrefix: `realty-modify-${changeRow.id}`,
+          metadata: { type: 'realty_modification', change_id: changeRow.id },
+        });
+        if (!refundIds.length) {
+          await supabaseAdmin.from('realty_reservation_changes').delete().eq('id', changeRow.id);
+          return { ok: false, status: 400, error: 'No Stripe payment found to refund' };
+        }
+        refundId = refundIds.join(',');
+      }
+
+      await writeStay({ reservation, propRow, quote, change, newAmountCents });
+    } catch (e) {
+      await supabaseAdmin
+        .from('realty_reservation_changes')
+        .update({ status: 'failed', stripe_refund_id: refundId })
+        .eq('id', changeRow.id);
+      throw e;
+    }
+
+    const { error: appliedErr } = await supabaseAdmin
+      .from('realty_reservation_changes')
+      .update({ status: 'applied', stripe_refund_id: refundId, applied_at: new Date().toISOString() })
+      .eq('id', changeRow.id);
+    if (appliedErr) throw appliedErr;
+
+    await notifyChange({ reservation, propRow, change });
+    return { ok: true, status: 'applied', refund_cents: -diffCents, change_id: changeRow.id };
+  }
+
+  // ---- dearer: guest pays the difference ----
+  const site = origin || process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+  const currency = reservation.currency || quote.currency || 'usd';
+  const session = await stripe.checkout.sessions.create({
+    mode: 'payment',
+    customer_email: reservation.guest_email || undefined,
+    line_items: [
+      {
+        price_data: {
+          currency,
+          unit_amount: diffCents,
+          product_data: {
+            name: `Booking change: ${propRow?.name || 'Your stay'}`,
+            description: `New stay ${change.checkin} → ${change.checkout}, ${change.guests} guest(s)`,
+          },
+        },
+        quantity: 1,
+      },
+    ],
+    metadata: {
+      type: 'realty_modification',
+      reservation_id: reservation.id,
+      change_id: changeRow.id,
+    },
+    success_url: `${site}/realty/booking-success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${site}/realty/${propRow?.slug || ''}`,
+  });
+
+  await supabaseAdmin
+    .from('realty_reservation_changes')
+    .update({ stripe_session_id: session.id })
+    .eq('id', changeRow.id);
+
+  if (reservation.guest_email) {
+    try {
+      await sendEmail({
+        to: reservation.guest_email,
+        subject: `Confirm your booking change — ${propRow?.name || 'Manyagi Realty'}`,
+        html: `
+          <h1>Your booking change</h1>
+          <p>Hi ${reservation.guest_name || 'there'},</p>
+          <p>We've prepared the change to your stay at <strong>${propRow?.name || 'our property'}</strong>:</p>
+          <p>${reservation.checkin} → ${reservation.checkout} (${reservation.guests} guests)<br/>
+          <strong>becomes</strong> ${change.checkin} → ${change.checkout} (${change.guests} guests)</p>
+          <p>The new stay costs ${formatMoney(diffCents / 100, currency)} more.
+          <a href="${session.url}">Pay the difference</a> to confirm — your original booking stays as-is until then.</p>
+        `,
+      });
+    } catch (e) {
+      console.warn('[modify] payment email failed:', e.message);
+    }
+  }
+
+  return {
+    ok: true,
+    status: 'awaiting_payment',
+    payment_url: session.url,
+    diff_cents: diffCents,
+    change_id: changeRow.id,
+  };
+}
+
+/**
+ * Webhook side of a dearer change (checkout.session.completed with
+ * metadata.type = 'realty_modification'). Idempotent: only an
+ * awaiting_payment change is applied. If applying fails the change goes
+ * back to awaiting_payment and the error is rethrown, so the webhook
+ * answers 500 and the delivery is retried.
+ */
+export async function applyPaidModification({ changeId, session }) {
+  const { data: claimed, error: claimErr } = await supabaseAdmin
+    .from('realty_reservation_changes')
+    .update({ status: 'applying' })
+    .eq('id', changeId)
+    .eq('status', 'awaiting_payment')
+    .select('*')
+    .maybeSingle();
+  if (claimErr) throw claimErr;
+  if (!claimed) return { applied: false };
+
+  try {
+    return await applyClaimedModification({ claimed, changeId, session });
+  } catch (e) {
+    await supabaseAdmin
+      .from('realty_reservation_changes')
+      .update({ status: 'awaiting_payment' })
+      .eq('id', changeId)
+      .eq('status', 'applying');
+    throw e;
+  }
+}
+
+async function applyClaimedModification({ claimed, changeId, session }) {
+  const { reservation, propRow } = await loadStay(claimed.reservation_id);
+  const paymentIntent = paymentIntentId(session.payment_intent);
+
+  // someone else may have booked the nights while the guest was paying
+  const { available } = await findConflicts({
+    propertyId: reservation.property_id,
+    checkin: claimed.new_checkin,
+    checkout: claimed.new_checkout,
+    excludeReservationId: reservation.id,
+  });
+  // the difference was priced against the stay as it was then
+  const stale = Number(reservation.amount_cents || 0) !== Number(claimed.old_amount_cents || 0);
+
+  if (!available || stale || reservation.status !== 'paid') {
+    let refundId = null;
+    if (paymentIntent) {
+      const refund = await stripe.refunds.create(
+        { payment_intent: paymentIntent, metadata: { type: 'realty_modification_conflict', change_id: changeId } },
+        { idempotencyKey: `realty-modify-conflict-${changeId}` }
+      );
+      refundId = refund.id;
+    }
+    const { error: conflictErr } = await supabaseAdmin
+      .from('realty_reservation_changes')
+      .update({ status: 'conflict', stripe_refund_id: refundId })
+      .eq('id', changeId);
+    if (conflictErr) throw conflictErr;
+
+    if (reservation.guest_email) {
+      try {
+        await sendEmail({
+          to: reservation.guest_email,
+          subject: 'Your booking change could not be completed',
+          html: `<p>Hi ${reservation.guest_name || 'there'},</p>
+            <p>Sorry — ${
+              available && reservation.status === 'paid'
+                ? 'your booking was changed again before this payment went through, so its price no longer applies.'
+                : `the new dates (${claimed.new_checkin} → ${claimed.new_checkout}) were booked before your payment went through.`
+            }
+            Your payment for the change has been refunded and your booking (${reservation.checkin} → ${reservation.checkout}) is unchanged.</p>`,
+        });
+      } catch (e) {
+        console.warn('[modify] conflict email failed:', e.message);
+      }
+    }
+    return { applied: false, conflict: true };
+  }
+
+  const { data: rates } = await supabaseAdmin
+    .from('realty_rates')
+    .select('*')
+    .eq('property_id', reservation.property_id);
+
+  // keep the price the guest agreed to; breakdown recomputed for the record
+  const quote = calculateQuote({
+    propRow,
+    rates: rates || [],
+    checkin: claimed.new_checkin,
+    checkout: claimed.new_checkout,
+    guests: claimed.new_guests,
+    promo: await originalPromo(reservation),
+  });
+
+  const change = {
+    checkin: claimed.new_checkin,
+    checkout: claimed.new_checkout,
+    guests: claimed.new_guests,
+  };
+  await writeStay({
+    reservation,
+    propRow,
+    quote,
+    change,
+    newAmountCents: Number(claimed.new_amount_cents),
+  });
+
+  const { error: appliedErr } = await supabaseAdmin
+    .from('realty_reservation_changes')
+    .update({
+      status: 'applied',
+      applied_at: new Date().toISOString(),
+      stripe_payment_intent: paymentIntent,
+    })
+    .eq('id', changeId);
+  if (appliedErr) throw appliedErr;
+
+  await notifyChange({ reservation, propRow, change });
+  return { applied: true };
+}
+
+/**
+ * Retire unpaid changes before a new one is created: their payment links are
+ * expired in Stripe first so the guest can't pay for a price that no longer
+ * applies. A link Stripe won't expire was (being) paid -> 409.
+ */
+async function supersedeOpenChanges(reservationId) {
+  const { data: open, error } = await supabaseAdmin
+    .from('realty_reservation_changes')
+    .select('id, stripe_session_id')
+    .eq('reservation_id', reservationId)
+    .in('status', ['awaiting_payment', 'applying']);
+  if (error) throw error;
+
+  for (const row of open || []) {
+    if (row.stripe_session_id) {
+      try {
+        await stripe.checkout.sessions.expire(row.stripe_session_id);
+      } catch (e) {
+        const session = await stripe.checkout.sessions.retrieve(row.stripe_session_id);
+        if (session.status !== 'expired') {
+          console.warn(`[modify] could not expire ${row.stripe_session_id}:`, e.message);
+          return { ok: false, status: 409, error: 'An earlier change is being paid for. Reload and try again.' };
+        }
+      }
+    }
+    await supabaseAdmin
+      .from('realty_reservation_changes')
+      .update({ status: 'superseded' })
+      .eq('id', row.id)
+      .eq('status', 'awaiting_payment');
+  }
+  return { ok: true };
+}
+
+/** checkout.session.expired for a change payment link. */
+export async function expireModification(changeId) {
+  if (!changeId) return;
+  await supabaseAdmin
+    .from('realty_reservation_changes')
+    .update({ status: 'expired' })
+    .eq('id', changeId)
+    .eq('status', 'awaiting_payment');
+}
@@ -0,0 +1,311 @@
+// lib/realty/ownerStatements.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { buildPagePdf } from '@/lib/studio/build-pdf';
+
+/**
+ * Monthly owner statements for managed properties.
+ *
+ * Revenue is earned by the night: a stay crossing a month boundary is split
+ * by nights, and rent / taxes / affiliate commission follow the same share.
+ * The cleaning fee lands in the check-in month. Money a guest kept paying on
+ * a cancelled stay (amount_cents - refund_cents) counts as rent in the month
+ * the stay would have started.
+ *
+ * Management terms live in realty_property_owners (server-only, one row per
+ * property):
+ *   property_id, owner_name, owner_email, commission_rate (0.20 = 20% of
+ *   rent), owner_keeps_cleaning (cleaning fees paid through to the owner
+ *   instead of kept for the cleaners), updated_at
+ *
+ * net payout = rent (+ cleaning when owner_keeps_cleaning)
+ *              - management commission - affiliate commissions
+ * Taxes are collected and remitted by us, so they are shown but never paid out.
+ */
+
+const MONTH_RE = /^\d{4}-\d{2}$/;
+
+const toCents = (dollars) => Math.round(Number(dollars || 0) * 100);
+const dayMs = 86400000;
+
+export function monthRange(month) {
+  if (!MONTH_RE.test(String(month || ''))) return null;
+  const [y, m] = month.split('-').map(Number);
+  if (m < 1 || m > 12) return null;
+  const start = new Date(Date.UTC(y, m - 1, 1));
+  const end = new Date(Date.UTC(y, m, 1));
+  return {
+    start: start.toISOString().slice(0, 10),
+    end: end.toISOString().slice(0, 10), // exclusive
+    days: Math.round((end - start) / dayMs),
+  };
+}
+
+function overlapNights(checkin, checkout, range) {
+  const from = checkin > range.start ? checkin : range.start;
+  const to = checkout < range.end ? checkout : range.end;
+  if (to <= from) return 0;
+  return Math.round((new Date(to + 'T00:00:00Z') - new Date(from + 'T00:00:00Z')) / dayMs);
+}
+
+// rent / cleaning / tax for the whole stay, in cents
+function stayAmounts(resv) {
+  const b = resv.price_breakdown;
+  if (b && b.total != null) {
+    const lines = (b.lines || []).reduce((sum, l) => sum + Number(l.amount || 0), 0);
+    return {
+      rent: toCents(Number(b.base_subtotal || 0) + lines),
+      cleaning: toCents(b.cleaning_fee),
+      tax: toCents(b.tax_amount),
+    };
+  }
+  // bookings from before itemized pricing: everything but tax is rent
+  const tax = Number(resv.tax_cents || 0);
+  return { rent: Number(resv.amount_cents || 0) - tax, cleaning: 0, tax };
+}
+
+/**
+ * Pure statement maths.
+ * reservations: paid stays overlapping the month + cancelled stays checking
+ * in during it. terms: realty_property_owners row (or null).
+ */
+export function computeStatement({ reservations = [], month, terms = null }) {
+  const range = monthRange(month);
+  if (!range) throw new Error('month must be YYYY-MM');
+
+  const commissionRate = Number(terms?.commission_rate || 0);
+  const keepsCleaning = !!terms?.owner_keeps_cleaning;
+  const lines = [];
+
+  reservations.forEach((r) => {
+    if (r.status === 'paid') {
+      const nights = Number(r.nights) || overlapNights(r.checkin, r.checkout, { start: r.checkin, end: r.checkout });
+      const inMonth = overlapNights(r.checkin, r.checkout, range);
+      if (!inMonth || !nights) return;
+
+      const share = inMonth / nights;
+      const amounts = stayAmounts(r);
+      lines.push({
+        reservation_id: r.id,
+        kind: 'stay',
+        guest_name: r.guest_name || '',
+        checkin: r.checkin,
+        checkout: r.checkout,
+        nights: inMonth,
+        rent_cents: Math.round(amounts.rent * share),
+        cleaning_cents: r.checkin >= range.start && r.checkin < range.end ? amounts.cleaning : 0,
+        tax_cents: Math.round(amounts.tax * share),
+        affiliate_cents: Math.round(toCents(r.commission_amount) * share),
+      });
+      return;
+    }
+
+    if (r.status === 'cancelled' && r.refund_cents != null) {
+      // amount_cents / refund_cents are in the guest's currency; back to the listing's
+      const rate = Number(r.exchange_rate) > 0 ? Number(r.exchange_rate) : 1;
+      const retained = Math.round((Number(r.amount_cents || 0) - Number(r.refund_cents || 0)) / rate);
+      if (retained <= 0 || r.checkin < range.start || r.checkin >= range.end) return;
+      lines.push({
+        reservation_id: r.id,
+        kind: 'cancellation',
+        guest_name: r.guest_name || '',
+        checkin: r.checkin,
+        checkout: r.checkout,
+        nights: 0,
+        rent_cents: retained,
+        cleaning_cents: 0,
+        tax_cents: 0,
+        affiliate_cents: 0,
+      });
+    }
+  });
+
+  lines.sort((a, b) => (a.checkin < b.checkin ? -1 : a.checkin > b.checkin ? 1 : 0));
+
+  const sum = (key) => lines.reduce((s, l) => s + l[key], 0);
+  const nightsBooked = sum('nights');
+  const grossRent = sum('rent_cents');
+  const cleaning = sum('cleaning_cents');
+  const affiliate = sum('affiliate_cents');
+  const management = Math.round(grossRent * commissionRate);
+
+  return {
+    month,
+    period_start: range.start,
+    period_end: range.end,
+    days_in_month: range.days,
+    nights_booked: nightsBooked,
+    occupancy_pct: Math.round((nightsBooked / range.days) * 1000) / 10,
+    gross_rent_cents: grossRent,
+    cleaning_fees_cents: cleaning,
+    taxes_collected_cents: sum('tax_cents'),
+    commission_rate: commissionRate,
+    management_commission_cents: management,
+    affiliate_commissions_cents: affiliate,
+    owner_keeps_cleaning: keepsCleaning,
+    net_payout_cents: grossRent + (keepsCleaning ? cleaning : 0) - management - affiliate,
+    lines,
+  };
+}
+
+/** Load everything for one property + month and compute the statement. */
+export async function buildOwnerStatement({ propertyId, month }) {
+  const range = monthRange(month);
+  if (!range) return { ok: false, status: 400, error: 'month must be YYYY-MM' };
+
+  const { data: property, error: pErr } = await supabaseAdmin
+    .from('properties')
+    .select('id, name, slug, metadata')
+    .eq('id', propertyId)
+    .maybeSingle();
+  if (pErr) throw pErr;
+  if (!property) return { ok: false, status: 404, error: 'Property not found' };
+
+  const { data: terms, error: tErr } = await supabaseAdmin
+    .from('realty_property_owners')
+    .select('*')
+    .eq('property_id', propertyId)
+    .maybeSingle();
+  if (tErr) throw tErr;
+
+  const { data: reservations, error: rErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .select(
+      'id, status, checkin, checkout, nights, guest_name, amount_cents, refund_cents, tax_cents, price_breakdown, commission_amount, currency, exchange_rate'
+    )
+    .eq('property_id', propertyId)
+    .in('status', ['paid', 'cancelled'])
+    .lt('checkin', range.end)
+    .gt('checkout', range.start);
+  if (rErr) throw rErr;
+
+  const statement = computeStatement({ reservations: reservations || [], month, terms });
+
+  return {
+    ok: true,
+    statement: {
+      ...statement,
+      property_id: property.id,
+      property_name: property.name,
+      owner_name: terms?.owner_name || '',
+      owner_email: terms?.owner_email || '',
+      currency: reservations?.[0]?.price_breakdown?.currency || reservations?.[0]?.currency || 'usd',
+    },
+  };
+}
+
+const fmt = (cents) => `${cents < 0 ? '-' : ''}$${(Math.abs(cents) / 100).toFixed(2)}`;
+
+function csvCell(v) {
+  const s = String(v ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Summary block followed by one row per stay. */
+export function statementCsv(st) {
+  const dollars = (c) => (c / 100).toFixed(2);
+  const rows = [
+    ['Owner statement', st.property_name],
+    ['Owner', st.owner_name],
+    ['Period', `${st.period_start} to ${st.period_end} (exclusive)`],
+    ['Nights booked', st.nights_booked],
+    ['Occupancy %', st.occupancy_pct],
+    ['Gross rent', dollars(st.gross_rent_cents)],
+    ['Cleaning fees', dollars(st.cleaning_fees_cents)],
+    ['Taxes collected', dollars(st.taxes_collected_cents)],
+    [`Management commission (${(st.commission_rate * 100).toFixed(1)}%)`, dollars(-st.management_commission_cents)],
+    ['Affiliate commissions', dollars(-st.affiliate_commissions_cents)],
+    ['Net payout', dollars(st.net_payout_cents)],
+    [],
+    ['Reservation', 'Type', 'Guest', 'Check-in', 'Check-out', 'Nights this month', 'Rent', 'Cleaning', 'Taxes', 'Affiliate commission'],
+    ...st.lines.map((l) => [
+      l.reservation_id,
+      l.kind,
+      l.guest_name,
+      l.checkin,
+      l.checkout,
+      l.nights,
+      dollars(l.rent_cents),
+      dollars(l.cleaning_cents),
+      dollars(l.tax_cents),
+      dollars(l.affiliate_cents),
+    ]),
+  ];
+  return rows.map((r) => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function esc(v) {
+  return String(v ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+export function statementHtml(st) {
+  const summary = [
+    ['Nights booked', `${st.nights_booked} of ${st.days_in_month}`],
+    ['Occupancy', `${st.occupancy_pct}%`],
+    ['Gross rent', fmt(st.gross_rent_cents)],
+    [`Cleaning fees${st.owner_keeps_cleaning ? '' : ' (retained for cleaning)'}`, fmt(st.cleaning_fees_cents)],
+    ['Taxes collected (remitted by management)', fmt(st.taxes_collected_cents)],
+    [`Management commission (${(st.commission_rate * 100).toFixed(1)}%)`, fmt(-st.management_commission_cents)],
+    ['Affiliate commissions', fmt(-st.affiliate_commissions_cents)],
+  ];
+
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8"/>
+    <title>Owner Statement — ${esc(st.property_name)} — ${st.month}</title>
+    <style>
+      body { font-family: Arial, sans-serif; padding: 32px; color: #111827; font-size: 12px; }
+      h1 { margin: 0 0 4px; font-size: 22px; }
+      .muted { color: #6b7280; }
+      table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+      th, td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+      td.num, th.num { text-align: right; }
+      .total td { font-weight: 700; border-top: 2px solid #111827; font-size: 14px; }
+    </style>
+  </head>
+  <body>
+    <h1>Owner Statement</h1>
+    <div>${esc(st.property_name)}${st.owner_name ? ` — ${esc(st.owner_name)}` : ''}</div>
+    <div class="muted">${st.period_start} to ${st.period_end} (exclusive) • Manyagi Realty</div>
+
+    <table>
+      ${summary.map(([k, v]) => `<tr><td>${esc(k)}</td><td class="num">${v}</td></tr>`).join('')}
+      <tr class="total"><td>Net payout</td><td class="num">${fmt(st.net_payout_cents)}</td></tr>
+    </table>
+
+    <table>
+      <thead>
+        <tr><th>Guest</th><th>Stay</th><th class="num">Nights</th><th class="num">Rent</th><th class="num">Cleaning</th><th class="num">Taxes</th><th class="num">Affiliate</th></tr>
+      </thead>
+      <tbody>
+        ${
+          st.lines.length
+            ? st.lines
+                .map(
+                  (l) => `<tr>
+          <td>${esc(l.guest_name) || '—'}${l.kind === 'cancellation' ? ' <span class="muted">(cancelled)</span>' : ''}</td>
+          <td>${l.checkin} → ${l.checkout}</td>
+          <td class="num">${l.nights}</td>
+          <td class="num">${fmt(l.rent_cents)}</td>
+          <td class="num">${fmt(l.cleaning_cents)}</td>
+          <td class="num">${fmt(l.tax_cents)}</td>
+          <td class="num">${fmt(l.affiliate_cents)}</td>
+        </tr>`
+                )
+                .join('')
+            : '<tr><td colspan="7" class="muted">No stays this month.</td></tr>'
+        }
+      </tbody>
+    </table>
+  </body>
+</html>`;
+}
+
+/** PDF via the studio puppeteer pipeline. */
+export async function statementPdf(st) {
+  const pdf = await buildPagePdf(null, { html: statementHtml(st), fast: true });
+  return Buffer.isBuffer(pdf) ? pdf : Buffer.from(pdf);
+}
@@ -0,0 +1,105 @@
+// lib/realty/payments.js
+import Stripe from 'stripe';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+
+// stripe_payment_intent was sometimes stored as the expanded object
+export function paymentIntentId(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value.id || null;
+  const s = String(value);
+  if (s.startsWith('{')) {
+    try {
+      return JSON.parse(s).id || null;
+    } catch {
+      return null;
+    }
+  }
+  return s;
+}
+
+/**
+ * Every PaymentIntent that paid for a reservation: the original booking,
+ * then any "pay the difference" charges from applied modifications.
+ */
+export async function reservationPaymentIntents(reservation) {
+  const ids = [];
+
+  let original = paymentIntentId(reservation.stripe_payment_intent);
+  if (!original && reservation.stripe_session_id) {
+    const session = await stripe.checkout.sessions.retrieve(reservation.stripe_session_id);
+    original = paymentIntentId(session.payment_intent);
+  }
+  if (original) ids.push(original);
+
+  const { data: changes } = await supabaseAdmin
+    .from('realty_reservation_changes')
+    .select('stripe_payment_intent')
+    .eq('reservation_id', reservation.id)
+    .eq('status', 'applied')
+    .not('stripe_payment_intent', 'is', null)
+    .order('created_at', { ascending: true });
+  (changes || []).forEach((c) => ids.push(c.stripe_payment_intent));
+
+  return ids;
+}
+
+/**
+ * Refunds already issued for a reservation with metadata.type `type`
+ * (e.g. 'realty_cancellation'), across all its payments. Failed / cancelled
+ * refunds are left out.
+ */
+export async function listReservationRefunds(reservation, type) {
+  const refunds = [];
+  for (const id of await reservationPaymentIntents(reservation)) {
+    const { data } = await stripe.refunds.list({ payment_intent: id, limit: 100 });
+    data
+      .filter(
+        (r) =>
+          r.metadata?.type === type &&
+          r.metadata?.reservation_id === String(reservation.id) &&
+          !['failed', 'canceled'].includes(r.status)
+      )
+      .forEach((r) => refunds.push(r));
+  }
+  return refunds;
+}
+
+/**
+ * Refund `amount` cents for a reservation, newest payment first, never
+ * more than what is still refundable on each PaymentIntent.
+ *
+ * keyPrefix + the requested amount make the Stripe calls idempotent (one key
+ * per PaymentIntent): a retry of the same refund can't pay out twice, while a
+ * different amount for the same prefix is a new refund rather than a replay
+ * of the old one.
+ * Returns { refunded, refundIds } — refunded < amount means the payments
+ * didn't cover it.
+ */
+export async function refundReservation({ reservation, amount, keyPrefix, metadata = {} }) {
+  const refundIds = [];
+  let remaining = Math.round(Number(amount || 0));
+  if (remaining <= 0) return { refunded: 0, refundIds };
+
+  const intents = (await reservationPaymentIntents(reservation)).reverse();
+
+  for (const id of intents) {
+    if (remaining <= 0) break;
+    const pi = await stripe.paymentIntents.retrieve(id, { expand: ['latest_charge'] });
+    const charged = Number(pi.amount_received || 0);
+    const alreadyRefunded = Number(pi.latest_charge?.amount_refunded || 0);
+    const available = charged - alreadyRefunded;
+    if (available <= 0) continue;
+
+    const part = Math.min(available, remaining);
+    const refund = await stripe.refunds.create(
+      { payment_intent: id, amount: part, metadata: { reservation_id: reservation.id, ...metadata } },
+      { idempotencyKey: `${keyPrefix}-${Math.round(Number(amount))}-${id}` }
+    );
+    refundIds.push(refund.id);
+    remaining -= part;
+  }
+
+  return { refunded: Math.round(Number(amount)) - remaining, refundIds };
+}
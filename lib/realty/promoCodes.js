@@ -0,0 +1,134 @@
+// lib/realty/promoCodes.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+
+/**
+ * Redeemable promo codes for realty bookings.
+ *
+ * realty_promo_codes:
+ *   id, code (stored uppercase, unique), property_id (null = every property),
+ *   percent_off | amount_off (dollars), max_uses (null = unlimited),
+ *   min_nights, starts_on, expires_on (YYYY-MM-DD, inclusive), active,
+ *   notes, created_at
+ *
+ * A code is "used" by a reservation that carries its promo_code_id and is
+ * paid, or is a live checkout hold. Counting reservations (instead of
+ * bumping a counter from the webhook) keeps usage correct when a checkout
+ * is abandoned or a webhook is delivered twice.
+ *
+ * resolvePromoCode's count is only a pre-check: two guests can pass it at
+ * once. claimPromoUse runs after the hold is placed and keeps the code for
+ * the earliest holds only (same idea as placeHold's heldBefore re-check).
+ */
+
+export const normalizePromoCode = (code) =>
+  String(code || '')
+    .trim()
+    .toUpperCase();
+
+/**
+ * Number of paid reservations + live holds using this code.
+ * heldUpTo: ISO timestamp; holds created after it are not counted.
+ */
+export async function countPromoUses(promoId, { heldUpTo = null } = {}) {
+  const nowISO = new Date().toISOString();
+
+  const { count: paid, error: paidErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .select('id', { count: 'exact', head: true })
+    .eq('promo_code_id', promoId)
+    .eq('status', 'paid');
+  if (paidErr) throw paidErr;
+
+  let heldQuery = supabaseAdmin
+    .from('realty_reservations')
+    .select('id', { count: 'exact', head: true })
+    .eq('promo_code_id', promoId)
+    .eq('status', 'pending')
+    .gt('hold_expires_at', nowISO);
+  if (heldUpTo) heldQuery = heldQuery.lte('created_at', heldUpTo);
+  const { count: held, error: heldErr } = await heldQuery;
+  if (heldErr) throw heldErr;
+
+  return Number(paid || 0) + Number(held || 0);
+}
+
+/**
+ * Look up a code and check it can be used for this stay.
+ *
+ * Returns { promo } when usable, or { promo: null, error } with a
+ * guest-facing reason.
+ */
+export async function resolvePromoCode({ code, propertyId, checkin, checkout }) {
+  const normalized = normalizePromoCode(code);
+  if (!normalized) return { promo: null };
+
+  const { data: promo, error } = await supabaseAdmin
+    .from('realty_promo_codes')
+    .select('*')
+    .eq('code', normalized)
+    .maybeSingle();
+  if (error) throw error;
+
+  if (!promo || promo.active === false) {
+    return { promo: null, error: 'That promo code is not valid.' };
+  }
+  if (promo.property_id && promo.property_id !== propertyId) {
+    return { promo: null, error: 'That promo code does not apply to this property.' };
+  }
+
+  const todayISO = new Date().toISOString().slice(0, 10);
+  if (promo.starts_on && todayISO < promo.starts_on) {
+    return { promo: null, error: 'That promo code is not active yet.' };
+  }
+  if (promo.expires_on && todayISO > promo.expires_on) {
+    return { promo: null, error: 'That promo code has expired.' };
+  }
+
+  if (promo.min_nights && checkin && checkout) {
+    const nights = Math.round(
+      (new Date(checkout + 'T00:00:00Z') - new Date(checkin + 'T00:00:00Z')) / 86400000
+    );
+    if (nights < Number(promo.min_nights)) {
+      return {
+        promo: null,
+        error: `That promo code needs a stay of at least ${promo.min_nights} nights.`,
+      };
+    }
+  }
+
+  if (promo.max_uses != null && Number(promo.max_uses) > 0) {
+    const used = await countPromoUses(promo.id);
+    if (used >= Number(promo.max_uses)) {
+      return { promo: null, error: 'That promo code has been fully redeemed.' };
+    }
+  }
+
+  if (!Number(promo.percent_off) && !Number(promo.amount_off)) {
+    return { promo: null, error: 'That promo code is not valid.' };
+  }
+
+  return { promo };
+}
+
+/**
+ * After placing a hold that carries a promo_code_id: is it within max_uses,
+ * counting paid stays and the holds placed up to (and including) it?
+ * Returns { ok: true } or { ok: false, error }; the caller releases the hold.
+ */
+export async function claimPromoUse(reservation) {
+  if (!reservation?.promo_code_id) return { ok: true };
+
+  const { data: promo, error } = await supabaseAdmin
+    .from('realty_promo_codes')
+    .select('id, max_uses')
+    .eq('id', reservation.promo_code_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!promo || promo.max_uses == null || !(Number(promo.max_uses) > 0)) return { ok: true };
+
+  const used = await countPromoUses(promo.id, { heldUpTo: reservation.created_at });
+  if (used > Number(promo.max_uses)) {
+    return { ok: false, error: 'That promo code has been fully redeemed.' };
+  }
+  return { ok: true };
+}
@@ -0,0 +1,55 @@
+// lib/realty/reviewScores.js
+// Pure rating helpers shared by the review API, the guest review form and
+// the property page (no server imports — safe for client bundles).
+
+export const RATING_CATEGORIES = [
+  { key: 'cleanliness', label: 'Cleanliness' },
+  { key: 'accuracy', label: 'Accuracy' },
+  { key: 'location', label: 'Location' },
+  { key: 'value', label: 'Value' },
+];
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Validate { cleanliness, accuracy, location, value } (whole stars 1–5).
+ * Returns { ratings } or { error }.
+ */
+export function normalizeRatings(input = {}) {
+  const ratings = {};
+  for (const { key, label } of RATING_CATEGORIES) {
+    const n = Number(input[key]);
+    if (!Number.isInteger(n) || n < MIN_RATING || n > MAX_RATING) {
+      return { error: `${label} rating must be ${MIN_RATING}–${MAX_RATING}` };
+    }
+    ratings[key] = n;
+  }
+  return { ratings };
+}
+
+/** Overall stars for one review = mean of its category ratings. */
+export function overallRating(ratings) {
+  const vals = RATING_CATEGORIES.map(({ key }) => Number(ratings[key] || 0));
+  return round1(vals.reduce((a, b) => a + b, 0) / vals.length);
+}
+
+/**
+ * Averages across published reviews (rows carry rating_<category> columns).
+ * Returns { count, overall, categories: { cleanliness, ... } }.
+ */
+export function aggregateScores(reviews = []) {
+  const count = reviews.length;
+  const categories = {};
+  RATING_CATEGORIES.forEach(({ key }) => {
+    categories[key] = count
+      ? round1(reviews.reduce((sum, r) => sum + Number(r[`rating_${key}`] || 0), 0) / count)
+      : null;
+  });
+  const overall = count
+    ? round1(reviews.reduce((sum, r) => sum + Number(r.rating_overall || 0), 0) / count)
+    : null;
+  return { count, overall, categories };
+}
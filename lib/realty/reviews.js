@@ -0,0 +1,146 @@
+// lib/realty/reviews.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { sendEmail } from '@/lib/sendEmail';
+import { signGuestToken, verifyGuestToken } from '@/lib/realty/guestTokens';
+import { aggregateScores, normalizeRatings, overallRating } from '@/lib/realty/reviewScores';
+
+/**
+ * Guest reviews.
+ *
+ * Only a guest with a completed paid stay can review, through a signed link
+ * (action 'review') that the review_request guest message sends after
+ * checkout. One review per reservation; new reviews wait for moderation.
+ *
+ * realty_reviews (unique reservation_id):
+ *   id, reservation_id, property_id, guest_name (first name + initial),
+ *   stay_month ('YYYY-MM'), rating_cleanliness, rating_accuracy,
+ *   rating_location, rating_value, rating_overall, comment,
+ *   status ('pending' | 'published' | 'rejected'), admin_reply, replied_at,
+ *   moderated_at, created_at
+ */
+
+export const REVIEW_LINK_DAYS = 60;
+
+const PUBLIC_COLUMNS =
+  'id, guest_name, stay_month, rating_cleanliness, rating_accuracy, rating_location, rating_value, rating_overall, comment, admin_reply, replied_at, created_at';
+
+function addDaysYmd(ymdStr, days) {
+  const d = new Date(ymdStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** "Jane Doe" -> "Jane D." */
+export function displayName(fullName) {
+  const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+  if (!parts.length) return 'Guest';
+  return parts.length > 1 ? `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.` : parts[0];
+}
+
+/** Signed review link, valid REVIEW_LINK_DAYS after checkout ('' without REALTY_LINK_SECRET). */
+export function guestReviewUrl(reservation) {
+  const site = process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+  const token = signGuestToken({
+    reservationId: reservation.id,
+    action: 'review',
+    expiresAt: `${addDaysYmd(reservation.checkout, REVIEW_LINK_DAYS)}T23:59:59Z`,
+  });
+  return token ? `${site}/realty/review?token=${encodeURIComponent(token)}` : '';
+}
+
+/**
+ * Resolve a review link to { reservation, propRow, existing } or
+ * { error, status }.
+ */
+export async function loadReviewContext(token) {
+  const { reservationId, error } = verifyGuestToken(token, 'review');
+  if (error) return { error, status: 401 };
+
+  const { data: reservation, error: rErr } = await supabaseAdmin
+    .from('realty_reservations')
+    .select('id, property_id, checkin, checkout, guest_name, status')
+    .eq('id', reservationId)
+    .maybeSingle();
+  if (rErr) throw rErr;
+  if (!reservation) return { error: 'Reservation not found', status: 404 };
+
+  const today = new Date().toISOString().slice(0, 10);
+  if (reservation.status !== 'paid' || reservation.checkout > today) {
+    return { error: 'Reviews open once your stay is complete', status: 403 };
+  }
+
+  const [{ data: propRow }, { data: existing }] = await Promise.all([
+    supabaseAdmin.from('properties').select('id, name, slug').eq('id', reservation.property_id).maybeSingle(),
+    supabaseAdmin.from('realty_reviews').select('id, status, created_at').eq('reservation_id', reservation.id).maybeSingle(),
+  ]);
+
+  return { reservation, propRow, existing: existing || null };
+}
+
+async function notifyAdmins({ propRow, review }) {
+  const to = process.env.SUPPORT_EMAIL || 'realty@manyagi.net';
+  await sendEmail({
+    to,
+    subject: `New ${review.rating_overall}★ review for ${propRow?.name || 'a property'} awaiting moderation`,
+    html: `
+      <p><strong>${review.guest_name}</strong> rated ${propRow?.name || 'their stay'} ${review.rating_overall} / 5.</p>
+      <p>${review.comment ? String(review.comment).replace(/</g, '&lt;') : '<em>No comment</em>'}</p>
+      <p>Publish or reject it in Admin → Realty → Guest Reviews.</p>
+    `,
+  });
+}
+
+/** Store a guest's review (pending moderation). */
+export async function submitReview({ token, ratings: input, comment }) {
+  const ctx = await loadReviewContext(token);
+  if (ctx.error) return { ok: false, status: ctx.status, error: ctx.error };
+  if (ctx.existing) return { ok: false, status: 409, error: 'You have already reviewed this stay' };
+
+  const { ratings, error } = normalizeRatings(input);
+  if (error) return { ok: false, status: 400, error };
+
+  const text = String(comment || '').trim().slice(0, 4000);
+  const { reservation, propRow } = ctx;
+
+  const { data: review, error: insErr } = await supabaseAdmin
+    .from('realty_reviews')
+    .insert({
+      reservation_id: reservation.id,
+      property_id: reservation.property_id,
+      guest_name: displayName(reservation.guest_name),
+      stay_month: reservation.checkin.slice(0, 7),
+      rating_cleanliness: ratings.cleanliness,
+      rating_accuracy: ratings.accuracy,
+      rating_location: ratings.location,
+      rating_value: ratings.value,
+      rating_overall: overallRating(ratings),
+      comment: text || null,
+      status: 'pending',
+    })
+    .select('*')
+    .single();
+  if (insErr?.code === '23505') return { ok: false, status: 409, error: 'You have already reviewed this stay' };
+  if (insErr) throw insErr;
+
+  try {
+    await notifyAdmins({ propRow, review });
+  } catch (e) {
+    console.warn('[reviews] admin notification failed:', e.message);
+  }
+
+  return { ok: true, review };
+}
+
+/** Published reviews + aggregate scores for a property page. */
+export async function publishedReviews(propertyId, { limit = 20 } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from('realty_reviews')
+    .select(PUBLIC_COLUMNS)
+    .eq('property_id', propertyId)
+    .eq('status', 'published')
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+
+  const all = data || [];
+  return { summary: aggregateScores(all), items: all.slice(0, limit) };
+}
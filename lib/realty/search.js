@@ -0,0 +1,165 @@
+// lib/realty/search.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { unavailablePropertyIds, validateStayRange } from '@/lib/realty/availability';
+import { calculateQuote } from '@/pages/api/realty/quote';
+
+/**
+ * Property search for /realty.
+ *
+ * Filters (all optional):
+ *  - checkin / checkout: only properties with nothing overlapping the stay
+ *    (paid reservations, live holds, channel blocks, blocked nights) that
+ *    meet the minimum stay; each result carries its calculateQuote total
+ *  - guests: metadata.max_guests (falls back to metadata.sleeps)
+ *  - amenities: every one must be in metadata.amenities (case-insensitive)
+ *  - min_price / max_price: per night — the stay's average nightly rate
+ *    when dates are given, otherwise the listed nightly price
+ *
+ * Map pins come from metadata.lat / metadata.lng.
+ */
+
+const num = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+
+function capacityOf(propRow) {
+  const m = propRow.metadata || {};
+  return Number(m.max_guests ?? m.sleeps ?? 0);
+}
+
+function coordsOf(propRow) {
+  const m = propRow.metadata || {};
+  const lat = Number(m.lat);
+  const lng = Number(m.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0)) return null;
+  return { lat, lng };
+}
+
+function listing(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    slug: p.slug,
+    description: p.description || '',
+    nightly_price: Number(p.price || 0),
+    image_url: (p.metadata && p.metadata.cover_url) || (p.metadata && p.metadata.hero_url) || '',
+    metadata: p.metadata || {},
+    coords: coordsOf(p),
+    created_at: p.created_at,
+  };
+}
+
+/** Normalize query-string filters; returns { filters } or { error }. */
+export function parseSearchQuery(query = {}) {
+  const { checkin, checkout } = query;
+  const hasDates = !!(checkin || checkout);
+  if (hasDates) {
+    const err = validateStayRange(checkin, checkout);
+    if (err) return { error: err };
+  }
+
+  const guests = num(query.guests);
+  if (guests !== null && (!Number.isInteger(guests) || guests < 1)) {
+    return { error: 'guests must be a whole number of at least 1' };
+  }
+
+  const minPrice = num(query.min_price);
+  const maxPrice = num(query.max_price);
+  if ((minPrice !== null && !(minPrice >= 0)) || (maxPrice !== null && !(maxPrice >= 0))) {
+    return { error: 'price range must be positive numbers' };
+  }
+
+  const amenities = (Array.isArray(query.amenities) ? query.amenities : String(query.amenities || '').split(','))
+    .map((a) => String(a).trim())
+    .filter(Boolean);
+
+  return {
+    filters: {
+      checkin: hasDates ? checkin : null,
+      checkout: hasDates ? checkout : null,
+      guests,
+      amenities,
+      minPrice,
+      maxPrice,
+    },
+  };
+}
+
+/**
+ * Run a search. Returns { results, amenities } where amenities is every
+ * amenity across realty listings (for the filter UI).
+ */
+export async function searchProperties({ checkin, checkout, guests, amenities = [], minPrice, maxPrice }) {
+  const { data, error } = await supabaseAdmin
+    .from('properties')
+    .select('*')
+    .eq('division', 'realty')
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+
+  const all = data || [];
+  const allAmenities = Array.from(
+    new Set(all.flatMap((p) => (Array.isArray(p.metadata?.amenities) ? p.metadata.amenities : [])))
+  ).sort((a, b) => a.localeCompare(b));
+
+  const wanted = amenities.map((a) => a.toLowerCase());
+  let candidates = all.filter((p) => {
+    if (guests) {
+      const cap = capacityOf(p);
+      if (cap > 0 && guests > cap) return false;
+    }
+    if (wanted.length) {
+      const have = (Array.isArray(p.metadata?.amenities) ? p.metadata.amenities : []).map((a) =>
+        String(a).toLowerCase()
+      );
+      if (!wanted.every((a) => have.includes(a))) return false;
+    }
+    return true;
+  });
+
+  const inRange = (perNight) =>
+    (minPrice == null || perNight >= minPrice) && (maxPrice == null || perNight <= maxPrice);
+
+  // no dates: listed nightly price only
+  if (!checkin || !checkout) {
+    const results = candidates.filter((p) => inRange(Number(p.price || 0))).map(listing);
+    return { results, amenities: allAmenities };
+  }
+
+  const ids = candidates.map((p) => p.id);
+  const [blocked, { data: rateRows, error: rateErr }] = await Promise.all([
+    unavailablePropertyIds({ propertyIds: ids, checkin, checkout }),
+    ids.length
+      ? supabaseAdmin.from('realty_rates').select('*').in('property_id', ids)
+      : Promise.resolve({ data: [], error: null }),
+  ]);
+  if (rateErr) throw rateErr;
+
+  candidates = candidates.filter((p) => !blocked.has(p.id));
+
+  const results = [];
+  for (const p of candidates) {
+    const quote = calculateQuote({
+      propRow: p,
+      rates: (rateRows || []).filter((r) => r.property_id === p.id),
+      checkin,
+      checkout,
+      guests: guests || 1,
+    });
+    if (!quote.ok || quote.meets_min_stay === false) continue;
+
+    const s = quote.summary;
+    const avgNightly = s.nights ? Math.round((s.base_subtotal / s.nights) * 100) / 100 : 0;
+    if (!inRange(avgNightly)) continue;
+
+    results.push({
+      ...listing(p),
+      quote: {
+        nights: s.nights,
+        avg_nightly: avgNightly,
+        total: s.total,
+        currency: quote.currency,
+      },
+    });
+  }
+
+  return { results, amenities: allAmenities };
+}
@@ -0,0 +1,127 @@
+// lib/realty/taxes.js
+import { formatMoney } from '@/lib/currency';
+
+/**
+ * Lodging tax profile per property (properties.metadata.taxes).
+ *
+ * Each entry is one tax line on the quote / receipt:
+ *
+ *   {
+ *     code: 'county_tot',              // optional, stable key (defaults from name)
+ *     name: 'County occupancy tax',
+ *     type: 'percent' | 'per_night' | 'per_stay',
+ *     rate: 0.10,                      // percent taxes, as a fraction (like pricing.tax_rate)
+ *     amount: 3.5,                     // per_night / per_stay flat fees, in dollars
+ *     applies_to: ['rent', 'cleaning'],// percent base; default both
+ *     exempt_after_nights: 30,         // stays longer than N nights are exempt
+ *   }
+ *
+ * 'rent' is the nightly subtotal after discounts, extra-guest fees and promo
+ * codes; 'cleaning' is the cleaning fee.
+ *
+ * Properties without metadata.taxes keep the old single pricing.tax_rate
+ * (applied to rent + cleaning).
+ */
+
+export const TAX_TYPES = ['percent', 'per_night', 'per_stay'];
+export const TAX_BASES = ['rent', 'cleaning'];
+
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+const slug = (s) =>
+  String(s || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+/** Normalized tax profile for a property row's metadata. */
+export function taxProfileFrom(metadata = {}) {
+  // an empty array is a deliberate "no taxes", not a fallback to tax_rate
+  if (Array.isArray(metadata.taxes)) {
+    return metadata.taxes
+      .filter((t) => t && TAX_TYPES.includes(t.type))
+      .map((t, i) => {
+        const appliesTo = (Array.isArray(t.applies_to) ? t.applies_to : TAX_BASES).filter(
+          (b) => TAX_BASES.includes(b)
+        );
+        return {
+          code: t.code || slug(t.name) || `tax_${i + 1}`,
+          name: t.name || 'Tax',
+          type: t.type,
+          rate: Number(t.rate || 0),
+          amount: Number(t.amount || 0),
+          applies_to: appliesTo,
+          exempt_after_nights:
+            t.exempt_after_nights != null && t.exempt_after_nights !== ''
+              ? Number(t.exempt_after_nights)
+              : null,
+        };
+      });
+  }
+
+  const legacyRate = Number(metadata.pricing?.tax_rate || 0);
+  if (!legacyRate) return [];
+  return [
+    {
+      code: 'tax',
+      name: 'Tax',
+      type: 'percent',
+      rate: legacyRate,
+      amount: 0,
+      applies_to: TAX_BASES,
+      exempt_after_nights: null,
+    },
+  ];
+}
+
+/**
+ * Apply a tax profile to a priced stay.
+ *
+ * Returns { total, lines: [{ code, name, type, rate, amount, base, exempt }] }
+ * — exempt taxes stay in `lines` with amount 0 so the receipt can say why.
+ */
+export function computeTaxes({ profile = [], rent = 0, cleaning = 0, nights = 0 }) {
+  const bases = { rent: Number(rent || 0), cleaning: Number(cleaning || 0) };
+  const lines = profile.map((t) => {
+    const exempt = t.exempt_after_nights != null && nights > t.exempt_after_nights;
+
+    let base = 0;
+    let amount = 0;
+    if (t.type === 'percent') {
+      base = round2(t.applies_to.reduce((acc, b) => acc + bases[b], 0));
+      amount = round2(base * t.rate);
+    } else if (t.type === 'per_night') {
+      base = nights;
+      amount = round2(t.amount * nights);
+    } else {
+      base = 1;
+      amount = round2(t.amount);
+    }
+
+    return {
+      code: t.code,
+      name: t.name,
+      type: t.type,
+      rate: t.type === 'percent' ? t.rate : t.amount,
+      base,
+      amount: exempt ? 0 : amount,
+      exempt,
+    };
+  });
+
+  return {
+    total: round2(lines.reduce((acc, l) => acc + l.amount, 0)),
+    lines,
+  };
+}
+
+/**
+ * Human label for a tax line, e.g. "County occupancy tax (10%)".
+ * `currency` is the quote's (per-night rates are in the property currency).
+ */
+export function taxLineLabel(line, currency = 'usd') {
+  if (line.exempt) return `${line.name} (exempt)`;
+  if (line.type === 'percent') return `${line.name} (${round2(line.rate * 100)}%)`;
+  if (line.type === 'per_night') return `${line.name} (${formatMoney(line.rate, currency)} × ${line.base} nights)`;
+  return line.name;
+}
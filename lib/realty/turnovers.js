@@ -0,0 +1,396 @@
+// lib/realty/turnovers.js
+import crypto from 'crypto';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { sendEmail } from '@/lib/sendEmail';
+
+/**
+ * Housekeeping between stays.
+ *
+ * Every paid reservation gets one turnover task on its checkout date. The
+ * deadline is the next arrival: the next paid check-in or the next external
+ * (Airbnb / VRBO) block, whichever comes first. Checkout and next arrival on
+ * the same day = same_day turnover.
+ *
+ * realty_turnover_tasks (unique reservation_id):
+ *   id, property_id, reservation_id, checkout_on, next_checkin_on,
+ *   next_reservation_id, next_source ('reservation' | 'external' | null),
+ *   same_day, assignee_id, status, checklist [{ label, done }],
+ *   photos [{ url, uploaded_at, by }], notes, completed_at,
+ *   created_at, updated_at
+ * status: open -> assigned -> in_progress -> done, or cancelled when the
+ * stay is cancelled / moved away.
+ *
+ * realty_cleaners:
+ *   id, name, email, phone, active, feed_token, created_at
+ * feed_token is the cleaner's private key for their ICS feed and task page
+ * (/realty/cleaner?token=…); rotate it to revoke both.
+ *
+ * Checklist template: properties.metadata.turnover_checklist (array of
+ * strings), else DEFAULT_CHECKLIST. Tasks keep the checklist they were
+ * created with.
+ */
+
+export const DEFAULT_CHECKLIST = [
+  'Strip beds and start laundry',
+  'Make beds with fresh linens',
+  'Clean bathrooms and restock toiletries',
+  'Clean kitchen, run dishwasher, empty fridge',
+  'Vacuum and mop floors',
+  'Take out trash and recycling',
+  'Restock supplies (paper, soap, coffee)',
+  'Check for damage or missing items',
+  'Lock up and reset thermostat',
+];
+
+export const TASK_STATUSES = ['open', 'assigned', 'in_progress', 'done', 'cancelled'];
+const ACTIVE_STATUSES = ['open', 'assigned', 'in_progress'];
+
+const ymd = (d) => d.toISOString().slice(0, 10);
+
+function addDaysYmd(ymdStr, days) {
+  const d = new Date(ymdStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return ymd(d);
+}
+
+export function newFeedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+export function checklistFor(propRow) {
+  const custom = propRow?.metadata?.turnover_checklist;
+  const items = Array.isArray(custom) && custom.length ? custom : DEFAULT_CHECKLIST;
+  return items.map((label) => ({ label: String(label), done: false }));
+}
+
+/**
+ * Pure: work out each stay's turnover window.
+ * stays: paid reservations for ONE property; blocks: its external blocks.
+ * Returns [{ reservation_id, checkout_on, next_checkin_on, next_reservation_id,
+ *           next_source, same_day }]
+ */
+export function planTurnovers(stays, blocks = []) {
+  const sorted = [...stays].sort((a, b) => (a.checkin < b.checkin ? -1 : a.checkin > b.checkin ? 1 : 0));
+
+  return sorted.map((s) => {
+    const nextStay = sorted.find((o) => o.id !== s.id && o.checkin >= s.checkout);
+    const nextBlock = blocks
+      .filter((b) => b.starts_on >= s.checkout)
+      .sort((a, b) => (a.starts_on < b.starts_on ? -1 : 1))[0];
+
+    let next = null;
+    if (nextStay && (!nextBlock || nextStay.checkin <= nextBlock.starts_on)) {
+      next = { on: nextStay.checkin, id: nextStay.id, source: 'reservation' };
+    } else if (nextBlock) {
+      next = { on: nextBlock.starts_on, id: null, source: 'external' };
+    }
+
+    return {
+      reservation_id: s.id,
+      checkout_on: s.checkout,
+      next_checkin_on: next?.on || null,
+      next_reservation_id: next?.id || null,
+      next_source: next?.source || null,
+      same_day: !!next && next.on === s.checkout,
+    };
+  });
+}
+
+/**
+ * Create / refresh turnover tasks for paid stays checking out from
+ * yesterday on. Safe to run repeatedly (cron, after syncs and bookings).
+ * Finished tasks are never touched; tasks whose stay is no longer paid are
+ * cancelled.
+ */
+export async function syncTurnoverTasks({ propertyId = null, now = new Date() } = {}) {
+  const from = addDaysYmd(ymd(now), -1);
+  const result = { created: 0, updated: 0, cancelled: 0 };
+
+  let stayQ = supabaseAdmin
+    .from('realty_reservations')
+    .select('id, property_id, checkin, checkout')
+    .eq('status', 'paid')
+    .gte('checkout', from);
+  if (propertyId) stayQ = stayQ.eq('property_id', propertyId);
+  const { data: stays, error: sErr } = await stayQ;
+  if (sErr) throw sErr;
+
+  let blockQ = supabaseAdmin
+    .from('realty_external_blocks')
+    .select('property_id, starts_on, ends_on')
+    .gte('ends_on', from);
+  if (propertyId) blockQ = blockQ.eq('property_id', propertyId);
+  const { data: blocks, error: bErr } = await blockQ;
+  if (bErr) throw bErr;
+
+  let taskQ = supabaseAdmin
+    .from('realty_turnover_tasks')
+    .select('id, property_id, reservation_id, checkout_on, next_checkin_on, next_reservation_id, next_source, same_day, status')
+    .gte('checkout_on', from);
+  if (propertyId) taskQ = taskQ.eq('property_id', propertyId);
+  const { data: tasks, error: tErr } = await taskQ;
+  if (tErr) throw tErr;
+
+  const propIds = Array.from(new Set((stays || []).map((s) => s.property_id)));
+  const { data: props, error: pErr } = propIds.length
+    ? await supabaseAdmin.from('properties').select('id, metadata').in('id', propIds)
+    : { data: [], error: null };
+  if (pErr) throw pErr;
+  const propMap = new Map((props || []).map((p) => [p.id, p]));
+
+  const taskByResv = new Map((tasks || []).map((t) => [t.reservation_id, t]));
+  const paidIds = new Set((stays || []).map((s) => s.id));
+  const nowISO = now.toISOString();
+
+  for (const pid of propIds) {
+    const plan = planTurnovers(
+      stays.filter((s) => s.property_id === pid),
+      (blocks || []).filter((b) => b.property_id === pid)
+    );
+
+    for (const p of plan) {
+      const existing = taskByResv.get(p.reservation_id);
+
+      if (!existing) {
+        const { error } = await supabaseAdmin.from('realty_turnover_tasks').insert({
+          ...p,
+          property_id: pid,
+          status: 'open',
+          checklist: checklistFor(propMap.get(pid)),
+          photos: [],
+          created_at: nowISO,
+          updated_at: nowISO,
+        });
+        // unique violation: a parallel sync created it
+        if (error && error.code !== '23505') throw error;
+        if (!error) result.created += 1;
+        continue;
+      }
+
+      if (!ACTIVE_STATUSES.includes(existing.status)) continue;
+      const changed = Object.keys(p).some((k) => existing[k] !== p[k]);
+      if (!changed) continue;
+
+      const { error } = await supabaseAdmin
+        .from('realty_turnover_tasks')
+        .update({ ...p, updated_at: nowISO })
+        .eq('id', existing.id);
+      if (error) throw error;
+      result.updated += 1;
+    }
+  }
+
+  const orphaned = (tasks || []).filter(
+    (t) => ACTIVE_STATUSES.includes(t.status) && !paidIds.has(t.reservation_id)
+  );
+  if (orphaned.length) {
+    const { error } = await supabaseAdmin
+      .from('realty_turnover_tasks')
+      .update({ status: 'cancelled', updated_at: nowISO })
+      .in('id', orphaned.map((t) => t.id));
+    if (error) throw error;
+    result.cancelled = orphaned.length;
+  }
+
+  return result;
+}
+
+/** Best-effort refresh after a booking changes; never throws. */
+export async function refreshTurnovers(propertyId) {
+  if (!propertyId) return;
+  try {
+    await syncTurnoverTasks({ propertyId });
+  } catch (e) {
+    console.warn(`[turnovers] sync for ${propertyId} failed:`, e.message);
+  }
+}
+
+/** Tasks decorated with property / guest / cleaner names for the UIs. */
+export async function listTurnoverTasks({ from, to, assigneeId = null, ids = null, includeCancelled = false }) {
+  let q = supabaseAdmin
+    .from('realty_turnover_tasks')
+    .select('*')
+    .order('checkout_on', { ascending: true });
+  if (from) q = q.gte('checkout_on', from);
+  if (to) q = q.lte('checkout_on', to);
+  if (assigneeId) q = q.eq('assignee_id', assigneeId);
+  if (ids) q = q.in('id', ids);
+  if (!includeCancelled) q = q.neq('status', 'cancelled');
+  const { data: tasks, error } = await q;
+  if (error) throw error;
+  if (!tasks?.length) return [];
+
+  const propIds = Array.from(new Set(tasks.map((t) => t.property_id)));
+  const resvIds = Array.from(
+    new Set(tasks.flatMap((t) => [t.reservation_id, t.next_reservation_id]).filter(Boolean))
+  );
+  const cleanerIds = Array.from(new Set(tasks.map((t) => t.assignee_id).filter(Boolean)));
+
+  const [{ data: props }, { data: resvs }, { data: cleaners }] = await Promise.all([
+    supabaseAdmin.from('properties').select('id, name, slug, metadata').in('id', propIds),
+    supabaseAdmin.from('realty_reservations').select('id, guest_name, guests').in('id', resvIds),
+    cleanerIds.length
+      ? supabaseAdmin.from('realty_cleaners').select('id, name').in('id', cleanerIds)
+      : Promise.resolve({ data: [] }),
+  ]);
+
+  const propMap = new Map((props || []).map((p) => [p.id, p]));
+  const resvMap = new Map((resvs || []).map((r) => [r.id, r]));
+  const cleanerMap = new Map((cleaners || []).map((c) => [c.id, c]));
+
+  return tasks.map((t) => {
+    const prop = propMap.get(t.property_id);
+    const next = t.next_reservation_id ? resvMap.get(t.next_reservation_id) : null;
+    return {
+      ...t,
+      property_name: prop?.name || '(unnamed)',
+      property_address: prop?.metadata?.guest_info?.address || '',
+      departing_guest: resvMap.get(t.reservation_id)?.guest_name || '',
+      next_guest: next?.guest_name || '',
+      next_guests: next?.guests || null,
+      assignee_name: cleanerMap.get(t.assignee_id)?.name || '',
+    };
+  });
+}
+
+export async function cleanerByToken(token) {
+  if (!token) return null;
+  const { data, error } = await supabaseAdmin
+    .from('realty_cleaners')
+    .select('id, name, email, active')
+    .eq('feed_token', String(token))
+    .maybeSingle();
+  if (error) throw error;
+  return data && data.active !== false ? data : null;
+}
+
+export function cleanerLinks(cleaner) {
+  const site = process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+  const token = encodeURIComponent(cleaner.feed_token);
+  return {
+    tasks_url: `${site}/realty/cleaner?token=${token}`,
+    ics_url: `${site}/api/realty/cleaner-ical?token=${token}`,
+  };
+}
+
+/** Let a cleaner know they have a new turnover. */
+export async function notifyAssignment(task, cleaner) {
+  if (!cleaner?.email) return;
+  const { tasks_url } = cleanerLinks(cleaner);
+  await sendEmail({
+    to: cleaner.email,
+    subject: `${task.same_day ? 'SAME-DAY ' : ''}Turnover ${task.checkout_on} — ${task.property_name}`,
+    html: `
+      <p>Hi ${cleaner.name || 'there'},</p>
+      <p>You've been assigned a turnover at <strong>${task.property_name}</strong>.</p>
+      <ul>
+        <li>Guests check out: <strong>${task.checkout_on}</strong></li>
+        <li>Next arrival: <strong>${task.next_checkin_on || 'none scheduled'}</strong>${task.same_day ? ' (same day!)' : ''}</li>
+        ${task.property_address ? `<li>Address: ${task.property_address}</li>` : ''}
+      </ul>
+      <p><a href="${tasks_url}">Open your checklist</a></p>
+    `,
+  });
+}
+
+/**
+ * Apply an edit from the admin board or a cleaner's task page.
+ * patch: { status, assignee_id, checklist, notes, photo_url, remove_photo }
+ * `by` is recorded on uploaded photos ('admin' or the cleaner's name).
+ * Returns { ok, task } or { ok: false, status, error }.
+ */
+export async function updateTurnoverTask(id, patch = {}, { by = 'admin' } = {}) {
+  const { data: task, error } = await supabaseAdmin
+    .from('realty_turnover_tasks')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!task) return { ok: false, status: 404, error: 'Task not found' };
+
+  const nowISO = new Date().toISOString();
+  const fields = { updated_at: nowISO };
+
+  if (patch.status !== undefined) {
+    if (!TASK_STATUSES.includes(patch.status)) return { ok: false, status: 400, error: 'Invalid status' };
+    fields.status = patch.status;
+    fields.completed_at = patch.status === 'done' ? nowISO : null;
+  }
+  if (patch.assignee_id !== undefined) {
+    fields.assignee_id = patch.assignee_id || null;
+    const status = fields.status || task.status;
+    if (fields.assignee_id && status === 'open') fields.status = 'assigned';
+    if (!fields.assignee_id && status === 'assigned') fields.status = 'open';
+  }
+  if (Array.isArray(patch.checklist)) {
+    fields.checklist = patch.checklist.map((c) => ({ label: String(c.label || ''), done: !!c.done }));
+  }
+  if (patch.notes !== undefined) fields.notes = patch.notes ? String(patch.notes) : null;
+
+  let photos = Array.isArray(task.photos) ? task.photos : [];
+  if (patch.photo_url) {
+    photos = [...photos, { url: String(patch.photo_url), uploaded_at: nowISO, by }];
+    fields.photos = photos;
+  }
+  if (patch.remove_photo) {
+    fields.photos = photos.filter((ph) => ph.url !== patch.remove_photo);
+  }
+
+  const { data: updated, error: upErr } = await supabaseAdmin
+    .from('realty_turnover_tasks')
+    .update(fields)
+    .eq('id', id)
+    .select('*')
+    .single();
+  if (upErr) throw upErr;
+
+  return { ok: true, task: updated, previous: task };
+}
+
+// ---------- ICS ----------
+
+const icsDate = (ymdStr) => ymdStr.replace(/-/g, '');
+const icsText = (s) =>
+  String(s || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+
+function stamp(d) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/** One all-day event per task on the checkout date. */
+export function cleanerIcs(cleaner, tasks) {
+  const dtstamp = stamp(new Date());
+  const events = tasks.map((t) =>
+    [
+      'BEGIN:VEVENT',
+      `UID:${t.id}@manyagi-turnover`,
+      `DTSTAMP:${dtstamp}`,
+      ...(t.updated_at ? [`LAST-MODIFIED:${stamp(new Date(t.updated_at))}`] : []),
+      `DTSTART;VALUE=DATE:${icsDate(t.checkout_on)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDaysYmd(t.checkout_on, 1))}`,
+      `SUMMARY:${icsText(`${t.same_day ? 'SAME-DAY ' : ''}Turnover — ${t.property_name}`)}`,
+      `DESCRIPTION:${icsText(
+        `Checkout ${t.checkout_on}. Next arrival ${t.next_checkin_on || 'none scheduled'}` +
+          `${t.next_guests ? ` (${t.next_guests} guests)` : ''}. Status: ${t.status}.`
+      )}`,
+      ...(t.property_address ? [`LOCATION:${icsText(t.property_address)}`] : []),
+      `STATUS:${t.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    ].join('\r\n')
+  );
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Manyagi Realty//Turnovers//EN',
+    `X-WR-CALNAME:${icsText(`Turnovers — ${cleaner.name || 'Cleaner'}`)}`,
+    ...events,
+    'END:VCALENDAR',
+    '',
+  ].join('\r\n');
+}
@@ -0,0 +1,354 @@
+// lib/refunds.js
+import Stripe from 'stripe';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { sendEmail } from '@/lib/sendEmail';
+import { formatMoney } from '@/lib/currency';
+import { cancelMerchSession } from '@/lib/merch';
+import { hasOrderEvent, recordOrderEvent } from '@/lib/orderEvents';
+import { paymentIntentId } from '@/lib/realty/payments';
+import { refreshTurnovers } from '@/lib/realty/turnovers';
+import { checkCalendarConflicts } from '@/lib/realty/conflicts';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+
+/**
+ * Refunds, disputes and unpaid checkouts, as reported by the Stripe webhook.
+ *
+ * A charge is traced to its Checkout session (by payment intent), then to
+ * the orders rows or the realty reservation that session paid for. Payments
+ * made outside Checkout (subscriptions, damage deposits) are ignored.
+ *
+ * Full refund or dispute:
+ *  - orders.status 'refunded' | 'disputed' (was 'paid'), plus refunded_amount
+ *    / refunded_at or dispute_id / disputed_at
+ *  - realty_reservations: a paid stay refunded in full becomes 'refunded'
+ *    and frees its nights; cancelling / cancelled stays (refunded by
+ *    lib/realty/cancellation.js) keep their status. Disputes only set
+ *    dispute_id / dispute_status, so the guest keeps the booking
+ *  - studio_entitlements granted by the session -> status 'revoked'
+ *  - digital_library entries of the session -> status 'revoked'
+ *  - Printful order cancelled unless something has shipped
+ * Partial refund: refunded_amount on the orders rows, nothing revoked.
+ * Either way the affiliate commission_amount shrinks by the refunded share;
+ * what was taken back is kept in commission_reversed. Admins get an email.
+ *
+ * Every step is logged to order_events (lib/orderEvents.js) with the dedupe
+ * key `<stripe event id>:<step>`, so a webhook retry skips finished steps.
+ * Database errors throw so Stripe retries the event.
+ */
+
+const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || 'realty@manyagi.net';
+
+const money = (cents, currency) => formatMoney(Number(cents || 0) / 100, currency);
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Checkout session + orders / reservations behind a payment intent, or null. */
+async function paidFor(paymentIntent) {
+  const pi = paymentIntentId(paymentIntent);
+  if (!pi) return null;
+
+  const { data: sessions } = await stripe.checkout.sessions.list({ payment_intent: pi, limit: 1 });
+  const session = sessions?.[0];
+  if (!session) return null;
+
+  const { data: orders, error } = await supabaseAdmin.from('orders').select('*').eq('stripe_session_id', session.id);
+  if (error) throw error;
+
+  const meta = session.metadata || {};
+  let reservations = [];
+  if (meta.type === 'realty_booking') {
+    const { data, error: rErr } = await supabaseAdmin
+      .from('realty_reservations')
+      .select('*')
+      .eq('stripe_session_id', session.id);
+    if (rErr) throw rErr;
+    reservations = data || [];
+  } else if (meta.type === 'realty_modification' && meta.change_id) {
+    const { data: change, error: cErr } = await supabaseAdmin
+      .from('realty_reservation_changes')
+      .select('reservation_id')
+      .eq('id', meta.change_id)
+      .maybeSingle();
+    if (cErr) throw cErr;
+    if (change?.reservation_id) {
+      const { data, error: rErr } = await supabaseAdmin
+        .from('realty_reservations')
+        .select('*')
+        .eq('id', change.reservation_id);
+      if (rErr) throw rErr;
+      reservations = data || [];
+    }
+  }
+
+  return {
+    session,
+    orders: orders || [],
+    reservations,
+    orderIds: (orders || []).map((o) => o.id),
+    reservationIds: reservations.map((r) => r.id),
+  };
+}
+
+// Run one step of a Stripe event at most once. `fn` returns { message, data }
+// to log, or null when there was nothing to do.
+async function once(target, eventId, type, fn) {
+  const dedupeKey = `${eventId}:${type}`;
+  if (await hasOrderEvent(target.orderIds, dedupeKey, { reservationIds: target.reservationIds })) return null;
+
+  const done = await fn();
+  if (!done) return null;
+  await recordOrderEvent({
+    orderIds: target.orderIds,
+    reservationIds: target.reservationIds,
+    type,
+    message: done.message,
+    data: done.data || {},
+    dedupeKey,
+  });
+  return { type, ...done };
+}
+
+// ---------------------------------------------------------------------------
+// Steps
+// ---------------------------------------------------------------------------
+
+async function markRefunded(target, { refundedCents, chargeCents, currency, full }) {
+  const now = new Date().toISOString();
+  const share = chargeCents > 0 ? Math.min(1, refundedCents / chargeCents) : 1;
+
+  for (const o of target.orders) {
+    const patch = {
+      refunded_amount: round2(Number(o.charged_amount ?? o.total_amount ?? 0) * share),
+      refunded_at: now,
+      updated_at: now,
+    };
+    if (full && ['paid', 'disputed'].includes(o.status)) patch.status = 'refunded';
+    const { error } = await supabaseAdmin.from('orders').update(patch).eq('id', o.id);
+    if (error) throw error;
+  }
+
+  for (const r of target.reservations) {
+    if (!full || r.status !== 'paid') continue;
+    const { error } = await supabaseAdmin
+      .from('realty_reservations')
+      .update({ status: 'refunded', refund_cents: refundedCents, updated_at: now })
+      .eq('id', r.id)
+      .eq('status', 'paid');
+    if (error) throw error;
+    // the nights are free again
+    await refreshTurnovers(r.property_id);
+    await checkCalendarConflicts(r.property_id);
+  }
+
+  return {
+    message: full
+      ? `Refunded ${money(refundedCents, currency)}`
+      : `Partially refunded ${money(refundedCents, currency)} of ${money(chargeCents, currency)}`,
+    data: { refunded_cents: refundedCents, charge_cents: chargeCents, currency, full },
+  };
+}
+
+async function markDisputed(target, dispute) {
+  const now = new Date().toISOString();
+
+  if (target.orderIds.length) {
+    const { error } = await supabaseAdmin
+      .from('orders')
+      .update({ status: 'disputed', dispute_id: dispute.id, disputed_at: now, updated_at: now })
+      .in('id', target.orderIds)
+      .eq('status', 'paid');
+    if (error) throw error;
+  }
+  if (target.reservationIds.length) {
+    const { error } = await supabaseAdmin
+      .from('realty_reservations')
+      .update({ dispute_id: dispute.id, dispute_status: dispute.status, updated_at: now })
+      .in('id', target.reservationIds);
+    if (error) throw error;
+  }
+
+  return {
+    message: `Payment disputed: ${money(dispute.amount, dispute.currency)} (${String(dispute.reason || 'no reason').replace(/_/g, ' ')})`,
+    data: { dispute_id: dispute.id, reason: dispute.reason || null, amount_cents: dispute.amount, currency: dispute.currency },
+  };
+}
+
+// commission_amount -> the share that is kept; commission_reversed -> the rest.
+// A stay can be paid over several charges, so reservations may take their own share.
+async function reverseCommission(target, share, stayShare = () => share) {
+  let reversed = 0;
+
+  for (const [table, rows] of [
+    ['orders', target.orders],
+    ['realty_reservations', target.reservations],
+  ]) {
+    for (const row of rows) {
+      const already = Number(row.commission_reversed || 0);
+      const base = Number(row.commission_amount || 0) + already;
+      if (base <= 0) continue;
+
+      const back = round2(base * (table === 'orders' ? share : stayShare(row)));
+      if (back <= already) continue;
+      const { error } = await supabaseAdmin
+        .from(table)
+        .update({ commission_amount: round2(base - back), commission_reversed: back, updated_at: new Date().toISOString() })
+        .eq('id', row.id);
+      if (error) throw error;
+      reversed += back - already;
+    }
+  }
+
+  if (!reversed) return null;
+  return { message: `Affiliate commission reversed: ${round2(reversed).toFixed(2)}`, data: { amount: round2(reversed) } };
+}
+
+async function revokeStudioAccess(target) {
+  const { data, error } = await supabaseAdmin
+    .from('studio_entitlements')
+    .update({ status: 'revoked', updated_at: new Date().toISOString() })
+    .eq('stripe_session_id', target.session.id)
+    .eq('status', 'active')
+    .select('user_id, universe_id, tier');
+  if (error) throw error;
+  if (!data?.length) return null;
+  return { message: `Studio access revoked (${data.length})`, data: { entitlements: data } };
+}
+
+async function revokeDownloads(target) {
+  const { data, error } = await supabaseAdmin
+    .from('digital_library')
+    .update({ status: 'revoked', updated_at: new Date().toISOString() })
+    .eq('stripe_session_id', target.session.id)
+    .eq('status', 'active')
+    .select('id, name');
+  if (error) throw error;
+  if (!data?.length) return null;
+  return { message: `Downloads revoked: ${data.map((e) => e.name).join(', ')}`, data: { library_ids: data.map((e) => e.id) } };
+}
+
+async function cancelShipping(target, reason) {
+  if (!target.orders.length) return null;
+  const result = await cancelMerchSession(target.session.id, reason);
+  if (result.skipped === 'no printful order') return null;
+  if (!result.ok) {
+    return { message: `Printful order NOT cancelled: ${result.error}`, data: { ok: false, error: result.error } };
+  }
+  if (result.skipped) return { message: `Printful order not cancelled (${result.skipped})`, data: { ok: true, skipped: result.skipped } };
+  return { message: 'Printful order cancelled', data: { ok: true, orders: result.canceled } };
+}
+
+async function alertAdmins(target, { subject, intro, steps }) {
+  const s = target.session;
+  const who = s.customer_details?.email || target.orders[0]?.customer_email || target.reservations[0]?.guest_email || '—';
+  const done = steps.filter(Boolean).map((x) => `<li>${x.message}</li>`).join('');
+
+  await sendEmail({
+    to: SUPPORT_EMAIL,
+    subject,
+    html: `<p>${intro}</p>
+<p>Checkout session: ${s.id}<br/>Buyer: ${who}</p>
+<p>Orders: ${target.orderIds.join(', ') || '—'}<br/>Reservations: ${target.reservationIds.join(', ') || '—'}</p>
+${done ? `<p>What was done:</p><ul>${done}</ul>` : ''}`,
+  });
+  return { message: `Admins alerted: ${subject}` };
+}
+
+// ---------------------------------------------------------------------------
+// Stripe events
+// ---------------------------------------------------------------------------
+
+/** charge.refunded (fires for every refund; amount_refunded is the running total). */
+export async function applyChargeRefund(event) {
+  const charge = event.data.object;
+  const target = await paidFor(charge.payment_intent);
+  if (!target) return { ok: true, ignored: 'not a checkout payment' };
+
+  // a booking change's charge is only part of what the stay cost
+  const partOfStay = target.session.metadata?.type === 'realty_modification';
+  const refundedCents = Number(charge.amount_refunded || 0);
+  const chargeCents = Number(charge.amount || 0);
+  const full = !partOfStay && (charge.refunded === true || refundedCents >= chargeCents);
+  const share = chargeCents > 0 ? Math.min(1, refundedCents / chargeCents) : 1;
+  const stayShare = (r) => (Number(r.amount_cents) > 0 ? Math.min(1, refundedCents / Number(r.amount_cents)) : share);
+
+  const steps = [
+    await once(target, event.id, 'refunded', () =>
+      markRefunded(target, { refundedCents, chargeCents, currency: charge.currency, full })
+    ),
+    await once(target, event.id, 'commission_reversed', () => reverseCommission(target, share, stayShare)),
+  ];
+  if (full) {
+    steps.push(await once(target, event.id, 'access_revoked', () => revokeStudioAccess(target)));
+    steps.push(await once(target, event.id, 'downloads_revoked', () => revokeDownloads(target)));
+    steps.push(await once(target, event.id, 'printful_cancel', () => cancelShipping(target, 'Refunded')));
+  }
+
+  await once(target, event.id, 'admin_alerted', () =>
+    alertAdmins(target, {
+      subject: `${full ? 'Refund' : 'Partial refund'} — ${money(refundedCents, charge.currency)}`,
+      intro: `Charge ${charge.id} was ${full ? 'refunded in full' : 'partly refunded'} (${money(refundedCents, charge.currency)} of ${money(chargeCents, charge.currency)}).`,
+      steps,
+    })
+  );
+
+  return { ok: true, full, steps: steps.filter(Boolean).map((x) => x.type) };
+}
+
+/** charge.dispute.created: treated like a full refund until the dispute is settled. */
+export async function applyDispute(event) {
+  const dispute = event.data.object;
+  const target = await paidFor(dispute.payment_intent);
+  if (!target) return { ok: true, ignored: 'not a checkout payment' };
+
+  const total = Number(target.session.amount_total || 0);
+  const share = total > 0 ? Math.min(1, Number(dispute.amount || 0) / total) : 1;
+  const dueBy = dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000) : null;
+
+  const steps = [
+    await once(target, event.id, 'disputed', () => markDisputed(target, dispute)),
+    await once(target, event.id, 'commission_reversed', () => reverseCommission(target, share)),
+    await once(target, event.id, 'access_revoked', () => revokeStudioAccess(target)),
+    await once(target, event.id, 'downloads_revoked', () => revokeDownloads(target)),
+    await once(target, event.id, 'printful_cancel', () => cancelShipping(target, 'Payment disputed')),
+  ];
+
+  await once(target, event.id, 'admin_alerted', () =>
+    alertAdmins(target, {
+      subject: `Dispute opened — ${money(dispute.amount, dispute.currency)}`,
+      intro: `Dispute ${dispute.id} (${dispute.reason || 'no reason'}) on charge ${dispute.charge}. ${
+        dueBy ? `Submit evidence in the Stripe dashboard by ${dueBy.toUTCString()}.` : ''
+      }`,
+      steps,
+    })
+  );
+
+  return { ok: true, steps: steps.filter(Boolean).map((x) => x.type) };
+}
+
+/**
+ * checkout.session.expired: pending orders rows of the session become
+ * 'expired' (their promo uses and stock holds are freed elsewhere).
+ * reservationIds: holds the webhook already released, logged alongside.
+ */
+export async function expireCheckout(event, { reservationIds = [] } = {}) {
+  const session = event.data.object;
+  const { data, error } = await supabaseAdmin
+    .from('orders')
+    .update({ status: 'expired', updated_at: new Date().toISOString() })
+    .eq('stripe_session_id', session.id)
+    .eq('status', 'pending')
+    .select('id');
+  if (error) throw error;
+
+  const orderIds = (data || []).map((o) => o.id);
+  if (orderIds.length || reservationIds.length) {
+    await recordOrderEvent({
+      orderIds,
+      reservationIds,
+      type: 'expired',
+      message: 'Checkout expired before payment',
+      dedupeKey: `${event.id}:expired`,
+    });
+  }
+  return { expired: orderIds.length };
+}
@@ -0,0 +1,55 @@
+// lib/shipping.js
+
+/**
+ * Merch shipping + variant helpers shared by the cart, the design page and
+ * the checkout APIs. Pure, so client components can import it.
+ *
+ * A Printful variant line: { sync_variant_id, name, size, color, price, image }
+ * (see getSyncProductVariants in lib/printful.js, or metadata.printful_variants
+ * on the product when the options are curated by hand).
+ */
+
+// where Printful merch can be shipped from checkout
+export const SHIP_COUNTRIES = ['US', 'CA', 'GB', 'AU', 'NZ', 'DE', 'FR', 'ES', 'IT', 'NL', 'SE'];
+
+// Printful needs a state / province code to rate these
+export const STATE_REQUIRED = ['US', 'CA', 'AU'];
+
+export function needsStateCode(country) {
+  return STATE_REQUIRED.includes(String(country || '').toUpperCase());
+}
+
+/** Physical Printful product (ships, gets shipping_options). */
+export function isPrintfulProduct(product) {
+  const meta = product?.metadata || {};
+  return (
+    !!meta.printful_sync_variant_id ||
+    meta.fulfill_with_printful === true ||
+    (Array.isArray(meta.printful_variants) && meta.printful_variants.length > 0) ||
+    !!product?.printful_product_id
+  );
+}
+
+/** "M / Black" */
+export function variantLabel(variant) {
+  if (!variant) return '';
+  const parts = [variant.size, variant.color].filter(Boolean);
+  return parts.length ? parts.join(' / ') : variant.name || '';
+}
+
+/** Distinct sizes / colors, in catalogue order. */
+export function variantOptions(variants = []) {
+  const uniq = (key) => Array.from(new Set(variants.map((v) => v[key]).filter(Boolean)));
+  return { sizes: uniq('size'), colors: uniq('color') };
+}
+
+export function findVariant(variants = [], { size = null, color = null } = {}) {
+  return (
+    variants.find((v) => (v.size || null) === (size || null) && (v.color || null) === (color || null)) || null
+  );
+}
+
+/** Cart line identity: one line per product + variant. */
+export function cartLineId(productId, variant) {
+  return variant?.sync_variant_id ? `${productId}:${variant.sync_variant_id}` : String(productId);
+}
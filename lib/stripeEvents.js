@@ -0,0 +1,587 @@
+// lib/stripeEvents.js
+import Stripe from "stripe";
+import axios from "axios";
+import { supabaseAdmin } from "@/lib/supabaseAdmin";
+import { fulfillCartSession } from "@/lib/checkout";
+import { commitStockForSession, releaseStockForSession } from "@/lib/inventory";
+import { applyChargeRefund, applyDispute, expireCheckout } from "@/lib/refunds";
+import { TIER_LABELS, grantStudioAccess, studioAccessExpiry } from "@/lib/studio/entitlements";
+import { sendEmail } from "@/lib/sendEmail";
+import { sendItineraryEmail } from "@/lib/emails/itineraryEmail";
+import { sendBookingReceipt } from "@/lib/emails/bookingReceipt";
+import { findConflicts, releaseHoldBySession } from "@/lib/realty/availability";
+import { refundReservation } from "@/lib/realty/payments";
+import { guestCancelUrl } from "@/lib/realty/cancellation";
+import { scheduleDeposit } from "@/lib/realty/deposits";
+import { applyPaidModification, expireModification } from "@/lib/realty/modification";
+import { refreshTurnovers } from "@/lib/realty/turnovers";
+import { checkCalendarConflicts } from "@/lib/realty/conflicts";
+import { guestCalendarUrl } from "@/lib/realty/channelFeeds";
+import { orderAmountColumns } from "@/lib/exchangeRates";
+import { formatMoney } from "@/lib/currency";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+const telegramBotToken = process.env.TELEGRAM_BOT_TOKEN;
+const telegramGroupChatId = process.env.TELEGRAM_GROUP_CHAT_ID;
+
+// ===== helpers (non-breaking) =====
+const safeStr = (v) => String(v ?? "").trim();
+const lower = (v) => safeStr(v).toLowerCase();
+
+// what Stripe actually charged (tax / shipping included), plus the base-currency
+// amount at the rate locked on the pending order row (see create-session)
+async function paidAmountColumns(session) {
+  if (session?.amount_total == null) return {};
+  const { data: rows } = await supabaseAdmin
+    .from("orders")
+    .select("exchange_rate")
+    .eq("stripe_session_id", session.id)
+    .limit(2);
+  // multi-line merch carts keep the per-line amounts written by create-session
+  if ((rows || []).length > 1) return {};
+  return orderAmountColumns({
+    amountTotalCents: session.amount_total,
+    currency: session.currency,
+    rate: rows?.[0]?.exchange_rate || 1,
+  });
+}
+
+const RESERVATION_COLUMNS = "id, property_id, status, checkin, checkout, price_breakdown, stripe_session_id";
+
+// A booking paid after its hold stopped being `pending` (expired or released
+// while the guest sat on the Stripe page). Confirm it if the nights are still
+// free; if someone else has them now, refund the payment and tell the admins
+// instead of double-booking. Returns the confirmed row, or null.
+async function confirmLateBooking(session, paidFields) {
+  const { reservation_id, property_id } = session.metadata || {};
+  const { data: resv, error } = await supabaseAdmin
+    .from("realty_reservations")
+    .select(RESERVATION_COLUMNS)
+    .eq("id", reservation_id || "")
+    .eq("property_id", property_id || "")
+    .maybeSingle();
+  if (error) throw error;
+  if (!resv) {
+    console.warn(`[realty] paid session ${session.id} has no reservation ${reservation_id}`);
+    return null;
+  }
+
+  // Stripe retrying an event we already confirmed / refunded
+  if (resv.status === "paid" && resv.stripe_session_id === session.id) return resv;
+  if (!["expired", "cancelled"].includes(resv.status)) {
+    console.warn(`[realty] paid session ${session.id}: reservation ${resv.id} is ${resv.status}, left alone`);
+    return null;
+  }
+
+  const { available, conflicts } = await findConflicts({
+    propertyId: resv.property_id,
+    checkin: resv.checkin,
+    checkout: resv.checkout,
+    excludeReservationId: resv.id,
+  });
+
+  if (available) {
+    const { data: revived, error: revErr } = await supabaseAdmin
+      .from("realty_reservations")
+      .update(paidFields)
+      .eq("id", resv.id)
+      .eq("status", resv.status)
+      .select(RESERVATION_COLUMNS)
+      .maybeSingle();
+    if (revErr) throw revErr;
+    // changed under us: throw so the retry sees the new status
+    if (!revived) throw new Error(`Reservation ${resv.id} changed while confirming a late payment`);
+    console.log(`[realty] late payment for ${resv.id} confirmed (hold was ${resv.status})`);
+    return revived;
+  }
+
+  const amountCents = Number(session.amount_total || 0);
+  const { refunded, refundIds } = await refundReservation({
+    reservation: { ...resv, stripe_payment_intent: paidFields.stripe_payment_intent },
+    amount: amountCents,
+    keyPrefix: `realty-late-${session.id}`,
+    metadata: { reason: "dates_taken" },
+  });
+
+  const { error: refErr } = await supabaseAdmin
+    .from("realty_reservations")
+    .update({ ...paidFields, status: "refunded", refund_cents: refunded })
+    .eq("id", resv.id)
+    .eq("status", resv.status);
+  if (refErr) throw refErr;
+
+  const money = formatMoney(refunded / 100, paidFields.currency);
+  const taken = conflicts.map((c) => `<li>${c.kind} ${c.start} → ${c.end}</li>`).join("");
+  try {
+    await sendEmail({
+      to: process.env.SUPPORT_EMAIL || "realty@manyagi.net",
+      subject: `⚠ Late payment refunded — ${paidFields.guest_name || resv.id}`,
+      html: `
+        <p>${paidFields.guest_name || "A guest"} (${paidFields.guest_email || "no email"}) paid for ${resv.checkin} → ${resv.checkout}
+        after their hold had ${resv.status === "expired" ? "expired" : "been released"}, and the dates are no longer free:</p>
+        <ul>${taken}</ul>
+        <p>${money} was refunded${refunded < amountCents ? ` (of ${formatMoney(amountCents / 100, paidFields.currency)} — refund the rest in Stripe)` : ""}. Refunds: ${refundIds.join(", ") || "none"}.</p>
+        <p>Reservation ${resv.id}, session ${session.id}.</p>
+      `,
+    });
+    if (paidFields.guest_email) {
+      await sendEmail({
+        to: paidFields.guest_email,
+        subject: "Your Manyagi booking could not be confirmed",
+        html: `
+          <p>Hi ${paidFields.guest_name || "there"},</p>
+          <p>Your payment for ${resv.checkin} → ${resv.checkout} arrived after your reservation hold ended,
+          and those dates have since been booked. We've refunded ${money} to your original payment method.</p>
+          <p>Reply to this email and we'll help you find other dates.</p>
+        `,
+      });
+    }
+  } catch (e) {
+    console.warn("[realty] late payment email failed:", e.message);
+  }
+  console.log(`[realty] late payment for ${resv.id} refunded: dates taken`);
+  return null;
+}
+
+/**
+ * Everything a verified Stripe event triggers (pages/api/stripe-webhook.js,
+ * and pages/api/realty/webhook.js for realty bookings).
+ * Throws to have Stripe retry. Lives here rather than in the API route so
+ * failed events can be replayed from the webhook ledger
+ * (lib/webhookEvents.js, pages/api/admin/webhook-events.js).
+ */
+export async function handleStripeEvent(event) {
+  switch (event.type) {
+    case "checkout.session.completed": {
+      // pull full session w/ expansions so we get payment info
+      // ✅ FIX: DO NOT expand shipping_details (Stripe does not allow expanding it)
+      // customer_details + shipping_details are already included on the session payload when present.
+      // shipping_cost.shipping_rate carries the Printful rate id picked at checkout
+      const session = await stripe.checkout.sessions.retrieve(event.data.object.id, {
+        expand: ["payment_intent", "shipping_cost.shipping_rate"],
+      });
+
+      //
+      // ========== REALTY BOOKING CHANGE (paid the difference) ==========
+      //
+      if (session?.metadata?.type === "realty_modification") {
+        // throws on failure (change reverted to awaiting_payment) -> 500, Stripe retries
+        const r = await applyPaidModification({
+          changeId: session.metadata.change_id,
+          session,
+        });
+        console.log(`[realty] modification ${session.metadata.change_id}:`, r);
+        break;
+      }
+
+      //
+      // ========== REALTY BOOKING FLOW ==========
+      //
+      if (session?.metadata?.type === "realty_booking") {
+        // Metadata your checkout added in /api/realty/create-checkout
+        const {
+          reservation_id,
+          property_id,
+          checkin,
+          checkout,
+          guests,
+          guest_name,
+          guest_email,
+          guest_phone,
+          notes,
+        } = session.metadata || {};
+
+        // Amount + currency actually charged
+        const amountCents = session.amount_total ?? null;
+        const currency = session.currency ?? "usd";
+
+        // 1) Mark the held reservation row as paid (and attach info)
+        const paidFields = {
+          status: "paid",
+          updated_at: new Date().toISOString(),
+          amount_cents: amountCents,
+          currency,
+          stripe_session_id: session.id,
+          // payment_intent is expanded above; store just the id (refunds use it)
+          stripe_payment_intent: session.payment_intent?.id || session.payment_intent || null,
+          guest_name: guest_name || null,
+          guest_email: guest_email || null,
+          guest_phone: guest_phone || null,
+          notes: notes || null,
+        };
+        const { data: heldResv, error: paidErr } = await supabaseAdmin
+          .from("realty_reservations")
+          .update(paidFields)
+          .eq("id", reservation_id || "")
+          .eq("property_id", property_id || "")
+          .eq("status", "pending")
+          .select(RESERVATION_COLUMNS)
+          .maybeSingle();
+        if (paidErr) throw paidErr;
+
+        // hold no longer pending: confirm only if the dates are still free
+        const paidResv = heldResv || (await confirmLateBooking(session, paidFields));
+        if (!paidResv) break;
+
+        // signed self-service cancel link (policy applied in lib/realty/cancellation.js)
+        const cancelUrl = paidResv ? guestCancelUrl(paidResv) : "";
+
+        // damage deposit (if any): save card details, hold is placed before check-in
+        try {
+          await scheduleDeposit({ reservationId: reservation_id, session });
+        } catch (e) {
+          console.warn("scheduleDeposit failed:", e.message);
+        }
+
+        // housekeeping task for this checkout (and the stay before it)
+        await refreshTurnovers(property_id);
+
+        // paid stay vs imported Airbnb / VRBO blocks
+        await checkCalendarConflicts(property_id);
+
+        // 2) Get property info for emails / ICS
+        const { data: prop } = await supabaseAdmin
+          .from("properties")
+          .select("id, name, slug, metadata")
+          .eq("id", property_id)
+          .maybeSingle();
+
+        const propName = prop?.name || "Your Stay";
+        const publicSlug = prop?.slug || prop?.metadata?.slug || property_id;
+        const site = process.env.NEXT_PUBLIC_SITE_URL || "https://manyagi.net";
+
+        // this stay only, as an .ics (signed; the property feeds are private)
+        const icsUrl = paidResv ? guestCalendarUrl(paidResv) : "";
+        const detailsUrl = `${site}/realty/${publicSlug}`;
+        const charged = amountCents != null ? { amount: amountCents / 100, currency } : null;
+
+        // 3) Send itinerary email (arrival details)
+        if (guest_email) {
+          try {
+            await sendItineraryEmail({
+              guestName: guest_name || "Guest",
+              to: guest_email,
+              property: propName,
+              checkin,
+              checkout,
+              guests,
+              replyTo: process.env.SUPPORT_EMAIL || "realty@manyagi.net",
+              charged,
+            });
+          } catch (e) {
+            console.warn("sendItineraryEmail failed:", e.message);
+          }
+
+          // 4) Send booking receipt / thank you
+          try {
+            await sendBookingReceipt({
+              guestName: guest_name || "Guest",
+              to: guest_email,
+              property: propName,
+              checkin,
+              checkout,
+              guests,
+              replyTo: process.env.SUPPORT_EMAIL || "realty@manyagi.net",
+              breakdown: paidResv?.price_breakdown || null,
+              cancelUrl,
+              charged,
+            });
+          } catch (e) {
+            console.warn("sendBookingReceipt failed:", e.message);
+          }
+
+          // 5) (Optional) fallback transactional email using generic sendEmail
+          try {
+            const html = `
+              <h1>Your Manyagi stay is confirmed ✅</h1>
+              <p><strong>${propName}</strong></p>
+              <p>Check-in: ${checkin}</p>
+              <p>Check-out: ${checkout}</p>
+              <p>Guests: ${guests}</p>
+              <p>View property: <a href="${detailsUrl}">${detailsUrl}</a></p>
+              ${icsUrl ? `<p>Add to Calendar (ICS): <a href="${icsUrl}">Download your stay</a></p>` : ""}
+              <p>We’ll be in touch with arrival details.</p>
+              ${cancelUrl ? `<p style="font-size:12px;color:#6b7280">Need to cancel? <a href="${cancelUrl}">Cancel your reservation</a> — refunds follow the property's cancellation policy.</p>` : ""}
+            `;
+            await sendEmail({
+              to: guest_email,
+              subject: "Your Manyagi stay is confirmed",
+              html,
+            });
+          } catch (e) {
+            console.warn("sendEmail fallback failed:", e.message);
+          }
+        }
+
+        break;
+      }
+
+      //
+      // ========== MANYAGI STUDIOS ACCESS (DIGITAL ENTITLEMENT) ==========
+      //
+      if (session?.metadata?.type === "studio_access") {
+        const universe_id = session?.metadata?.universe_id || null;
+        const tier = lower(session?.metadata?.tier || "");
+        const user_id = session?.metadata?.user_id || null;
+        const universe_slug = session?.metadata?.universe_slug || null;
+
+        if (!universe_id || !user_id || !tier) {
+          console.warn("[studio_access] Missing required metadata", session?.metadata);
+          break; // don’t fall into merch flow
+        }
+
+        if (!studioAccessExpiry(tier)) {
+          console.warn("[studio_access] Invalid tier in metadata:", tier);
+          break;
+        }
+
+        // keeps the best tier and never shortens an existing expiry; throws so Stripe retries
+        let granted;
+        try {
+          granted = await grantStudioAccess({
+            userId: user_id,
+            universeId: universe_id,
+            tier,
+            stripeSessionId: session.id,
+            stripeCustomerId: session.customer ? String(session.customer) : null,
+          });
+        } catch (dbErr) {
+          console.error("[studio_access] upsert failed:", dbErr?.message || dbErr);
+          throw dbErr;
+        }
+
+        // ✅ FIX: Mark the studio order paid so it doesn't stay pending
+        try {
+          await supabaseAdmin
+            .from("orders")
+            .update({ status: "paid", ...(await paidAmountColumns(session)), updated_at: new Date().toISOString() })
+            .eq("stripe_session_id", session.id);
+        } catch (e) {
+          console.warn("[studio_access] orders update failed:", e?.message || e);
+        }
+
+        // ✅ OPTIONAL: email receipt/access (safe + uses universe_slug if present)
+        const to = session?.customer_details?.email;
+        if (to) {
+          try {
+            const site = process.env.NEXT_PUBLIC_SITE_URL || "https://manyagi.net";
+            const link = universe_slug ? `${site}/studios/${universe_slug}` : `${site}/studios`;
+
+            const prettyTier = TIER_LABELS[tier] || tier;
+
+            const html = `
+              <h1>Access Granted ✅</h1>
+              <p>Your <strong>${prettyTier}</strong> access is active.</p>
+              <p>Expires: <strong>${new Date(granted.expires_at).toLocaleDateString()}</strong></p>
+              <p><a href="${link}">Open your studio package</a></p>
+              <p style="opacity:.75;font-size:12px">
+                Tip: Your downloads are inside the unlocked pages under the Attachments links.
+              </p>
+            `;
+
+            await sendEmail({
+              to,
+              subject: "Manyagi Studios — Access Granted",
+              html,
+            });
+          } catch (e) {
+            console.warn("[studio_access] sendEmail failed:", e?.message || e);
+          }
+        }
+
+        break; // IMPORTANT: stop here so it doesn't fall into Printful flow
+      }
+
+      //
+      // ========== PHYSICAL MERCH (Printful) ==========
+      //
+      {
+        const email = session?.customer_details?.email || null;
+        const name = session?.customer_details?.name || null;
+        const addr = session?.shipping_details?.address || null;
+
+        // mark normal product order paid
+        const amountColumns = await paidAmountColumns(session);
+        await supabaseAdmin
+          .from("orders")
+          .update({
+            status: "paid",
+            ...amountColumns,
+            customer_email: email,
+            customer_name: name,
+            shipping_snapshot: addr
+              ? {
+                  line1: addr.line1 || "",
+                  line2: addr.line2 || "",
+                  city: addr.city || "",
+                  state: addr.state || "",
+                  postal_code: addr.postal_code || "",
+                  country: addr.country || "",
+                }
+              : null,
+            updated_at: new Date().toISOString(),
+          })
+          .eq("stripe_session_id", session.id);
+
+        // held limited stock becomes sold (on_hand goes down)
+        try {
+          await commitStockForSession(session.id);
+        } catch (e) {
+          console.warn("commitStockForSession failed:", e.message);
+        }
+
+        // per line: Printful (one order for the session), digital, studio access
+        // failures mark the event failed in the ledger (replayable from admin)
+        const fulfilled = await fulfillCartSession(session);
+        if (!fulfilled.ok) throw new Error(`Fulfillment failed: ${fulfilled.errors.join("; ")}`);
+      }
+
+      break;
+    }
+
+    //
+    // ========== ABANDONED CHECKOUT ==========
+    //
+    case "checkout.session.expired": {
+      const session = event.data.object;
+
+      // free the dates held for a realty checkout that was never paid
+      let releasedHolds = [];
+      if (session?.metadata?.type === "realty_booking") {
+        const { released, ids } = await releaseHoldBySession(session.id, "expired");
+        releasedHolds = ids;
+        console.log(`[realty] session ${session.id} expired, released ${released} hold(s)`);
+      }
+      if (session?.metadata?.type === "realty_modification") {
+        await expireModification(session.metadata.change_id);
+      }
+      // give back limited stock held for an unpaid shop checkout
+      if (session?.metadata?.type === "product_order") {
+        const { released } = await releaseStockForSession(session.id);
+        if (released) console.log(`[inventory] session ${session.id} expired, released ${released} hold(s)`);
+      }
+      // pending orders rows -> 'expired', logged to order_events
+      await expireCheckout(event, { reservationIds: releasedHolds });
+      break;
+    }
+
+    //
+    // ========== REFUNDS / DISPUTES ==========
+    // (orders / reservation status, revoked access, commissions, Printful; see lib/refunds.js)
+    //
+    case "charge.refunded": {
+      const result = await applyChargeRefund(event);
+      console.log(`[refunds] ${event.data.object.id}:`, result);
+      break;
+    }
+
+    case "charge.dispute.created": {
+      const result = await applyDispute(event);
+      console.log(`[refunds] dispute ${event.data.object.id}:`, result);
+      break;
+    }
+
+    //
+    // ========== TELEGRAM SUBSCRIPTIONS / SIGNALS ==========
+    //
+    case "customer.subscription.created": {
+      const subscription = event.data.object;
+      const customer = await stripe.customers.retrieve(subscription.customer);
+      const telegramId = subscription?.metadata?.telegramId || customer?.metadata?.telegramId;
+
+      if (telegramId && !isNaN(telegramId)) {
+        try {
+          await axios.post(`https://api.telegram.org/bot${telegramBotToken}/unbanChatMember`, {
+            chat_id: telegramGroupChatId,
+            user_id: telegramId,
+          });
+        } catch (tgErr) {
+          console.warn("Telegram unban (created) error:", tgErr?.response?.data || tgErr.message);
+        }
+      }
+      break;
+    }
+
+    case "invoice.paid": {
+      const invoice = event.data.object;
+      const customerId = invoice.customer;
+      const subId = invoice.subscription;
+
+      const [subscription, customer] = await Promise.all([
+        subId ? stripe.subscriptions.retrieve(subId) : null,
+        customerId ? stripe.customers.retrieve(customerId) : null,
+      ]);
+
+      const telegramId =
+        subscription?.metadata?.telegramId || customer?.metadata?.telegramId || invoice?.metadata?.telegramId;
+
+      if (!telegramId || isNaN(telegramId)) {
+        console.warn(`[stripe-webhook] Missing/invalid Telegram ID, event=${event.type}, invoice=${invoice.id}`);
+        break;
+      }
+
+      try {
+        await axios.post(`https://api.telegram.org/bot${telegramBotToken}/unbanChatMember`, {
+          chat_id: telegramGroupChatId,
+          user_id: telegramId,
+        });
+      } catch (tgErr) {
+        console.warn("Telegram unban error:", tgErr?.response?.data || tgErr.message);
+      }
+
+      const periodStart = subscription?.current_period_start
+        ? new Date(subscription.current_period_start * 1000).toISOString()
+        : new Date().toISOString();
+      const periodEnd = subscription?.current_period_end
+        ? new Date(subscription.current_period_end * 1000).toISOString()
+        : null;
+
+      await supabaseAdmin.from("subscriptions").upsert({
+        stripe_subscription_id: subId || null,
+        user_id: null,
+        status: "active",
+        plan_type: "Basic Signals",
+        division: "capital",
+        current_period_start: periodStart,
+        current_period_end: periodEnd,
+        telegram_id: String(telegramId),
+        created_at: new Date().toISOString(),
+      });
+
+      try {
+        const message = `Welcome to Manyagi Capital Signals! Join our Telegram group for real-time updates: ${process.env.TELEGRAM_INVITE_LINK}`;
+        await axios.post(`https://api.telegram.org/bot${telegramBotToken}/sendMessage`, {
+          chat_id: telegramId,
+          text: message,
+        });
+      } catch (tgMsgErr) {
+        console.warn("Telegram welcome message error:", tgMsgErr?.response?.data || tgMsgErr.message);
+      }
+      break;
+    }
+
+    case "customer.subscription.deleted":
+    case "invoice.payment_failed": {
+      const obj = event.data.object;
+      const customer = await stripe.customers.retrieve(obj.customer);
+      const telegramId = obj.metadata?.telegramId || customer?.metadata?.telegramId;
+
+      if (telegramId) {
+        await supabaseAdmin.from("subscriptions").delete().eq("telegram_id", String(telegramId));
+
+        try {
+          await axios.post(`https://api.telegram.org/bot${telegramBotToken}/banChatMember`, {
+            chat_id: telegramGroupChatId,
+            user_id: telegramId,
+          });
+        } catch (tgBanErr) {
+          console.warn("Telegram ban error:", tgBanErr?.response?.data || tgBanErr.message);
+        }
+      }
+      break;
+    }
+
+    default:
+      console.log(`Unhandled event type: ${event.type}`);
+  }
+}
@@ -0,0 +1,93 @@
+// lib/studio/entitlements.js
+import { supabaseAdmin } from "@/lib/supabaseAdmin";
+
+/**
+ * Studio access grants (studio_entitlements, unique user_id + universe_id).
+ * Shared by the single studio_access checkout and studio lines in a cart.
+ */
+
+const ACCESS_TIERS = ["public", "priority", "producer", "packaging"];
+const TIER_RANK = { public: 0, priority: 1, producer: 2, packaging: 3 };
+
+const lower = (v) => String(v ?? "").trim().toLowerCase();
+
+export const normalizeTier = (t) => {
+  const v = lower(t);
+  return ACCESS_TIERS.includes(v) ? v : "public";
+};
+const rank = (t) => TIER_RANK[normalizeTier(t)] ?? 0;
+const bestTier = (a, b) => (rank(a) >= rank(b) ? normalizeTier(a) : normalizeTier(b));
+
+export const maxIsoDate = (aIso, bIso) => {
+  const a = aIso ? new Date(aIso) : null;
+  const b = bIso ? new Date(bIso) : null;
+  if (!a && !b) return null;
+  if (!a) return b.toISOString();
+  if (!b) return a.toISOString();
+  return (a > b ? a : b).toISOString();
+};
+
+export const TIER_LABELS = {
+  priority: "Priority Window",
+  producer: "Producer Packet",
+  packaging: "Packaging Track",
+};
+
+/** Evaluation window per purchasable tier, or null for an invalid tier. */
+export function studioAccessExpiry(tier, from = new Date()) {
+  const d = new Date(from);
+  const t = lower(tier);
+  if (t === "priority") d.setDate(d.getDate() + 45);
+  else if (t === "producer") d.setDate(d.getDate() + 90);
+  else if (t === "packaging") d.setFullYear(d.getFullYear() + 1);
+  else return null;
+  return d;
+}
+
+/**
+ * Upsert the entitlement, keeping the best tier and never shortening an
+ * existing expiry. Throws on database errors so the Stripe webhook is retried.
+ * Returns { tier, expires_at }.
+ */
+export async function grantStudioAccess({ userId, universeId, tier, stripeSessionId = null, stripeCustomerId = null }) {
+  const computedExpires = studioAccessExpiry(tier);
+  if (!userId || !universeId || !computedExpires) {
+    throw new Error(`Invalid studio access grant (user ${userId}, universe ${universeId}, tier ${tier})`);
+  }
+
+  const { data: existing, error: existingErr } = await supabaseAdmin
+    .from("studio_entitlements")
+    .select("tier, expires_at")
+    .eq("user_id", userId)
+    .eq("universe_id", universeId)
+    .maybeSingle();
+
+  if (existingErr) {
+    console.warn("[studio_access] existing entitlement lookup failed:", existingErr.message);
+  }
+
+  const finalTier = existing?.tier ? bestTier(existing.tier, tier) : normalizeTier(tier);
+  const finalExpiresIso = maxIsoDate(existing?.expires_at, computedExpires.toISOString());
+
+  const { error: upsertErr } = await supabaseAdmin.from("studio_entitlements").upsert(
+    {
+      user_id: userId,
+      universe_id: universeId,
+      entitlement: "studio_access",
+      tier: finalTier,
+      status: "active",
+      expires_at: finalExpiresIso,
+      stripe_session_id: stripeSessionId,
+      stripe_customer_id: stripeCustomerId,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "user_id,universe_id" }
+  );
+
+  if (upsertErr) {
+    console.error("[studio_access] upsert error:", upsertErr.message);
+    throw upsertErr;
+  }
+
+  return { tier: finalTier, expires_at: finalExpiresIso };
+}
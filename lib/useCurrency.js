@@ -0,0 +1,86 @@
+// /lib/useCurrency.js
+import { useCallback, useEffect, useState } from 'react';
+import { BASE_CURRENCY, convertAmount, formatMoney, normalizeCurrency, productPrice } from '@/lib/currency';
+
+// Display currency for the storefront. The visitor's pick is kept in
+// localStorage and mirrored to a `display_currency` cookie so checkout APIs
+// charge in the same currency; otherwise /api/currency decides from geo.
+
+const STORAGE_KEY = 'display_currency';
+const EVENT = 'display-currency-change';
+
+let infoPromise = null; // one /api/currency call per page load
+
+function loadInfo() {
+  if (!infoPromise) {
+    infoPromise = fetch('/api/currency')
+      .then((r) => (r.ok ? r.json() : null))
+      .catch(() => null);
+  }
+  return infoPromise;
+}
+
+export function getPreferredCurrency() {
+  if (typeof window === 'undefined') return null;
+  return normalizeCurrency(window.localStorage.getItem(STORAGE_KEY));
+}
+
+export function setPreferredCurrency(code) {
+  if (typeof window === 'undefined') return;
+  const c = normalizeCurrency(code);
+  if (!c) return;
+  window.localStorage.setItem(STORAGE_KEY, c);
+  document.cookie = `${STORAGE_KEY}=${c}; path=/; max-age=${60 * 60 * 24 * 365}; samesite=lax`;
+  window.dispatchEvent(new CustomEvent(EVENT, { detail: c }));
+}
+
+/**
+ * { currency, supported, rates, setCurrency, price(product), convert(amount, from), format(amount, from) }
+ * price / format return base-currency values until rates have loaded.
+ */
+export function useCurrency() {
+  const [currency, setCurrencyState] = useState(BASE_CURRENCY);
+  const [supported, setSupported] = useState([BASE_CURRENCY]);
+  const [rates, setRates] = useState({ [BASE_CURRENCY]: 1 });
+
+  useEffect(() => {
+    let alive = true;
+    loadInfo().then((info) => {
+      if (!alive || !info?.ok) return;
+      setRates(info.rates || {});
+      setSupported(info.supported || [BASE_CURRENCY]);
+      const preferred = getPreferredCurrency();
+      setCurrencyState(preferred && (info.supported || []).includes(preferred) ? preferred : info.currency);
+    });
+
+    const onChange = (e) => setCurrencyState(e.detail);
+    window.addEventListener(EVENT, onChange);
+    return () => {
+      alive = false;
+      window.removeEventListener(EVENT, onChange);
+    };
+  }, []);
+
+  const convert = useCallback(
+    (amount, from = BASE_CURRENCY) => {
+      const v = convertAmount(amount, from, currency, rates);
+      return v == null ? { amount: Number(amount || 0), currency: from } : { amount: v, currency };
+    },
+    [currency, rates]
+  );
+
+  const price = useCallback(
+    (product) => productPrice(product, currency, rates) || { amount: Number(product?.price || 0), currency: BASE_CURRENCY },
+    [currency, rates]
+  );
+
+  const format = useCallback(
+    (amount, from = BASE_CURRENCY) => {
+      const v = convert(amount, from);
+      return formatMoney(v.amount, v.currency);
+    },
+    [convert]
+  );
+
+  return { currency, supported, rates, setCurrency: setPreferredCurrency, price, convert, format };
+}
@@ -0,0 +1,28 @@
+// /lib/utm.js
+import { UTM_FIELDS } from '@/lib/realty/leadScoring';
+
+// Remember campaign params (?utm_source=...) from the landing URL so a lead
+// form filled in a few pages later can still be attributed.
+export function rememberUtmFromURL() {
+  if (typeof window === 'undefined') return;
+  const url = new URL(window.location.href);
+  const utm = {};
+  UTM_FIELDS.forEach((k) => {
+    const v = url.searchParams.get(k);
+    if (v) utm[k] = v.slice(0, 200);
+  });
+  if (!Object.keys(utm).length) return;
+
+  utm.landing_page = url.pathname;
+  utm.referrer = document.referrer || '';
+  window.localStorage.setItem('utm_params', JSON.stringify(utm));
+}
+
+export function getRememberedUtm() {
+  if (typeof window === 'undefined') return {};
+  try {
+    return JSON.parse(window.localStorage.getItem('utm_params') || '{}');
+  } catch {
+    return {};
+  }
+}
@@ -0,0 +1,163 @@
+// lib/webhookEvents.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+
+/**
+ * Ledger of incoming Stripe webhook events, so retried deliveries don't
+ * send emails or Printful orders twice and failures can be replayed.
+ *
+ * webhook_events:
+ *   id, endpoint 'stripe' | 'realty', event_id, type, payload jsonb,
+ *   status 'processing' | 'processed' | 'failed', error, attempts,
+ *   received_at, processed_at, updated_at; unique (endpoint, event_id)
+ *
+ * Both webhook routes (pages/api/stripe-webhook.js, pages/api/realty/webhook.js)
+ * run handleStripeEvent (lib/stripeEvents.js) under endpoint 'stripe', so an
+ * event delivered to both is processed once. 'realty' rows are from before
+ * the realty route forwarded its events.
+ * A handler error marks the row failed and the endpoint answers 500, so
+ * Stripe redelivers it.
+ *
+ * - processed events are skipped
+ * - a 'processing' row younger than STALE_MINUTES is another delivery in
+ *   flight and is skipped too; older ones are taken over (crashed run)
+ * - failed events are retried by Stripe's next delivery or replayed from
+ *   the admin Webhooks tab (pages/api/admin/webhook-events.js)
+ */
+
+export const STALE_MINUTES = 5;
+export const WEBHOOK_STATUSES = ['processing', 'processed', 'failed'];
+
+const errorText = (e) => String(e?.message || e || 'unknown').slice(0, 2000);
+
+function isStale(row) {
+  return Date.now() - new Date(row.updated_at || row.received_at).getTime() > STALE_MINUTES * 60 * 1000;
+}
+
+// take over a failed / stale row (compare-and-set on attempts so two deliveries can't both win)
+async function reclaim(row) {
+  const { data, error } = await supabaseAdmin
+    .from('webhook_events')
+    .update({ status: 'processing', attempts: Number(row.attempts || 0) + 1, updated_at: new Date().toISOString() })
+    .eq('id', row.id)
+    .eq('attempts', row.attempts)
+    .select('*');
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Record a delivery and decide whether to process it.
+ * Returns { row, duplicate: false } to go ahead, or { row, duplicate: true }.
+ */
+export async function claimWebhookEvent({ endpoint, event }) {
+  const now = new Date().toISOString();
+  const { data: inserted, error } = await supabaseAdmin
+    .from('webhook_events')
+    .insert({
+      endpoint,
+      event_id: event.id,
+      type: event.type,
+      payload: event,
+      status: 'processing',
+      attempts: 1,
+      received_at: now,
+      updated_at: now,
+    })
+    .select('*')
+    .single();
+  if (!error) return { row: inserted, duplicate: false };
+  if (error.code !== '23505') throw error;
+
+  const { data: existing, error: exErr } = await supabaseAdmin
+    .from('webhook_events')
+    .select('*')
+    .eq('endpoint', endpoint)
+    .eq('event_id', event.id)
+    .single();
+  if (exErr) throw exErr;
+
+  if (existing.status === 'processed') return { row: existing, duplicate: true };
+  if (existing.status === 'processing' && !isStale(existing)) return { row: existing, duplicate: true };
+
+  const row = await reclaim(existing);
+  return row ? { row, duplicate: false } : { row: existing, duplicate: true };
+}
+
+/** Mark a claimed row processed, or failed with the error. */
+export async function finishWebhookEvent(row, error = null) {
+  const now = new Date().toISOString();
+  const { error: upErr } = await supabaseAdmin
+    .from('webhook_events')
+    .update({
+      status: error ? 'failed' : 'processed',
+      error: error ? errorText(error) : null,
+      processed_at: error ? null : now,
+      updated_at: now,
+    })
+    .eq('id', row.id);
+  if (upErr) console.warn('[webhookEvents] status update failed:', upErr.message);
+}
+
+/**
+ * Claim `event` for `endpoint`, run `handle(event)` and record the outcome.
+ * Returns { duplicate, status }; rethrows the handler's error after
+ * marking the row failed so the endpoint can answer 500.
+ */
+export async function runWebhookEvent({ endpoint, event, handle }) {
+  const { row, duplicate } = await claimWebhookEvent({ endpoint, event });
+  if (duplicate) return { duplicate: true, status: row.status };
+
+  try {
+    await handle(event);
+  } catch (e) {
+    await finishWebhookEvent(row, e);
+    throw e;
+  }
+  await finishWebhookEvent(row);
+  return { duplicate: false, status: 'processed' };
+}
+
+/** Ledger rows for the admin tab, newest first (payload left out). */
+export async function listWebhookEvents({ status = 'failed', limit = 100 } = {}) {
+  let query = supabaseAdmin
+    .from('webhook_events')
+    .select('id, endpoint, event_id, type, status, error, attempts, received_at, processed_at, updated_at')
+    .order('received_at', { ascending: false })
+    .limit(Math.min(Math.max(Number(limit) || 100, 1), 500));
+  if (status && WEBHOOK_STATUSES.includes(status)) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map((r) => ({ ...r, stale: r.status === 'processing' && isStale(r) }));
+}
+
+/**
+ * Run a stored event again through its endpoint's handler
+ * (`handlers`: { [endpoint]: (event) => Promise }). Only failed or stale
+ * rows can be replayed. Returns { ok, status, error? } or { ok: false, httpStatus, error }.
+ */
+export async function replayWebhookEvent(id, handlers = {}) {
+  const { data: row, error } = await supabaseAdmin.from('webhook_events').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  if (!row) return { ok: false, httpStatus: 404, error: 'Event not found' };
+
+  if (row.status === 'processed') return { ok: false, httpStatus: 400, error: 'Event was already processed' };
+  if (row.status === 'processing' && !isStale(row)) {
+    return { ok: false, httpStatus: 409, error: 'Event is being processed right now' };
+  }
+
+  const handle = handlers[row.endpoint];
+  if (!handle) return { ok: false, httpStatus: 400, error: `No handler for endpoint ${row.endpoint}` };
+
+  const claimed = await reclaim(row);
+  if (!claimed) return { ok: false, httpStatus: 409, error: 'Event is being processed right now' };
+
+  try {
+    await handle(row.payload);
+  } catch (e) {
+    await finishWebhookEvent(claimed, e);
+    return { ok: true, status: 'failed', error: errorText(e) };
+  }
+  await finishWebhookEvent(claimed);
+  return { ok: true, status: 'processed' };
+}
@@ -14,6 +14,7 @@ import SEO from '@/components/SEO';
 
 // 🔥 NEW: track affiliate codes from URL (?ref=ABC)
 import { rememberAffiliateFromURL } from '@/lib/affiliate';
+import { rememberUtmFromURL } from '@/lib/utm';
 
 const GA_ID = process.env.NEXT_PUBLIC_GOOGLE_ANALYTICS_ID || '';
 
@@ -23,6 +24,7 @@ function MyApp({ Component, pageProps }) {
   // 🔥 NEW: capture & persist affiliate referral code from URL (once per mount / nav)
   useEffect(() => {
     rememberAffiliateFromURL();
+    rememberUtmFromURL();
   }, []);
 
   // Persist cart between refreshes
@@ -15,6 +15,9 @@ import AssetsTab from '@/components/admin/AssetsTab';
 import BlogTab from '@/components/admin/BlogTab';
 import AffiliatesTab from '@/components/admin/AffiliatesTab';
 import BundlesTab from '@/components/admin/BundlesTab';
+import PromotionsTab from '@/components/admin/PromotionsTab';
+import InventoryTab from '@/components/admin/InventoryTab';
+import WebhooksTab from '@/components/admin/WebhooksTab';
 import UsersTab from '@/components/admin/UsersTab';
 import AnalyticsTab from '@/components/admin/AnalyticsTab';
 import EventsTab from '@/components/admin/EventsTab';
@@ -243,6 +246,9 @@ export default function Admin() {
     'blog',
     'affiliates',
     'bundles',
+    'promotions',
+    'inventory',
+    'webhooks',
     'users',
     'analytics',
     'events',
@@ -343,6 +349,12 @@ export default function Admin() {
           />
         )}
 
+        {activeTab === 'promotions' && <PromotionsTab bundles={bundles} />}
+
+        {activeTab === 'inventory' && <InventoryTab products={products} />}
+
+        {activeTab === 'webhooks' && <WebhooksTab />}
+
         {activeTab === 'users' && <UsersTab users={users} refreshAll={refreshAll} />}
 
         {activeTab === 'analytics' && <AnalyticsTab users={users} orders={orders} />}
@@ -0,0 +1,44 @@
+// pages/api/admin/exchange-rates.js
+import { requireAdmin } from '@/lib/adminAuth';
+import { listExchangeRates, refreshExchangeRates, setExchangeRate } from '@/lib/exchangeRates';
+
+/**
+ * Admin: stored exchange rates (lib/exchangeRates.js).
+ *
+ * GET                              -> rates
+ * POST                             -> refresh from the provider now
+ * PATCH { currency, rate }         manual rate; rate null = back to provider
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const items = await listExchangeRates();
+      return res.status(200).json({ ok: true, items });
+    }
+
+    // ---- POST ----
+    if (req.method === 'POST') {
+      const result = await refreshExchangeRates();
+      const items = await listExchangeRates();
+      return res.status(200).json({ ok: true, ...result, items });
+    }
+
+    // ---- PATCH ----
+    if (req.method === 'PATCH') {
+      const { currency, rate } = req.body || {};
+      const result = await setExchangeRate(currency, rate ?? null);
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+      return res.status(200).json({ ok: true, item: result.rate });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'PATCH']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('exchange-rates error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,55 @@
+// pages/api/admin/inventory.js
+import { requireAdmin } from '@/lib/adminAuth';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { listStock, restockItem } from '@/lib/inventory';
+
+/**
+ * Admin: limited stock (lib/inventory.js).
+ *
+ * GET                                                          -> stock rows with availability + waitlist size
+ * POST   { product_id, variant_id?, add | on_hand, low_stock_threshold? }
+ *        restock / set a count; emails the waitlist when a sold-out item comes back
+ * DELETE ?id                                                   stop tracking (item becomes unlimited)
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const items = await listStock();
+      return res.status(200).json({ ok: true, items });
+    }
+
+    // ---- POST ----
+    if (req.method === 'POST') {
+      const { product_id, variant_id = '', add = null, on_hand = null, low_stock_threshold } = req.body || {};
+      const r = await restockItem({
+        productId: product_id,
+        variantId: variant_id,
+        add: add === '' ? null : add,
+        onHand: on_hand === '' ? null : on_hand,
+        lowStockThreshold: low_stock_threshold,
+      });
+      if (r.error) return res.status(400).json({ error: r.error });
+      return res.status(200).json({ ok: true, item: r.item, notified: r.notified });
+    }
+
+    // ---- DELETE ----
+    if (req.method === 'DELETE') {
+      const { id } = req.query;
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const { error } = await supabaseAdmin.from('product_stock').delete().eq('id', id);
+      if (error) throw error;
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('admin/inventory error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
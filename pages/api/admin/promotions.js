@@ -0,0 +1,73 @@
+// pages/api/admin/promotions.js
+import { requireAdmin } from '@/lib/adminAuth';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { listPromotions, promotionRow } from '@/lib/promotions';
+
+/**
+ * Admin: shop promotions (lib/promotions.js).
+ *
+ * GET                          -> promotions with use counts
+ * POST   { ...promotion }      create
+ * PATCH  { id, active }        enable / disable
+ * DELETE ?id
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const items = await listPromotions();
+      return res.status(200).json({ ok: true, items });
+    }
+
+    // ---- POST ----
+    if (req.method === 'POST') {
+      const { row, error: invalid } = promotionRow(req.body || {});
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const { data, error } = await supabaseAdmin
+        .from('shop_promotions')
+        .insert({ ...row, active: true, created_at: new Date().toISOString() })
+        .select()
+        .single();
+      if (error) {
+        if (error.code === '23505') return res.status(409).json({ error: 'That code already exists' });
+        throw error;
+      }
+      return res.status(200).json({ ok: true, item: data });
+    }
+
+    // ---- PATCH ----
+    if (req.method === 'PATCH') {
+      const { id, active } = req.body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const { data, error } = await supabaseAdmin
+        .from('shop_promotions')
+        .update({ active: !!active })
+        .eq('id', id)
+        .select()
+        .single();
+      if (error) throw error;
+      return res.status(200).json({ ok: true, item: data });
+    }
+
+    // ---- DELETE ----
+    if (req.method === 'DELETE') {
+      const { id } = req.query;
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const { error } = await supabaseAdmin.from('shop_promotions').delete().eq('id', id);
+      if (error) throw error;
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'PATCH', 'DELETE']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('admin/promotions error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -5,6 +5,7 @@
 // Returns the inserted asset row, plus convenience fields.
 
 import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { cleanerByToken } from '@/lib/realty/turnovers';
 
 export const config = { api: { bodyParser: { sizeLimit: '50mb' } } }; // allow big images/mp4
 
@@ -83,23 +84,35 @@ export default async function handler(req, res) {
 
   try {
     // ---------- 1) Auth: Bearer token + admin role ----------
+    // (cleaners may instead send their task-page token, for turnover photos only)
     const auth = req.headers.authorization || '';
     const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
-    if (!token) return res.status(401).json({ error: 'Unauthorized (missing token)' });
+    let userId = null;
 
-    const { data: userResult, error: userErr } = await supabaseAdmin.auth.getUser(token);
-    if (userErr || !userResult?.user?.id) {
-      return res.status(401).json({ error: 'Unauthorized (invalid token)' });
-    }
-    const userId = userResult.user.id;
+    if (!token && req.body?.cleaner_token) {
+      const cleaner = await cleanerByToken(req.body.cleaner_token);
+      if (!cleaner) return res.status(401).json({ error: 'Unauthorized (invalid cleaner link)' });
+      const { file_type, division, purpose } = req.body;
+      if (file_type !== 'image' || division !== 'realty' || purpose !== 'turnover') {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+    } else {
+      if (!token) return res.status(401).json({ error: 'Unauthorized (missing token)' });
 
-    const { data: roleRow, error: roleErr } = await supabaseAdmin
-      .from('users')
-      .select('role')
-      .eq('id', userId)
-      .maybeSingle();
-    if (roleErr || roleRow?.role !== 'admin') {
-      return res.status(403).json({ error: 'Forbidden' });
+      const { data: userResult, error: userErr } = await supabaseAdmin.auth.getUser(token);
+      if (userErr || !userResult?.user?.id) {
+        return res.status(401).json({ error: 'Unauthorized (invalid token)' });
+      }
+      userId = userResult.user.id;
+
+      const { data: roleRow, error: roleErr } = await supabaseAdmin
+        .from('users')
+        .select('role')
+        .eq('id', userId)
+        .maybeSingle();
+      if (roleErr || roleRow?.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
     }
 
     // ---------- 2) Parse inputs ----------
@@ -186,7 +199,7 @@ export default async function handler(req, res) {
     if (hasTagsColumn) insertPayload.tags = tagSlugs;
     if (hasFilename) insertPayload.filename = String(file.name);
     if (hasStorageKey) insertPayload.storage_key = finalKey;
-    if (hasUploadedBy) insertPayload.uploaded_by = userId;
+    if (hasUploadedBy && userId) insertPayload.uploaded_by = userId;
 
     let inserted = null;
     {
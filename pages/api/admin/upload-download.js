@@ -0,0 +1,53 @@
+// pages/api/admin/upload-download.js
+import crypto from 'crypto';
+import { requireAdmin } from '@/lib/adminAuth';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { DOWNLOAD_BUCKET } from '@/lib/digital';
+
+export const config = { api: { bodyParser: { sizeLimit: '50mb' } } };
+
+const clean = (s) =>
+  String(s || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9._-]/g, '');
+
+/**
+ * Admin: upload a paid file (ebook, design pack) to the private download
+ * bucket (lib/digital.js). Nothing here is public; buyers get signed links.
+ *
+ * POST { file: { data (base64 or data URL), name } }
+ *   -> { ok, path, name }  (goes into products.metadata.download_files)
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', ['POST']);
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { file } = req.body || {};
+    const raw = String(file?.data || '');
+    const base64 = raw.includes('base64,') ? raw.split('base64,').pop() : raw;
+    const buffer = Buffer.from(base64, 'base64');
+    if (!buffer.length) return res.status(400).json({ error: 'file.data required' });
+
+    const name = String(file?.name || 'download').trim();
+    const path = `products/${new Date().getFullYear()}/${crypto.randomUUID()}-${clean(name) || 'file'}`;
+
+    const { error } = await supabaseAdmin.storage.from(DOWNLOAD_BUCKET).upload(path, buffer, {
+      contentType: name.toLowerCase().endsWith('.pdf') ? 'application/pdf' : 'application/octet-stream',
+      upsert: false,
+    });
+    if (error) throw error;
+
+    return res.status(200).json({ ok: true, path, name });
+  } catch (e) {
+    console.error('admin/upload-download error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
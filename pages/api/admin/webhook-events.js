@@ -0,0 +1,50 @@
+// pages/api/admin/webhook-events.js
+import { requireAdmin } from '@/lib/adminAuth';
+import { listWebhookEvents, replayWebhookEvent } from '@/lib/webhookEvents';
+import { handleStripeEvent } from '@/lib/stripeEvents';
+
+// webhook_events.endpoint -> the handler that endpoint runs
+// (older 'realty' rows aren't replayable: the 'stripe' row of the same event owns it)
+const HANDLERS = {
+  stripe: handleStripeEvent,
+};
+
+/**
+ * Admin: Stripe webhook ledger (lib/webhookEvents.js).
+ *
+ * GET  ?status=failed|processing|processed|all  -> events, newest first (default failed)
+ * POST { id }                                    replay a failed / stuck event with its stored payload
+ *
+ * Replaying a checkout runs its whole fulfilment again (Printful orders keep
+ * the session as external id, so nothing ships twice); for a single merch
+ * line with a new variant use /api/admin/fulfillment/retry.
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const status = req.query.status === 'all' ? null : req.query.status || 'failed';
+      const items = await listWebhookEvents({ status, limit: req.query.limit });
+      return res.status(200).json({ ok: true, items });
+    }
+
+    // ---- POST ----
+    if (req.method === 'POST') {
+      const { id } = req.body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const r = await replayWebhookEvent(id, HANDLERS);
+      if (!r.ok) return res.status(r.httpStatus || 400).json({ error: r.error });
+      return res.status(200).json({ ok: true, status: r.status, last_error: r.error || null });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('admin/webhook-events error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -1,6 +1,23 @@
 // pages/api/checkout/create-session.js
+import crypto from "crypto";
 import Stripe from "stripe";
 import { supabaseAdmin } from "@/lib/supabaseAdmin";
+import { BASE_CURRENCY, exchangeRate, normalizeCurrency } from "@/lib/currency";
+import { buyerCurrency, chargeAmounts, loadRates } from "@/lib/exchangeRates";
+import { quoteShipping, variantsForProduct } from "@/lib/merch";
+import {
+  lineName,
+  lineNeedsLogin,
+  linePrice,
+  orderRowForLine,
+  priceCartLines,
+  printfulItemsFor,
+  resolveCartLines,
+  stockItemsFor,
+} from "@/lib/checkout";
+import { applyPromotions } from "@/lib/promotions";
+import { attachStockHold, releaseStockHold, reserveStock } from "@/lib/inventory";
+import { isPrintfulProduct } from "@/lib/shipping";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
@@ -42,6 +59,90 @@ function normalizeNextPath(next) {
   return v;
 }
 
+// one single-use coupon carries a promotions discount into Stripe (null when
+// none applies). Created only once `hold` has the stock, and gives it back on failure.
+async function promotionCoupon(promo, currency, hold) {
+  if (!(promo.total_discount > 0)) return null;
+  try {
+    return await stripe.coupons.create({
+      amount_off: Math.round(promo.total_discount * 100),
+      currency,
+      duration: "once",
+      max_redemptions: 1,
+      name: promo.applied.map((a) => a.code || a.name).join(" + ").slice(0, 40),
+      metadata: { promotion_ids: promo.applied.map((a) => a.id).join(",").slice(0, 500) },
+    });
+  } catch (e) {
+    await releaseStockHold(hold.holdId);
+    throw e;
+  }
+}
+
+// create the session, giving the stock hold (and unused coupon) back if Stripe refuses
+async function createHeldSession(hold, coupon, params) {
+  try {
+    return await stripe.checkout.sessions.create(params);
+  } catch (e) {
+    await releaseStockHold(hold.holdId);
+    if (coupon) await stripe.coupons.del(coupon.id).catch(() => {});
+    throw e;
+  }
+}
+
+// the session exists but its orders rows don't: close it so nobody can pay
+// for an order the webhook can't find, and free the stock
+async function abandonSession(session, hold) {
+  try {
+    await stripe.checkout.sessions.expire(session.id);
+  } catch (e) {
+    console.error("create-session: could not expire session", session.id, e.message);
+  }
+  await releaseStockHold(hold.holdId);
+}
+
+// Printful rates for `items` shipped to shipTo, as Stripe shipping options.
+// Returns { shipping: session params, printfulShipping: cheapest rate id }
+// (both empty without Printful items) or { error }.
+async function printfulShippingParams(items, shipTo, chargeCurrency, rates) {
+  if (!items.length) return { shipping: {}, printfulShipping: "" };
+  const dest = shipTo || {};
+  if (!dest.country) return { error: "Choose where to ship this order (add merch to the cart to pick a destination)" };
+  const quoted = await quoteShipping({
+    items,
+    country: dest.country,
+    state: dest.state,
+    zip: dest.zip,
+  });
+  if (quoted.error) return { error: quoted.error };
+
+  return {
+    printfulShipping: String(quoted.rates[0].id),
+    shipping: {
+      // rates were quoted for this country, so only accept that one
+      shipping_address_collection: { allowed_countries: [String(dest.country).toUpperCase()] },
+      shipping_options: quoted.rates.slice(0, 5).map((r) => {
+        const charge = chargeAmounts({ amount: r.rate, from: r.currency, to: chargeCurrency, rates });
+        return {
+          shipping_rate_data: {
+            type: "fixed_amount",
+            display_name: String(r.name || r.id),
+            fixed_amount: { amount: Math.round(charge.amount * 100), currency: charge.currency },
+            delivery_estimate:
+              r.min_delivery_days && r.max_delivery_days
+                ? {
+                    minimum: { unit: "business_day", value: r.min_delivery_days },
+                    maximum: { unit: "business_day", value: r.max_delivery_days },
+                  }
+                : undefined,
+            metadata: { printful_shipping: String(r.id) },
+          },
+        };
+      }),
+      phone_number_collection: { enabled: true },
+    },
+  };
+}
+
 async function getAuthedUserIdFromBearer(req) {
   const authHeader = req.headers.authorization || "";
   const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : "";
@@ -71,6 +172,7 @@ export default async function handler(req, res) {
       // ONE-TIME path
       product_id, // required for one-time purchase (Supabase products.id)
       quantity = 1,
+      variant_id = null, // Printful sync variant (size / colour)
       user_id = null,
 
       // track who referred this customer
@@ -78,6 +180,15 @@ export default async function handler(req, res) {
 
       // ✅ NEW: where to return after checkout (e.g. "/studios/<slug>")
       next,
+
+      // display currency picked on the storefront (lib/useCurrency.js)
+      currency,
+
+      // CART path: [{ product_id, variant_id, quantity } | { bundle_id, quantity }]
+      // + ship_to { country, state, zip } when something ships (single merch products too)
+      lines,
+      ship_to,
+      promo_code = "", // shop promotion code (lib/promotions.js)
     } = req.body || {};
 
     const baseUrl = process.env.NEXT_PUBLIC_SITE_URL || "http://localhost:3000";
@@ -130,7 +241,144 @@ export default async function handler(req, res) {
     }
 
     // --------------------------------
-    // 2) ONE-TIME (PRODUCT) CHECKOUT
+    // 2) CART CHECKOUT (multi-line)
+    // --------------------------------
+    // One Checkout Session for the whole cart. Every line is re-priced from
+    // products / bundles (lib/checkout.js) and gets its own pending orders
+    // row under a shared order_group_id; the webhook fulfils per line.
+    if (Array.isArray(lines) && lines.length) {
+      const { lines: cartLines, error: linesErr } = await resolveCartLines(lines);
+      if (linesErr) return res.status(400).json({ error: linesErr });
+
+      // studio access is granted to the signed-in buyer
+      const { userId: authedUserId } = await getAuthedUserIdFromBearer(req);
+      if (cartLines.some(lineNeedsLogin) && !authedUserId) {
+        return res.status(401).json({ error: "Studio access in your cart requires login." });
+      }
+      const buyerId = authedUserId || user_id;
+
+      const rates = await loadRates();
+      const {
+        currency: chargeCurrency,
+        toChargedRate,
+        priced,
+      } = priceCartLines(cartLines, buyerCurrency(req, currency, rates), rates);
+
+      // shop promotions (lib/promotions.js): automatic sales + the buyer's code
+      const promo = await applyPromotions({
+        priced,
+        code: promo_code,
+        currency: chargeCurrency,
+        rates,
+        // first-order codes trust only the session, never a user_id from the body
+        userId: authedUserId,
+        email,
+      });
+      if (promo_code && promo.error) return res.status(400).json({ error: promo.error });
+
+      // physical parts: quote Printful for the destination and offer the same rates in Stripe
+      const quoted = await printfulShippingParams(printfulItemsFor(cartLines), ship_to, chargeCurrency, rates);
+      if (quoted.error) return res.status(400).json({ error: quoted.error });
+      const { shipping, printfulShipping } = quoted;
+
+      // limited stock (lib/inventory.js) is held for as long as the session lives
+      const hold = await reserveStock(stockItemsFor(cartLines));
+      if (!hold.ok) return res.status(409).json({ error: hold.error });
+
+      // only once the stock is ours, so a sold-out cart leaves no coupon behind
+      const coupon = await promotionCoupon(promo, chargeCurrency, hold);
+      const discounts = coupon ? [{ coupon: coupon.id }] : null;
+
+      const orderGroupId = crypto.randomUUID();
+      const first = cartLines[0];
+
+      const session = await createHeldSession(hold, coupon, {
+        mode: "payment",
+        line_items: priced.map(({ line, unit }) => ({
+          price_data: {
+            currency: chargeCurrency,
+            unit_amount: Math.round(unit.amount * 100),
+            product_data: {
+              name: lineName(line),
+              description:
+                line.kind === "bundle" ? line.components.map((c) => c.name).join(", ").slice(0, 500) : undefined,
+              images:
+                line.kind !== "bundle" && (line.variant?.image || line.product.thumbnail_url)
+                  ? [line.variant?.image || line.product.thumbnail_url]
+                  : undefined,
+              metadata:
+                line.kind === "bundle"
+                  ? { bundle_id: String(line.bundle.id) }
+                  : {
+                      product_id: String(line.product.id),
+                      sync_variant_id: line.variant ? String(line.variant.sync_variant_id) : "",
+                    },
+            },
+          },
+          quantity: line.quantity,
+        })),
+        // Stripe can't take both; our promotions win when one applies
+        ...(discounts ? { discounts } : { allow_promotion_codes: true }),
+        automatic_tax: { enabled: true },
+        customer_email: email || undefined,
+        ...shipping,
+        ...(hold.holdExpiresAt ? { expires_at: Math.floor(new Date(hold.holdExpiresAt).getTime() / 1000) } : {}),
+
+        success_url: success_url || `${baseUrl}/checkout/success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: cancel_url || `${baseUrl}/checkout/cancelled`,
+
+        metadata: {
+          product_id: first.kind === "bundle" ? "" : String(first.product.id),
+          division: first.kind === "bundle" ? "bundles" : String(first.product.division || "site"),
+          quantity: String(cartLines.reduce((n, l) => n + l.quantity, 0)),
+          product_name: cartLines.map(lineName).join(", ").slice(0, 450),
+          affiliate_code: affiliate_code || "",
+          type: "product_order",
+          order_group_id: orderGroupId,
+          line_count: String(cartLines.length),
+          printful_shipping: printfulShipping,
+          user_id: buyerId ? String(buyerId) : "",
+          promo_code: promo.code_applied ? String(promo_code).trim().toUpperCase() : "",
+          discount: promo.total_discount ? String(promo.total_discount) : "",
+          currency: chargeCurrency,
+        },
+      });
+
+      await attachStockHold(hold.holdId, session.id);
+
+      const rows = priced.map(({ line, unit }, i) =>
+        orderRowForLine(line, {
+          discount: promo.lineDiscounts[i],
+          promotion: promo.linePromotions[i],
+          unit,
+          currency: chargeCurrency,
+          toChargedRate,
+          sessionId: session.id,
+          orderGroupId,
+          userId: buyerId,
+          affiliateCode: affiliate_code,
+        })
+      );
+
+      const { error: insErr } = await supabaseAdmin.from("orders").insert(rows);
+      if (insErr) {
+        console.error("create-session: cart order rows failed:", insErr.message);
+        await abandonSession(session, hold);
+        return res.status(500).json({ error: "Could not start checkout. Please try again." });
+      }
+
+      return res.status(200).json({
+        ok: true,
+        id: session.id,
+        url: session.url,
+        order_group_id: orderGroupId,
+        discount: promo.total_discount,
+        promotions: promo.applied,
+      });
+    }
+
+    // --------------------------------
+    // 3) ONE-TIME (PRODUCT) CHECKOUT
     // --------------------------------
     if (!product_id) {
       return res.status(400).json({
@@ -157,8 +405,40 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "Missing metadata.stripe_price_id on this product" });
     }
 
+    // Charge in the buyer's currency. The catalogue Stripe Price is only used
+    // in the currency the product is priced in; anything else is price_data
+    // from metadata.prices[currency] or the stored exchange rate.
     // Decide if we must collect shipping (for merch/physical items)
-    const needsShipping = !!meta.printful_sync_variant_id || meta.fulfill_with_printful === true;
+    const needsShipping = isPrintfulProduct(product);
+
+    // size / colour picked on the design page (a single-variant product needs no pick)
+    let variant = null;
+    if (needsShipping) {
+      const variants = await variantsForProduct(product);
+      variant = variant_id
+        ? variants.find((v) => String(v.sync_variant_id) === String(variant_id)) || null
+        : variants.length === 1
+        ? variants[0]
+        : null;
+      if (!variant) {
+        return res.status(400).json({
+          error: variant_id ? "That size / colour is no longer available" : `Please choose a size / colour for ${product.name}`,
+        });
+      }
+    }
+
+    const rates = await loadRates();
+    const pricedIn = normalizeCurrency(meta.currency) || BASE_CURRENCY;
+    // same pricing as a cart line: a variant's own retail price wins
+    const priceLine = { kind: "product", product, variant };
+    let chargeCurrency = buyerCurrency(req, currency, rates);
+    let unitPrice = linePrice(priceLine, chargeCurrency, rates);
+    if (!unitPrice) {
+      chargeCurrency = pricedIn;
+      unitPrice = linePrice(priceLine, pricedIn, rates);
+    }
+    const useCatalogPrice = chargeCurrency === pricedIn && variant?.price == null;
+    const toChargedRate = exchangeRate(BASE_CURRENCY, chargeCurrency, rates) || 1;
 
     // ✅ FIX: Studio Access detection must include offer_type OR kind
     // This prevents subtle mismatches where products use metadata.offer_type = "studio_access"
@@ -169,15 +449,15 @@ export default async function handler(req, res) {
     // - for normal products: keep your existing behavior (use body user_id if provided)
     // - for studio_access: require Supabase login (Bearer token)
     let resolvedUserId = user_id;
+    const { userId: authedUserId } = await getAuthedUserIdFromBearer(req);
 
     if (isStudioAccess) {
-      const { userId } = await getAuthedUserIdFromBearer(req);
-      if (!userId) {
+      if (!authedUserId) {
         return res.status(401).json({
           error: "Studio access requires login. Missing or invalid Authorization Bearer token.",
         });
       }
-      resolvedUserId = userId;
+      resolvedUserId = authedUserId;
     }
 
     // Studio metadata validation (only for studio_access)
@@ -215,20 +495,70 @@ export default async function handler(req, res) {
       `${baseUrl}/checkout/studio-cancel` +
       (finalNextPath ? `?next=${encodeURIComponent(finalNextPath)}` : "");
 
+    const lineQty = isStudioAccess ? 1 : qty;
+
+    // shop promotions, same as the cart path (one line)
+    const promo = await applyPromotions({
+      priced: [{ line: { ...priceLine, quantity: lineQty }, unit: unitPrice }],
+      code: promo_code,
+      currency: chargeCurrency,
+      rates,
+      userId: authedUserId,
+      email,
+    });
+    if (promo_code && promo.error) return res.status(400).json({ error: promo.error });
+
+    // Printful rates for the destination, as in the cart
+    const quoted = await printfulShippingParams(
+      needsShipping ? [{ sync_variant_id: variant.sync_variant_id, quantity: lineQty }] : [],
+      ship_to,
+      chargeCurrency,
+      rates
+    );
+    if (quoted.error) return res.status(400).json({ error: quoted.error });
+
+    // limited stock (lib/inventory.js) is held for as long as the session lives
+    const hold = await reserveStock([
+      {
+        product_id: product.id,
+        variant_id: variant ? variant.sync_variant_id : null,
+        quantity: lineQty,
+        name: product.name,
+      },
+    ]);
+    if (!hold.ok) return res.status(409).json({ error: hold.error });
+
+    const coupon = await promotionCoupon(promo, chargeCurrency, hold);
+
     // build Checkout Session
-    const session = await stripe.checkout.sessions.create({
+    const session = await createHeldSession(hold, coupon, {
       mode: "payment",
-      line_items: [{ price: stripePriceId, quantity: isStudioAccess ? 1 : qty }],
-      allow_promotion_codes: true,
+      line_items: [
+        useCatalogPrice
+          ? { price: stripePriceId, quantity: lineQty }
+          : {
+              price_data: {
+                currency: chargeCurrency,
+                unit_amount: Math.round(unitPrice.amount * 100),
+                product_data: {
+                  name: lineName(priceLine),
+                  images: variant?.image || product.thumbnail_url ? [variant?.image || product.thumbnail_url] : undefined,
+                  metadata: {
+                    product_id: String(product.id),
+                    sync_variant_id: variant ? String(variant.sync_variant_id) : "",
+                  },
+                },
+              },
+              quantity: lineQty,
+            },
+      ],
+      // Stripe can't take both; our promotions win when one applies
+      ...(coupon ? { discounts: [{ coupon: coupon.id }] } : { allow_promotion_codes: true }),
       automatic_tax: { enabled: true },
 
-      // ✅ Shipping ONLY for physical merch
-      shipping_address_collection: needsShipping
-        ? {
-            allowed_countries: ["US", "CA", "GB", "AU", "NZ", "DE", "FR", "ES", "IT", "NL", "SE"],
-          }
-        : undefined,
-      phone_number_collection: needsShipping ? { enabled: true } : undefined,
+      // ✅ Shipping ONLY for physical merch (quoted Printful rates)
+      ...quoted.shipping,
+      expires_at: hold.holdExpiresAt ? Math.floor(new Date(hold.holdExpiresAt).getTime() / 1000) : undefined,
 
       // ✅ Studio: use studio-success by default (includes &next=...)
       success_url:
@@ -246,7 +576,7 @@ export default async function handler(req, res) {
         // existing fields
         product_id: String(product.id),
         division: String(product.division || "site"),
-        quantity: String(isStudioAccess ? 1 : qty),
+        quantity: String(lineQty),
         product_name: String(product.name || ""),
         affiliate_code: affiliate_code || "",
 
@@ -265,28 +595,49 @@ export default async function handler(req, res) {
 
         // ✅ NEW: return routing (safe internal path only)
         next: finalNextPath ? String(finalNextPath) : "",
+
+        printful_shipping: quoted.printfulShipping,
+        promo_code: promo.code_applied ? String(promo_code).trim().toUpperCase() : "",
+        discount: promo.total_discount ? String(promo.total_discount) : "",
+        currency: chargeCurrency,
       },
     });
 
-    // Record a pending order for your webhook to finalize
-    const estimatedTotal = Number(product.price || 0) * (isStudioAccess ? 1 : qty);
+    await attachStockHold(hold.holdId, session.id);
+
+    // Record a pending order for your webhook to finalize.
+    // total_amount stays in BASE_CURRENCY so revenue reports add up;
+    // charged_amount is what the buyer sees (both refreshed by the webhook).
+    const chargedTotal = Math.round((unitPrice.amount * lineQty - promo.total_discount) * 100) / 100;
+    const estimatedTotal = Math.round((chargedTotal / toChargedRate) * 100) / 100;
 
-    await supabaseAdmin.from("orders").insert({
+    const { error: insErr } = await supabaseAdmin.from("orders").insert({
       user_id: resolvedUserId,
       product_id: product.id,
       division: product.division || "site",
       status: "pending",
-      quantity: isStudioAccess ? 1 : qty,
+      quantity: lineQty,
       total_amount: estimatedTotal,
+      base_currency: BASE_CURRENCY,
+      currency: chargeCurrency,
+      charged_amount: chargedTotal,
+      exchange_rate: toChargedRate,
+      discount_amount: promo.total_discount,
+      promotion_ids: promo.applied.map((a) => a.id),
+      promotions: promo.applied,
+      printful_sync_variant_id: variant ? String(variant.sync_variant_id) : null,
       stripe_session_id: session.id,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
       affiliate_code: affiliate_code || null,
       product_snapshot: {
         name: product.name,
-        price: product.price,
-        thumbnail_url: product.thumbnail_url || null,
+        price: variant?.price ?? product.price,
+        thumbnail_url: variant?.image || product.thumbnail_url || null,
         metadata: meta || {},
+        variant: variant
+          ? { sync_variant_id: variant.sync_variant_id, size: variant.size, color: variant.color, name: variant.name }
+          : null,
 
         // ✅ extra trace info for studio purchases
         kind: isStudioAccess ? "studio_access" : offerType || null,
@@ -297,11 +648,18 @@ export default async function handler(req, res) {
         next: finalNextPath || null,
       },
     });
+    if (insErr) {
+      console.error("create-session: order row failed:", insErr.message);
+      await abandonSession(session, hold);
+      return res.status(500).json({ error: "Could not start checkout. Please try again." });
+    }
 
     return res.status(200).json({
       ok: true,
       id: session.id,
       url: session.url,
+      discount: promo.total_discount,
+      promotions: promo.applied,
     });
   } catch (err) {
     console.error("create-session error:", err);
@@ -0,0 +1,60 @@
+// pages/api/checkout/discounts.js
+import { priceCartLines, resolveCartLines } from "@/lib/checkout";
+import { buyerCurrency, loadRates } from "@/lib/exchangeRates";
+import { applyPromotions } from "@/lib/promotions";
+import { supabaseAdmin } from "@/lib/supabaseAdmin";
+
+/**
+ * Discount preview for the cart (automatic sales + an optional code).
+ * create-session runs the same lib/promotions.js pass again when the buyer
+ * checks out, so this is display only.
+ *
+ * POST { lines, code, currency, email }
+ *   -> { ok, currency, subtotal, total_discount, total, applied: [{ id, name, code, amount }],
+ *        lineDiscounts, code_applied, code_error }
+ * code_error explains why the code didn't apply; automatic sales still do.
+ */
+// signed-in buyer (optional): first-order-only codes check their history
+async function getAuthedUserId(req) {
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : "";
+  if (!token) return null;
+  const { data, error } = await supabaseAdmin.auth.getUser(token);
+  return error ? null : data?.user?.id || null;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const { lines: rawLines, code = "", currency, email = null } = req.body || {};
+
+    const { lines, error } = await resolveCartLines(rawLines);
+    if (error) return res.status(400).json({ error });
+
+    const userId = await getAuthedUserId(req);
+    const rates = await loadRates();
+    const { currency: chargeCurrency, priced } = priceCartLines(lines, buyerCurrency(req, currency, rates), rates);
+
+    const promo = await applyPromotions({ priced, code, currency: chargeCurrency, rates, userId, email });
+    const subtotal = Math.round(priced.reduce((s, p) => s + p.unit.amount * p.line.quantity, 0) * 100) / 100;
+
+    return res.status(200).json({
+      ok: true,
+      currency: chargeCurrency,
+      subtotal,
+      total_discount: promo.total_discount,
+      total: Math.round((subtotal - promo.total_discount) * 100) / 100,
+      applied: promo.applied,
+      lineDiscounts: promo.lineDiscounts,
+      code_applied: promo.code_applied,
+      code_error: code ? promo.error || null : null,
+    });
+  } catch (err) {
+    console.error("discounts preview error:", err);
+    return res.status(500).json({ error: err.message || "Could not check discounts" });
+  }
+}
@@ -0,0 +1,52 @@
+// pages/api/checkout/shipping-rates.js
+import { quoteShipping } from "@/lib/merch";
+import { printfulItemsFor, resolveCartLines } from "@/lib/checkout";
+import { buyerCurrency, chargeAmounts, loadRates } from "@/lib/exchangeRates";
+
+/**
+ * Printful shipping options for the cart, shown before checkout.
+ * create-session re-quotes the same destination server-side and passes the
+ * options to Stripe as shipping_options.
+ *
+ * POST { lines: [{ product_id, variant_id, quantity } | { bundle_id, quantity }], country, state, zip, currency }
+ *   -> { ok, options: [{ id, name, amount, currency, min_delivery_days, max_delivery_days }] }
+ * options is empty when nothing in the cart ships.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const { lines: rawLines, country, state, zip, currency } = req.body || {};
+
+    const { lines, error } = await resolveCartLines(rawLines);
+    if (error) return res.status(400).json({ error });
+
+    const items = printfulItemsFor(lines);
+    if (!items.length) return res.status(200).json({ ok: true, options: [] });
+
+    const quoted = await quoteShipping({ items, country, state, zip });
+    if (quoted.error) return res.status(400).json({ error: quoted.error });
+
+    const rates = await loadRates();
+    const to = buyerCurrency(req, currency, rates);
+    const options = quoted.rates.map((r) => {
+      const charge = chargeAmounts({ amount: r.rate, from: r.currency, to, rates });
+      return {
+        id: r.id,
+        name: r.name,
+        amount: charge.amount,
+        currency: charge.currency,
+        min_delivery_days: r.min_delivery_days,
+        max_delivery_days: r.max_delivery_days,
+      };
+    });
+
+    return res.status(200).json({ ok: true, options });
+  } catch (err) {
+    console.error("shipping-rates error:", err?.data || err);
+    return res.status(502).json({ error: err.message || "Could not fetch shipping rates" });
+  }
+}
@@ -0,0 +1,35 @@
+// pages/api/currency.js
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES } from '@/lib/currency';
+import { buyerCurrency, loadRates, requestCountry } from '@/lib/exchangeRates';
+
+/**
+ * Public: display currency for this visitor + the stored rates, so the
+ * storefront can show converted prices (lib/useCurrency.js).
+ *
+ * GET ?currency=eur  -> { ok, base, currency, country, supported, rates }
+ * `currency` is the detected one (cookie / geo) unless a valid one is passed.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const rates = await loadRates();
+    const supported = SUPPORTED_CURRENCIES.filter((c) => c === BASE_CURRENCY || rates[c] > 0);
+    // varies per visitor (cookie / geo), so no shared caching
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    return res.status(200).json({
+      ok: true,
+      base: BASE_CURRENCY,
+      currency: buyerCurrency(req, req.query.currency, rates),
+      country: requestCountry(req),
+      supported,
+      rates,
+    });
+  } catch (e) {
+    console.error('currency error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,42 @@
+// pages/api/designs/variants.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { variantsForProduct } from '@/lib/merch';
+import { levelFor, stockLevels } from '@/lib/inventory';
+
+/**
+ * Public: size / colour variants of a Printful design (lib/merch.js).
+ *
+ * GET ?product_id -> { ok, items: [{ sync_variant_id, name, size, color, price, image, available, stock }] }
+ * stock is { available, sold_out, low_stock } for limited variants (lib/inventory.js), else null.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { product_id } = req.query;
+    if (!product_id) return res.status(400).json({ error: 'product_id required' });
+
+    const { data: product, error } = await supabaseAdmin
+      .from('products')
+      .select('id, name, status, printful_product_id, metadata')
+      .eq('id', product_id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!product || product.status !== 'active') return res.status(404).json({ error: 'Product not found' });
+
+    const levels = await stockLevels([product.id]);
+    const items = (await variantsForProduct(product)).map((v) => ({
+      ...v,
+      stock: levelFor(levels, product.id, v.sync_variant_id),
+    }));
+    // stock moves faster than Printful variants
+    res.setHeader('Cache-Control', levels[String(product.id)] ? 'no-store' : 's-maxage=300, stale-while-revalidate=600');
+    return res.status(200).json({ ok: true, items });
+  } catch (e) {
+    console.error('design variants error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
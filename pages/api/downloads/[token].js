@@ -0,0 +1,51 @@
+// pages/api/downloads/[token].js
+import { signDownload } from '@/lib/digital';
+
+function getClientIp(req) {
+  const xf = req.headers['x-forwarded-for'];
+  if (typeof xf === 'string' && xf.length) return xf.split(',')[0].trim();
+  if (Array.isArray(xf) && xf.length) return String(xf[0]).trim();
+  return req.socket?.remoteAddress || null;
+}
+
+/**
+ * Buyer download link from the receipt / dashboard library (lib/digital.js).
+ *
+ * GET /api/downloads/<token>?file=<n>
+ *   -> 302 to a signed storage URL, or a short error page
+ * ?format=json returns { url } instead of redirecting.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { token, file = '0', format } = req.query;
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const r = await signDownload({
+      token: String(token || ''),
+      fileIndex: parseInt(file, 10) || 0,
+      ip: getClientIp(req),
+      userAgent: String(req.headers['user-agent'] || '') || null,
+    });
+
+    if (format === 'json') {
+      return r.url ? res.status(200).json({ url: r.url }) : res.status(r.status).json({ error: r.error });
+    }
+    if (r.url) return res.redirect(302, r.url);
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res
+      .status(r.status)
+      .send(
+        `<!doctype html><meta name="viewport" content="width=device-width"><title>Download</title>` +
+          `<p style="font-family:system-ui;padding:24px">${r.error}.</p>`
+      );
+  } catch (e) {
+    console.error('download error:', e);
+    return res.status(500).json({ error: 'Could not prepare your download' });
+  }
+}
@@ -0,0 +1,33 @@
+// pages/api/downloads/library.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { listLibrary } from '@/lib/digital';
+
+/**
+ * Signed-in buyer's download library (lib/digital.js): purchases made while
+ * logged in plus guest purchases with the same email.
+ *
+ * GET (Bearer) -> { ok, items: [{ id, order_id, name, created_at, expires_at, expired,
+ *                                 downloads_left, max_downloads, links: [{ name, file, url }] }] }
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    if (!token) return res.status(401).json({ error: 'Missing auth token' });
+
+    const { data: auth, error: authErr } = await supabaseAdmin.auth.getUser(token);
+    const user = auth?.user;
+    if (authErr || !user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const items = await listLibrary({ userId: user.id, email: user.email });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ ok: true, items });
+  } catch (e) {
+    console.error('download library error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
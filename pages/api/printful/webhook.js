@@ -0,0 +1,56 @@
+// pages/api/printful/webhook.js
+import { buffer } from 'micro';
+import { verifyPrintfulWebhook } from '@/lib/printful';
+import { applyPrintfulEvent } from '@/lib/merch';
+
+// raw body for the signature check
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+/**
+ * Printful fulfilment events: package_shipped, order_failed,
+ * order_canceled, package_returned (lib/merch.js applyPrintfulEvent).
+ *
+ * Register as https://<site>/api/printful/webhook?token=<PRINTFUL_WEBHOOK_TOKEN>
+ * (or set PRINTFUL_WEBHOOK_SECRET for signed v2 webhooks). Non-2xx makes
+ * Printful retry, so only storage errors return 500.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let raw;
+  try {
+    raw = await buffer(req);
+  } catch (e) {
+    console.error('Printful webhook: failed to read body', e);
+    return res.status(400).json({ error: 'Bad body' });
+  }
+
+  const ok = verifyPrintfulWebhook({
+    rawBody: raw,
+    signature: req.headers['x-pf-webhook-signature'],
+    token: req.query.token,
+  });
+  if (!ok) return res.status(401).json({ error: 'Invalid signature' });
+
+  let event;
+  try {
+    event = JSON.parse(raw.toString('utf8'));
+  } catch {
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
+
+  const result = await applyPrintfulEvent(event);
+  if (!result.ok) {
+    console.error(`Printful webhook ${event?.type} failed:`, result.error);
+    return res.status(500).json({ error: result.error });
+  }
+
+  return res.status(200).json({ received: true, ...result });
+}
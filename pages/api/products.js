@@ -1,5 +1,6 @@
 // pages/api/products.js
 import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { stockLevels } from '@/lib/inventory';
 
 function coerceMetadata(meta) {
   if (!meta) return {};
@@ -116,11 +117,19 @@ export default async function handler(req, res) {
     const { data, error, count } = await query;
     if (error) throw error;
 
+    // limited stock (lib/inventory.js); a stock lookup failure shouldn't hide the shop
+    const stock = await stockLevels((data || []).map((r) => r.id)).catch((e) => {
+      console.warn('products stock lookup failed:', e.message);
+      return {};
+    });
+
     const items = (data || []).map((row) => {
       const metadata = coerceMetadata(row.metadata);
       const tags = coerceTags(row.tags);
 
       // Prefer top-level nft_url; then metadata.nft_url; support legacy nftUrl as well
+      const level = stock[String(row.id)] || null;
+
       const nft_url =
         row.nft_url ||
         metadata.nft_url ||
@@ -156,6 +165,12 @@ export default async function handler(req, res) {
             ? 'download'
             : 'general',
         created_at: row.created_at,
+        // stock: null = unlimited; variants keyed by sync_variant_id
+        sold_out: level ? level.sold_out : false,
+        low_stock: level ? level.low_stock : false,
+        stock: level
+          ? { available: level.available, sold_out: level.sold_out, low_stock: level.low_stock, variants: level.variants }
+          : null,
       };
     });
 
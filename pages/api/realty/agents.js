@@ -0,0 +1,73 @@
+// pages/api/realty/agents.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { requireAdmin } from '@/lib/adminAuth';
+
+/**
+ * Admin: agents that leads can be assigned to.
+ *
+ * GET                          -> agents
+ * POST  { name, email, phone } -> add
+ * PATCH { id, name, email, phone, active }
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const { data, error } = await supabaseAdmin
+        .from('realty_agents')
+        .select('*')
+        .order('name', { ascending: true });
+      if (error) throw error;
+      return res.status(200).json({ ok: true, items: data || [] });
+    }
+
+    // ---- POST ----
+    if (req.method === 'POST') {
+      const { name, email, phone } = req.body || {};
+      if (!name) return res.status(400).json({ error: 'name required' });
+
+      const { data, error } = await supabaseAdmin
+        .from('realty_agents')
+        .insert({
+          name: String(name).trim(),
+          email: email ? String(email).trim() : null,
+          phone: phone ? String(phone).trim() : null,
+          active: true,
+        })
+        .select('*')
+        .single();
+      if (error) throw error;
+      return res.status(200).json({ ok: true, item: data });
+    }
+
+    // ---- PATCH ----
+    if (req.method === 'PATCH') {
+      const { id, name, email, phone, active } = req.body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const fields = {};
+      if (name !== undefined) fields.name = String(name).trim();
+      if (email !== undefined) fields.email = email ? String(email).trim() : null;
+      if (phone !== undefined) fields.phone = phone ? String(phone).trim() : null;
+      if (active !== undefined) fields.active = !!active;
+
+      const { data, error } = await supabaseAdmin
+        .from('realty_agents')
+        .update(fields)
+        .eq('id', id)
+        .select('*')
+        .single();
+      if (error) throw error;
+      return res.status(200).json({ ok: true, item: data });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'PATCH']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('agents error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
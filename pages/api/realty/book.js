@@ -1,6 +1,19 @@
 // pages/api/realty/book.js
 import Stripe from 'stripe';
 import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import {
+  calculateQuote,
+  checkBookingRules,
+  quoteCharge,
+  reservationChargeColumns,
+  reservationPricingColumns,
+} from './quote';
+import {
+  placeHold,
+  releaseHold,
+  validateStayRange,
+} from '@/lib/realty/availability';
+import { claimPromoUse, resolvePromoCode } from '@/lib/realty/promoCodes';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
 
@@ -13,16 +26,17 @@ export default async function handler(req, res) {
       checkin,        // 'YYYY-MM-DD'
       checkout,       // 'YYYY-MM-DD' (exclusive)
       guests = 1,
-      quote_total_cents,
-      currency = 'usd',
+      quote_total_cents, // what the guest was shown; only used to detect stale quotes
 
       // guest details
       guestName,
       guestEmail,
       guestPhone,
       notes,
+      promo_code,
 
       includeDamageDeposit = false,
+      currency: requestedCurrency, // display currency; the stay is charged in it
       success_url,
       cancel_url,
 
@@ -30,10 +44,13 @@ export default async function handler(req, res) {
       affiliate_ref,
     } = req.body || {};
 
-    if (!property_id || !checkin || !checkout || !quote_total_cents) {
+    if (!property_id || !checkin || !checkout) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    const rangeErr = validateStayRange(checkin, checkout);
+    if (rangeErr) return res.status(400).json({ error: rangeErr });
+
     // helper to resolve affiliate
     async function getAffiliateInfo(refCode) {
       if (!refCode) return { affiliate_id: null, referral_code: null, commission_rate: null };
@@ -52,32 +69,72 @@ export default async function handler(req, res) {
       };
     }
 
-    // Load property for deposit & name
-    const { data: prop } = await supabaseAdmin
+    // Load property for pricing, deposit & name
+    const { data: prop, error: propErr } = await supabaseAdmin
       .from('properties')
-      .select('id, name, metadata')
+      .select('*')
       .eq('id', property_id)
       .maybeSingle();
+    if (propErr) return res.status(500).json({ error: propErr.message });
     if (!prop) return res.status(404).json({ error: 'Property not found' });
 
     const meta = prop.metadata || {};
     const depositCents = includeDamageDeposit ? Number(meta.damage_deposit_cents || 0) : 0;
 
-    // nights
-    const nights = Math.max(
-      1,
-      Math.round(
-        (new Date(checkout).getTime() - new Date(checkin).getTime()) / (1000 * 60 * 60 * 24)
-      )
-    );
+    // Re-price the stay on the server; the browser never sets the amount
+    const { data: rateRows, error: rateErr } = await supabaseAdmin
+      .from('realty_rates')
+      .select('*')
+      .eq('property_id', property_id);
+    if (rateErr) return res.status(500).json({ error: rateErr.message });
+
+    const promoRes = await resolvePromoCode({ code: promo_code, propertyId: property_id, checkin, checkout });
+    if (promoRes.error) return res.status(400).json({ error: promoRes.error });
+
+    const quote = calculateQuote({
+      propRow: prop,
+      rates: rateRows || [],
+      checkin,
+      checkout,
+      guests,
+      promo: promoRes.promo,
+    });
+
+    const ruleErr = checkBookingRules({ propRow: prop, quote, guests });
+    if (ruleErr) return res.status(400).json(ruleErr);
+
+    const stayCents = Math.round(Number(quote.summary.total) * 100);
+    const nights = quote.summary.nights;
+
+    // Price moved since the guest saw it (rates edited, stale tab...):
+    // send the fresh quote back instead of charging a surprise amount
+    if (
+      quote_total_cents != null &&
+      quote_total_cents !== '' &&
+      Math.abs(Math.round(Number(quote_total_cents)) - stayCents) > 1
+    ) {
+      return res.status(409).json({
+        error: 'The price for these dates has changed. Please review the updated total.',
+        stale_quote: true,
+        quote,
+      });
+    }
+
+    // Charge in the guest's currency at today's stored rate
+    const charge = await quoteCharge({ req, quote, currency: requestedCurrency });
+    const chargeColumns = reservationChargeColumns(charge);
+    const currency = charge.currency;
+    // the deposit hold is placed later in the same currency, at the same rate
+    const heldDepositCents = Math.round(depositCents * charge.exchange_rate);
 
     // figure affiliate commission (you can tweak calc: e.g. only on rent, not on deposit)
     const affInfo = await getAffiliateInfo(affiliate_ref);
-    const subtotalCents = Number(quote_total_cents) + Number(depositCents || 0);
-    // commission stored in dollars just like orders.commission_amount
+    // the deposit is a separate card hold (lib/realty/deposits.js), not part of the charge
+    const subtotalCents = chargeColumns.amount_cents;
+    // commission stored in base-currency dollars just like orders.commission_amount
     const commissionAmount =
       affInfo.commission_rate != null
-        ? (subtotalCents / 100) * affInfo.commission_rate
+        ? (chargeColumns.base_amount_cents / 100) * affInfo.commission_rate
         : 0;
 
     // Stripe line items
@@ -85,7 +142,7 @@ export default async function handler(req, res) {
       {
         price_data: {
           currency,
-          unit_amount: Number(quote_total_cents),
+          unit_amount: subtotalCents,
           product_data: {
             name: `${prop.name} — ${checkin} → ${checkout} (${nights} nights)`,
             metadata: { division: 'realty', property_id },
@@ -95,63 +152,23 @@ export default async function handler(req, res) {
       },
     ];
 
-    if (depositCents > 0) {
-      line_items.push({
-        price_data: {
-          currency,
-          unit_amount: depositCents,
-          product_data: {
-            name: 'Damage Deposit (refundable)',
-            metadata: { division: 'realty', property_id, type: 'deposit' },
-          },
-        },
-        quantity: 1,
-      });
-    }
-
-    const baseUrl = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000';
-    const session = await stripe.checkout.sessions.create({
-      mode: 'payment',
-      line_items,
-      customer_email: guestEmail || undefined,
-      success_url: success_url || `${baseUrl}/realty/booking-success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: cancel_url || `${baseUrl}/realty/booking-cancelled`,
-      metadata: {
-        type: 'realty_booking',
-        property_id,
-        checkin,
-        checkout,
-        guests: String(guests),
-        nights: String(nights),
-        guestName: guestName || '',
-        guestEmail: guestEmail || '',
-        guestPhone: guestPhone || '',
-        notes: notes || '',
-        includeDamageDeposit: includeDamageDeposit ? 'true' : 'false',
-
-        // affiliate trail for webhook visibility
-        affiliate_ref: affInfo.referral_code || '',
-        affiliate_id: affInfo.affiliate_id || '',
-        commission_rate: affInfo.commission_rate != null ? String(affInfo.commission_rate) : '',
-      },
-    });
-
-    // Create or update pending reservation row keyed by session id
-    await supabaseAdmin.from('realty_reservations').upsert(
-      {
-        property_id,
-        checkin,
-        checkout,
+    // Hold the dates before sending the guest to Stripe
+    const hold = await placeHold({
+      propertyId: property_id,
+      checkin,
+      checkout,
+      row: {
         nights,
         guests,
-        status: 'pending',
-        amount_cents: subtotalCents,
-        currency,
-        stripe_session_id: session.id,
+        ...chargeColumns,
         guest_name: guestName || null,
         guest_email: guestEmail || null,
         guest_phone: guestPhone || null,
         notes: notes || null,
+        promo_code_id: quote.promo_code_id,
+        promo_code: quote.summary.promo_code,
+        ...reservationPricingColumns(quote),
+        deposit_cents: heldDepositCents || null,
 
         // 🔥 NEW affiliate tracking columns in DB
         affiliate_id: affInfo.affiliate_id,
@@ -159,8 +176,79 @@ export default async function handler(req, res) {
         commission_rate: affInfo.commission_rate,
         commission_amount: commissionAmount,
       },
-      { onConflict: 'stripe_session_id' }
-    );
+    });
+
+    if (!hold.ok) {
+      return res.status(409).json({
+        error: 'Those dates are no longer available. Please choose different dates.',
+        conflicts: hold.conflicts,
+      });
+    }
+
+    const reservation = hold.reservation;
+
+    // the code's last use may have just gone to another guest
+    const promoClaim = await claimPromoUse(reservation);
+    if (!promoClaim.ok) {
+      await releaseHold(reservation.id, 'expired');
+      return res.status(409).json({ error: promoClaim.error });
+    }
+
+    const baseUrl = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000';
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        line_items,
+        customer_email: guestEmail || undefined,
+        // deposit: save the card so the hold can be placed off-session before check-in
+        ...(heldDepositCents > 0
+          ? {
+              customer_creation: 'always',
+              payment_intent_data: { setup_future_usage: 'off_session' },
+              custom_text: {
+                submit: {
+                  message: `A refundable ${(heldDepositCents / 100).toFixed(2)} ${currency.toUpperCase()} damage deposit will be held on this card the day before check-in and released after checkout.`,
+                },
+              },
+            }
+          : {}),
+        expires_at: Math.floor(new Date(hold.holdExpiresAt).getTime() / 1000),
+        success_url: success_url || `${baseUrl}/realty/booking-success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url:
+          cancel_url ||
+          `${baseUrl}/realty/${prop.slug || property_id}?cancelled=true&hold=${reservation.id}`,
+        metadata: {
+          type: 'realty_booking',
+          reservation_id: reservation.id,
+          property_id,
+          checkin,
+          checkout,
+          guests: String(guests),
+          nights: String(nights),
+          guestName: guestName || '',
+          guestEmail: guestEmail || '',
+          guestPhone: guestPhone || '',
+          notes: notes || '',
+          includeDamageDeposit: includeDamageDeposit ? 'true' : 'false',
+          promo_code: quote.summary.promo_code || '',
+
+          // affiliate trail for webhook visibility
+          affiliate_ref: affInfo.referral_code || '',
+          affiliate_id: affInfo.affiliate_id || '',
+          commission_rate: affInfo.commission_rate != null ? String(affInfo.commission_rate) : '',
+        },
+      });
+    } catch (stripeErr) {
+      await releaseHold(reservation.id, 'cancelled');
+      throw stripeErr;
+    }
+
+    // Link the hold to its Stripe session (webhooks look it up either way)
+    await supabaseAdmin
+      .from('realty_reservations')
+      .update({ stripe_session_id: session.id })
+      .eq('id', reservation.id);
 
     return res.status(200).json({ ok: true, url: session.url, session_id: session.id });
   } catch (e) {
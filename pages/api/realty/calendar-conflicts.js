@@ -0,0 +1,54 @@
+// pages/api/realty/calendar-conflicts.js
+import { requireAdmin } from '@/lib/adminAuth';
+import { CONFLICT_STATUSES, detectConflicts, listConflicts, setConflictStatus } from '@/lib/realty/conflicts';
+
+/**
+ * Admin: double bookings between paid direct stays and channel blocks.
+ *
+ * GET   ?property_id&status=open,ignored   -> conflicts (+ reservation)
+ * POST  { property_id }                    -> re-scan now
+ * PATCH { id, status: 'resolved'|'ignored'|'open', note }
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const { property_id, status } = req.query;
+      const statuses = String(status || 'open')
+        .split(',')
+        .filter((s) => CONFLICT_STATUSES.includes(s));
+      const items = await listConflicts({
+        propertyId: property_id || null,
+        statuses: statuses.length ? statuses : ['open'],
+      });
+      return res.status(200).json({ ok: true, items });
+    }
+
+    // ---- POST ----
+    if (req.method === 'POST') {
+      const { property_id } = req.body || {};
+      if (!property_id) return res.status(400).json({ error: 'property_id required' });
+      const result = await detectConflicts(property_id);
+      return res.status(200).json({ ok: true, ...result });
+    }
+
+    // ---- PATCH ----
+    if (req.method === 'PATCH') {
+      const { id, status, note } = req.body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const result = await setConflictStatus(id, status, { by: admin.email || 'admin', note });
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+      return res.status(200).json({ ok: true, item: result.conflict });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'PATCH']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('calendar-conflicts error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,53 @@
+// pages/api/realty/cancel-reservation.js
+import { requireAdmin } from '@/lib/adminAuth';
+import { cancelReservation, loadReservationWithProperty } from '@/lib/realty/cancellation';
+import { computeRefund } from '@/lib/realty/cancellationPolicies';
+
+/**
+ * Admin cancel + refund.
+ *
+ * GET  ?reservation_id=...  -> refund preview under the property's policy
+ * POST { reservation_id, refund_cents?, reason? }
+ *      refund_cents overrides the policy amount (e.g. goodwill full refund)
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    if (req.method === 'GET') {
+      const { reservation_id } = req.query;
+      if (!reservation_id) return res.status(400).json({ error: 'reservation_id required' });
+
+      const { reservation, propRow } = await loadReservationWithProperty(reservation_id);
+      if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+
+      return res.status(200).json({
+        ok: true,
+        status: reservation.status,
+        refund: computeRefund({ reservation, propRow }),
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { reservation_id, refund_cents = null, reason = '' } = req.body || {};
+      if (!reservation_id) return res.status(400).json({ error: 'reservation_id required' });
+
+      const result = await cancelReservation({
+        reservationId: reservation_id,
+        cancelledBy: 'admin',
+        refundCents: refund_cents,
+        reason,
+      });
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+
+      return res.status(200).json(result);
+    }
+
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('cancel-reservation error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
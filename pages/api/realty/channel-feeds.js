@@ -0,0 +1,51 @@
+// pages/api/realty/channel-feeds.js
+import { requireAdmin } from '@/lib/adminAuth';
+import { createChannelFeed, listChannelFeeds, updateChannelFeed } from '@/lib/realty/channelFeeds';
+
+/**
+ * Admin: private outbound iCal feeds, one per channel (lib/realty/channelFeeds.js).
+ *
+ * GET   ?property_id                          -> feeds + export_url
+ * POST  { property_id, channel, label }       -> new feed
+ * PATCH { id, label, active, rotate_token }   rotate_token revokes the old URL
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const { property_id } = req.query;
+      if (!property_id) return res.status(400).json({ error: 'property_id required' });
+      const items = await listChannelFeeds(property_id);
+      return res.status(200).json({ ok: true, items });
+    }
+
+    // ---- POST ----
+    if (req.method === 'POST') {
+      const { property_id, channel, label } = req.body || {};
+      if (!property_id) return res.status(400).json({ error: 'property_id required' });
+
+      const result = await createChannelFeed({ propertyId: property_id, channel, label });
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+      return res.status(200).json({ ok: true, item: result.feed });
+    }
+
+    // ---- PATCH ----
+    if (req.method === 'PATCH') {
+      const { id, ...patch } = req.body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const result = await updateChannelFeed(id, patch);
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+      return res.status(200).json({ ok: true, item: result.feed });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'PATCH']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('channel-feeds error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,28 @@
+// pages/api/realty/cleaner-ical.js
+import { cleanerByToken, cleanerIcs, listTurnoverTasks } from '@/lib/realty/turnovers';
+
+// Per-cleaner turnover calendar: subscribe to
+// /api/realty/cleaner-ical?token=<feed_token> (see /api/realty/cleaners).
+export default async function handler(req, res) {
+  try {
+    const cleaner = await cleanerByToken(req.query?.token);
+    if (!cleaner) {
+      res.statusCode = 404;
+      return res.end('Unknown feed');
+    }
+
+    const from = new Date();
+    from.setUTCDate(from.getUTCDate() - 30);
+    const tasks = await listTurnoverTasks({
+      from: from.toISOString().slice(0, 10),
+      assigneeId: cleaner.id,
+      includeCancelled: true,
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="manyagi-turnovers.ics"');
+    return res.status(200).send(cleanerIcs(cleaner, tasks));
+  } catch (e) {
+    return res.status(500).send('ICS error: ' + e.message);
+  }
+}
@@ -0,0 +1,61 @@
+// pages/api/realty/cleaner-tasks.js
+import { cleanerByToken, listTurnoverTasks, updateTurnoverTask } from '@/lib/realty/turnovers';
+
+/**
+ * Cleaner task page backend (/realty/cleaner?token=…). The token is the
+ * cleaner's feed_token; they only ever see and edit their own tasks.
+ *
+ * GET   ?token                                   -> upcoming + recent tasks
+ * PATCH { token, id, checklist, status, notes, photo_url }
+ */
+const CLEANER_STATUSES = ['in_progress', 'done'];
+
+function daysFromToday(n) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+export default async function handler(req, res) {
+  try {
+    const token = req.method === 'GET' ? req.query.token : req.body?.token;
+    const cleaner = await cleanerByToken(token);
+    if (!cleaner) return res.status(401).json({ error: 'This link is invalid or has been revoked' });
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const items = await listTurnoverTasks({ from: daysFromToday(-7), assigneeId: cleaner.id });
+      return res.status(200).json({ ok: true, cleaner: { name: cleaner.name }, items });
+    }
+
+    // ---- PATCH ----
+    if (req.method === 'PATCH') {
+      const { id, checklist, status, notes, photo_url } = req.body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const [mine] = await listTurnoverTasks({ ids: [id], assigneeId: cleaner.id, includeCancelled: true });
+      if (!mine) return res.status(404).json({ error: 'Task not found' });
+      if (status !== undefined && !CLEANER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+      }
+      // photos must come from our turnover upload path (upload-asset.js)
+      if (photo_url && !String(photo_url).includes('/realty/turnover/')) {
+        return res.status(400).json({ error: 'Upload the photo first' });
+      }
+
+      const result = await updateTurnoverTask(
+        id,
+        { checklist, status, notes, photo_url },
+        { by: cleaner.name || 'cleaner' }
+      );
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+      return res.status(200).json({ ok: true, item: result.task });
+    }
+
+    res.setHeader('Allow', ['GET', 'PATCH']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('cleaner-tasks error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
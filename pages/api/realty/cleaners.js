@@ -0,0 +1,79 @@
+// pages/api/realty/cleaners.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { requireAdmin } from '@/lib/adminAuth';
+import { cleanerLinks, newFeedToken } from '@/lib/realty/turnovers';
+
+/**
+ * Admin: housekeeping staff for turnover tasks.
+ *
+ * GET                          -> cleaners + their task page / ICS links
+ * POST  { name, email, phone } -> add
+ * PATCH { id, name, email, phone, active, rotate_token }
+ *       rotate_token revokes the old task page + ICS links
+ */
+const withLinks = (c) => ({ ...c, ...cleanerLinks(c) });
+
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const { data, error } = await supabaseAdmin
+        .from('realty_cleaners')
+        .select('*')
+        .order('name', { ascending: true });
+      if (error) throw error;
+      return res.status(200).json({ ok: true, items: (data || []).map(withLinks) });
+    }
+
+    // ---- POST ----
+    if (req.method === 'POST') {
+      const { name, email, phone } = req.body || {};
+      if (!name) return res.status(400).json({ error: 'name required' });
+
+      const { data, error } = await supabaseAdmin
+        .from('realty_cleaners')
+        .insert({
+          name: String(name).trim(),
+          email: email ? String(email).trim() : null,
+          phone: phone ? String(phone).trim() : null,
+          active: true,
+          feed_token: newFeedToken(),
+        })
+        .select('*')
+        .single();
+      if (error) throw error;
+      return res.status(200).json({ ok: true, item: withLinks(data) });
+    }
+
+    // ---- PATCH ----
+    if (req.method === 'PATCH') {
+      const { id, name, email, phone, active, rotate_token } = req.body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const fields = {};
+      if (name !== undefined) fields.name = String(name).trim();
+      if (email !== undefined) fields.email = email ? String(email).trim() : null;
+      if (phone !== undefined) fields.phone = phone ? String(phone).trim() : null;
+      if (active !== undefined) fields.active = !!active;
+      if (rotate_token) fields.feed_token = newFeedToken();
+
+      const { data, error } = await supabaseAdmin
+        .from('realty_cleaners')
+        .update(fields)
+        .eq('id', id)
+        .select('*')
+        .single();
+      if (error) throw error;
+      return res.status(200).json({ ok: true, item: withLinks(data) });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'PATCH']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('cleaners error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -1,15 +1,14 @@
 // pages/api/realty/cleanup-holds.js
-import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { releaseExpiredHolds } from '@/lib/realty/availability';
 
+// Cron-friendly: expire checkout holds whose timer ran out.
+// Rows are kept with status 'expired' instead of being deleted.
 export default async function handler(req, res) {
-  // Delete pending reservations older than 30 min
-  const threshold = new Date(Date.now() - 30 * 60 * 1000).toISOString();
-  const { error } = await supabaseAdmin
-    .from('realty_reservations')
-    .delete()
-    .eq('status', 'pending')
-    .lt('created_at', threshold);
-
-  if (error) return res.status(500).json({ error: error.message });
-  return res.status(200).json({ ok: true });
+  try {
+    const { released } = await releaseExpiredHolds();
+    return res.status(200).json({ ok: true, released });
+  } catch (e) {
+    console.error('cleanup-holds error:', e);
+    return res.status(500).json({ error: e.message });
+  }
 }
\ No newline at end of file
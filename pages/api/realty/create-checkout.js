@@ -1,7 +1,20 @@
 // pages/api/realty/create-checkout.js
 import Stripe from 'stripe';
 import { supabaseAdmin } from '@/lib/supabaseAdmin';
-import { calculateQuote } from './quote'; // reuse the logic, no internal fetch
+import {
+  calculateQuote,
+  checkBookingRules,
+  quoteCharge,
+  reservationChargeColumns,
+  reservationPricingColumns,
+} from './quote'; // reuse the logic, no internal fetch
+import { formatMoney } from '@/lib/currency';
+import {
+  placeHold,
+  releaseHold,
+  validateStayRange,
+} from '@/lib/realty/availability';
+import { claimPromoUse, resolvePromoCode } from '@/lib/realty/promoCodes';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: '2024-06-20',
@@ -21,6 +34,8 @@ export default async function handler(req, res) {
       guest_email,
       guest_phone,
       notes,
+      promo_code,
+      currency, // display currency; the stay is charged in it
     } = req.body || {};
 
     if (
@@ -35,6 +50,9 @@ export default async function handler(req, res) {
         .json({ error: 'Missing required fields' });
     }
 
+    const rangeErr = validateStayRange(checkin, checkout);
+    if (rangeErr) return res.status(400).json({ error: rangeErr });
+
     // 1. Load property row
     const { data: propRow, error: propErr } = await supabaseAdmin
       .from('properties')
@@ -56,12 +74,23 @@ export default async function handler(req, res) {
     if (rateErr)
       return res.status(500).json({ error: rateErr.message });
 
-    // 3. Build quote on the server (NO fetch('/api/...'))
+    // 3. Promo code (optional) — refuse rather than silently charge full price
+    const promoRes = await resolvePromoCode({
+      code: promo_code,
+      propertyId: property_id,
+      checkin,
+      checkout,
+    });
+    if (promoRes.error) return res.status(400).json({ error: promoRes.error });
+
+    // 4. Build quote on the server (NO fetch('/api/...'))
     const quote = calculateQuote({
       propRow,
       rates: rateRows || [],
       checkin,
       checkout,
+      guests,
+      promo: promoRes.promo,
     });
 
     if (!quote.ok) {
@@ -70,75 +99,109 @@ export default async function handler(req, res) {
         .json({ error: quote.error || 'Failed to build quote' });
     }
 
-    const amountCents = Math.round(quote.summary.total * 100);
+    // min stay + guest capacity, before any hold or Stripe session
+    const ruleErr = checkBookingRules({ propRow, quote, guests });
+    if (ruleErr) return res.status(400).json(ruleErr);
+
+    // charged in the guest's currency at today's stored rate
+    const charge = await quoteCharge({ req, quote, currency });
+    const chargeColumns = reservationChargeColumns(charge);
     const nightsCount = quote.summary.nights;
 
-    // 4. Create "pending" reservation in Supabase
-    const { data: reservation, error: resErr } = await supabaseAdmin
-      .from('realty_reservations')
-      .insert({
-        property_id,
-        checkin,
-        checkout,
+    // 5. Hold the dates: rejects overlaps with paid stays, live holds,
+    //    external channel blocks and manually blocked nights
+    const hold = await placeHold({
+      propertyId: property_id,
+      checkin,
+      checkout,
+      row: {
         nights: nightsCount,
         guests,
         guest_name,
         guest_email,
         guest_phone,
         notes,
-        amount_cents: amountCents,
-        currency: 'usd',
-        status: 'pending',
-      })
-      .select('*')
-      .maybeSingle();
+        ...chargeColumns,
+        promo_code_id: quote.promo_code_id,
+        promo_code: quote.summary.promo_code,
+        ...reservationPricingColumns(quote),
+      },
+    });
+
+    if (!hold.ok) {
+      return res.status(409).json({
+        error: 'Those dates are no longer available. Please choose different dates.',
+        conflicts: hold.conflicts,
+      });
+    }
+
+    const reservation = hold.reservation;
 
-    if (resErr)
-      return res.status(500).json({ error: resErr.message });
+    // the code's last use may have just gone to another guest
+    const promoClaim = await claimPromoUse(reservation);
+    if (!promoClaim.ok) {
+      await releaseHold(reservation.id, 'expired');
+      return res.status(409).json({ error: promoClaim.error });
+    }
 
-    // 5. Create Stripe Checkout Session
+    // 6. Create Stripe Checkout Session (expires together with the hold)
     const successUrl = `${req.headers.origin}/realty/booking-success?session_id={CHECKOUT_SESSION_ID}`;
-    // cancel should go back to the property detail, which is /realty/[slug]
-    const cancelUrl = `${req.headers.origin}/realty/${propRow.slug}?cancelled=true`;
-
-    const session = await stripe.checkout.sessions.create({
-      mode: 'payment',
-      line_items: [
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: {
-              name: `Booking: ${propRow.name}`,
-              description: `Check-in ${checkin} → Check-out ${checkout}`,
+    // cancel should go back to the property detail, which is /realty/[slug];
+    // `hold` lets that page release the dates straight away
+    const cancelUrl = `${req.headers.origin}/realty/${propRow.slug}?cancelled=true&hold=${reservation.id}`;
+
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        line_items: [
+          {
+            price_data: {
+              currency: chargeColumns.currency,
+              product_data: {
+                name: `Booking: ${propRow.name}`,
+                description: [
+                  `Check-in ${checkin} → Check-out ${checkout}`,
+                  ...quote.summary.lines.map(
+                    (l) => `${l.label}: ${l.amount < 0 ? '-' : ''}${formatMoney(Math.abs(l.amount), quote.currency)}`
+                  ),
+                ].join(' · '),
+              },
+              unit_amount: chargeColumns.amount_cents,
             },
-            unit_amount: amountCents,
+            quantity: 1,
           },
-          quantity: 1,
+        ],
+        metadata: {
+          type: 'realty_booking',
+          reservation_id: reservation.id,
+          property_id: property_id,
+          checkin,
+          checkout,
+          guest_name,
+          guest_email,
+          guest_phone: guest_phone || '',
+          notes: notes || '',
+          promo_code: quote.summary.promo_code || '',
         },
-      ],
-      metadata: {
-        type: 'realty_booking',
-        reservation_id: reservation.id,
-        property_id: property_id,
-        checkin,
-        checkout,
-        guest_name,
-        guest_email,
-        guest_phone: guest_phone || '',
-        notes: notes || '',
-      },
-      success_url: successUrl,
-      cancel_url: cancelUrl,
-    });
+        expires_at: Math.floor(new Date(hold.holdExpiresAt).getTime() / 1000),
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+      });
+    } catch (stripeErr) {
+      // don't leave the dates held for a checkout that never started
+      await releaseHold(reservation.id, 'cancelled');
+      throw stripeErr;
+    }
 
-    // 6. Store Stripe session ID back on reservation
+    // 7. Store Stripe session ID back on reservation
     await supabaseAdmin
       .from('realty_reservations')
       .update({ stripe_session_id: session.id })
       .eq('id', reservation.id);
 
-    // 7. Send the Stripe hosted checkout URL back to frontend
-    return res.status(200).json({ url: session.url });
+    // 8. Send the Stripe hosted checkout URL back to frontend
+    return res.status(200).json({ url: session.url, session_id: session.id });
   } catch (e) {
     console.error('create-checkout crash:', e);
     return res.status(500).json({
@@ -0,0 +1,57 @@
+// pages/api/realty/deposit-action.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { requireAdmin } from '@/lib/adminAuth';
+import { authorizeDeposit, claimDeposit, releaseDeposit } from '@/lib/realty/deposits';
+
+/**
+ * Admin actions on a reservation's damage deposit.
+ *
+ * POST { reservation_id, action: 'claim', amount_cents, notes }
+ * POST { reservation_id, action: 'release' }
+ * POST { reservation_id, action: 'authorize' }   retry a failed / due hold
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    const { reservation_id, action, amount_cents, notes } = req.body || {};
+    if (!reservation_id || !action) {
+      return res.status(400).json({ error: 'reservation_id and action required' });
+    }
+
+    const { data: resv, error } = await supabaseAdmin
+      .from('realty_reservations')
+      .select('*')
+      .eq('id', reservation_id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!resv) return res.status(404).json({ error: 'Reservation not found' });
+    if (!Number(resv.deposit_cents)) {
+      return res.status(400).json({ error: 'This reservation has no damage deposit' });
+    }
+
+    let result;
+    if (action === 'claim') {
+      result = await claimDeposit(resv, { amountCents: amount_cents, notes });
+    } else if (action === 'release') {
+      result = await releaseDeposit(resv);
+    } else if (action === 'authorize') {
+      if (!['scheduled', 'failed'].includes(resv.deposit_status)) {
+        return res.status(400).json({ error: `Deposit is ${resv.deposit_status}` });
+      }
+      result = await authorizeDeposit(resv);
+      if (!result.ok) result.error = 'Authorization failed — see deposit error';
+    } else {
+      return res.status(400).json({ error: 'Unknown action' });
+    }
+
+    if (!result.ok) return res.status(400).json({ error: result.error });
+    return res.status(200).json({ ok: true });
+  } catch (e) {
+    console.error('deposit-action error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,49 @@
+// pages/api/realty/guest-cancel.js
+import { verifyGuestToken } from '@/lib/realty/guestTokens';
+import { cancelReservation, loadReservationWithProperty } from '@/lib/realty/cancellation';
+import { computeRefund } from '@/lib/realty/cancellationPolicies';
+
+/**
+ * Guest self-service cancel, from the signed link in the confirmation email.
+ *
+ * GET  ?token=...   -> stay details + what the policy would refund today
+ * POST { token }    -> cancel and refund (same policy as the admin flow)
+ */
+export default async function handler(req, res) {
+  try {
+    const token = req.method === 'GET' ? req.query.token : req.body?.token;
+    const { reservationId, error } = verifyGuestToken(token, 'cancel');
+    if (error) return res.status(401).json({ error });
+
+    if (req.method === 'GET') {
+      const { reservation, propRow } = await loadReservationWithProperty(reservationId);
+      if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+
+      return res.status(200).json({
+        ok: true,
+        reservation: {
+          property_name: propRow?.name || '',
+          checkin: reservation.checkin,
+          checkout: reservation.checkout,
+          guests: reservation.guests,
+          status: reservation.status,
+          currency: reservation.currency || 'usd',
+          refund_cents: reservation.refund_cents ?? null,
+        },
+        refund: reservation.status === 'paid' ? computeRefund({ reservation, propRow }) : null,
+      });
+    }
+
+    if (req.method === 'POST') {
+      const result = await cancelReservation({ reservationId, cancelledBy: 'guest' });
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+      return res.status(200).json(result);
+    }
+
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('guest-cancel error:', e);
+    return res.status(500).json({ error: 'Could not process this cancellation. Please contact us.' });
+  }
+}
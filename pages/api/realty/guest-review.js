@@ -0,0 +1,41 @@
+// pages/api/realty/guest-review.js
+import { loadReviewContext, submitReview } from '@/lib/realty/reviews';
+
+/**
+ * Guest review form backend, from the signed link in the post-stay email.
+ *
+ * GET  ?token=...                                   -> stay details
+ * POST { token, ratings: { cleanliness, accuracy, location, value }, comment }
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const ctx = await loadReviewContext(req.query.token);
+      if (ctx.error) return res.status(ctx.status || 400).json({ error: ctx.error });
+
+      return res.status(200).json({
+        ok: true,
+        stay: {
+          property_name: ctx.propRow?.name || '',
+          property_slug: ctx.propRow?.slug || '',
+          checkin: ctx.reservation.checkin,
+          checkout: ctx.reservation.checkout,
+        },
+        already_reviewed: !!ctx.existing,
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { token, ratings, comment } = req.body || {};
+      const result = await submitReview({ token, ratings, comment });
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('guest-review error:', e);
+    return res.status(500).json({ error: 'Could not save your review. Please try again.' });
+  }
+}
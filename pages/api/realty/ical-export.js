@@ -1,5 +1,14 @@
 // pages/api/realty/ical-export.js
+// Outbound iCal feeds (lib/realty/channelFeeds.js):
+//   ?token=<channel feed token>  paid stays + blocks from the *other* channels
+//   ?stay=<signed guest token>   one reservation, for the guest's own calendar
+//   ?property_id=<uuid>          legacy URL, redirected to the property's
+//                                'other' feed so old subscriptions keep working
 import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { verifyGuestToken } from '@/lib/realty/guestTokens';
+import { channelOf, feedByToken, legacyFeed, staySummary, stayUid } from '@/lib/realty/channelFeeds';
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 const fmt = (d) => {
   const pad = (n) => String(n).padStart(2, '0');
@@ -13,7 +22,9 @@ const fmt = (d) => {
 };
 
 // Return VEVENT for a date range (all-day style, DTEND exclusive)
-const vevent = ({ uid, start, end, summary }) => {
+// `sequence` bumps when a reservation is modified so subscribed calendars
+// replace the old dates instead of keeping both
+const vevent = ({ uid, start, end, summary, sequence = 0, lastModified = null }) => {
   const dtstamp = fmt(new Date());
   const dtstart = `${start.getUTCFullYear()}${String(start.getUTCMonth() + 1).padStart(2, '0')}${String(start.getUTCDate()).padStart(2, '0')}`;
   const dtend = `${end.getUTCFullYear()}${String(end.getUTCMonth() + 1).padStart(2, '0')}${String(end.getUTCDate()).padStart(2, '0')}`;
@@ -21,6 +32,8 @@ const vevent = ({ uid, start, end, summary }) => {
     'BEGIN:VEVENT',
     `UID:${uid}`,
     `DTSTAMP:${dtstamp}`,
+    `SEQUENCE:${sequence}`,
+    ...(lastModified ? [`LAST-MODIFIED:${fmt(new Date(lastModified))}`] : []),
     `DTSTART;VALUE=DATE:${dtstart}`,
     `DTEND;VALUE=DATE:${dtend}`,
     `SUMMARY:${summary || 'Reserved'}`,
@@ -29,14 +42,81 @@ const vevent = ({ uid, start, end, summary }) => {
   ].join('\r\n');
 };
 
+// Return VCALENDAR text around the events
+const calendar = (name, events) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//Manyagi Realty//Booking Calendar//EN`,
+    `X-WR-CALNAME:${name}`,
+    ...events,
+    'END:VCALENDAR',
+    '',
+  ].join('\r\n');
+
+const sendIcs = (res, filename, ics) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).send(ics);
+};
+
+async function guestStayCalendar(res, stayToken) {
+  const { reservationId, error } = verifyGuestToken(stayToken, 'calendar');
+  if (error) {
+    res.statusCode = 401;
+    return res.end(error);
+  }
+
+  const { data: r } = await supabaseAdmin
+    .from('realty_reservations')
+    .select('id, property_id, checkin, checkout, status, modification_count, modified_at')
+    .eq('id', reservationId)
+    .maybeSingle();
+  if (!r || r.status !== 'paid') {
+    res.statusCode = 404;
+    return res.end('Reservation not found');
+  }
+
+  const { data: prop } = await supabaseAdmin
+    .from('properties')
+    .select('id,name')
+    .eq('id', r.property_id)
+    .maybeSingle();
+
+  const ics = calendar(`${prop?.name || 'Your stay'} — Manyagi`, [
+    vevent({
+      uid: stayUid(r.id),
+      start: new Date(r.checkin),
+      end: new Date(r.checkout),
+      summary: `Stay at ${prop?.name || 'Manyagi Realty'}`,
+      sequence: Number(r.modification_count || 0),
+      lastModified: r.modified_at,
+    }),
+  ]);
+  return sendIcs(res, `manyagi-stay-${r.checkin}.ics`, ics);
+}
+
 export default async function handler(req, res) {
   try {
-    const { property_id } = req.query || {};
-    if (!property_id) {
-      res.statusCode = 400;
-      return res.end('Missing property_id');
+    const { token, stay, property_id: legacyPropertyId } = req.query || {};
+    if (stay) return await guestStayCalendar(res, stay);
+
+    if (!token && legacyPropertyId && UUID_RE.test(String(legacyPropertyId))) {
+      const legacy = await legacyFeed(String(legacyPropertyId));
+      if (legacy) {
+        res.setHeader('Location', `/api/realty/ical-export?token=${encodeURIComponent(legacy.token)}`);
+        return res.status(302).end();
+      }
     }
 
+    const feed = await feedByToken(token);
+    if (!feed) {
+      res.statusCode = 404;
+      return res.end('Feed not found. Use a private feed URL from Admin → Realty → Channel Calendars.');
+    }
+    const property_id = feed.property_id;
+
     // Property (for title)
     const { data: prop } = await supabaseAdmin
       .from('properties')
@@ -47,16 +127,20 @@ export default async function handler(req, res) {
     // Paid reservations
     const { data: paid } = await supabaseAdmin
       .from('realty_reservations')
-      .select('id, checkin, checkout, status')
+      .select('id, checkin, checkout, status, modification_count, modified_at')
       .eq('property_id', property_id)
       .eq('status', 'paid');
 
-    // External blocks
+    // External blocks, minus the ones this channel sent us
     const { data: blocks } = await supabaseAdmin
       .from('realty_external_blocks')
       .select('id, starts_on, ends_on, source')
       .eq('property_id', property_id);
 
+    const otherChannels = (blocks || []).filter(
+      (b) => feed.channel === 'other' || channelOf(b.source) !== feed.channel
+    );
+
     const events = [];
 
     (paid || []).forEach((r) => {
@@ -64,15 +148,17 @@ export default async function handler(req, res) {
       const co = new Date(r.checkout); // checkout is exclusive
       events.push(
         vevent({
-          uid: `${r.id}@manyagi`,
+          uid: stayUid(r.id),
           start: ci,
           end: co,
-          summary: `${prop?.name || 'Property'} — Reserved`,
+          summary: staySummary(prop?.name),
+          sequence: Number(r.modification_count || 0),
+          lastModified: r.modified_at,
         })
       );
     });
 
-    (blocks || []).forEach((b) => {
+    otherChannels.forEach((b) => {
       const s = new Date(b.starts_on + 'T00:00:00Z');
       const e = new Date(b.ends_on + 'T00:00:00Z');
       // Make DTEND exclusive
@@ -83,25 +169,21 @@ export default async function handler(req, res) {
           uid: `${b.id}@manyagi-block`,
           start: s,
           end: eExclusive,
-          summary: `${prop?.name || 'Property'} — ${b.source || 'External Block'}`,
+          // don't leak which channel the dates came from
+          summary: `${prop?.name || 'Property'} — Not available`,
         })
       );
     });
 
-    const ics = [
-      'BEGIN:VCALENDAR',
-      'VERSION:2.0',
-      `PRODID:-//Manyagi Realty//Booking Calendar//EN`,
-      `X-WR-CALNAME:${(prop?.name || 'Property') + ' — Manyagi'}`,
-      ...events,
-      'END:VCALENDAR',
-      '',
-    ].join('\r\n');
-
-    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="manyagi-${property_id}.ics"`);
-    return res.status(200).send(ics);
+    // "last pulled by the channel" for the admin panel (errors ignored)
+    await supabaseAdmin
+      .from('realty_channel_feeds')
+      .update({ last_fetched_at: new Date().toISOString() })
+      .eq('id', feed.id);
+
+    const ics = calendar((prop?.name || 'Property') + ' — Manyagi', events);
+    return sendIcs(res, `manyagi-${feed.channel}.ics`, ics);
   } catch (e) {
     return res.status(500).send('ICS error: ' + e.message);
   }
-}
\ No newline at end of file
+}
@@ -1,11 +1,37 @@
 // pages/api/realty/ical.js
+// Fetch an external ICS feed. Returns the raw calendar by default, or the
+// parsed nights (same parser as sync-ical) with ?format=json — handy for
+// checking a channel URL before adding it to metadata.ical_urls.
+import { parseIcs, toBlockRange } from '@/lib/realty/ics';
+
 export default async function handler(req, res) {
   try {
-    const { url } = req.query;
+    const { url, format, tz } = req.query;
     if (!url) return res.status(400).send('missing url');
+    if (!/^https?:\/\//i.test(String(url))) return res.status(400).send('url must be http(s)');
+    if (tz) {
+      // unknown zones would only throw later inside the parser
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: String(tz) });
+      } catch {
+        return res.status(400).send('invalid tz');
+      }
+    }
+
     const r = await fetch(url);
     if (!r.ok) return res.status(502).send('ical fetch failed');
     const text = await r.text();
+
+    if (format === 'json') {
+      const { events, cancelled, skipped } = parseIcs(text, { timeZone: tz || undefined });
+      return res.status(200).json({
+        ok: true,
+        cancelled,
+        skipped,
+        events: events.map((ev) => ({ ...ev, ...toBlockRange(ev) })),
+      });
+    }
+
     res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
     return res.status(200).send(text);
   } catch (e) {
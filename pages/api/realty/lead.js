@@ -1,5 +1,5 @@
 // pages/api/realty/lead.js
-import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { createLead } from '@/lib/realty/leads';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -9,35 +9,21 @@ export default async function handler(req, res) {
   }
 
   try {
-    const {
-      name,
-      email,
-      phone,
-      interest_type, // 'buy' | 'sell' | 'manage' | 'rental_inquiry' | 'other'
-      notes,
-      property_id,
-    } = req.body || {};
+    // {
+    //   name, email, phone,
+    //   interest_type, // 'buy' | 'sell' | 'invest' | 'manage' | 'rental_inquiry' | 'other'
+    //   notes, property_id,
+    //   utm_source, utm_medium, utm_campaign, utm_term, utm_content,
+    //   landing_page, referrer
+    // }
+    const result = await createLead(req.body || {});
 
-    if (!name || !email || !interest_type) {
+    if (!result.ok) {
       return res
-        .status(400)
-        .json({ error: 'Missing required fields' });
+        .status(result.status || 400)
+        .json({ error: result.error });
     }
 
-    const { error } = await supabaseAdmin
-      .from('realty_leads')
-      .insert({
-        name,
-        email,
-        phone: phone || null,
-        interest_type,
-        notes: notes || null,
-        property_id: property_id || null,
-        status: 'new',
-      });
-
-    if (error) throw error;
-
     return res
       .status(200)
       .json({ ok: true, message: 'Lead captured.' });
@@ -0,0 +1,59 @@
+// pages/api/realty/leads.js
+import { requireAdmin } from '@/lib/adminAuth';
+import { addLeadActivity, leadActivities, listLeads, updateLead } from '@/lib/realty/leads';
+
+/**
+ * Admin lead pipeline (lib/realty/leads.js).
+ *
+ * GET   ?stage&agent_id                 -> leads (+ agent / property names)
+ * GET   ?id                             -> { item, activities }
+ * POST  { lead_id, kind, body }         -> log a note / call / email / meeting
+ * PATCH { id, status, assigned_agent_id, follow_up_on, follow_up_note }
+ *       stage / assignment / follow-up changes are logged; assignees get an email
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+    const actor = admin.email || 'admin';
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const { id, stage, agent_id } = req.query;
+      if (id) {
+        const [item] = await listLeads({ ids: [id] });
+        if (!item) return res.status(404).json({ error: 'Lead not found' });
+        const activities = await leadActivities(id);
+        return res.status(200).json({ ok: true, item, activities });
+      }
+      const items = await listLeads({ stage: stage || null, agentId: agent_id || null });
+      return res.status(200).json({ ok: true, items });
+    }
+
+    // ---- POST ----
+    if (req.method === 'POST') {
+      const { lead_id, kind, body } = req.body || {};
+      if (!lead_id) return res.status(400).json({ error: 'lead_id required' });
+
+      const result = await addLeadActivity(lead_id, { kind, body }, { actor });
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+      return res.status(200).json({ ok: true, item: result.activity });
+    }
+
+    // ---- PATCH ----
+    if (req.method === 'PATCH') {
+      const { id, ...patch } = req.body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const result = await updateLead(id, patch, { actor });
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+      return res.status(200).json({ ok: true, item: result.lead });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'PATCH']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('leads error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
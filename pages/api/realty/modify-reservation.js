@@ -0,0 +1,64 @@
+// pages/api/realty/modify-reservation.js
+import { requireAdmin } from '@/lib/adminAuth';
+import { previewModification, requestModification } from '@/lib/realty/modification';
+
+/**
+ * Admin: move dates / change guest count on a paid reservation.
+ *
+ * GET  ?reservation_id&checkin&checkout&guests -> re-priced preview
+ * POST { reservation_id, checkin, checkout, guests }
+ *      cheaper  -> excess refunded, applied immediately
+ *      dearer   -> Checkout link for the difference (emailed to the guest);
+ *                  applied by the webhook once paid
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    if (req.method === 'GET') {
+      const { reservation_id, checkin, checkout, guests } = req.query;
+      if (!reservation_id) return res.status(400).json({ error: 'reservation_id required' });
+
+      const p = await previewModification({ reservationId: reservation_id, checkin, checkout, guests });
+      if (!p.ok) {
+        const { ok, status, ...rest } = p;
+        return res.status(status || 400).json(rest);
+      }
+
+      return res.status(200).json({
+        ok: true,
+        change: p.change,
+        old_amount_cents: p.oldAmountCents,
+        new_amount_cents: p.newAmountCents,
+        diff_cents: p.diffCents,
+        summary: p.quote.summary,
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { reservation_id, checkin, checkout, guests } = req.body || {};
+      if (!reservation_id) return res.status(400).json({ error: 'reservation_id required' });
+
+      const origin = req.headers.origin || undefined;
+      const result = await requestModification({
+        reservationId: reservation_id,
+        checkin,
+        checkout,
+        guests,
+        origin,
+      });
+      if (!result.ok) {
+        const { ok, status, ...rest } = result;
+        return res.status(status || 400).json(rest);
+      }
+      return res.status(200).json(result);
+    }
+
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('modify-reservation error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
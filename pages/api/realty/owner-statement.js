@@ -0,0 +1,57 @@
+// pages/api/realty/owner-statement.js
+import { requireAdmin } from '@/lib/adminAuth';
+import { buildOwnerStatement, statementCsv, statementPdf } from '@/lib/realty/ownerStatements';
+
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
+
+/**
+ * Admin: monthly owner statement for one property.
+ *
+ * GET ?property_id&month=YYYY-MM&format=json|csv|pdf
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    const { property_id, month, format = 'json' } = req.query;
+    if (!property_id) return res.status(400).json({ error: 'property_id required' });
+
+    const result = await buildOwnerStatement({ propertyId: property_id, month });
+    if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+
+    const st = result.statement;
+    const slug = String(st.property_name || 'property')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+    const filename = `owner-statement-${slug}-${st.month}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(statementCsv(st));
+    }
+
+    if (format === 'pdf') {
+      const pdf = await statementPdf(st);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.status(200).send(pdf);
+    }
+
+    return res.status(200).json({ ok: true, statement: st });
+  } catch (e) {
+    console.error('owner-statement error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,19 @@
+// pages/api/realty/process-deposits.js
+import { processDeposits } from '@/lib/realty/deposits';
+import { requireCron } from '@/lib/adminAuth';
+
+// Cron-friendly (run at least daily): place damage-deposit holds the day
+// before check-in, renew them on long stays and release them N days after
+// checkout. Needs Bearer CRON_SECRET or an admin token.
+export default async function handler(req, res) {
+  try {
+    const caller = await requireCron(req, res);
+    if (!caller) return;
+
+    const result = await processDeposits();
+    return res.status(200).json({ ok: true, ...result });
+  } catch (e) {
+    console.error('process-deposits error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,21 @@
+// pages/api/realty/process-guest-messages.js
+import { processGuestMessages } from '@/lib/realty/guestMessages';
+import { requireCron } from '@/lib/adminAuth';
+
+// Cron-friendly (run hourly or at least every morning): sends pre-arrival,
+// door code, mid-stay, checkout and review emails that are due.
+// ?dry_run=1 lists what would be sent without sending anything. Needs
+// Bearer CRON_SECRET or an admin token.
+export default async function handler(req, res) {
+  try {
+    const caller = await requireCron(req, res);
+    if (!caller) return;
+
+    const dryRun = req.query.dry_run === '1' || req.query.dry_run === 'true';
+    const result = await processGuestMessages({ dryRun });
+    return res.status(200).json({ ok: true, dry_run: dryRun, ...result });
+  } catch (e) {
+    console.error('process-guest-messages error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,20 @@
+// pages/api/realty/process-lead-followups.js
+import { processLeadFollowUps } from '@/lib/realty/leads';
+import { requireCron } from '@/lib/adminAuth';
+
+// Cron-friendly (run daily, morning): email agents the open leads whose
+// follow-up date has arrived. ?dry_run=1 only counts them. Needs Bearer
+// CRON_SECRET or an admin token.
+export default async function handler(req, res) {
+  try {
+    const caller = await requireCron(req, res);
+    if (!caller) return;
+
+    const dryRun = req.query.dry_run === '1' || req.query.dry_run === 'true';
+    const result = await processLeadFollowUps({ dryRun });
+    return res.status(200).json({ ok: true, dry_run: dryRun, ...result });
+  } catch (e) {
+    console.error('process-lead-followups error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,20 @@
+// pages/api/realty/process-turnovers.js
+import { syncTurnoverTasks } from '@/lib/realty/turnovers';
+import { requireCron } from '@/lib/adminAuth';
+
+// Cron-friendly (run at least daily): create / refresh turnover tasks from
+// paid reservations and external blocks. Bookings, cancellations, changes
+// and iCal syncs also refresh their property right away. Needs Bearer
+// CRON_SECRET or an admin token.
+export default async function handler(req, res) {
+  try {
+    const caller = await requireCron(req, res);
+    if (!caller) return;
+
+    const result = await syncTurnoverTasks();
+    return res.status(200).json({ ok: true, ...result });
+  } catch (e) {
+    console.error('process-turnovers error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,135 @@
+// pages/api/realty/promo-codes.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { requireAdmin } from '@/lib/adminAuth';
+import { countPromoUses, normalizePromoCode } from '@/lib/realty/promoCodes';
+
+// property_id goes into a PostgREST .or() filter, so only accept a plain uuid
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Admin: promo codes for the property rates panel.
+ *
+ * GET ?property_id, POST, PATCH { id, active }, DELETE ?id
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET: codes for a property (plus site-wide codes) with usage ----
+    if (req.method === 'GET') {
+      const { property_id } = req.query;
+      if (!property_id)
+        return res.status(400).json({ error: 'property_id required' });
+      if (!UUID_RE.test(String(property_id)))
+        return res.status(400).json({ error: 'invalid property_id' });
+
+      const { data, error } = await supabaseAdmin
+        .from('realty_promo_codes')
+        .select('*')
+        .or(`property_id.eq.${property_id},property_id.is.null`)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      const items = [];
+      for (const row of data || []) {
+        items.push({ ...row, uses: await countPromoUses(row.id) });
+      }
+      return res.status(200).json({ ok: true, items });
+    }
+
+    // ---- POST: create ----
+    if (req.method === 'POST') {
+      const body =
+        typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+      const {
+        property_id,
+        code,
+        percent_off,
+        amount_off,
+        max_uses,
+        min_nights,
+        starts_on,
+        expires_on,
+        all_properties,
+        notes,
+      } = body || {};
+
+      const normalized = normalizePromoCode(code);
+      if (!normalized)
+        return res.status(400).json({ error: 'code required' });
+
+      const pct = percent_off ? Number(percent_off) : null;
+      const amt = amount_off ? Number(amount_off) : null;
+      if ((!pct && !amt) || (pct && amt))
+        return res
+          .status(400)
+          .json({ error: 'set either percent off or amount off' });
+      if (pct && (pct <= 0 || pct > 100))
+        return res.status(400).json({ error: 'percent off must be 1–100' });
+      if (amt && amt <= 0)
+        return res.status(400).json({ error: 'amount off must be positive' });
+      if (!all_properties && !property_id)
+        return res.status(400).json({ error: 'property_id required' });
+      if (!all_properties && !UUID_RE.test(String(property_id)))
+        return res.status(400).json({ error: 'invalid property_id' });
+
+      const { error } = await supabaseAdmin.from('realty_promo_codes').insert({
+        code: normalized,
+        property_id: all_properties ? null : property_id,
+        percent_off: pct,
+        amount_off: amt,
+        max_uses: max_uses ? Number(max_uses) : null,
+        min_nights: min_nights ? Number(min_nights) : null,
+        starts_on: starts_on || null,
+        expires_on: expires_on || null,
+        active: true,
+        notes: notes || '',
+      });
+
+      if (error) {
+        if (error.code === '23505')
+          return res.status(409).json({ error: 'That code already exists' });
+        throw error;
+      }
+      return res.status(200).json({ ok: true });
+    }
+
+    // ---- PATCH: enable / disable ----
+    if (req.method === 'PATCH') {
+      const body =
+        typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+      const { id, active } = body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const { error } = await supabaseAdmin
+        .from('realty_promo_codes')
+        .update({ active: !!active })
+        .eq('id', id);
+
+      if (error) throw error;
+      return res.status(200).json({ ok: true });
+    }
+
+    // ---- DELETE ----
+    if (req.method === 'DELETE') {
+      const { id } = req.query;
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const { error } = await supabaseAdmin
+        .from('realty_promo_codes')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'PATCH', 'DELETE']);
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  } catch (e) {
+    console.error('realty/promo-codes error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,63 @@
+// pages/api/realty/property-access.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { requireAdmin } from '@/lib/adminAuth';
+
+/**
+ * Admin: private arrival details (door code, Wi-Fi) used by the scheduled
+ * guest messages. Kept out of properties.metadata because that is public.
+ *
+ * GET ?property_id
+ * PUT { property_id, door_code, wifi_name, wifi_password }
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const { property_id } = req.query;
+      if (!property_id) return res.status(400).json({ error: 'property_id required' });
+
+      const { data, error } = await supabaseAdmin
+        .from('realty_property_access')
+        .select('property_id, door_code, wifi_name, wifi_password, updated_at')
+        .eq('property_id', property_id)
+        .maybeSingle();
+      if (error) throw error;
+
+      return res.status(200).json({ ok: true, item: data || null });
+    }
+
+    // ---- PUT ----
+    if (req.method === 'PUT') {
+      const { property_id, door_code, wifi_name, wifi_password } = req.body || {};
+      if (!property_id) return res.status(400).json({ error: 'property_id required' });
+
+      const clean = (v) => (v == null || String(v).trim() === '' ? null : String(v).trim());
+      const { data, error } = await supabaseAdmin
+        .from('realty_property_access')
+        .upsert(
+          {
+            property_id,
+            door_code: clean(door_code),
+            wifi_name: clean(wifi_name),
+            wifi_password: clean(wifi_password),
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: 'property_id' }
+        )
+        .select('property_id, door_code, wifi_name, wifi_password, updated_at')
+        .single();
+      if (error) throw error;
+
+      return res.status(200).json({ ok: true, item: data });
+    }
+
+    res.setHeader('Allow', ['GET', 'PUT']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('property-access error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,71 @@
+// pages/api/realty/property-owner.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { requireAdmin } from '@/lib/adminAuth';
+
+/**
+ * Admin: owner + management terms used by owner statements
+ * (lib/realty/ownerStatements.js). Server-only, like realty_property_access.
+ *
+ * GET ?property_id
+ * PUT { property_id, owner_name, owner_email, commission_rate, owner_keeps_cleaning }
+ *     commission_rate is a fraction (0.2 = 20%)
+ */
+const COLUMNS = 'property_id, owner_name, owner_email, commission_rate, owner_keeps_cleaning, updated_at';
+
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const { property_id } = req.query;
+      if (!property_id) return res.status(400).json({ error: 'property_id required' });
+
+      const { data, error } = await supabaseAdmin
+        .from('realty_property_owners')
+        .select(COLUMNS)
+        .eq('property_id', property_id)
+        .maybeSingle();
+      if (error) throw error;
+
+      return res.status(200).json({ ok: true, item: data || null });
+    }
+
+    // ---- PUT ----
+    if (req.method === 'PUT') {
+      const { property_id, owner_name, owner_email, commission_rate, owner_keeps_cleaning } = req.body || {};
+      if (!property_id) return res.status(400).json({ error: 'property_id required' });
+
+      const rate = Number(commission_rate || 0);
+      if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+        return res.status(400).json({ error: 'commission_rate must be between 0 and 1' });
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from('realty_property_owners')
+        .upsert(
+          {
+            property_id,
+            owner_name: owner_name ? String(owner_name).trim() : null,
+            owner_email: owner_email ? String(owner_email).trim() : null,
+            commission_rate: rate,
+            owner_keeps_cleaning: !!owner_keeps_cleaning,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: 'property_id' }
+        )
+        .select(COLUMNS)
+        .single();
+      if (error) throw error;
+
+      return res.status(200).json({ ok: true, item: data });
+    }
+
+    res.setHeader('Allow', ['GET', 'PUT']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('property-owner error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -1,5 +1,9 @@
 // pages/api/realty/quote.js
 import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { resolvePromoCode } from '@/lib/realty/promoCodes';
+import { computeTaxes, taxProfileFrom } from '@/lib/realty/taxes';
+import { formatMoney, normalizeCurrency } from '@/lib/currency';
+import { buyerCurrency, chargeAmounts, loadRates } from '@/lib/exchangeRates';
 
 // helper: iterate nights from checkin (inclusive) to checkout (exclusive)
 function* dateRangeUTC(startISO, endISO) {
@@ -16,15 +20,88 @@ const ymd = (d) =>
     d.getUTCDate()
   ).padStart(2, '0')}`;
 
+// helper: money rounding to cents
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+// helper: whole days from today (UTC) until checkin
+function leadDays(checkin, today) {
+  const start = new Date(checkin + 'T00:00:00Z').getTime();
+  const t = new Date(ymd(today) + 'T00:00:00Z').getTime();
+  return Math.round((start - t) / 86400000);
+}
+
+/**
+ * Pricing rules on top of nightly rates, all from metadata.pricing:
+ *
+ *   los_discounts:   [{ min_nights: 7, percent: 10 }, { min_nights: 28, percent: 20 }]
+ *                    best tier the stay qualifies for, % off the nightly subtotal
+ *   base_occupancy:  4      guests included in the nightly rate
+ *   extra_guest_fee: 25     per extra guest, per night
+ *   early_bird:      { days_before: 60, percent: 5 }   booked >= N days out
+ *   last_minute:     { days_before: 7, percent: 10 }   booked <= N days out
+ *                    (negative percent = surcharge)
+ *
+ * Promo codes (realty_promo_codes) are resolved by lib/realty/promoCodes.js
+ * and passed in as `promo`.
+ */
+export function pricingRulesFrom(pricing = {}) {
+  const tiers = Array.isArray(pricing.los_discounts) ? pricing.los_discounts : [];
+  const bookingWindow = (w) =>
+    w && Number(w.days_before) > 0 && Number(w.percent)
+      ? { days_before: Number(w.days_before), percent: Number(w.percent) }
+      : null;
+
+  return {
+    los_discounts: tiers
+      .map((t) => ({
+        min_nights: Number(t.min_nights),
+        percent: Number(t.percent),
+        label: t.label || '',
+      }))
+      .filter((t) => t.min_nights > 0 && t.percent > 0 && t.percent < 100)
+      .sort((a, b) => a.min_nights - b.min_nights),
+    base_occupancy: Number(pricing.base_occupancy || 0),
+    extra_guest_fee: Number(pricing.extra_guest_fee || 0),
+    early_bird: bookingWindow(pricing.early_bird),
+    last_minute: bookingWindow(pricing.last_minute),
+  };
+}
+
+function losLabel(tier) {
+  if (tier.label) return tier.label;
+  if (tier.min_nights >= 28) return `Monthly discount (${tier.percent}%)`;
+  if (tier.min_nights >= 7) return `Weekly discount (${tier.percent}%)`;
+  return `${tier.min_nights}+ night discount (${tier.percent}%)`;
+}
+
 /**
  * Build nightly pricing and enforce seasonal overrides.
  *
  * NEW: We now also calculate the min night requirement for the stay,
  * using the max() of any applicable min_nights for those dates.
  *
+ * Length-of-stay, extra-guest, early-bird / last-minute and promo adjustments
+ * are applied to the nightly subtotal (see pricingRulesFrom). Each one is a
+ * separate entry in summary.lines ({ key, label, amount }, discounts negative)
+ * so the UI, checkout and emails itemize the same numbers.
+ *
+ * Taxes come from the property's tax profile (lib/realty/taxes.js) and are
+ * itemized in summary.taxes.
+ *
+ * Amounts are in the property's currency (metadata.currency, default usd);
+ * quoteCharge converts the total for the guest.
+ *
  * Returns { ok, nights[], summary{...}, min_nights_required, meets_min_stay, currency }
  */
-export function calculateQuote({ propRow, rates, checkin, checkout }) {
+export function calculateQuote({
+  propRow,
+  rates,
+  checkin,
+  checkout,
+  guests = 1,
+  promo = null,
+  today = new Date(),
+}) {
   if (!propRow) {
     return { ok: false, error: 'missing property' };
   }
@@ -80,13 +157,91 @@ export function calculateQuote({ propRow, rates, checkin, checkout }) {
 
   // money math
   const subtotal = nights.reduce((acc, n) => acc + Number(n.nightly), 0);
-  const totalBeforeTax = subtotal + cleaningFee;
-  const taxAmt =
-    Math.round((totalBeforeTax * taxRate + Number.EPSILON) * 100) / 100;
-  const total = totalBeforeTax + taxAmt;
-
   const stayLength = nights.length;
 
+  const rules = pricingRulesFrom(pr);
+  const lines = [];
+
+  // weekly / monthly tiers: best one the stay qualifies for
+  const losTier = rules.los_discounts
+    .filter((t) => stayLength >= t.min_nights)
+    .pop();
+  const losDiscount = losTier ? round2((subtotal * losTier.percent) / 100) : 0;
+  if (losDiscount) {
+    lines.push({ key: 'los_discount', label: losLabel(losTier), amount: -losDiscount });
+  }
+
+  // booking window: early-bird wins if both windows are configured to overlap
+  const lead = leadDays(checkin, today);
+  let earlyBird = 0;
+  let lastMinute = 0;
+  if (rules.early_bird && lead >= rules.early_bird.days_before) {
+    earlyBird = round2((subtotal * rules.early_bird.percent) / 100);
+    lines.push({
+      key: 'early_bird',
+      label: `Early-bird discount (${rules.early_bird.percent}%)`,
+      amount: -earlyBird,
+    });
+  } else if (rules.last_minute && lead >= 0 && lead <= rules.last_minute.days_before) {
+    lastMinute = round2((subtotal * rules.last_minute.percent) / 100);
+    lines.push({
+      key: 'last_minute',
+      label:
+        rules.last_minute.percent > 0
+          ? `Last-minute discount (${rules.last_minute.percent}%)`
+          : `Last-minute surcharge (${Math.abs(rules.last_minute.percent)}%)`,
+      amount: -lastMinute,
+    });
+  }
+
+  // per-guest surcharge above base occupancy
+  const guestCount = Math.max(1, Math.floor(Number(guests) || 1));
+  const extraGuests =
+    rules.base_occupancy > 0 && rules.extra_guest_fee > 0
+      ? Math.max(0, guestCount - rules.base_occupancy)
+      : 0;
+  const extraGuestFee = round2(extraGuests * rules.extra_guest_fee * stayLength);
+  if (extraGuestFee) {
+    lines.push({
+      key: 'extra_guest_fee',
+      label: `Extra guests (${extraGuests} × ${formatMoney(rules.extra_guest_fee, normalizeCurrency(m.currency) || 'usd')}/night)`,
+      amount: extraGuestFee,
+    });
+  }
+
+  // rent after rules, never below zero
+  const rentBeforePromo = Math.max(
+    0,
+    round2(subtotal - losDiscount - earlyBird - lastMinute + extraGuestFee)
+  );
+
+  // promo code: percent off the rent or a fixed amount, capped at the rent
+  let promoDiscount = 0;
+  if (promo) {
+    promoDiscount = promo.percent_off
+      ? round2((rentBeforePromo * Number(promo.percent_off)) / 100)
+      : round2(Number(promo.amount_off || 0));
+    promoDiscount = Math.min(promoDiscount, rentBeforePromo);
+    if (promoDiscount) {
+      lines.push({
+        key: 'promo',
+        label: `Promo ${promo.code}`,
+        amount: -promoDiscount,
+      });
+    }
+  }
+
+  const rent = round2(rentBeforePromo - promoDiscount);
+  const totalBeforeTax = rent + cleaningFee;
+  const taxes = computeTaxes({
+    profile: taxProfileFrom(m),
+    rent,
+    cleaning: cleaningFee,
+    nights: stayLength,
+  });
+  const taxAmt = taxes.total;
+  const total = round2(totalBeforeTax + taxAmt);
+
   // ADDED:
   // If no seasonal override enforced anything, we still might want a global min
   // For example, you might set metadata.pricing.min_nights = 2 in property.metadata.pricing
@@ -102,28 +257,132 @@ export function calculateQuote({ propRow, rates, checkin, checkout }) {
 
   return {
     ok: true,
-    currency: 'usd',
+    currency: normalizeCurrency(m.currency) || 'usd',
     nights,
     summary: {
       nights: stayLength,
       base_subtotal: subtotal,
+      los_discount: losDiscount,
+      early_bird_discount: earlyBird,
+      last_minute_adjustment: lastMinute,
+      extra_guests: extraGuests,
+      extra_guest_fee: extraGuestFee,
+      promo_code: promoDiscount ? promo.code : null,
+      promo_discount: promoDiscount,
+      lines,
       cleaning_fee: cleaningFee,
-      tax_rate: taxRate,
+      tax_rate: taxRate, // legacy single rate; see taxes[] for the itemized lines
+      taxes: taxes.lines,
       tax_amount: taxAmt,
       total,
     },
     // ADDED:
     min_nights_required: requiredMinNights,
     meets_min_stay: meetsMinStay,
+    promo_code_id: promoDiscount ? promo.id : null,
   };
 }
 
+/**
+ * Itemized pricing columns stored on realty_reservations when a hold is
+ * placed, so receipts and reports show what was actually charged even if
+ * rates or the tax profile change later:
+ *  - tax_cents
+ *  - tax_breakdown   jsonb: summary.taxes
+ *  - price_breakdown jsonb: subtotal, adjustment lines, cleaning, taxes, total
+ */
+export function reservationPricingColumns(quote) {
+  const s = quote?.summary || {};
+  return {
+    tax_cents: Math.round(Number(s.tax_amount || 0) * 100),
+    tax_breakdown: s.taxes || [],
+    price_breakdown: {
+      currency: quote?.currency || 'usd',
+      nights: s.nights,
+      base_subtotal: s.base_subtotal,
+      lines: s.lines || [],
+      cleaning_fee: s.cleaning_fee,
+      taxes: s.taxes || [],
+      tax_amount: s.tax_amount,
+      total: s.total,
+    },
+  };
+}
+
+/**
+ * The quote total in the guest's currency (body currency > display_currency
+ * cookie > geo, see lib/exchangeRates.js):
+ *   { currency, amount, exchange_rate, base_currency, base_amount }
+ */
+export async function quoteCharge({ req, quote, currency }) {
+  const rates = await loadRates();
+  return chargeAmounts({
+    amount: quote.summary.total,
+    from: quote.currency,
+    to: buyerCurrency(req, currency, rates),
+    rates,
+  });
+}
+
+/**
+ * Charge columns stored on realty_reservations: amount_cents / currency are
+ * what Stripe charges (refunds work on these); exchange_rate is locked so
+ * booking changes are priced at the same rate.
+ */
+export function reservationChargeColumns(charge) {
+  return {
+    amount_cents: Math.round(charge.amount * 100),
+    currency: charge.currency,
+    base_currency: charge.base_currency,
+    base_amount_cents: Math.round(charge.base_amount * 100),
+    exchange_rate: charge.exchange_rate,
+  };
+}
+
+/**
+ * Booking rules that must pass before a Stripe session is created.
+ *
+ * - min stay: quote.meets_min_stay from calculateQuote
+ * - capacity: metadata.max_guests (falls back to metadata.sleeps)
+ *
+ * Returns null when OK, else { error, ...details } for a 400 response.
+ */
+export function checkBookingRules({ propRow, quote, guests }) {
+  if (!quote?.ok) {
+    return { error: quote?.error || 'quote failed' };
+  }
+
+  if (quote.meets_min_stay === false) {
+    return {
+      error: `This stay does not meet the ${quote.min_nights_required}-night minimum for those dates.`,
+      min_nights_required: quote.min_nights_required,
+    };
+  }
+
+  const guestCount = Number(guests);
+  if (!Number.isInteger(guestCount) || guestCount < 1) {
+    return { error: 'guests must be a whole number of at least 1' };
+  }
+
+  const m = propRow?.metadata || {};
+  const capacity = Number(m.max_guests ?? m.sleeps ?? 0);
+  if (capacity > 0 && guestCount > capacity) {
+    return {
+      error: `This property sleeps up to ${capacity} guest${capacity === 1 ? '' : 's'}.`,
+      max_guests: capacity,
+    };
+  }
+
+  return null;
+}
+
 export default async function handler(req, res) {
   try {
     if (req.method !== 'POST')
       return res.status(405).json({ error: 'Method not allowed' });
 
-    const { property_id, checkin, checkout } = req.body || {};
+    const { property_id, checkin, checkout, guests = 1, promo_code, currency } =
+      req.body || {};
 
     if (!property_id || !checkin || !checkout) {
       return res.status(400).json({
@@ -153,11 +412,18 @@ export default async function handler(req, res) {
     if (rateErr)
       return res.status(500).json({ error: rateErr.message });
 
+    // a bad promo code shouldn't hide the price; quote without it and say why
+    const promoRes = promo_code
+      ? await resolvePromoCode({ code: promo_code, propertyId: property_id, checkin, checkout })
+      : { promo: null };
+
     const quote = calculateQuote({
       propRow,
       rates: rateRows || [],
       checkin,
       checkout,
+      guests,
+      promo: promoRes.promo,
     });
 
     if (!quote.ok) {
@@ -166,7 +432,12 @@ export default async function handler(req, res) {
         .json({ error: quote.error || 'quote failed' });
     }
 
-    return res.status(200).json(quote);
+    // what the guest would be charged, in their currency
+    const charge = await quoteCharge({ req, quote, currency });
+
+    return res
+      .status(200)
+      .json(promoRes.error ? { ...quote, charge, promo_error: promoRes.error } : { ...quote, charge });
   } catch (e) {
     console.error('quote handler crash:', e);
     res
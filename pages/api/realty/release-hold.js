@@ -0,0 +1,49 @@
+// pages/api/realty/release-hold.js
+import Stripe from 'stripe';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { releaseHoldBySession } from '@/lib/realty/availability';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+
+/**
+ * Guest backed out of Stripe Checkout (cancel_url carries ?hold=<reservation id>).
+ * Frees the dates right away instead of waiting for the hold timer, and
+ * expires the Stripe session so it can't be paid later from browser history.
+ *
+ * Body: { session_id, reservation_id? }. The Stripe session id (returned by
+ * create-checkout / book, kept by the browser) is required: a reservation id
+ * alone would let anyone who knows it free someone else's dates.
+ * Only `pending` holds are affected; paid reservations are never touched.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { session_id, reservation_id } = req.body || {};
+  if (!session_id || typeof session_id !== 'string') return res.status(400).json({ error: 'session_id required' });
+
+  try {
+    let query = supabaseAdmin
+      .from('realty_reservations')
+      .select('id, status, stripe_session_id')
+      .eq('stripe_session_id', session_id);
+    if (reservation_id) query = query.eq('id', reservation_id);
+    const { data: resv, error } = await query.maybeSingle();
+
+    if (error) throw error;
+    if (!resv) return res.status(404).json({ error: 'Reservation not found' });
+    if (resv.status !== 'pending') return res.status(200).json({ ok: true, released: 0 });
+
+    try {
+      await stripe.checkout.sessions.expire(session_id);
+    } catch (e) {
+      // already expired / completed — the status check below still protects paid rows
+      console.warn('release-hold: session expire failed:', e.message);
+    }
+
+    const { released } = await releaseHoldBySession(session_id, 'cancelled');
+    return res.status(200).json({ ok: true, released });
+  } catch (e) {
+    console.error('release-hold error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -1,5 +1,6 @@
 // pages/api/realty/reservations-admin.js
 import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { guestMessageLog } from '@/lib/realty/guestMessages';
 
 /**
  * Admin-facing fetch of upcoming / recent reservations.
@@ -20,6 +21,12 @@ import { supabaseAdmin } from '@/lib/supabaseAdmin';
  *     amount_cents,
  *     currency,
  *     status,
+ *     hold_expires_at,
+ *     refund_cents,
+ *     cancelled_at,
+ *     deposit: { cents, status, authorized_at, release_after, released_at,
+ *                claim_cents, claim_notes, claimed_at, error } | null,
+ *     messages: [{ message_type, status, due_on, sent_at, error, attempts }],
  *     notes,
  *     created_at,
  *   },
@@ -54,7 +61,19 @@ export default async function handler(req, res) {
         amount_cents,
         currency,
         status,
+        hold_expires_at,
         stripe_session_id,
+        refund_cents,
+        cancelled_at,
+        deposit_cents,
+        deposit_status,
+        deposit_authorized_at,
+        deposit_release_after,
+        deposit_released_at,
+        deposit_claim_cents,
+        deposit_claim_notes,
+        deposit_claimed_at,
+        deposit_error,
         created_at
       `
       )
@@ -85,6 +104,9 @@ export default async function handler(req, res) {
       return res.status(500).json({ error: pErr.message });
     }
 
+    // scheduled guest message log (pre-arrival, door code, ...)
+    const messagesByResv = await guestMessageLog(reservations.map((r) => r.id));
+
     const propMap = {};
     (props || []).forEach((p) => {
       propMap[p.id] = {
@@ -112,6 +134,23 @@ export default async function handler(req, res) {
         amount_cents: r.amount_cents,
         currency: r.currency || 'usd',
         status: r.status,
+        hold_expires_at: r.hold_expires_at,
+        refund_cents: r.refund_cents,
+        cancelled_at: r.cancelled_at,
+        deposit: Number(r.deposit_cents)
+          ? {
+              cents: r.deposit_cents,
+              status: r.deposit_status || 'pending_payment',
+              authorized_at: r.deposit_authorized_at,
+              release_after: r.deposit_release_after,
+              released_at: r.deposit_released_at,
+              claim_cents: r.deposit_claim_cents,
+              claim_notes: r.deposit_claim_notes,
+              claimed_at: r.deposit_claimed_at,
+              error: r.deposit_error,
+            }
+          : null,
+        messages: messagesByResv[r.id] || [],
         created_at: r.created_at,
       };
     });
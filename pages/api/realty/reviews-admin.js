@@ -0,0 +1,75 @@
+// pages/api/realty/reviews-admin.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { requireAdmin } from '@/lib/adminAuth';
+
+/**
+ * Admin review moderation.
+ *
+ * GET   ?status=pending|published|rejected   -> reviews (+ property name)
+ * PATCH { id, status, admin_reply }          -> publish / reject / reply
+ */
+const STATUSES = ['pending', 'published', 'rejected'];
+
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const status = STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+      const { data, error } = await supabaseAdmin
+        .from('realty_reviews')
+        .select('*')
+        .eq('status', status)
+        .order('created_at', { ascending: status === 'pending' })
+        .limit(200);
+      if (error) throw error;
+
+      const propIds = Array.from(new Set((data || []).map((r) => r.property_id)));
+      const { data: props } = propIds.length
+        ? await supabaseAdmin.from('properties').select('id, name').in('id', propIds)
+        : { data: [] };
+      const names = Object.fromEntries((props || []).map((p) => [p.id, p.name]));
+
+      return res.status(200).json({
+        ok: true,
+        items: (data || []).map((r) => ({ ...r, property_name: names[r.property_id] || '(unnamed)' })),
+      });
+    }
+
+    // ---- PATCH ----
+    if (req.method === 'PATCH') {
+      const { id, status, admin_reply } = req.body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const nowISO = new Date().toISOString();
+      const fields = {};
+      if (status !== undefined) {
+        if (!STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+        fields.status = status;
+        fields.moderated_at = nowISO;
+      }
+      if (admin_reply !== undefined) {
+        const reply = String(admin_reply || '').trim();
+        fields.admin_reply = reply || null;
+        fields.replied_at = reply ? nowISO : null;
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from('realty_reviews')
+        .update(fields)
+        .eq('id', id)
+        .select('*')
+        .single();
+      if (error) throw error;
+      return res.status(200).json({ ok: true, item: data });
+    }
+
+    res.setHeader('Allow', ['GET', 'PATCH']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('reviews-admin error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
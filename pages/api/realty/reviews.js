@@ -0,0 +1,25 @@
+// pages/api/realty/reviews.js
+import { publishedReviews } from '@/lib/realty/reviews';
+
+/**
+ * Public: published reviews + aggregate scores for a property page.
+ *
+ * GET ?property_id -> { ok, summary: { count, overall, categories }, items }
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { property_id } = req.query;
+    if (!property_id) return res.status(400).json({ error: 'property_id required' });
+
+    const { summary, items } = await publishedReviews(property_id);
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+    return res.status(200).json({ ok: true, summary, items });
+  } catch (e) {
+    console.error('reviews error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,26 @@
+// pages/api/realty/search.js
+import { parseSearchQuery, searchProperties } from '@/lib/realty/search';
+
+/**
+ * Public property search (lib/realty/search.js).
+ *
+ * GET ?checkin&checkout&guests&amenities=Hot tub,Wifi&min_price&max_price
+ *   -> { ok, results: [{ ...property, coords, quote? }], amenities }
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { filters, error } = parseSearchQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const { results, amenities } = await searchProperties(filters);
+    res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=120');
+    return res.status(200).json({ ok: true, results, amenities });
+  } catch (e) {
+    console.error('realty search error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
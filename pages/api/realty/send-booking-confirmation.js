@@ -12,6 +12,7 @@ export default async function handler(req, res) {
   if (!resv) return res.status(404).json({ error: 'Reservation not found' });
 
   const { data: prop } = await supabaseAdmin.from('properties').select('name').eq('id', resv.property_id).maybeSingle();
+  const charged = resv.amount_cents != null ? { amount: resv.amount_cents / 100, currency: resv.currency || 'usd' } : null;
 
   try {
     await sendItineraryEmail({
@@ -22,6 +23,7 @@ export default async function handler(req, res) {
       checkout: resv.checkout,
       guests: resv.guests,
       replyTo: 'realty@manyagi.net',
+      charged,
     });
 
     await sendBookingReceipt({
@@ -32,6 +34,8 @@ export default async function handler(req, res) {
       checkout: resv.checkout,
       guests: resv.guests,
       replyTo: 'realty@manyagi.net',
+      breakdown: resv.price_breakdown,
+      charged,
     });
 
     return res.status(200).json({ ok: true });
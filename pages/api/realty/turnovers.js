@@ -0,0 +1,70 @@
+// pages/api/realty/turnovers.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { requireAdmin } from '@/lib/adminAuth';
+import {
+  listTurnoverTasks,
+  notifyAssignment,
+  syncTurnoverTasks,
+  updateTurnoverTask,
+} from '@/lib/realty/turnovers';
+
+/**
+ * Admin turnover board (lib/realty/turnovers.js).
+ *
+ * GET   ?from&to                 -> tasks in range (by checkout date)
+ * POST  { property_id? }         -> regenerate tasks from paid reservations
+ * PATCH { id, assignee_id, status, checklist, notes, photo_url, remove_photo }
+ *       assigning a cleaner emails them the task link
+ */
+export default async function handler(req, res) {
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    // ---- GET ----
+    if (req.method === 'GET') {
+      const { from, to } = req.query;
+      const items = await listTurnoverTasks({ from, to });
+      return res.status(200).json({ ok: true, items });
+    }
+
+    // ---- POST ----
+    if (req.method === 'POST') {
+      const { property_id } = req.body || {};
+      const result = await syncTurnoverTasks({ propertyId: property_id || null });
+      return res.status(200).json({ ok: true, ...result });
+    }
+
+    // ---- PATCH ----
+    if (req.method === 'PATCH') {
+      const { id, ...patch } = req.body || {};
+      if (!id) return res.status(400).json({ error: 'id required' });
+
+      const result = await updateTurnoverTask(id, patch, { by: 'admin' });
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+
+      const { task, previous } = result;
+      if (task.assignee_id && task.assignee_id !== previous.assignee_id) {
+        const { data: cleaner } = await supabaseAdmin
+          .from('realty_cleaners')
+          .select('*')
+          .eq('id', task.assignee_id)
+          .maybeSingle();
+        const [decorated] = await listTurnoverTasks({ ids: [task.id] });
+        try {
+          await notifyAssignment(decorated || task, cleaner);
+        } catch (e) {
+          console.warn('[turnovers] assignment email failed:', e.message);
+        }
+      }
+
+      return res.status(200).json({ ok: true, item: task });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST', 'PATCH']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    console.error('turnovers error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,20 @@
+// pages/api/refresh-exchange-rates.js
+import { refreshExchangeRates } from '@/lib/exchangeRates';
+import { requireCron } from '@/lib/adminAuth';
+
+// Cron-friendly (run daily): pulls provider rates into exchange_rates.
+// Manual admin rates are left alone. ?dry_run=1 shows what would change.
+// Needs Bearer CRON_SECRET or an admin token.
+export default async function handler(req, res) {
+  try {
+    const caller = await requireCron(req, res);
+    if (!caller) return;
+
+    const dryRun = req.query.dry_run === '1' || req.query.dry_run === 'true';
+    const result = await refreshExchangeRates({ dryRun });
+    return res.status(200).json({ ok: true, dry_run: dryRun, ...result });
+  } catch (e) {
+    console.error('refresh-exchange-rates error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
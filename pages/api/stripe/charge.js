@@ -1,5 +1,7 @@
 import Stripe from 'stripe';
 import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { BASE_CURRENCY, exchangeRate, productPrice } from '@/lib/currency';
+import { buyerCurrency, loadRates } from '@/lib/exchangeRates';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
 
@@ -9,28 +11,56 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { items, telegramId, priceId, email, address } = req.body;
+  const { items, telegramId, priceId, email, address, currency } = req.body;
 
   try {
     if (!items && !priceId) {
       return res.status(400).json({ error: 'Missing items or priceId' });
     }
 
+    // charge in the buyer's currency
+    const rates = await loadRates();
+    const chargeCurrency = buyerCurrency(req, currency, rates);
+    const toCharged = exchangeRate(BASE_CURRENCY, chargeCurrency, rates) || 1;
+
+    // never trust client prices / names: re-price every item from products
+    let priced = [];
+    if (items) {
+      if (!Array.isArray(items) || !items.length) return res.status(400).json({ error: 'Missing items' });
+      const ids = Array.from(new Set(items.map(item => String(item.id || ''))));
+      const { data: products, error: pErr } = await supabaseAdmin
+        .from('products')
+        .select('id, name, price, division, status, metadata')
+        .in('id', ids);
+      if (pErr) throw pErr;
+      const byId = Object.fromEntries((products || []).map(p => [String(p.id), p]));
+
+      for (const item of items) {
+        const product = byId[String(item.id)];
+        if (!product || product.status !== 'active') {
+          return res.status(400).json({ error: 'A product in your order is no longer available' });
+        }
+        const unit = productPrice(product, chargeCurrency, rates);
+        if (!unit) return res.status(400).json({ error: `No exchange rate for ${product.name}` });
+        priced.push({ item, product, unit: unit.amount, quantity: Math.max(1, parseInt(item.quantity, 10) || 1) });
+      }
+    }
+
     const lineItems = items
-      ? items.map(item => ({
+      ? priced.map(({ item, product, unit, quantity }) => ({
           price_data: {
-            currency: 'usd',
+            currency: chargeCurrency,
             product_data: { 
-              name: item.name, 
+              name: product.name, 
               metadata: { 
-                division: item.division || 'general',
+                division: product.division || 'general',
                 type: item.productType || 'general',
-                product_id: item.id 
+                product_id: String(product.id)
               } 
             },
-            unit_amount: Math.round(item.price * 100),
+            unit_amount: Math.round(unit * 100),
           },
-          quantity: item.quantity || 1,
+          quantity,
         }))
       : [{ price: priceId, quantity: 1 }];
 
@@ -73,18 +103,26 @@ export default async function handler(req, res) {
       const prices = await Promise.all(pricePromises);
       totalAmount = lineItems.reduce((acc, li, index) => acc + (li.quantity * prices[index]), 0);
     } else {
-      totalAmount = items.reduce((acc, item) => acc + (item.price * (item.quantity || 1)), 0);
+      // BASE_CURRENCY, from the server-side prices above
+      totalAmount = Math.round(priced.reduce((acc, p) => acc + (p.unit / toCharged) * p.quantity, 0) * 100) / 100;
     }
 
     // Save to Supabase
     const { error: saveError } = await supabaseAdmin.from('orders').insert({
       stripe_session_id: checkoutSession.id,
       total_amount: totalAmount,
+      base_currency: BASE_CURRENCY,
+      currency: mode === 'subscription' ? BASE_CURRENCY : chargeCurrency,
+      charged_amount:
+        mode === 'subscription'
+          ? totalAmount
+          : Math.round(priced.reduce((acc, p) => acc + p.unit * p.quantity, 0) * 100) / 100,
+      exchange_rate: mode === 'subscription' ? 1 : toCharged,
       status: 'pending',
-      items: items || [],
+      items: priced.map(({ product, unit, quantity }) => ({ id: product.id, name: product.name, price: unit, quantity })),
       shipping_address: address ? { ...address } : null,
       user_id: null,
-      division: items?.[0]?.division || 'general',
+      division: priced[0]?.product.division || 'general',
       type: mode === 'subscription' ? 'signals' : items?.[0]?.productType || 'general',
       created_at: new Date().toISOString(),
     }).select().single();
@@ -1,4 +1,59 @@
 import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { STAFF_EVENT_TYPES, listOrderEvents } from '@/lib/orderEvents';
+import { variantLabel } from '@/lib/shipping';
+
+const LABELS = {
+  placed: 'Order placed',
+  paid: 'Payment received',
+  submitted: 'In production',
+  shipped: 'Shipped',
+  failed: 'Fulfilment problem',
+  canceled: 'Cancelled',
+  returned: 'Returned to sender',
+  refunded: 'Refunded',
+  disputed: 'Payment disputed',
+  expired: 'Checkout expired',
+};
+
+// physical orders walk these; digital ones stop at "paid"
+const MERCH_STEPS = ['placed', 'paid', 'submitted', 'shipped'];
+const PAID = ['paid', 'fulfilled', 'shipped', 'delivered', 'refunded', 'disputed'];
+
+/**
+ * Timeline from order_events (lib/orderEvents.js) plus the order columns
+ * for orders that predate the log. Steps not reached yet come last with
+ * done: false.
+ */
+function buildTimeline(order, events, physical) {
+  const seen = new Set();
+  const out = [];
+  const push = (type, at, message) => {
+    seen.add(type);
+    out.push({ type, label: LABELS[type] || type, at: at || null, message: message || '', done: true });
+  };
+
+  push('placed', order.created_at);
+  if (PAID.includes(String(order.status || '').toLowerCase())) push('paid', null);
+
+  if (order.fulfillment_id && !events.some((e) => e.type === 'submitted')) push('submitted', null);
+
+  events.forEach((e) => {
+    if (e.type === 'placed' || (e.type === 'paid' && seen.has('paid'))) return;
+    if (STAFF_EVENT_TYPES.includes(e.type)) return;
+    push(e.type, e.created_at, e.message);
+  });
+
+  if (order.shipped_at && !seen.has('shipped')) push('shipped', order.shipped_at);
+
+  const stopped =
+    ['canceled', 'returned'].includes(order.fulfillment_status) || ['refunded', 'expired'].includes(order.status);
+  if (physical && !stopped) {
+    MERCH_STEPS.filter((s) => !seen.has(s)).forEach((s) =>
+      out.push({ type: s, label: LABELS[s], at: null, message: '', done: false })
+    );
+  }
+  return out;
+}
 
 export default async function handler(req, res) {
   const { order_id } = req.query;
@@ -16,12 +71,40 @@ export default async function handler(req, res) {
       
     if (error || !order) throw new Error('Order not found');
 
+    // a merch cart is one row per line under the same checkout session
+    let rows = [order];
+    if (order.stripe_session_id) {
+      const { data: siblings } = await supabaseAdmin
+        .from('orders')
+        .select('*')
+        .eq('stripe_session_id', order.stripe_session_id)
+        .order('created_at', { ascending: true });
+      if (siblings?.length) rows = siblings;
+    }
+
+    const events = await listOrderEvents([order.id]);
+    const physical = rows.some((r) => r.fulfillment_provider === 'printful' || r.printful_sync_variant_id);
+
+    const items = Array.isArray(order.items)
+      ? order.items
+      : rows.map((r) => ({
+          name: r.product_snapshot?.name || 'Item',
+          variant: variantLabel(r.product_snapshot?.variant) || null,
+          quantity: r.quantity || 1,
+        }));
+
     res.status(200).json({
       status: order.status,
-      estimated_delivery: order.updated_at,
+      fulfillment_status: order.fulfillment_status || null,
       division: order.division,
-      total: order.total_amount,
-      items: order.items
+      total: rows.reduce((sum, r) => sum + Number(r.charged_amount ?? r.total_amount ?? 0), 0),
+      currency: order.currency || 'usd',
+      items,
+      carrier: order.carrier || null,
+      tracking_number: order.tracking_number || null,
+      tracking_url: order.tracking_url || null,
+      shipped_at: order.shipped_at || null,
+      timeline: buildTimeline(order, events, physical),
     });
   } catch (error) {
     console.error('Supabase track error:', error);
@@ -0,0 +1,24 @@
+// pages/api/waitlist.js
+import { joinWaitlist } from '@/lib/inventory';
+
+/**
+ * Public: back-in-stock signup for a sold-out item (lib/inventory.js).
+ *
+ * POST { product_id, variant_id?, variant_label?, email } -> { ok }
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { product_id, variant_id = '', variant_label = '', email } = req.body || {};
+    const r = await joinWaitlist({ productId: product_id, variantId: variant_id, variantLabel: variant_label, email });
+    if (r.error) return res.status(400).json({ error: r.error });
+    return res.status(200).json({ ok: true });
+  } catch (e) {
+    console.error('waitlist error:', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -12,10 +12,10 @@ function formatDate(d) {
   }
 }
 
-function formatCurrency(n) {
+function formatCurrency(n, currency = 'usd') {
   if (typeof n !== 'number') return n ?? '—';
   try {
-    return new Intl.NumberFormat(undefined, { style: 'currency', currency: 'USD' }).format(n);
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency.toUpperCase() }).format(n);
   } catch {
     return `$${n.toFixed(2)}`;
   }
@@ -28,6 +28,7 @@ export default function Dashboard() {
   const [orders, setOrders] = useState([]);
   const [subscriptions, setSubscriptions] = useState([]);
   const [affiliate, setAffiliate] = useState(null);
+  const [downloads, setDownloads] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -72,8 +73,18 @@ export default function Dashboard() {
           return;
         }
 
+        // paid ebooks / design files (lib/digital.js), served by the API
+        const {
+          data: { session },
+        } = await supabase.auth.getSession();
+        const libraryRequest = fetch('/api/downloads/library', {
+          headers: { Authorization: `Bearer ${session?.access_token || ''}` },
+        })
+          .then((r) => (r.ok ? r.json() : { items: [] }))
+          .catch(() => ({ items: [] }));
+
         // Parallel fetches
-        const [o, s, a] = await Promise.all([
+        const [o, s, a, lib] = await Promise.all([
           supabase
             .from('orders')
             .select('*')
@@ -85,6 +96,7 @@ export default function Dashboard() {
             .eq('user_id', authUser.id)
             .order('created_at', { ascending: false }),
           supabase.from('affiliates').select('*').eq('user_id', authUser.id).maybeSingle(),
+          libraryRequest,
         ]);
 
         if (!isMounted) return;
@@ -96,6 +108,7 @@ export default function Dashboard() {
         setOrders(o.data || []);
         setSubscriptions(s.data || []);
         setAffiliate(a.data || null);
+        setDownloads(lib.items || []);
         setLoading(false);
       } catch {
         if (!isMounted) return;
@@ -142,7 +155,12 @@ export default function Dashboard() {
                     <tr key={order.id}>
                       <td className="border p-2">{order.id}</td>
                       <td className="border p-2">{formatDate(order.created_at)}</td>
-                      <td className="border p-2">{formatCurrency(order.total_amount)}</td>
+                      <td className="border p-2">
+                        {/* what the buyer paid, in their currency (older orders: base only) */}
+                        {order.charged_amount != null
+                          ? formatCurrency(Number(order.charged_amount), order.currency || 'usd')
+                          : formatCurrency(order.total_amount)}
+                      </td>
                       <td className="border p-2 capitalize">{order.status}</td>
                     </tr>
                   ))}
@@ -152,6 +170,43 @@ export default function Dashboard() {
           )}
         </section>
 
+        {/* Downloads */}
+        <section>
+          <h2 className="text-xl font-bold mb-2">Your Downloads</h2>
+          {downloads.length === 0 ? (
+            <p>No downloads yet.</p>
+          ) : (
+            <ul className="space-y-3">
+              {downloads.map((d) => (
+                <li key={d.id} className="rounded border p-3">
+                  <div className="font-semibold">{d.name}</div>
+                  <div className="text-sm opacity-70 mb-2">
+                    Bought {formatDate(d.created_at)} · {d.downloads_left} of {d.max_downloads} downloads left
+                    {d.expires_at ? ` · ${d.expired ? 'expired' : 'available until'} ${formatDate(d.expires_at)}` : ''}
+                  </div>
+                  {d.expired || d.downloads_left === 0 ? (
+                    <p className="text-sm">
+                      This download is no longer available. Contact{' '}
+                      <a href="mailto:support@manyagi.net" className="underline">
+                        support@manyagi.net
+                      </a>{' '}
+                      if you need it again.
+                    </p>
+                  ) : (
+                    <div className="flex flex-wrap gap-2">
+                      {d.links.map((l) => (
+                        <a key={l.url} href={l.url} className="px-3 py-1 rounded bg-blue-600 text-white text-sm">
+                          Download{d.links.length > 1 ? ` ${l.file}` : ''}
+                        </a>
+                      ))}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
         {/* Subscriptions */}
         <section>
           <h2 className="text-xl font-bold mb-2">Your Subscriptions</h2>
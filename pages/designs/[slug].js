@@ -4,10 +4,12 @@ import { useRouter } from 'next/router';
 import { useEffect, useMemo, useState } from 'react';
 import { useDispatch } from 'react-redux';
 import { addToCart } from '../../lib/cartSlice';
+import BackInStockForm from '../../components/BackInStockForm';
 import SubscriptionForm from '../../components/SubscriptionForm';
 import Recommender from '../../components/Recommender';
 import SectionIntro from '../../components/SectionIntro';
 import { supabase } from '@/lib/supabase';
+import { findVariant, variantLabel, variantOptions } from '@/lib/shipping';
 
 const PLACEHOLDER_IMAGE =
   'https://dlbbjeohndiwtofitwec.supabase.co/storage/v1/object/public/assets/images/og-home.webp';
@@ -383,6 +385,12 @@ export default function DesignProduct() {
   const [relatedProducts, setRelatedProducts] = useState([]);
   const [loading, setLoading] = useState(true);
 
+  // Printful size / colour options (/api/designs/variants)
+  const [variants, setVariants] = useState([]);
+  const [size, setSize] = useState('');
+  const [color, setColor] = useState('');
+  const [variantError, setVariantError] = useState('');
+
   useEffect(() => {
     if (!slug) return;
 
@@ -462,6 +470,39 @@ export default function DesignProduct() {
     })();
   }, [slug]);
 
+  useEffect(() => {
+    setVariants([]);
+    setSize('');
+    setColor('');
+    setVariantError('');
+    if (!product?.id || product.id === 'fallback-tee') return;
+
+    let alive = true;
+    fetch(`/api/designs/variants?product_id=${encodeURIComponent(product.id)}`)
+      .then((r) => (r.ok ? r.json() : null))
+      .then((data) => {
+        if (!alive || !data?.ok) return;
+        const list = (data.items || []).filter((v) => v.available !== false);
+        setVariants(list);
+        const { sizes, colors } = variantOptions(list);
+        if (sizes.length === 1) setSize(sizes[0]);
+        if (colors.length === 1) setColor(colors[0]);
+      })
+      .catch(() => {});
+    return () => {
+      alive = false;
+    };
+  }, [product?.id]);
+
+  const { sizes, colors } = useMemo(() => variantOptions(variants), [variants]);
+  const selectedVariant = useMemo(
+    () => (variants.length === 1 ? variants[0] : findVariant(variants, { size, color })),
+    [variants, size, color]
+  );
+  const displayPrice = Number(selectedVariant?.price ?? product?.price ?? 0);
+  // limited runs (lib/inventory.js); null = unlimited
+  const variantStock = selectedVariant?.stock || null;
+
   const mediaSource = linkedMedia || product;
 
   const meta = useMemo(() => safeMeta(mediaSource?.metadata), [mediaSource?.metadata]);
@@ -504,12 +545,28 @@ export default function DesignProduct() {
 
   const handleAddToCart = () => {
     if (!product) return;
+    if (variants.length > 1 && !selectedVariant) {
+      setVariantError('Please choose a size / colour.');
+      return;
+    }
+    if (variantStock?.sold_out) return;
+    setVariantError('');
     dispatch(
       addToCart({
         ...product,
         productType: 'merch',
         printful_product_id: product.printful_product_id,
         metadata: product.metadata || {},
+        price: displayPrice,
+        thumbnail_url: selectedVariant?.image || product.thumbnail_url,
+        variant: selectedVariant
+          ? {
+              sync_variant_id: selectedVariant.sync_variant_id,
+              size: selectedVariant.size || null,
+              color: selectedVariant.color || null,
+              name: selectedVariant.name || '',
+            }
+          : null,
       })
     );
   };
@@ -592,14 +649,70 @@ export default function DesignProduct() {
                     {platform && <Chip tone="blue">{platform}</Chip>}
                   </div>
 
+                  {variants.length > 1 && (
+                    <div className="mt-6 flex gap-3 flex-wrap">
+                      {sizes.length > 0 && (
+                        <select
+                          value={size}
+                          onChange={(e) => setSize(e.target.value)}
+                          className="px-3 py-2 rounded-xl border bg-white dark:bg-gray-900"
+                        >
+                          <option value="">Size</option>
+                          {sizes.map((s) => (
+                            <option key={s} value={s}>
+                              {s}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      {colors.length > 0 && (
+                        <select
+                          value={color}
+                          onChange={(e) => setColor(e.target.value)}
+                          className="px-3 py-2 rounded-xl border bg-white dark:bg-gray-900"
+                        >
+                          <option value="">Colour</option>
+                          {colors.map((c) => (
+                            <option key={c} value={c}>
+                              {c}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      {size && color && !selectedVariant && (
+                        <span className="text-xs opacity-70 self-center">Not available in that combination.</span>
+                      )}
+                    </div>
+                  )}
+
                   <div className="mt-7 flex gap-3 flex-wrap">
-                    <button
-                      onClick={handleAddToCart}
-                      className="px-5 py-2 rounded-xl bg-black text-white dark:bg-white dark:text-black"
-                    >
-                      Add to Cart - ${product.price?.toFixed(2)}
-                    </button>
+                    {variantStock?.sold_out ? (
+                      <button disabled className="px-5 py-2 rounded-xl bg-gray-300 text-gray-600 cursor-not-allowed">
+                        Sold out
+                        {variants.length > 1 ? ` (${variantLabel(selectedVariant)})` : ''}
+                      </button>
+                    ) : (
+                      <button
+                        onClick={handleAddToCart}
+                        className="px-5 py-2 rounded-xl bg-black text-white dark:bg-white dark:text-black"
+                      >
+                        Add to Cart - ${displayPrice.toFixed(2)}
+                        {selectedVariant && variants.length > 1 ? ` (${variantLabel(selectedVariant)})` : ''}
+                      </button>
+                    )}
                   </div>
+                  {variantStock?.low_stock && (
+                    <div className="text-sm text-amber-700 mt-2">Only {variantStock.available} left</div>
+                  )}
+                  {variantStock?.sold_out && (
+                    <BackInStockForm
+                      productId={product.id}
+                      variantId={selectedVariant.sync_variant_id}
+                      variantLabel={variantLabel(selectedVariant)}
+                      className="mt-3 !justify-start"
+                    />
+                  )}
+                  {variantError && <div className="text-sm text-red-600 mt-2">{variantError}</div>}
 
                   <div className="text-xs opacity-60 mt-4">
                     Designed for the Manyagi Universe: high-quality merch ready for you.
@@ -1,10 +1,16 @@
 import Head from 'next/head';
 import { useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
 import { supabase } from '@/lib/supabase';
+import { addToCart } from '@/lib/cartSlice';
+import { isPrintfulProduct } from '@/lib/shipping';
 
 export default function Products() {
+  const dispatch = useDispatch();
   const [products, setProducts] = useState([]);
+  const [bundles, setBundles] = useState([]);
   const [division, setDivision] = useState('all');
+  const [error, setError] = useState('');
 
   useEffect(() => {
     (async () => {
@@ -15,17 +21,55 @@ export default function Products() {
     })();
   }, [division]);
 
+  // bundles + whether any of their products ships (the cart asks for an address)
+  useEffect(() => {
+    (async () => {
+      const { data } = await supabase.from('bundles').select('*').eq('status', 'active');
+      const list = data || [];
+      const ids = Array.from(new Set(list.flatMap((b) => b.product_ids || [])));
+      const { data: parts } = ids.length
+        ? await supabase.from('products').select('id, printful_product_id, metadata').in('id', ids)
+        : { data: [] };
+      const physical = new Set((parts || []).filter(isPrintfulProduct).map((p) => String(p.id)));
+      setBundles(
+        list.map((b) => ({ ...b, needs_shipping: (b.product_ids || []).some((id) => physical.has(String(id))) }))
+      );
+    })();
+  }, []);
+
   const handleBuy = async (productId) => {
+    setError('');
     const { data: session } = await supabase.auth.getSession();
-    const response = await fetch('/api/stripe/charge', {
+    const token = session?.session?.access_token;
+    const response = await fetch('/api/checkout/create-session', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ productId, userId: session?.session?.user?.id })
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify({ product_id: productId, user_id: session?.session?.user?.id || null })
     });
-    const { url } = await response.json();
+    const { url, error: err } = await response.json();
+    if (!url) {
+      setError(err || 'Checkout could not start.');
+      return;
+    }
     window.location.href = url; // Redirect to Stripe checkout
   };
 
+  const addBundle = (b) => {
+    dispatch(
+      addToCart({
+        id: `bundle:${b.id}`,
+        bundle_id: b.id,
+        name: b.name,
+        price: Number(b.price || 0),
+        division: 'bundles',
+        needs_shipping: b.needs_shipping,
+      })
+    );
+  };
+
   return (
     <>
       <Head>
@@ -33,6 +77,24 @@ export default function Products() {
       </Head>
       <div className="container mx-auto px-4 py-8">
         <h1 className="text-4xl font-bold mb-4">Products</h1>
+        {error && <p className="text-red-600 mb-4">{error}</p>}
+        {bundles.length > 0 && (
+          <div className="mb-8">
+            <h2 className="text-2xl font-semibold mb-3">Bundles</h2>
+            <ul className="grid grid-cols-1 md:grid-cols-3 gap-5">
+              {bundles.map((b) => (
+                <li key={b.id} className="border p-4 rounded">
+                  <h3 className="text-xl">{b.name} - ${Number(b.price || 0).toFixed(2)}</h3>
+                  {b.description && <p className="text-sm opacity-80 mt-1">{b.description}</p>}
+                  <p className="text-xs opacity-60 mt-1">{(b.product_ids || []).length} products</p>
+                  <button onClick={() => addBundle(b)} className="mt-2 p-2 bg-black text-white rounded">
+                    Add Bundle to Cart
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
         <select onChange={(e) => setDivision(e.target.value)} className="p-2 border rounded mb-4">
           <option value="all">All Divisions</option>
           <option value="publishing">Publishing</option>
@@ -58,4 +120,4 @@ export default function Products() {
       </div>
     </>
   );
-}
\ No newline at end of file
+}
@@ -429,8 +429,13 @@ export default function Publishing() {
                         </a>
                       )}
 
+                      {/* limited editions (lib/inventory.js) */}
+                      {!buyUrl && product.sold_out && (
+                        <span className="btn py-2 px-4 rounded bg-gray-300 text-gray-600">Sold out</span>
+                      )}
+
                       {/* Stripe buy for digital (only when no external buyUrl) */}
-                      {!buyUrl && stripePriceId && (
+                      {!buyUrl && stripePriceId && !product.sold_out && (
                         <button
                           type="button"
                           disabled={isCheckingOut}
@@ -477,8 +482,12 @@ export default function Publishing() {
                       </div>
                     )}
 
+                    {!buyUrl && product.low_stock && (
+                      <div className="text-xs text-amber-700 mt-2 text-center">Only {product.stock?.available} left</div>
+                    )}
+
                     {/* Fallback cart only when no buyUrl AND no Stripe price */}
-                    {!buyUrl && !stripePriceId && (
+                    {!buyUrl && !stripePriceId && !product.sold_out && (
                       <div className="mt-4 flex justify-center">
                         <button
                           type="button"
@@ -7,6 +7,7 @@ import Card from '../components/Card';
 import SubscriptionForm from '../components/SubscriptionForm';
 import Recommender from '../components/Recommender';
 import RealtyLeadForm from '../components/RealtyLeadForm';
+import PropertyMap from '../components/PropertyMap';
 
 // pick best image to show on the card
 const pickCardImage = (p) =>
@@ -14,30 +15,107 @@ const pickCardImage = (p) =>
   (p.metadata && p.metadata.cover_url) ||
   '/placeholder.png';
 
+const EMPTY_FILTERS = {
+  checkin: '',
+  checkout: '',
+  guests: '',
+  min_price: '',
+  max_price: '',
+  amenities: [],
+};
+
+// filters -> /api/realty/search query string (blank fields left out)
+function searchQuery(f) {
+  const params = new URLSearchParams();
+  ['checkin', 'checkout', 'guests', 'min_price', 'max_price'].forEach((k) => {
+    if (f[k]) params.set(k, f[k]);
+  });
+  if (f.amenities.length) params.set('amenities', f.amenities.join(','));
+  return params.toString();
+}
+
 export default function RealtyList() {
   const [properties, setProperties] = useState([]);
   const [loading, setLoading] = useState(true);
 
-  // load all properties in division=realty
+  // search filters + result view
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [amenityOptions, setAmenityOptions] = useState([]);
+  const [searchError, setSearchError] = useState('');
+  const [view, setView] = useState('list'); // 'list' | 'map'
+  const [hoverId, setHoverId] = useState(null);
+
+  // load properties in division=realty matching the applied filters
   useEffect(() => {
     (async () => {
+      setLoading(true);
+      setSearchError('');
       try {
-        const res = await fetch('/api/realty/property?all=1');
+        const res = await fetch(`/api/realty/search?${searchQuery(applied)}`);
         const json = await res.json();
-        // json.properties should be [{id,name,slug,description,nightly_price,image_url,metadata,...}]
-        const list = (json.properties || []).map((p) => ({
+        if (!res.ok || json.error) throw new Error(json.error || 'Search failed');
+        // json.results: [{id,name,slug,description,nightly_price,image_url,metadata,coords,quote?}]
+        const list = (json.results || []).map((p) => ({
           ...p,
           display_image: pickCardImage(p),
         }));
         setProperties(list);
+        setAmenityOptions(json.amenities || []);
       } catch (err) {
         console.error('Realty list fetch error:', err);
+        setSearchError(err.message);
         setProperties([]);
       } finally {
         setLoading(false);
       }
     })();
-  }, []);
+  }, [applied]);
+
+  const datesSet = !!(applied.checkin && applied.checkout);
+
+  const toggleAmenity = (am) =>
+    setFilters((f) => ({
+      ...f,
+      amenities: f.amenities.includes(am) ? f.amenities.filter((a) => a !== am) : [...f.amenities, am],
+    }));
+
+  const runSearch = (e) => {
+    e.preventDefault();
+    if ((filters.checkin && !filters.checkout) || (!filters.checkin && filters.checkout)) {
+      setSearchError('Pick both check-in and check-out, or neither.');
+      return;
+    }
+    setApplied(filters);
+  };
+
+  const resetSearch = () => {
+    setFilters(EMPTY_FILTERS);
+    setApplied(EMPTY_FILTERS);
+  };
+
+  // keep the searched dates when opening a property
+  const detailHref = (prop) => {
+    const params = new URLSearchParams();
+    if (datesSet) {
+      params.set('checkin', applied.checkin);
+      params.set('checkout', applied.checkout);
+    }
+    if (applied.guests) params.set('guests', applied.guests);
+    const qs = params.toString();
+    return `/realty/${prop.slug}${qs ? `?${qs}` : ''}`;
+  };
+
+  const mapPins = properties
+    .filter((p) => p.coords && p.slug)
+    .map((p) => ({
+      id: p.id,
+      lat: p.coords.lat,
+      lng: p.coords.lng,
+      label: p.name,
+      href: detailHref(p),
+      price: p.quote ? `$${Math.round(p.quote.total)}` : p.nightly_price ? `$${p.nightly_price}` : '',
+    }));
 
   const carouselImages = [
     'https://dlbbjeohndiwtofitwec.supabase.co/storage/v1/object/public/assets/images/rental-bigbear.webp',
@@ -135,6 +213,127 @@ export default function RealtyList() {
           </p>
         </header>
 
+        {/* SEARCH FILTERS */}
+        <form
+          onSubmit={runSearch}
+          className="mb-8 rounded-2xl border border-gray-200/80 bg-white/80 dark:bg-gray-900/80 dark:border-gray-700 p-4 space-y-3"
+        >
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-sm">
+            <label className="block">
+              <span className="block text-xs font-semibold mb-1">Check-in</span>
+              <input
+                type="date"
+                className="border rounded px-2 py-1 w-full dark:bg-gray-800 dark:border-gray-600"
+                value={filters.checkin}
+                onChange={(e) => setFilters({ ...filters, checkin: e.target.value })}
+              />
+            </label>
+            <label className="block">
+              <span className="block text-xs font-semibold mb-1">Check-out</span>
+              <input
+                type="date"
+                className="border rounded px-2 py-1 w-full dark:bg-gray-800 dark:border-gray-600"
+                value={filters.checkout}
+                onChange={(e) => setFilters({ ...filters, checkout: e.target.value })}
+              />
+            </label>
+            <label className="block">
+              <span className="block text-xs font-semibold mb-1">Guests</span>
+              <input
+                type="number"
+                min="1"
+                className="border rounded px-2 py-1 w-full dark:bg-gray-800 dark:border-gray-600"
+                value={filters.guests}
+                onChange={(e) => setFilters({ ...filters, guests: e.target.value })}
+              />
+            </label>
+            <label className="block">
+              <span className="block text-xs font-semibold mb-1">Min $/night</span>
+              <input
+                type="number"
+                min="0"
+                className="border rounded px-2 py-1 w-full dark:bg-gray-800 dark:border-gray-600"
+                value={filters.min_price}
+                onChange={(e) => setFilters({ ...filters, min_price: e.target.value })}
+              />
+            </label>
+            <label className="block">
+              <span className="block text-xs font-semibold mb-1">Max $/night</span>
+              <input
+                type="number"
+                min="0"
+                className="border rounded px-2 py-1 w-full dark:bg-gray-800 dark:border-gray-600"
+                value={filters.max_price}
+                onChange={(e) => setFilters({ ...filters, max_price: e.target.value })}
+              />
+            </label>
+            <div className="flex items-end gap-2">
+              <button
+                type="submit"
+                className="flex-1 bg-blue-600 text-white rounded px-3 py-1.5 font-semibold hover:bg-blue-700"
+              >
+                Search
+              </button>
+              <button type="button" onClick={resetSearch} className="text-xs underline opacity-70">
+                Reset
+              </button>
+            </div>
+          </div>
+
+          {amenityOptions.length > 0 && (
+            <div className="flex flex-wrap gap-2 text-xs">
+              {amenityOptions.map((am) => (
+                <label
+                  key={am}
+                  className={`px-2 py-1 rounded border cursor-pointer ${
+                    filters.amenities.includes(am)
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'bg-gray-100 dark:bg-gray-800 border-gray-300 dark:border-gray-700'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    className="hidden"
+                    checked={filters.amenities.includes(am)}
+                    onChange={() => toggleAmenity(am)}
+                  />
+                  {am}
+                </label>
+              ))}
+            </div>
+          )}
+
+          {searchError && <p className="text-sm text-red-600">{searchError}</p>}
+        </form>
+
+        <div className="flex items-center justify-between mb-4 text-sm">
+          <span className="opacity-70">
+            {loading
+              ? 'Searching…'
+              : `${properties.length} ${properties.length === 1 ? 'property' : 'properties'}${
+                  datesSet ? ` available ${applied.checkin} → ${applied.checkout}` : ''
+                }`}
+          </span>
+          <div className="inline-flex rounded border border-gray-300 dark:border-gray-700 overflow-hidden">
+            {['list', 'map'].map((v) => (
+              <button
+                key={v}
+                type="button"
+                onClick={() => setView(v)}
+                className={`px-3 py-1 capitalize ${view === v ? 'bg-gray-900 text-white dark:bg-white dark:text-gray-900' : ''}`}
+              >
+                {v}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {view === 'map' && (
+          <div className="mb-8">
+            <PropertyMap pins={mapPins} activeId={hoverId} />
+          </div>
+        )}
+
         <div className="grid grid-cols-1 md:grid-cols-3 gap-5">
           {loading ? (
             <div className="col-span-full text-center text-lg">
@@ -142,50 +341,62 @@ export default function RealtyList() {
             </div>
           ) : properties.length === 0 ? (
             <div className="col-span-full text-center text-lg">
-              No properties available yet. Check back soon!
+              {applied === EMPTY_FILTERS
+                ? 'No properties available yet. Check back soon!'
+                : 'No properties match your search. Try other dates or fewer filters.'}
             </div>
           ) : (
             properties.map((prop) => (
-              <Card
+              <div
                 key={prop.id}
-                title={
-                  <div className="space-y-2">
-                    <div className="text-lg font-semibold leading-snug">
-                      {prop.name}
-                    </div>
-                    {prop.nightly_price ? (
-                      <div className="inline-block bg-yellow-100 text-yellow-800 text-[11px] font-semibold px-2 py-1 rounded">
-                        From ${prop.nightly_price}/night
+                onMouseEnter={() => setHoverId(prop.id)}
+                onMouseLeave={() => setHoverId(null)}
+              >
+                <Card
+                  title={
+                    <div className="space-y-2">
+                      <div className="text-lg font-semibold leading-snug">
+                        {prop.name}
                       </div>
-                    ) : null}
+                      {prop.quote ? (
+                        <div className="inline-block bg-green-100 text-green-800 text-[11px] font-semibold px-2 py-1 rounded">
+                          ${Number(prop.quote.total).toFixed(2)} total · {prop.quote.nights} night
+                          {prop.quote.nights === 1 ? '' : 's'}
+                        </div>
+                      ) : prop.nightly_price ? (
+                        <div className="inline-block bg-yellow-100 text-yellow-800 text-[11px] font-semibold px-2 py-1 rounded">
+                          From ${prop.nightly_price}/night
+                        </div>
+                      ) : null}
+                    </div>
+                  }
+                  description={
+                    prop.description || 'Premium rental property experience.'
+                  }
+                  image={prop.display_image}
+                  category="realty"
+                >
+                  <div className="mt-4 flex items-center justify-between gap-2">
+                    {prop.slug ? (
+                      <Link
+                        href={detailHref(prop)}
+                        className="btn bg-yellow-500 text-black py-2 px-4 rounded hover:bg-yellow-400 transition text-sm font-semibold"
+                      >
+                        View Details &amp; Book
+                      </Link>
+                    ) : (
+                      <span className="text-xs opacity-70">
+                        (no slug set yet, cannot view details)
+                      </span>
+                    )}
+                    {prop.metadata?.location && (
+                      <span className="text-[11px] opacity-70">
+                        {prop.metadata.location}
+                      </span>
+                    )}
                   </div>
-                }
-                description={
-                  prop.description || 'Premium rental property experience.'
-                }
-                image={prop.display_image}
-                category="realty"
-              >
-                <div className="mt-4 flex items-center justify-between gap-2">
-                  {prop.slug ? (
-                    <Link
-                      href={`/realty/${prop.slug}`}
-                      className="btn bg-yellow-500 text-black py-2 px-4 rounded hover:bg-yellow-400 transition text-sm font-semibold"
-                    >
-                      View Details &amp; Book
-                    </Link>
-                  ) : (
-                    <span className="text-xs opacity-70">
-                      (no slug set yet, cannot view details)
-                    </span>
-                  )}
-                  {prop.metadata?.location && (
-                    <span className="text-[11px] opacity-70">
-                      {prop.metadata.location}
-                    </span>
-                  )}
-                </div>
-              </Card>
+                </Card>
+              </div>
             ))
           )}
         </div>
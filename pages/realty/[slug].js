@@ -1,11 +1,17 @@
 // pages/realty/[slug].js
-import Head from 'next/head';
 import { useRouter } from 'next/router';
 import { useEffect, useState, useMemo } from 'react';
 import { Calendar, dateFnsLocalizer } from 'react-big-calendar';
 import { format, parse, startOfWeek, getDay } from 'date-fns';
 import enUS from 'date-fns/locale/en-US';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
+import { taxLineLabel } from '@/lib/realty/taxes';
+import { policyFor } from '@/lib/realty/cancellationPolicies';
+import { RATING_CATEGORIES, MAX_RATING } from '@/lib/realty/reviewScores';
+import SEO from '@/components/SEO';
+import { rememberViewedProperty } from '@/components/RealtyLeadForm';
+import { formatMoney } from '@/lib/currency';
+import { useCurrency } from '@/lib/useCurrency';
 
 // react-big-calendar localizer
 const localizer = dateFnsLocalizer({
@@ -46,15 +52,68 @@ function buildCalendarEvents(blocks) {
 }
 
 // small helper for quote breakdown rows
-function MoneyRow({ label, value }) {
+function MoneyRow({ label, value, currency }) {
   return (
     <div className="flex justify-between text-sm">
       <span>{label}</span>
-      <span>${Number(value || 0).toFixed(2)}</span>
+      <span>
+        {Number(value || 0) < 0 ? '-' : ''}
+        {formatMoney(Math.abs(Number(value || 0)), currency)}
+      </span>
     </div>
   );
 }
 
+// schema.org listing markup; AggregateRating only once there are published reviews
+function lodgingJsonLd(property, image, reviews) {
+  const site = process.env.NEXT_PUBLIC_SITE_URL || 'https://manyagi.net';
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'LodgingBusiness',
+    name: property.name,
+    description: property.description || undefined,
+    image: image?.startsWith('http') ? image : `${site}${image}`,
+    url: `${site}/realty/${property.slug}`,
+  };
+  if (typeof property.metadata?.location === 'string' && property.metadata.location.trim()) {
+    data.address = property.metadata.location.trim();
+  }
+
+  const summary = reviews?.summary;
+  if (summary?.count > 0) {
+    data.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: summary.overall,
+      reviewCount: summary.count,
+      bestRating: MAX_RATING,
+      worstRating: 1,
+    };
+    data.review = (reviews.items || []).slice(0, 5).map((r) => ({
+      '@type': 'Review',
+      author: { '@type': 'Person', name: r.guest_name },
+      datePublished: String(r.created_at || '').slice(0, 10),
+      reviewBody: r.comment || undefined,
+      reviewRating: {
+        '@type': 'Rating',
+        ratingValue: r.rating_overall,
+        bestRating: MAX_RATING,
+        worstRating: 1,
+      },
+    }));
+  }
+  return data;
+}
+
+function Stars({ value }) {
+  const full = Math.round(Number(value || 0));
+  return (
+    <span className="text-yellow-500" aria-label={`${value} out of ${MAX_RATING}`}>
+      {'★'.repeat(full)}
+      <span className="text-gray-300 dark:text-gray-600">{'★'.repeat(MAX_RATING - full)}</span>
+    </span>
+  );
+}
+
 export default function PropertyDetail() {
   const router = useRouter();
   const { slug } = router.query;
@@ -65,10 +124,14 @@ export default function PropertyDetail() {
   // unavailable ranges (paid reservations + synced external blocks)
   const [blocks, setBlocks] = useState([]);
 
+  // published guest reviews + aggregate scores
+  const [reviews, setReviews] = useState(null);
+
   // booking form state
   const [checkin, setCheckin] = useState('');
   const [checkout, setCheckout] = useState('');
   const [guests, setGuests] = useState(1);
+  const [promoCode, setPromoCode] = useState('');
 
   // guest info (for checkout)
   const [guestName, setGuestName] = useState('');
@@ -79,6 +142,9 @@ export default function PropertyDetail() {
   // quote result from server (pricing summary, nights, tax, etc.)
   const [quote, setQuote] = useState(null);
 
+  // display currency: the quote's `charge` and the Stripe session use it
+  const { currency: displayCurrency } = useCurrency();
+
   // ui state flags
   const [loading, setLoading] = useState(true);
   const [busy, setBusy] = useState(false);
@@ -101,6 +167,7 @@ export default function PropertyDetail() {
 
         const propRow = propJson.property;
         setProperty(propRow);
+        rememberViewedProperty(propRow.id);
 
         // 2. merged calendar blocks (paid reservations + external blocks)
         const blkRes = await fetch(
@@ -110,6 +177,14 @@ export default function PropertyDetail() {
         );
         const blkJson = await blkRes.json();
         setBlocks(blkJson.blocks || []);
+
+        // 3. published reviews (non-fatal)
+        fetch(`/api/realty/reviews?property_id=${encodeURIComponent(propRow.id)}`)
+          .then((r) => r.json())
+          .then((j) => {
+            if (j.ok) setReviews(j);
+          })
+          .catch((err) => console.error('reviews load err:', err));
       } catch (err) {
         console.error('property load err:', err);
         setProperty(null);
@@ -120,6 +195,30 @@ export default function PropertyDetail() {
     })();
   }, [slug]);
 
+  // --- PREFILL FROM /realty SEARCH (?checkin&checkout&guests) ---
+  useEffect(() => {
+    const q = router.query;
+    if (typeof q.checkin === 'string') setCheckin(q.checkin);
+    if (typeof q.checkout === 'string') setCheckout(q.checkout);
+    if (typeof q.guests === 'string' && Number(q.guests) > 0) setGuests(Number(q.guests));
+  }, [router.query.checkin, router.query.checkout, router.query.guests]);
+
+  // --- RELEASE HOLD WHEN GUEST CANCELS OUT OF STRIPE ---
+  // create-checkout sends them back here with ?cancelled=true&hold=<reservation id>;
+  // the session id saved before the redirect proves it's their checkout
+  useEffect(() => {
+    const { cancelled, hold } = router.query;
+    if (!cancelled || !hold) return;
+    const sessionId = window.sessionStorage.getItem('realty_checkout_session');
+    if (!sessionId) return;
+    window.sessionStorage.removeItem('realty_checkout_session');
+    fetch('/api/realty/release-hold', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reservation_id: hold, session_id: sessionId }),
+    }).catch((err) => console.error('release-hold err:', err));
+  }, [router.query]);
+
   // events for react-big-calendar
   const calendarEvents = useMemo(
     () => buildCalendarEvents(blocks),
@@ -143,6 +242,9 @@ export default function PropertyDetail() {
           property_id: property.id,
           checkin,
           checkout,
+          guests,
+          promo_code: promoCode || undefined,
+          currency: displayCurrency,
         }),
       });
 
@@ -199,10 +301,13 @@ export default function PropertyDetail() {
           checkin,
           checkout,
           guests,
+          // only send a code the quote actually accepted
+          promo_code: quote.summary.promo_code || undefined,
           guest_name: guestName,
           guest_email: guestEmail,
           guest_phone: guestPhone,
           notes,
+          currency: displayCurrency,
         }),
       });
 
@@ -216,6 +321,7 @@ export default function PropertyDetail() {
       }
 
       if (data.url) {
+        if (data.session_id) window.sessionStorage.setItem('realty_checkout_session', data.session_id);
         window.location.href = data.url;
       } else {
         alert(data.error || 'Checkout failed');
@@ -296,19 +402,33 @@ export default function PropertyDetail() {
     ? property.metadata.amenities
     : [];
 
+  // Reviews
+  const reviewSummary = reviews?.summary;
+  const reviewItems = reviews?.items || [];
+
   return (
     <>
-      <Head>
-        <title>{property.name} — Manyagi Realty</title>
-        <meta
-          name="description"
-          content={property.description || ''}
-        />
-      </Head>
+      <SEO
+        title={property.name}
+        description={property.description || ''}
+        image={coverImg}
+        jsonLd={lodgingJsonLd(property, coverImg, reviews)}
+      />
 
       <section className="container mx-auto px-4 pb-32 pt-16 md:pb-16 max-w-5xl">
         {/* Title */}
-        <h1 className="text-4xl font-bold mb-6">{property.name}</h1>
+        <h1 className="text-4xl font-bold mb-2">{property.name}</h1>
+        {reviewSummary?.count > 0 ? (
+          <a href="#reviews" className="inline-flex items-center gap-2 text-sm mb-6">
+            <Stars value={reviewSummary.overall} />
+            <span>
+              {reviewSummary.overall} ({reviewSummary.count} review
+              {reviewSummary.count === 1 ? '' : 's'})
+            </span>
+          </a>
+        ) : (
+          <div className="mb-4" />
+        )}
 
         {/* HERO IMAGE + THUMBS */}
         <div className="mb-8">
@@ -432,6 +552,68 @@ export default function PropertyDetail() {
           </div>
         )}
 
+        {/* GUEST REVIEWS */}
+        {reviewSummary?.count > 0 && (
+          <div className="mt-8 mb-12" id="reviews">
+            <h2 className="text-2xl font-bold mb-2">
+              Guest Reviews
+            </h2>
+            <div className="flex items-center gap-2 mb-4">
+              <Stars value={reviewSummary.overall} />
+              <span className="font-semibold">{reviewSummary.overall}</span>
+              <span className="text-sm opacity-70">
+                · {reviewSummary.count} review
+                {reviewSummary.count === 1 ? '' : 's'}
+              </span>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-2 mb-6 text-sm">
+              {RATING_CATEGORIES.map(({ key, label }) => (
+                <div key={key} className="flex items-center gap-3">
+                  <span className="w-24">{label}</span>
+                  <div className="flex-1 h-1.5 bg-gray-200 dark:bg-gray-700 rounded">
+                    <div
+                      className="h-1.5 bg-yellow-500 rounded"
+                      style={{
+                        width: `${((reviewSummary.categories?.[key] || 0) / MAX_RATING) * 100}%`,
+                      }}
+                    />
+                  </div>
+                  <span className="w-8 text-right">
+                    {reviewSummary.categories?.[key] ?? '—'}
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            <ul className="space-y-4">
+              {reviewItems.map((r) => (
+                <li
+                  key={r.id}
+                  className="border-b border-gray-200 dark:border-gray-700 pb-4"
+                >
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="font-semibold">{r.guest_name}</span>
+                    <span className="opacity-70">{r.stay_month}</span>
+                  </div>
+                  <Stars value={r.rating_overall} />
+                  {r.comment && (
+                    <p className="mt-1 whitespace-pre-line text-gray-800 dark:text-gray-200">
+                      {r.comment}
+                    </p>
+                  )}
+                  {r.admin_reply && (
+                    <div className="mt-2 ml-4 pl-3 border-l-2 border-gray-300 dark:border-gray-600 text-sm">
+                      <div className="font-semibold">Response from host</div>
+                      <p className="whitespace-pre-line opacity-80">{r.admin_reply}</p>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* AVAILABILITY CALENDAR */}
         <div className="mt-12 mb-12">
           <h2 className="text-2xl font-bold mb-2">Availability</h2>
@@ -467,8 +649,13 @@ export default function PropertyDetail() {
             Book Your Stay
           </h2>
 
+          <p className="text-xs opacity-80 mb-4">
+            <strong>{policyFor(property).label} cancellation:</strong>{' '}
+            {policyFor(property).summary}
+          </p>
+
           {/* inputs for checkin / checkout / guests / Get Quote */}
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
             <div>
               <label className="block text-sm font-semibold">
                 Check-in
@@ -506,6 +693,18 @@ export default function PropertyDetail() {
               />
             </div>
 
+            <div>
+              <label className="block text-sm font-semibold">
+                Promo code
+              </label>
+              <input
+                className="border rounded px-2 py-1 w-full dark:bg-gray-800 dark:border-gray-600 uppercase"
+                placeholder="Optional"
+                value={promoCode}
+                onChange={(e) => setPromoCode(e.target.value)}
+              />
+            </div>
+
             <div className="flex items-end">
               <button
                 onClick={getQuote}
@@ -534,33 +733,58 @@ export default function PropertyDetail() {
               )}
 
               <MoneyRow
+                currency={quote.currency}
                 label="Nightly subtotal"
                 value={quote.summary.base_subtotal}
               />
+              {/* length-of-stay, extra guests, booking window, promo */}
+              {(quote.summary.lines || []).map((line) => (
+                <MoneyRow
+                  currency={quote.currency}
+                  key={line.key}
+                  label={line.label}
+                  value={line.amount}
+                />
+              ))}
               {Number(quote.summary.cleaning_fee || 0) > 0 && (
                 <MoneyRow
+                  currency={quote.currency}
                   label="Cleaning fee"
                   value={quote.summary.cleaning_fee}
                 />
               )}
-              {Number(quote.summary.tax_amount || 0) > 0 && (
+              {/* itemized lodging taxes from the property's tax profile */}
+              {(quote.summary.taxes || []).map((t) => (
                 <MoneyRow
-                  label={`Tax (${(
-                    Number(quote.summary.tax_rate || 0) * 100
-                  ).toFixed(1)}%)`}
-                  value={quote.summary.tax_amount}
+                  currency={quote.currency}
+                  key={t.code}
+                  label={taxLineLabel(t, quote.currency)}
+                  value={t.amount}
                 />
-              )}
+              ))}
 
               <div className="border-t my-2 dark:border-gray-600" />
 
               <div className="flex justify-between text-base font-semibold">
                 <span>Total</span>
                 <span>
-                  ${Number(quote.summary.total || 0).toFixed(2)}
+                  {formatMoney(quote.summary.total, quote.currency)}
                 </span>
               </div>
 
+              {quote.charge && quote.charge.currency !== quote.currency && (
+                <div className="flex justify-between text-xs opacity-80 mt-1">
+                  <span>You&apos;ll be charged</span>
+                  <span>{formatMoney(quote.charge.amount, quote.charge.currency)}</span>
+                </div>
+              )}
+
+              {quote.promo_error && (
+                <div className="mt-2 text-red-700 bg-red-100 border border-red-300 text-xs rounded p-2 dark:bg-red-900 dark:text-red-100 dark:border-red-700">
+                  {quote.promo_error}
+                </div>
+              )}
+
               {/* CHANGED: smarter warning */}
               {minStayWarning && (
                 <div className="mt-2 text-yellow-700 bg-yellow-100 border border-yellow-300 text-xs rounded p-2 dark:bg-yellow-800 dark:text-yellow-100 dark:border-yellow-600">
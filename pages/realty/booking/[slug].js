@@ -17,7 +17,7 @@ export default function BookingForm() {
       const res = await fetch('/api/realty/quote', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ property_id: slug, checkin: form.checkin, checkout: form.checkout }),
+        body: JSON.stringify({ property_id: slug, checkin: form.checkin, checkout: form.checkout, guests: form.guests }),
       });
       const json = await res.json();
       if (!json.ok) throw new Error(json.error);
@@ -40,7 +40,7 @@ export default function BookingForm() {
           checkin: form.checkin,
           checkout: form.checkout,
           guests: form.guests,
-          quote_total_cents: quote?.summary?.total * 100,
+          quote_total_cents: Math.round(Number(quote?.summary?.total || 0) * 100),
           guestName: form.guestName,
           guestEmail: form.guestEmail,
           guestPhone: form.guestPhone,
@@ -48,6 +48,8 @@ export default function BookingForm() {
         }),
       });
       const json = await res.json();
+      // server re-priced the stay and it no longer matches what we showed
+      if (json.stale_quote && json.quote) setQuote(json.quote);
       if (!json.ok) throw new Error(json.error);
       window.location.href = json.url; // Redirect to Stripe
     } catch (e) {
@@ -0,0 +1,117 @@
+// pages/realty/cancel.js
+// Guest self-service cancellation, reached from the signed link in the
+// booking confirmation email (/realty/cancel?token=...).
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+
+const money = (cents, currency = 'usd') =>
+  `${String(currency).toUpperCase()} $${(Number(cents || 0) / 100).toFixed(2)}`;
+
+export default function CancelStay() {
+  const router = useRouter();
+  const { token } = router.query;
+
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [done, setDone] = useState(null);
+
+  useEffect(() => {
+    if (!token) return;
+    (async () => {
+      try {
+        const res = await fetch(`/api/realty/guest-cancel?token=${encodeURIComponent(token)}`);
+        const json = await res.json();
+        if (!res.ok || json.error) setError(json.error || 'This link is not valid.');
+        else setData(json);
+      } catch (err) {
+        setError('Could not load your reservation.');
+      }
+    })();
+  }, [token]);
+
+  const confirmCancel = async () => {
+    if (!confirm('Cancel this reservation? This cannot be undone.')) return;
+    setBusy(true);
+    try {
+      const res = await fetch('/api/realty/guest-cancel', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+      });
+      const json = await res.json();
+      if (!res.ok || json.error) throw new Error(json.error || 'Cancellation failed');
+      setDone(json);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const r = data?.reservation;
+  const refund = data?.refund;
+
+  return (
+    <>
+      <Head>
+        <title>Cancel Reservation — Manyagi Realty</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <section className="container mx-auto px-4 py-16 max-w-2xl">
+        <h1 className="text-3xl font-bold mb-4">Cancel Your Reservation</h1>
+
+        {error && <p className="text-red-600 mb-4">{error}</p>}
+        {!error && !data && <p className="opacity-70">Loading…</p>}
+
+        {r && (
+          <div className="border rounded p-4 space-y-2 bg-white dark:bg-gray-900 dark:border-gray-700">
+            <p><strong>Property:</strong> {r.property_name}</p>
+            <p><strong>Check-in:</strong> {r.checkin}</p>
+            <p><strong>Check-out:</strong> {r.checkout}</p>
+            <p><strong>Guests:</strong> {r.guests}</p>
+
+            {done ? (
+              <p className="text-green-700 font-semibold">
+                Your reservation has been cancelled.
+                {done.refund?.refund_cents > 0
+                  ? ` A refund of ${money(done.refund.refund_cents, r.currency)} is on its way.`
+                  : ''}
+              </p>
+            ) : r.status !== 'paid' ? (
+              <p className="opacity-80">
+                This reservation is {r.status}
+                {r.status === 'cancelled' && r.refund_cents > 0
+                  ? ` (refunded ${money(r.refund_cents, r.currency)})`
+                  : ''}
+                .
+              </p>
+            ) : (
+              refund && (
+                <>
+                  <div className="border-t pt-3 mt-3 text-sm dark:border-gray-700">
+                    <p>
+                      <strong>{refund.policy.label} policy:</strong> {refund.policy.summary}
+                    </p>
+                    <p className="mt-2">
+                      Paid: {money(refund.paid_cents, r.currency)} · Refund if you cancel today:{' '}
+                      <strong>{money(refund.refund_cents, r.currency)}</strong>
+                    </p>
+                  </div>
+                  <button
+                    onClick={confirmCancel}
+                    disabled={busy}
+                    className="mt-3 px-4 py-3 bg-red-600 text-white rounded hover:opacity-90 disabled:opacity-50"
+                  >
+                    {busy ? 'Cancelling…' : 'Cancel Reservation'}
+                  </button>
+                </>
+              )
+            )}
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
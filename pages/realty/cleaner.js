@@ -0,0 +1,110 @@
+// pages/realty/cleaner.js
+// Cleaner task page, reached from the private link an admin shares
+// (/realty/cleaner?token=...). Lists the cleaner's turnovers with their
+// checklists; photos go through /api/admin/upload-asset with the same token.
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+import TurnoverTaskCard, { readFileBase64 } from '@/components/TurnoverTaskCard';
+
+export default function CleanerTasks() {
+  const router = useRouter();
+  const { token } = router.query;
+
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = async () => {
+    try {
+      const res = await fetch(`/api/realty/cleaner-tasks?token=${encodeURIComponent(token)}`);
+      const json = await res.json();
+      if (!res.ok || json.error) setError(json.error || 'This link is not valid.');
+      else setData(json);
+    } catch (err) {
+      setError('Could not load your tasks.');
+    }
+  };
+
+  useEffect(() => {
+    if (token) load();
+  }, [token]);
+
+  const patch = async (id, fields) => {
+    const res = await fetch('/api/realty/cleaner-tasks', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token, id, ...fields }),
+    });
+    const json = await res.json();
+    if (!res.ok || json.error) throw new Error(json.error || 'Save failed');
+    setData((d) => ({ ...d, items: d.items.map((t) => (t.id === id ? { ...t, ...json.item } : t)) }));
+  };
+
+  const upload = async (file, task) => {
+    const res = await fetch('/api/admin/upload-asset', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        cleaner_token: token,
+        file: { data: await readFileBase64(file), name: file.name },
+        file_type: 'image',
+        division: 'realty',
+        purpose: 'turnover',
+        metadata: { turnover_task_id: task.id, property_id: task.property_id },
+      }),
+    });
+    const json = await res.json();
+    if (!res.ok || !json.file_url) throw new Error(json.error || 'Upload failed');
+    return json.file_url;
+  };
+
+  const today = new Date().toISOString().slice(0, 10);
+  const items = data?.items || [];
+  const upcoming = items.filter((t) => t.status !== 'done' && t.checkout_on >= today);
+  const past = items.filter((t) => !upcoming.includes(t));
+
+  return (
+    <>
+      <Head>
+        <title>Turnovers — Manyagi Realty</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <section className="container mx-auto px-4 py-12 max-w-3xl">
+        <h1 className="text-3xl font-bold mb-1">Your Turnovers</h1>
+        {data?.cleaner?.name && <p className="opacity-70 mb-6">Hi {data.cleaner.name}</p>}
+
+        {error && <p className="text-red-600 mb-4">{error}</p>}
+        {!error && !data && <p className="opacity-70">Loading…</p>}
+
+        {data && (
+          <div className="space-y-4">
+            {upcoming.length === 0 && <p className="opacity-70">No upcoming turnovers assigned to you.</p>}
+            {upcoming.map((t) => (
+              <TurnoverTaskCard
+                key={t.id}
+                task={t}
+                statuses={['in_progress', 'done']}
+                onPatch={(fields) => patch(t.id, fields)}
+                onUpload={(file) => upload(file, t)}
+              />
+            ))}
+
+            {past.length > 0 && (
+              <>
+                <h2 className="text-xl font-semibold pt-4">Recent</h2>
+                {past.map((t) => (
+                  <TurnoverTaskCard
+                    key={t.id}
+                    task={t}
+                    onPatch={(fields) => patch(t.id, fields)}
+                    onUpload={(file) => upload(file, t)}
+                  />
+                ))}
+              </>
+            )}
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,146 @@
+// pages/realty/review.js
+// Guest review form, reached from the signed link in the post-stay email
+// (/realty/review?token=...). Reviews are published after moderation.
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+import { RATING_CATEGORIES, MAX_RATING } from '@/lib/realty/reviewScores';
+
+function StarInput({ value, onChange, label }) {
+  return (
+    <div className="flex items-center justify-between gap-4">
+      <span>{label}</span>
+      <div className="flex gap-1" role="radiogroup" aria-label={label}>
+        {Array.from({ length: MAX_RATING }, (_, i) => i + 1).map((n) => (
+          <button
+            key={n}
+            type="button"
+            role="radio"
+            aria-checked={value === n}
+            aria-label={`${n} star${n === 1 ? '' : 's'}`}
+            onClick={() => onChange(n)}
+            className={`text-2xl leading-none ${n <= value ? 'text-yellow-500' : 'text-gray-300 dark:text-gray-600'}`}
+          >
+            ★
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function ReviewStay() {
+  const router = useRouter();
+  const { token } = router.query;
+
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [ratings, setRatings] = useState({});
+  const [comment, setComment] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [done, setDone] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+    (async () => {
+      try {
+        const res = await fetch(`/api/realty/guest-review?token=${encodeURIComponent(token)}`);
+        const json = await res.json();
+        if (!res.ok || json.error) setError(json.error || 'This link is not valid.');
+        else setData(json);
+      } catch (err) {
+        setError('Could not load your stay.');
+      }
+    })();
+  }, [token]);
+
+  const complete = RATING_CATEGORIES.every(({ key }) => ratings[key]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!complete) return;
+    setBusy(true);
+    try {
+      const res = await fetch('/api/realty/guest-review', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, ratings, comment }),
+      });
+      const json = await res.json();
+      if (!res.ok || json.error) throw new Error(json.error || 'Could not save your review');
+      setDone(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const stay = data?.stay;
+
+  return (
+    <>
+      <Head>
+        <title>Review Your Stay — Manyagi Realty</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <section className="container mx-auto px-4 py-16 max-w-2xl">
+        <h1 className="text-3xl font-bold mb-4">How Was Your Stay?</h1>
+
+        {error && <p className="text-red-600 mb-4">{error}</p>}
+        {!error && !data && <p className="opacity-70">Loading…</p>}
+
+        {stay && (
+          <div className="border rounded p-4 space-y-4 bg-white dark:bg-gray-900 dark:border-gray-700">
+            <p>
+              <strong>{stay.property_name}</strong>
+              <span className="opacity-70"> — {stay.checkin} to {stay.checkout}</span>
+            </p>
+
+            {done || data.already_reviewed ? (
+              <p className="text-green-700 font-semibold">
+                Thank you! Your review has been received and will appear once it’s approved.
+                {stay.property_slug && (
+                  <>
+                    {' '}
+                    <Link href={`/realty/${stay.property_slug}`} className="underline">
+                      Back to the listing
+                    </Link>
+                  </>
+                )}
+              </p>
+            ) : (
+              <form onSubmit={submit} className="space-y-3">
+                {RATING_CATEGORIES.map(({ key, label }) => (
+                  <StarInput
+                    key={key}
+                    label={label}
+                    value={ratings[key] || 0}
+                    onChange={(n) => setRatings({ ...ratings, [key]: n })}
+                  />
+                ))}
+                <textarea
+                  rows={5}
+                  maxLength={4000}
+                  className="w-full border rounded px-3 py-2 dark:bg-gray-800 dark:border-gray-700"
+                  placeholder="Tell future guests about your stay (optional)"
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                />
+                <button
+                  type="submit"
+                  disabled={!complete || busy}
+                  className="px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50"
+                >
+                  {busy ? 'Sending…' : 'Submit Review'}
+                </button>
+                {!complete && <p className="text-xs opacity-70">Rate all four categories to submit.</p>}
+              </form>
+            )}
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
@@ -1,22 +1,24 @@
 // pages/track.js
 import Head from 'next/head';
-import { useState } from 'react';
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+import { formatMoney } from '@/lib/currency';
 
 export default function Track() {
+  const router = useRouter();
   const [orderId, setOrderId] = useState('');
   const [result, setResult] = useState(null);
   const [error, setError] = useState('');
 
-  const handleLookup = async (e) => {
-    e.preventDefault();
+  const lookup = async (id) => {
     setError('');
     setResult(null);
-    if (!orderId) {
+    if (!id) {
       setError('Please enter an order ID');
       return;
     }
     try {
-      const res = await fetch(`/api/track?order_id=${encodeURIComponent(orderId)}`);
+      const res = await fetch(`/api/track?order_id=${encodeURIComponent(id)}`);
       const data = await res.json();
       if (!res.ok || data.error) {
         setError(data.error || 'Not found');
@@ -28,6 +30,19 @@ export default function Track() {
     }
   };
 
+  // links in shipment emails: /track?order_id=...
+  useEffect(() => {
+    if (!router.isReady || !router.query.order_id) return;
+    const id = String(router.query.order_id);
+    setOrderId(id);
+    lookup(id);
+  }, [router.isReady, router.query.order_id]);
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    await lookup(orderId);
+  };
+
   return (
     <>
       <Head>
@@ -51,18 +66,56 @@ export default function Track() {
         {error && <p className="text-red-600 mb-4">{error}</p>}
         {result && (
           <div className="border rounded p-4 space-y-2 bg-white">
-            <p><strong>Status:</strong> {result.status}</p>
-            {result.estimated_delivery && <p><strong>Updated:</strong> {new Date(result.estimated_delivery).toLocaleString()}</p>}
+            <p><strong>Status:</strong> {result.fulfillment_status || result.status}</p>
             <p><strong>Division:</strong> {result.division}</p>
-            <p><strong>Total:</strong> ${Number(result.total).toFixed(2)}</p>
+            <p><strong>Total:</strong> {formatMoney(result.total, result.currency)}</p>
             <div>
               <strong>Items:</strong>
               <ul className="list-disc ml-6">
                 {(result.items || []).map((i, idx) => (
-                  <li key={idx}>{i.name} x {i.quantity || 1}</li>
+                  <li key={idx}>
+                    {i.name}
+                    {i.variant ? ` (${i.variant})` : ''} x {i.quantity || 1}
+                  </li>
                 ))}
               </ul>
             </div>
+
+            {result.tracking_number && (
+              <p>
+                <strong>Tracking:</strong> {result.carrier ? `${result.carrier} ` : ''}
+                {result.tracking_url ? (
+                  <a href={result.tracking_url} target="_blank" rel="noreferrer" className="text-blue-600 underline">
+                    {result.tracking_number}
+                  </a>
+                ) : (
+                  result.tracking_number
+                )}
+              </p>
+            )}
+
+            {(result.timeline || []).length > 0 && (
+              <ol className="border-l-2 border-gray-200 ml-2 mt-4 space-y-3">
+                {result.timeline.map((step, idx) => (
+                  <li key={idx} className="relative pl-4">
+                    <span
+                      className={`absolute -left-[7px] top-1.5 w-3 h-3 rounded-full ${
+                        !step.done
+                          ? 'bg-gray-300'
+                          : ['failed', 'canceled', 'returned'].includes(step.type)
+                          ? 'bg-red-500'
+                          : 'bg-green-600'
+                      }`}
+                    />
+                    <div className={step.done ? 'font-medium' : 'opacity-50'}>{step.label}</div>
+                    {step.at && <div className="text-xs opacity-70">{new Date(step.at).toLocaleString()}</div>}
+                    {step.message && step.message !== step.label && (
+                      <div className="text-sm opacity-80">{step.message}</div>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            )}
           </div>
         )}
       </section>
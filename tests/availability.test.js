@@ -0,0 +1,179 @@
+// tests/availability.test.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { findConflicts, placeHold } from '@/lib/realty/availability';
+import { useFakeSupabase } from './fakeSupabase';
+
+jest.mock('@/lib/supabaseAdmin', () => ({ supabaseAdmin: {} }));
+
+const PROP = 'prop-1';
+const STAY = { propertyId: PROP, checkin: '2030-06-10', checkout: '2030-06-15' };
+
+const inMinutes = (m) => new Date(Date.now() + m * 60 * 1000).toISOString();
+
+const reservation = (fields) => ({
+  property_id: PROP,
+  checkin: '2030-06-12',
+  checkout: '2030-06-14',
+  status: 'paid',
+  hold_expires_at: null,
+  created_at: '2025-12-01T00:00:00.000Z',
+  ...fields,
+});
+
+describe('findConflicts', () => {
+  test('free dates are available', async () => {
+    useFakeSupabase(supabaseAdmin);
+    await expect(findConflicts(STAY)).resolves.toEqual({ available: true, conflicts: [] });
+  });
+
+  test('a paid stay overlapping the range conflicts, with its last night as end', async () => {
+    useFakeSupabase(supabaseAdmin, { tables: { realty_reservations: [reservation({ id: 'r1' })] } });
+    const { available, conflicts } = await findConflicts(STAY);
+    expect(available).toBe(false);
+    expect(conflicts).toEqual([{ kind: 'reservation', id: 'r1', start: '2030-06-12', end: '2030-06-13' }]);
+  });
+
+  test('back-to-back stays do not conflict', async () => {
+    useFakeSupabase(supabaseAdmin, {
+      tables: {
+        realty_reservations: [
+          reservation({ id: 'before', checkin: '2030-06-05', checkout: '2030-06-10' }),
+          reservation({ id: 'after', checkin: '2030-06-15', checkout: '2030-06-18' }),
+        ],
+      },
+    });
+    await expect(findConflicts(STAY)).resolves.toMatchObject({ available: true });
+  });
+
+  test('live holds block, expired and lapsed holds do not', async () => {
+    useFakeSupabase(supabaseAdmin, {
+      tables: {
+        realty_reservations: [
+          reservation({ id: 'expired', status: 'expired', hold_expires_at: inMinutes(-60) }),
+          reservation({ id: 'lapsed', status: 'pending', hold_expires_at: inMinutes(-1) }),
+          reservation({ id: 'cancelled', status: 'cancelled' }),
+        ],
+      },
+    });
+    await expect(findConflicts(STAY)).resolves.toMatchObject({ available: true });
+
+    useFakeSupabase(supabaseAdmin, {
+      tables: { realty_reservations: [reservation({ id: 'live', status: 'pending', hold_expires_at: inMinutes(20) })] },
+    });
+    const { conflicts } = await findConflicts(STAY);
+    expect(conflicts).toEqual([expect.objectContaining({ kind: 'hold', id: 'live' })]);
+  });
+
+  test('excludeReservationId and heldBefore skip our own and later holds', async () => {
+    useFakeSupabase(supabaseAdmin, {
+      tables: {
+        realty_reservations: [
+          reservation({ id: 'mine', status: 'pending', hold_expires_at: inMinutes(30), created_at: '2026-01-01T00:00:10.000Z' }),
+          reservation({ id: 'later', status: 'pending', hold_expires_at: inMinutes(30), created_at: '2026-01-01T00:00:20.000Z' }),
+        ],
+      },
+    });
+    const res = await findConflicts({
+      ...STAY,
+      excludeReservationId: 'mine',
+      heldBefore: '2026-01-01T00:00:10.000Z',
+    });
+    expect(res.available).toBe(true);
+  });
+
+  test('external blocks and blocked nights conflict', async () => {
+    useFakeSupabase(supabaseAdmin, {
+      tables: {
+        realty_external_blocks: [
+          { id: 'b1', property_id: PROP, starts_on: '2030-06-01', ends_on: '2030-06-10', source: 'airbnb' },
+          { id: 'b2', property_id: PROP, starts_on: '2030-06-15', ends_on: '2030-06-20', source: 'vrbo' },
+        ],
+        property_availability: [
+          { property_id: PROP, date: '2030-06-13', status: 'blocked' },
+          { property_id: PROP, date: '2030-06-14', status: 'available' },
+        ],
+      },
+    });
+    const { conflicts } = await findConflicts(STAY);
+    expect(conflicts).toEqual([
+      { kind: 'external', id: 'b1', start: '2030-06-01', end: '2030-06-10' },
+      { kind: 'availability', id: null, start: '2030-06-13', end: '2030-06-13' },
+    ]);
+  });
+
+  test('other properties are ignored', async () => {
+    useFakeSupabase(supabaseAdmin, {
+      tables: { realty_reservations: [reservation({ id: 'r1', property_id: 'prop-2' })] },
+    });
+    await expect(findConflicts(STAY)).resolves.toMatchObject({ available: true });
+  });
+});
+
+describe('placeHold', () => {
+  test('inserts a pending hold when the dates are free', async () => {
+    const db = useFakeSupabase(supabaseAdmin);
+    const res = await placeHold({ ...STAY, row: { guest_email: 'guest@example.com' } });
+
+    expect(res.ok).toBe(true);
+    expect(res.reservation).toMatchObject({
+      property_id: PROP,
+      checkin: STAY.checkin,
+      checkout: STAY.checkout,
+      status: 'pending',
+      guest_email: 'guest@example.com',
+      hold_expires_at: res.holdExpiresAt,
+    });
+    expect(res.holdExpiresAt > new Date().toISOString()).toBe(true);
+    expect(db.tables.realty_reservations).toHaveLength(1);
+  });
+
+  test('refuses taken dates without inserting', async () => {
+    const db = useFakeSupabase(supabaseAdmin, { tables: { realty_reservations: [reservation({ id: 'r1' })] } });
+    const res = await placeHold(STAY);
+
+    expect(res.ok).toBe(false);
+    expect(res.conflicts).toEqual([expect.objectContaining({ id: 'r1' })]);
+    expect(db.tables.realty_reservations).toHaveLength(1);
+  });
+
+  test('backs off when an earlier hold won the race', async () => {
+    let raced = false;
+    const db = useFakeSupabase(supabaseAdmin, {
+      // another guest's hold lands between our check and our insert
+      beforeInsert: (table, row) => {
+        if (raced || table !== 'realty_reservations') return;
+        raced = true;
+        db.tables.realty_reservations.push(
+          reservation({ id: 'rival', status: 'pending', hold_expires_at: inMinutes(30), created_at: db.tick() })
+        );
+        row.created_at = db.tick();
+      },
+    });
+
+    const res = await placeHold(STAY);
+
+    expect(res.ok).toBe(false);
+    expect(res.conflicts).toEqual([expect.objectContaining({ kind: 'hold', id: 'rival' })]);
+    const ours = db.tables.realty_reservations.find((r) => r.id !== 'rival');
+    expect(ours.status).toBe('expired');
+  });
+
+  test('keeps the hold when the rival hold came later', async () => {
+    let raced = false;
+    const db = useFakeSupabase(supabaseAdmin, {
+      beforeInsert: (table, row) => {
+        if (raced || table !== 'realty_reservations') return;
+        raced = true;
+        const later = new Date(Date.parse(row.created_at) + 1000).toISOString();
+        db.tables.realty_reservations.push(
+          reservation({ id: 'rival', status: 'pending', hold_expires_at: inMinutes(30), created_at: later })
+        );
+      },
+    });
+
+    const res = await placeHold(STAY);
+
+    expect(res.ok).toBe(true);
+    expect(res.reservation.status).toBe('pending');
+  });
+});
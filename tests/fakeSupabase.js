@@ -0,0 +1,226 @@
+// tests/fakeSupabase.js
+/**
+ * In-memory stand-in for the supabase-js query builder, covering what the
+ * lib code under test calls:
+ *
+ *   select (incl. { count: 'exact', head: true }) / insert / update / delete
+ *   eq, neq, in, gt, gte, lt, lte, is, ilike, order, limit, single, maybeSingle
+ *
+ * Inserted rows get an id and a created_at one second after the previous
+ * row's, so "who held first" comparisons are deterministic. `unique` maps a
+ * table to the columns of its unique key; a clash returns Postgres' 23505.
+ *
+ * Use it by pointing the mocked supabaseAdmin at it:
+ *
+ *   jest.mock('@/lib/supabaseAdmin', () => ({ supabaseAdmin: {} }));
+ *   const db = useFakeSupabase(supabaseAdmin, { tables: { orders: [...] } });
+ */
+
+const clone = (v) => (v == null ? v : JSON.parse(JSON.stringify(v)));
+
+// ilike pattern -> RegExp (\ escapes, % any run, _ one char)
+function likeRegExp(pattern) {
+  let src = '';
+  const p = String(pattern);
+  for (let i = 0; i < p.length; i += 1) {
+    const c = p[i];
+    if (c === '\\' && i + 1 < p.length) {
+      i += 1;
+      src += p[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (c === '%') src += '.*';
+    else if (c === '_') src += '.';
+    else src += c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${src}$`, 'i');
+}
+
+class Query {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.op = 'select';
+    this.filters = [];
+    this.returning = false;
+    this.countOpts = null;
+    this.orderBy = null;
+    this.max = null;
+    this.mode = null;
+  }
+
+  select(_columns, opts = {}) {
+    if (this.op === 'select') this.countOpts = opts;
+    else this.returning = true;
+    return this;
+  }
+
+  insert(rows) {
+    this.op = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(patch) {
+    this.op = 'update';
+    this.payload = patch;
+    return this;
+  }
+
+  delete() {
+    this.op = 'delete';
+    return this;
+  }
+
+  eq(col, val) {
+    this.filters.push((r) => r[col] === val);
+    return this;
+  }
+
+  neq(col, val) {
+    this.filters.push((r) => r[col] !== val);
+    return this;
+  }
+
+  in(col, vals) {
+    this.filters.push((r) => vals.includes(r[col]));
+    return this;
+  }
+
+  gt(col, val) {
+    this.filters.push((r) => r[col] != null && r[col] > val);
+    return this;
+  }
+
+  gte(col, val) {
+    this.filters.push((r) => r[col] != null && r[col] >= val);
+    return this;
+  }
+
+  lt(col, val) {
+    this.filters.push((r) => r[col] != null && r[col] < val);
+    return this;
+  }
+
+  lte(col, val) {
+    this.filters.push((r) => r[col] != null && r[col] <= val);
+    return this;
+  }
+
+  is(col, val) {
+    this.filters.push((r) => (r[col] ?? null) === val);
+    return this;
+  }
+
+  ilike(col, pattern) {
+    const re = likeRegExp(pattern);
+    this.filters.push((r) => r[col] != null && re.test(String(r[col])));
+    return this;
+  }
+
+  order(col, { ascending = true } = {}) {
+    this.orderBy = { col, ascending };
+    return this;
+  }
+
+  limit(n) {
+    this.max = n;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.run())
+      .then(resolve, reject);
+  }
+
+  rows() {
+    if (!this.db.tables[this.table]) this.db.tables[this.table] = [];
+    return this.db.tables[this.table];
+  }
+
+  matching() {
+    return this.rows().filter((r) => this.filters.every((f) => f(r)));
+  }
+
+  run() {
+    let data;
+    if (this.op === 'insert') {
+      const key = this.db.unique[this.table];
+      const added = [];
+      for (const row of this.payload) {
+        const next = { ...clone(row) };
+        if (next.id == null) next.id = `${this.table}-${++this.db.seq}`;
+        if (next.created_at == null) next.created_at = this.db.tick();
+        if (key && this.rows().some((r) => key.every((c) => r[c] === next[c]))) {
+          return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+        }
+        this.db.beforeInsert?.(this.table, next);
+        this.rows().push(next);
+        added.push(next);
+      }
+      data = this.returning ? clone(added) : null;
+    } else if (this.op === 'update') {
+      const hit = this.matching();
+      hit.forEach((r) => Object.assign(r, clone(this.payload)));
+      data = this.returning ? clone(hit) : null;
+    } else if (this.op === 'delete') {
+      const hit = this.matching();
+      this.db.tables[this.table] = this.rows().filter((r) => !hit.includes(r));
+      data = this.returning ? clone(hit) : null;
+    } else {
+      data = clone(this.matching());
+      if (this.orderBy) {
+        const { col, ascending } = this.orderBy;
+        data.sort((a, b) => (a[col] > b[col] ? 1 : a[col] < b[col] ? -1 : 0) * (ascending ? 1 : -1));
+      }
+      if (this.max != null) data = data.slice(0, this.max);
+      if (this.countOpts?.count) {
+        return { data: this.countOpts.head ? null : data, count: data.length, error: null };
+      }
+    }
+
+    if (this.mode === 'single') {
+      if (!data || data.length !== 1) {
+        return { data: null, error: { code: 'PGRST116', message: `expected 1 row, got ${data ? data.length : 0}` } };
+      }
+      return { data: data[0], error: null };
+    }
+    if (this.mode === 'maybeSingle') {
+      if (data && data.length > 1) {
+        return { data: null, error: { code: 'PGRST116', message: `expected at most 1 row, got ${data.length}` } };
+      }
+      return { data: data?.[0] ?? null, error: null };
+    }
+    return { data, error: null };
+  }
+}
+
+/**
+ * Point `client.from` at a fresh in-memory database and return it.
+ * Options: tables { name: rows[] }, unique { name: [cols] },
+ * beforeInsert(table, row) runs just before each row is stored.
+ */
+export function useFakeSupabase(client, { tables = {}, unique = {}, beforeInsert = null } = {}) {
+  let clock = Date.parse('2026-01-01T00:00:00Z');
+  const db = {
+    tables: Object.fromEntries(Object.entries(tables).map(([t, rows]) => [t, clone(rows)])),
+    unique,
+    beforeInsert,
+    seq: 0,
+    tick: () => {
+      clock += 1000;
+      return new Date(clock).toISOString();
+    },
+  };
+  client.from = (table) => new Query(db, table);
+  return db;
+}
@@ -0,0 +1,46 @@
+// tests/promotions.test.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { isFirstOrder } from '@/lib/promotions';
+import { useFakeSupabase } from './fakeSupabase';
+
+jest.mock('@/lib/supabaseAdmin', () => ({ supabaseAdmin: {} }));
+
+const order = (fields) => ({ user_id: null, customer_email: null, status: 'paid', ...fields });
+
+describe('isFirstOrder', () => {
+  test('null when we cannot tell who is buying', async () => {
+    useFakeSupabase(supabaseAdmin);
+    await expect(isFirstOrder({})).resolves.toBeNull();
+    await expect(isFirstOrder({ userId: null, email: '   ' })).resolves.toBeNull();
+  });
+
+  test('true for a buyer with no paid orders', async () => {
+    useFakeSupabase(supabaseAdmin, {
+      tables: {
+        orders: [
+          order({ user_id: 'user-1', customer_email: 'buyer@example.com', status: 'pending' }),
+          order({ user_id: 'user-2', customer_email: 'other@example.com' }),
+        ],
+      },
+    });
+    await expect(isFirstOrder({ userId: 'user-1', email: 'buyer@example.com' })).resolves.toBe(true);
+  });
+
+  test('false when the signed-in user already paid for an order', async () => {
+    useFakeSupabase(supabaseAdmin, { tables: { orders: [order({ user_id: 'user-1', status: 'shipped' })] } });
+    await expect(isFirstOrder({ userId: 'user-1', email: 'new@example.com' })).resolves.toBe(false);
+  });
+
+  test('matches earlier orders by email regardless of case and spacing', async () => {
+    useFakeSupabase(supabaseAdmin, { tables: { orders: [order({ customer_email: 'Buyer@Example.com' })] } });
+    await expect(isFirstOrder({ email: '  buyer@EXAMPLE.com ' })).resolves.toBe(false);
+  });
+
+  test('LIKE wildcards in the email are matched literally', async () => {
+    useFakeSupabase(supabaseAdmin, {
+      tables: { orders: [order({ customer_email: 'abc@example.com' }), order({ customer_email: 'axc@example.com' })] },
+    });
+    await expect(isFirstOrder({ email: '%@example.com' })).resolves.toBe(true);
+    await expect(isFirstOrder({ email: 'a_c@example.com' })).resolves.toBe(true);
+  });
+});
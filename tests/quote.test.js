@@ -0,0 +1,101 @@
+// tests/quote.test.js
+import { calculateQuote } from '@/pages/api/realty/quote';
+
+jest.mock('@/lib/supabaseAdmin', () => ({ supabaseAdmin: {} }));
+
+const TODAY = new Date('2030-01-01T12:00:00Z');
+
+const property = (pricing = {}) => ({ id: 'prop-1', price: 100, metadata: { pricing } });
+
+const quote = (args) =>
+  calculateQuote({ rates: [], checkin: '2030-06-03', checkout: '2030-06-10', today: TODAY, ...args });
+
+const lineKeys = (q) => q.summary.lines.map((l) => l.key);
+
+describe('calculateQuote', () => {
+  test('no rules: nightly subtotal only', () => {
+    const q = quote({ propRow: property({ cleaning_fee: 50 }) });
+    expect(q.ok).toBe(true);
+    expect(q.summary).toMatchObject({ nights: 7, base_subtotal: 700, total: 750, lines: [] });
+  });
+
+  test('applies the best length-of-stay tier the stay qualifies for', () => {
+    const pricing = {
+      los_discounts: [
+        { min_nights: 28, percent: 20 },
+        { min_nights: 7, percent: 10 },
+        { min_nights: 3, percent: 5 },
+      ],
+    };
+    const week = quote({ propRow: property(pricing) });
+    expect(week.summary.los_discount).toBe(70);
+    expect(week.summary.lines).toEqual([{ key: 'los_discount', label: 'Weekly discount (10%)', amount: -70 }]);
+
+    const short = quote({ propRow: property(pricing), checkout: '2030-06-06' });
+    expect(short.summary.los_discount).toBe(15);
+    expect(short.summary.total).toBe(285);
+  });
+
+  test('early-bird wins over last-minute, and only far enough out', () => {
+    const pricing = { early_bird: { days_before: 60, percent: 5 }, last_minute: { days_before: 7, percent: 10 } };
+
+    const early = quote({ propRow: property(pricing) });
+    expect(lineKeys(early)).toEqual(['early_bird']);
+    expect(early.summary.early_bird_discount).toBe(35);
+
+    const soon = quote({ propRow: property(pricing), today: new Date('2030-05-30T08:00:00Z') });
+    expect(lineKeys(soon)).toEqual(['last_minute']);
+    expect(soon.summary.last_minute_adjustment).toBe(70);
+
+    const between = quote({ propRow: property(pricing), today: new Date('2030-05-01T00:00:00Z') });
+    expect(between.summary.lines).toEqual([]);
+  });
+
+  test('a negative last-minute percent is a surcharge', () => {
+    const q = quote({
+      propRow: property({ last_minute: { days_before: 7, percent: -10 } }),
+      today: new Date('2030-06-01T00:00:00Z'),
+    });
+    expect(q.summary.lines).toEqual([{ key: 'last_minute', label: 'Last-minute surcharge (10%)', amount: 70 }]);
+    expect(q.summary.total).toBe(770);
+  });
+
+  test('charges extra guests above base occupancy per night', () => {
+    const pricing = { base_occupancy: 2, extra_guest_fee: 20 };
+    const q = quote({ propRow: property(pricing), guests: 4 });
+    expect(q.summary.extra_guests).toBe(2);
+    expect(q.summary.extra_guest_fee).toBe(280);
+    expect(q.summary.total).toBe(980);
+
+    expect(quote({ propRow: property(pricing), guests: 2 }).summary.extra_guest_fee).toBe(0);
+  });
+
+  test('percent promo comes off the rent after the other rules', () => {
+    const q = quote({
+      propRow: property({ los_discounts: [{ min_nights: 7, percent: 10 }], cleaning_fee: 40 }),
+      promo: { id: 'promo-1', code: 'SUMMER', percent_off: 10 },
+    });
+    expect(q.summary.promo_discount).toBe(63);
+    expect(q.summary.promo_code).toBe('SUMMER');
+    expect(q.promo_code_id).toBe('promo-1');
+    expect(lineKeys(q)).toEqual(['los_discount', 'promo']);
+    expect(q.summary.total).toBe(700 - 70 - 63 + 40);
+  });
+
+  test('amount promo is capped at the rent and never touches the cleaning fee', () => {
+    const q = quote({
+      propRow: property({ cleaning_fee: 40 }),
+      checkout: '2030-06-05',
+      promo: { id: 'promo-2', code: 'BIG', amount_off: 500 },
+    });
+    expect(q.summary.promo_discount).toBe(200);
+    expect(q.summary.total).toBe(40);
+  });
+
+  test('a promo worth nothing is not recorded', () => {
+    const q = quote({ propRow: property(), promo: { id: 'promo-3', code: 'ZERO', amount_off: 0 } });
+    expect(q.summary.promo_code).toBeNull();
+    expect(q.promo_code_id).toBeNull();
+    expect(q.summary.lines).toEqual([]);
+  });
+});
@@ -0,0 +1,156 @@
+// tests/webhookEvents.test.js
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { claimWebhookEvent, replayWebhookEvent, runWebhookEvent } from '@/lib/webhookEvents';
+import { useFakeSupabase } from './fakeSupabase';
+
+jest.mock('@/lib/supabaseAdmin', () => ({ supabaseAdmin: {} }));
+
+const EVENT = { id: 'evt_1', type: 'checkout.session.completed', data: { object: { id: 'cs_1' } } };
+
+const minutesAgo = (m) => new Date(Date.now() - m * 60 * 1000).toISOString();
+
+const ledger = (rows = []) =>
+  useFakeSupabase(supabaseAdmin, {
+    tables: { webhook_events: rows },
+    unique: { webhook_events: ['endpoint', 'event_id'] },
+  });
+
+const storedEvent = (fields) => ({
+  id: 'we-1',
+  endpoint: 'stripe',
+  event_id: EVENT.id,
+  type: EVENT.type,
+  payload: EVENT,
+  attempts: 1,
+  received_at: minutesAgo(30),
+  updated_at: minutesAgo(30),
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runWebhookEvent', () => {
+  test('processes a new event once and skips redeliveries', async () => {
+    const db = ledger();
+    const handle = jest.fn().mockResolvedValue();
+
+    await expect(runWebhookEvent({ endpoint: 'stripe', event: EVENT, handle })).resolves.toEqual({
+      duplicate: false,
+      status: 'processed',
+    });
+    await expect(runWebhookEvent({ endpoint: 'stripe', event: EVENT, handle })).resolves.toEqual({
+      duplicate: true,
+      status: 'processed',
+    });
+
+    expect(handle).toHaveBeenCalledTimes(1);
+    expect(db.tables.webhook_events).toHaveLength(1);
+    expect(db.tables.webhook_events[0]).toMatchObject({ status: 'processed', attempts: 1, error: null });
+  });
+
+  test('a handler error marks the row failed and the next delivery retries it', async () => {
+    const db = ledger();
+    const boom = jest.fn().mockRejectedValue(new Error('printful down'));
+
+    await expect(runWebhookEvent({ endpoint: 'stripe', event: EVENT, handle: boom })).rejects.toThrow('printful down');
+    expect(db.tables.webhook_events[0]).toMatchObject({ status: 'failed', error: 'printful down' });
+
+    const handle = jest.fn().mockResolvedValue();
+    await expect(runWebhookEvent({ endpoint: 'stripe', event: EVENT, handle })).resolves.toMatchObject({
+      duplicate: false,
+    });
+    expect(handle).toHaveBeenCalledWith(EVENT);
+    expect(db.tables.webhook_events[0]).toMatchObject({ status: 'processed', attempts: 2, error: null });
+  });
+
+  test('the same event id on another endpoint is its own row', async () => {
+    const db = ledger([storedEvent({ endpoint: 'realty', status: 'processed' })]);
+    const handle = jest.fn().mockResolvedValue();
+
+    await runWebhookEvent({ endpoint: 'stripe', event: EVENT, handle });
+
+    expect(handle).toHaveBeenCalledTimes(1);
+    expect(db.tables.webhook_events).toHaveLength(2);
+  });
+});
+
+describe('claimWebhookEvent', () => {
+  test('skips an event another delivery is processing right now', async () => {
+    ledger([storedEvent({ status: 'processing', updated_at: minutesAgo(1) })]);
+    await expect(claimWebhookEvent({ endpoint: 'stripe', event: EVENT })).resolves.toMatchObject({
+      duplicate: true,
+    });
+  });
+
+  test('takes over a stale processing row', async () => {
+    ledger([storedEvent({ status: 'processing', updated_at: minutesAgo(10) })]);
+    const { row, duplicate } = await claimWebhookEvent({ endpoint: 'stripe', event: EVENT });
+    expect(duplicate).toBe(false);
+    expect(row).toMatchObject({ status: 'processing', attempts: 2 });
+  });
+
+  test('loses the takeover when another delivery bumped attempts first', async () => {
+    const db = ledger([storedEvent({ status: 'failed' })]);
+    const from = supabaseAdmin.from;
+    supabaseAdmin.from = (table) => {
+      const query = from(table);
+      const update = query.update.bind(query);
+      query.update = (patch) => {
+        db.tables.webhook_events[0].attempts = 2;
+        return update(patch);
+      };
+      return query;
+    };
+
+    await expect(claimWebhookEvent({ endpoint: 'stripe', event: EVENT })).resolves.toMatchObject({
+      duplicate: true,
+    });
+  });
+});
+
+describe('replayWebhookEvent', () => {
+  test('replays a failed event through its endpoint handler', async () => {
+    const db = ledger([storedEvent({ status: 'failed', error: 'printful down' })]);
+    const stripe = jest.fn().mockResolvedValue();
+
+    await expect(replayWebhookEvent('we-1', { stripe })).resolves.toEqual({ ok: true, status: 'processed' });
+    expect(stripe).toHaveBeenCalledWith(EVENT);
+    expect(db.tables.webhook_events[0]).toMatchObject({ status: 'processed', attempts: 2, error: null });
+  });
+
+  test('records a replay that fails again', async () => {
+    const db = ledger([storedEvent({ status: 'failed' })]);
+    const stripe = jest.fn().mockRejectedValue(new Error('still down'));
+
+    await expect(replayWebhookEvent('we-1', { stripe })).resolves.toEqual({
+      ok: true,
+      status: 'failed',
+      error: 'still down',
+    });
+    expect(db.tables.webhook_events[0]).toMatchObject({ status: 'failed', attempts: 2, error: 'still down' });
+  });
+
+  test('refuses processed, in-flight, unknown and unhandled events', async () => {
+    const stripe = jest.fn();
+
+    ledger([storedEvent({ status: 'processed' })]);
+    await expect(replayWebhookEvent('we-1', { stripe })).resolves.toMatchObject({ ok: false, httpStatus: 400 });
+
+    ledger([storedEvent({ status: 'processing', updated_at: minutesAgo(1) })]);
+    await expect(replayWebhookEvent('we-1', { stripe })).resolves.toMatchObject({ ok: false, httpStatus: 409 });
+
+    ledger();
+    await expect(replayWebhookEvent('we-1', { stripe })).resolves.toMatchObject({ ok: false, httpStatus: 404 });
+
+    ledger([storedEvent({ endpoint: 'realty', status: 'failed' })]);
+    await expect(replayWebhookEvent('we-1', { stripe })).resolves.toMatchObject({ ok: false, httpStatus: 400 });
+
+    expect(stripe).not.toHaveBeenCalled();
+  });
+});